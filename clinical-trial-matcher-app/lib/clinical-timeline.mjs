@@ -0,0 +1,802 @@
+// lib/clinical-timeline.mjs
+//
+// Timeline of dated clinical events in a medical record, and deterministic
+// evaluation of time-window criteria ("no chemotherapy within 28 days",
+// "MI within the past 6 months", "diagnosed with type 2 diabetes >= 1 year
+// ago") against it. Every interval is measured back from a reference date --
+// the screening date unless the caller gives another -- so a criterion reads
+// the same way whenever the evaluation is run. Dates are kept with their
+// precision: "March 2025" covers the whole month, and a window that a date
+// range straddles is left to the model, as is anything else the parser is not
+// sure about. Events that are negated ("MI ruled out"), about a relative,
+// uncertain ("possible stroke") or not given ("chemotherapy was held") are
+// kept with their modifiers but never count as the patient's events.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event categories recognized in records and criteria. Terms are matched as
+// whole words, case-insensitively. A category with a course is given over a
+// period, so the one date of a mention may only be where it started.
+const EVENT_CATEGORIES = [
+  {
+    key: 'chemotherapy',
+    label: 'Chemotherapy',
+    course: true,
+    pattern: /\b(?:chemo(?:therapy)?|chemotherapeutic|cytotoxic therapy|carboplatin|cisplatin|oxaliplatin|paclitaxel|nab-paclitaxel|docetaxel|gemcitabine|doxorubicin|epirubicin|cyclophosphamide|fluorouracil|5-fu|capecitabine|folfox|folfiri|folfirinox|etoposide|pemetrexed|irinotecan|vincristine|vinorelbine)\b/i
+  },
+  {
+    key: 'radiotherapy',
+    label: 'Radiotherapy',
+    course: true,
+    pattern: /\b(?:radiotherapy|radiation(?: therapy)?|irradiation|xrt|sbrt|srs|brachytherapy|chemoradiation|chemoradiotherapy)\b/i
+  },
+  {
+    key: 'immunotherapy',
+    label: 'Immunotherapy',
+    course: true,
+    pattern: /\b(?:immunotherapy|checkpoint inhibitors?|pembrolizumab|nivolumab|atezolizumab|durvalumab|avelumab|cemiplimab|ipilimumab)\b/i
+  },
+  {
+    key: 'surgery',
+    label: 'Surgery',
+    pattern: /\b(?:surgery|surgical procedure|operation|resection|[a-z]+ectomy|[a-z]+otomy|laparoscopy)\b/i
+  },
+  {
+    key: 'myocardial-infarction',
+    label: 'Myocardial infarction',
+    pattern: /\b(?:myocardial infarction|heart attack|n?stemi|mi)\b/i
+  },
+  {
+    key: 'stroke',
+    label: 'Stroke',
+    pattern: /\b(?:stroke|cva|cerebrovascular accident|tia|transient ischa?emic attack)\b/i
+  },
+  {
+    key: 'hospitalization',
+    label: 'Hospitalization',
+    course: true,
+    pattern: /\b(?:hospitali[sz](?:ed|ation)|admitted|admission)\b/i
+  },
+  {
+    key: 'transfusion',
+    label: 'Transfusion',
+    pattern: /\b(?:transfusions?|transfused)\b/i
+  },
+  {
+    key: 'investigational-agent',
+    label: 'Investigational agent',
+    course: true,
+    pattern: /\b(?:investigational (?:agents?|drugs?|products?|therapy|treatment)|study drug|experimental (?:agents?|drugs?|therapy))\b/i
+  },
+  {
+    key: 'vaccination',
+    label: 'Vaccination',
+    pattern: /\b(?:vaccines?|vaccinated|vaccination|immuni[sz]ation)\b/i
+  },
+  {
+    key: 'diagnosis',
+    label: 'Diagnosis',
+    pattern: /\b(?:diagnosed|diagnosis|dx)\b/i
+  }
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// Date formats in records. Each returns the date as written with its
+// precision; the first pattern matching a span wins.
+const DATE_PATTERNS = [
+  {
+    regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?\b/g,
+    build: m => ({ year: +m[1], month: +m[2], day: +m[3], precision: 'day' })
+  },
+  {
+    regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g,
+    build: m => ({ year: +m[3], month: +m[1], day: +m[2], precision: 'day' })
+  },
+  {
+    regex: new RegExp(`\\b${MONTH_NAME}\\.? (\\d{1,2})(?:st|nd|rd|th)?,? (\\d{4})\\b`, 'gi'),
+    build: m => ({ year: +m[3], month: monthNumber(m[1]), day: +m[2], precision: 'day' })
+  },
+  {
+    regex: new RegExp(`\\b(\\d{1,2}) ${MONTH_NAME}\\.?,? (\\d{4})\\b`, 'gi'),
+    build: m => ({ year: +m[3], month: monthNumber(m[2]), day: +m[1], precision: 'day' })
+  },
+  {
+    regex: /\b(\d{4})-(\d{1,2})\b(?!-\d)/g,
+    build: m => ({ year: +m[1], month: +m[2], precision: 'month' })
+  },
+  {
+    regex: /\b(\d{1,2})\/(\d{4})\b/g,
+    build: m => ({ year: +m[2], month: +m[1], precision: 'month' })
+  },
+  {
+    regex: new RegExp(`\\b${MONTH_NAME}\\.?,? (\\d{4})\\b`, 'gi'),
+    build: m => ({ year: +m[2], month: monthNumber(m[1]), precision: 'month' })
+  },
+  {
+    // A bare year only counts after a preposition and without a unit, so doses
+    // like "from 2000 mg" are not dates
+    regex: /\b(?:in|since|during|from|until) ((?:19|20)\d{2})\b(?![-/]|\s*(?:mg|mcg|ug|µg|g|kg|ml|l|units?|iu|mmol|meq|cells|mm|cm|%)(?![a-z]))/gi,
+    build: m => ({ year: +m[1], precision: 'year' }),
+    group: 1
+  }
+];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const NUMBER = '(\\d+(?:\\.\\d+)?|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+const UNIT = '(days?|weeks?|wks?|months?|mos?|years?|yrs?)';
+
+// Relative dates in records, resolved against the record's note date when it
+// has one and the reference date otherwise. Their uncertainty grows with the unit.
+const RELATIVE_PATTERN = new RegExp(`\\b${NUMBER}\\s+${UNIT}\\s+(?:ago|earlier|previously|prior to (?:admission|presentation|this visit))\\b|\\b(yesterday)\\b`, 'gi');
+const RELATIVE_SLACK_DAYS = { day: 0, week: 3, month: 15, year: 182 };
+
+// Lines giving the date the note was written
+const NOTE_DATE_PATTERN = /\b(?:date of (?:service|visit|note|encounter)|(?:visit|note|encounter|service) date|dos)\s*[:=]?\s*/i;
+
+// Dates in these contexts are not clinical events
+const NON_EVENT_PATTERN = /\b(?:dob|date of birth|born|d\.o\.b\.)\b/i;
+
+// Words that negate an event named after them in the same sentence, unless a
+// contrasting word comes between ("no fever but chemotherapy ...")
+const NEGATION_BEFORE = /\b(?:no|not|denies|denied|without|negative for|free of|never|absence of)\b/gi;
+const NEGATION_SCOPE_BREAK = /\b(?:but|however|although|though|yet|except)\b/i;
+
+// Phrases that negate every event in their sentence
+const NEGATION_ANYWHERE = /\b(?:ruled out|(?:was|were|has been|have been) excluded|(?:was|were|is|are|came back) negative|not (?:confirmed|found|seen|present))\b/i;
+
+// Segment-wide modifiers: an event experienced by someone other than the
+// patient, one that is only suspected, and treatment that was not given
+const SEGMENT_MODIFIERS = [
+  {
+    key: 'family-history',
+    pattern: /\b(?:family (?:history|hx)|fhx|mother|father|parents?|brothers?|sisters?|siblings?|sons?|daughters?|aunts?|uncles?|grand(?:mother|father|parent)s?|cousins?|nieces?|nephews?|husband|wife|spouse|partner)\b/i
+  },
+  {
+    key: 'uncertain',
+    pattern: /\b(?:possible|possibly|probable|probably|suspected|suspect|suspicious for|suspicion of|concern for|concerning for|questionable|query|presumed|likely|unlikely|r\/o|rule out|to rule out|evaluated for|evaluation for|work-?up for|cannot be excluded|versus|vs)\b|\?/i
+  },
+  {
+    key: 'not-given',
+    pattern: /\b(?:held|holding|on hold|withheld|deferred|postponed|delayed|cancel(?:l)?ed|declined|refused|not (?:given|received|administered|done|performed)|discontinued|stopped|planned|scheduled)\b/i
+  }
+];
+
+// Wording that a course is still being given, that a date starts a course,
+// and that a course ended
+const COURSE_ONGOING = /\b(?:since|currently|ongoing|continues|continuing|still (?:on|receiving|taking|undergoing|getting)|remains on|to date|until now|at present|presently)\b|(?:\bto|\bthrough|\buntil|-|–)\s*(?:the\s+)?present\b/i;
+const COURSE_START = /\b(?:started|starting|initiated|initiation of|began|begun|commenced|c1d1|cycle 1)\b/i;
+const COURSE_END = /\b(?:completed|completion of|finished|ended|last (?:dose|cycle|infusion|treatment|fraction|session))\b/i;
+
+// Section headers whose lines are about relatives
+const FAMILY_SECTION_HEADER = /^\s*(?:family (?:history|hx)|fhx|fh)\s*:/i;
+const SECTION_HEADER = /^\s*[a-z][a-z /&-]{1,40}:/i;
+
+// Phrases naming the point a window is counted back from; all of them are
+// taken to mean the reference date. The connector is optional because the
+// window's own "before" may precede the anchor ("3 months before screening")
+const WINDOW_ANCHOR = '(?:\\s+(?:(?:prior to|before|of|preceding|from|to)\\s+)?(?:the\\s+)?(?:study entry|study enrol?lment|enrol?lment|randomi[sz]ation|registration|screening|study start|consent|informed consent|(?:start|initiation) of (?:study )?(?:treatment|therapy|drug)|(?:the )?first dose(?: of (?:study )?(?:drug|treatment|therapy|medication))?|day 1|cycle 1,? day 1|c1d1))?';
+
+// Words that carry no meaning once a time window and event are identified
+const TIMELINE_FILLER = new Set([
+  'a', 'an', 'the', 'of', 'with', 'any', 'prior', 'previous', 'previously', 'history', 'hx', 'recent',
+  'received', 'receipt', 'receiving', 'receive', 'treated', 'treatment', 'therapy', 'patient', 'patients',
+  'subject', 'subjects', 'participant', 'participants', 'must', 'have', 'had', 'has', 'been', 'be', 'or',
+  'and/or', 'who', 'last', 'dose', 'doses', 'documented', 'known', 'episode', 'event', 'since', 'elapsed',
+  'passed', 'at', 'time', 'is', 'are', 'was', 'were', 'by', 'for', 'underwent', 'undergone', 'use'
+]);
+
+/**
+ * Converts a month name or abbreviation to its number
+ */
+function monthNumber(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+/**
+ * Day number (days since 1970-01-01 UTC) of a calendar date
+ */
+function dayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * Formats a day number as YYYY-MM-DD
+ */
+function formatDay(days) {
+  return new Date(days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Formats a written date with its precision: YYYY-MM-DD, YYYY-MM or YYYY
+ */
+function formatDate(days, precision) {
+  const iso = formatDay(days);
+  if (precision === 'month') return iso.slice(0, 7);
+  if (precision === 'year') return iso.slice(0, 4);
+  return iso;
+}
+
+/**
+ * Converts a written date to the range of days it covers
+ * @param {Object} parts - { year, month, day, precision }
+ * @returns {Object|null} { earliest, latest, precision } day numbers, or null if invalid
+ */
+function toDayRange({ year, month, day, precision }) {
+  if (year < 1900 || year > 2199) return null;
+  if (precision === 'year') {
+    return { earliest: dayNumber(year, 1, 1), latest: dayNumber(year, 12, 31), precision };
+  }
+  if (!(month >= 1 && month <= 12)) return null;
+  if (precision === 'month') {
+    return { earliest: dayNumber(year, month, 1), latest: dayNumber(year, month + 1, 1) - 1, precision };
+  }
+  const days = dayNumber(year, month, day);
+  // Rejects 2025-02-31 and the like, which Date.UTC would roll over
+  if (!(day >= 1) || formatDay(days) !== `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`) {
+    return null;
+  }
+  return { earliest: days, latest: days, precision };
+}
+
+/**
+ * Shifts a day number back by a number of calendar units
+ * @param {number} days - Day number
+ * @param {number} amount - Number of units
+ * @param {string} unit - 'day', 'week', 'month' or 'year'
+ * @returns {number} Day number
+ */
+function shiftBack(days, amount, unit) {
+  if (unit === 'day') return days - Math.round(amount);
+  if (unit === 'week') return days - Math.round(amount * 7);
+
+  const date = new Date(days * DAY_MS);
+  const months = Math.round(unit === 'year' ? amount * 12 : amount);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - months, 1));
+  // The 31st of a shorter month becomes its last day
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return Math.floor(target.getTime() / DAY_MS);
+}
+
+/**
+ * Normalizes a unit word to 'day', 'week', 'month' or 'year'
+ */
+function normalizeUnit(unit) {
+  if (/^d/.test(unit)) return 'day';
+  if (/^w/.test(unit)) return 'week';
+  if (/^mo/.test(unit)) return 'month';
+  return 'year';
+}
+
+/**
+ * Parses a number written as digits or a word
+ */
+function parseAmount(text) {
+  const lower = text.toLowerCase();
+  return lower in NUMBER_WORDS ? NUMBER_WORDS[lower] : Number(lower);
+}
+
+/**
+ * Describes an amount of time, e.g. "28 days" or "1 year"
+ */
+function describeAmount(amount, unit) {
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describes a window's length as an adjective, e.g. "28-day"
+ */
+function describeWindow(amount, unit) {
+  return `${amount}-${unit}`;
+}
+
+/**
+ * Parses a reference date given as YYYY-MM-DD, an ISO date-time or a Date
+ * @param {string|Date} value - Reference date
+ * @returns {Date|null} Midnight UTC of that day, or null if it is not a valid date
+ */
+export function parseReferenceDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return null;
+  const range = toDayRange({ year: +match[1], month: +match[2], day: +match[3], precision: 'day' });
+  return range ? new Date(range.earliest * DAY_MS) : null;
+}
+
+/**
+ * Formats a reference date as YYYY-MM-DD
+ * @param {Date} referenceDate - Reference date
+ * @returns {string} The date
+ */
+export function formatReferenceDate(referenceDate) {
+  return formatDay(Math.floor(parseReferenceDate(referenceDate).getTime() / DAY_MS));
+}
+
+/**
+ * Splits a record into sentence-like segments: lines, and sentences within
+ * them; decimal points and abbreviations do not split
+ * @param {string} text - Medical record text
+ * @returns {Array} { text, start, end }
+ */
+function splitSegments(text) {
+  const segments = [];
+  const pattern = /[^\n;.]+(?:\.(?=\S)[^\n;.]*)*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const leading = match[0].length - match[0].trimStart().length;
+    const trimmed = match[0].trim();
+    if (trimmed) {
+      segments.push({ text: trimmed, start: match.index + leading, end: match.index + leading + trimmed.length });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Finds the written dates in a record, one per span
+ * @param {string} text - Medical record text
+ * @returns {Array} { earliest, latest, precision, quote, offset } in record order
+ */
+function findAbsoluteDates(text) {
+  const found = [];
+  for (const { regex, build, group } of DATE_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const quote = group ? match[group] : match[0];
+      const offset = match.index + match[0].lastIndexOf(quote);
+      const end = offset + quote.length;
+      if (found.some(d => offset < d.offset + d.quote.length && end > d.offset)) continue;
+
+      const range = toDayRange(build(match));
+      if (range) found.push({ ...range, quote, offset });
+    }
+  }
+  return found.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Finds the date the note was written, which relative dates are resolved against
+ * @param {string} text - Medical record text
+ * @param {Array} dates - Output of findAbsoluteDates
+ * @returns {Object|null} { day, date, quote, offset, dateOffset }
+ */
+function findNoteDate(text, dates) {
+  const label = text.match(NOTE_DATE_PATTERN);
+  if (!label) return null;
+  const start = label.index + label[0].length;
+  const date = dates.find(d => d.offset === start && d.precision === 'day');
+  return date && {
+    day: date.earliest,
+    date: formatDay(date.earliest),
+    quote: text.slice(label.index, start) + date.quote,
+    offset: label.index,
+    dateOffset: date.offset
+  };
+}
+
+/**
+ * Finds relative dates ("3 months ago", "yesterday") and resolves them
+ * @param {string} text - Medical record text
+ * @param {number} anchorDay - Day number they are counted back from
+ * @returns {Array} { earliest, latest, precision: 'day'|'approximate', quote, offset, relative: true }
+ */
+function findRelativeDates(text, anchorDay) {
+  const found = [];
+  RELATIVE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = RELATIVE_PATTERN.exec(text)) !== null) {
+    const amount = match[3] ? 1 : parseAmount(match[1]);
+    const unit = match[3] ? 'day' : normalizeUnit(match[2].toLowerCase());
+    if (!amount || amount > 100) continue;
+
+    const day = shiftBack(anchorDay, amount, unit);
+    const slack = RELATIVE_SLACK_DAYS[unit];
+    found.push({
+      earliest: day - slack,
+      latest: Math.min(day + slack, anchorDay),
+      precision: slack > 0 ? 'approximate' : 'day',
+      quote: match[0],
+      offset: match.index,
+      relative: true
+    });
+  }
+  return found;
+}
+
+/**
+ * Categories of event a segment of text mentions
+ * @param {string} text - Segment text
+ * @returns {Array} Category keys
+ */
+function categorize(text) {
+  return EVENT_CATEGORIES.filter(category => category.pattern.test(text)).map(category => category.key);
+}
+
+/**
+ * Reads whether a segment mentioning a course of treatment says it is still
+ * given or only gives its start
+ * @param {string} text - Segment text
+ * @param {Array} categories - Output of categorize for the segment
+ * @returns {string|null} 'ongoing' when it is still given and nothing says it ended, 'open' when
+ *   the date may only start it or the wording is mixed, null for a single dated event
+ */
+function readCourse(text, categories) {
+  if (!categories.some(key => EVENT_CATEGORIES.find(c => c.key === key).course)) return null;
+  const ongoing = COURSE_ONGOING.test(text);
+  if (ongoing && !COURSE_END.test(text)) return 'ongoing';
+  return ongoing || COURSE_START.test(text) ? 'open' : null;
+}
+
+/**
+ * Finds the ranges of a record that lie in a family history section: from a
+ * "Family history:" header to the next blank line or section header
+ * @param {string} text - Medical record text
+ * @returns {Array} { start, end } character ranges
+ */
+function findFamilySections(text) {
+  const sections = [];
+  let current = null;
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    if (current && (!line.trim() || SECTION_HEADER.test(line))) {
+      current.end = offset;
+      current = null;
+    }
+    if (!current && FAMILY_SECTION_HEADER.test(line)) {
+      current = { start: offset, end: text.length };
+      sections.push(current);
+    }
+    offset += line.length + 1;
+  }
+  return sections;
+}
+
+/**
+ * Finds what modifies each category a segment mentions: negation, an event of
+ * a relative, uncertainty, or treatment that was not given
+ * @param {string} text - Segment text
+ * @param {Array} categories - Output of categorize for the segment
+ * @param {boolean} inFamilySection - Whether the segment lies in a family history section
+ * @returns {Object|null} category key -> modifiers ('negated', 'family-history', 'uncertain',
+ *   'not-given'), listing only modified categories; null if none is modified
+ */
+function findModifiers(text, categories, inFamilySection) {
+  const segmentWide = SEGMENT_MODIFIERS.filter(({ pattern }) => pattern.test(text)).map(({ key }) => key);
+  if (inFamilySection && !segmentWide.includes('family-history')) segmentWide.unshift('family-history');
+  const negations = [...text.matchAll(NEGATION_BEFORE)].map(m => m.index + m[0].length);
+
+  const modifiers = {};
+  for (const key of categories) {
+    const pattern = new RegExp(EVENT_CATEGORIES.find(c => c.key === key).pattern.source, 'gi');
+    const negated = NEGATION_ANYWHERE.test(text) || [...text.matchAll(pattern)].some(mention =>
+      negations.some(end => end <= mention.index && !NEGATION_SCOPE_BREAK.test(text.slice(end, mention.index))));
+    const found = negated ? ['negated', ...segmentWide] : segmentWide;
+    if (found.length > 0) modifiers[key] = found;
+  }
+  return Object.keys(modifiers).length > 0 ? modifiers : null;
+}
+
+/**
+ * Builds the timeline of dated events in a medical record. Each date is an
+ * event described by the sentence it appears in; dates of birth and the note
+ * date are not events. Events after the reference date (planned treatment)
+ * are kept but marked, as are categories the sentence negates, attributes to
+ * a relative, only suspects or says were not given, and treatment the sentence
+ * says is ongoing or only gives the start of.
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Object} options - { referenceDate } Date or YYYY-MM-DD intervals are measured to; defaults to today
+ * @returns {Object} { referenceDate, noteDate, events, undated } where events are
+ *   { date, precision: 'day'|'month'|'year'|'approximate', earliest, latest, daysBefore, categories,
+ *   modifiers, course, quote, offset, dateQuote, dateOffset } in date order (daysBefore from the
+ *   middle of the range; modifiers only when a category is modified, see findModifiers; course
+ *   only for treatment that is 'ongoing' or 'open', see readCourse) and undated lists
+ *   sentences that mention a category without a date
+ */
+export function extractTimeline(medicalRecord, { referenceDate = new Date() } = {}) {
+  const text = String(medicalRecord || '');
+  const referenceDay = Math.floor(parseReferenceDate(referenceDate).getTime() / DAY_MS);
+
+  const absolute = findAbsoluteDates(text);
+  const noteDate = findNoteDate(text, absolute);
+  const relative = findRelativeDates(text, noteDate ? noteDate.day : referenceDay);
+  const dates = [...absolute, ...relative];
+
+  const familySections = findFamilySections(text);
+  const events = [];
+  const undated = [];
+  for (const segment of splitSegments(text)) {
+    const inSegment = dates.filter(d => d.offset >= segment.start && d.offset < segment.end);
+    const categories = categorize(segment.text);
+    const inFamilySection = familySections.some(s => segment.start >= s.start && segment.start < s.end);
+    const modifiers = categories.length > 0 ? findModifiers(segment.text, categories, inFamilySection) : null;
+    const course = readCourse(segment.text, categories);
+
+    if (inSegment.length === 0) {
+      if (categories.length > 0) {
+        undated.push({ categories, ...(modifiers && { modifiers }), quote: segment.text, offset: segment.start });
+      }
+      continue;
+    }
+    if (NON_EVENT_PATTERN.test(segment.text)) continue;
+
+    for (const date of inSegment) {
+      if (noteDate && date.offset === noteDate.dateOffset) continue;
+
+      const middle = Math.round((date.earliest + date.latest) / 2);
+      events.push({
+        date: date.relative ? formatDay(middle) : formatDate(date.earliest, date.precision),
+        precision: date.precision,
+        ...(date.relative && { relative: true }),
+        earliest: formatDay(date.earliest),
+        latest: formatDay(date.latest),
+        daysBefore: referenceDay - middle,
+        ...(date.earliest > referenceDay && { afterReferenceDate: true }),
+        categories,
+        ...(modifiers && { modifiers }),
+        ...(course && { course }),
+        quote: segment.text,
+        offset: segment.start,
+        dateQuote: date.quote,
+        dateOffset: date.offset
+      });
+    }
+  }
+
+  return {
+    referenceDate: formatDay(referenceDay),
+    noteDate: noteDate && { date: noteDate.date, quote: noteDate.quote, offset: noteDate.offset },
+    events: events.sort((a, b) => a.earliest.localeCompare(b.earliest) || a.offset - b.offset),
+    undated
+  };
+}
+
+/**
+ * Describes a timeline for a model prompt, one line per dated event
+ * @param {Object} timeline - Output of extractTimeline
+ * @returns {string} Lines such as "- 2025-09-30 (19 days before the reference date): ..."
+ */
+export function describeTimeline(timeline) {
+  return timeline.events.map(event => {
+    const when = event.afterReferenceDate
+      ? 'after the reference date'
+      : `${event.precision !== 'day' ? 'about ' : ''}${event.daysBefore} days before the reference date`;
+    const modifiers = [
+      ...new Set(Object.values(event.modifiers || {}).flat()),
+      ...(event.course ? [event.course === 'ongoing' ? 'ongoing' : 'end not given'] : [])
+    ];
+    return `- ${event.date} (${when}): ${event.quote}${modifiers.length > 0 ? ` [${modifiers.join(', ')}]` : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Parses a time-window criterion into an atom. The criterion must consist of
+ * one or more event categories (with an optional negation and qualifying
+ * words, such as the condition diagnosed) and exactly one window.
+ * @param {string} normalizedText - Criterion text as normalized by criterion-rules
+ * @returns {Object|null} { kind: 'time-window', categories, label, relation: 'within'|'before',
+ *   amount, unit, strict, negated, qualifiers, window, windowLabel } or null
+ */
+export function parseTimeWindowCriterion(normalizedText) {
+  const text = normalizedText.replace(/[.;:]+$/, '');
+  const windows = [
+    {
+      regex: new RegExp(`\\b(?:within|in|during)\\s+(?:the\\s+)?(?:last|past|previous|preceding|prior)?\\s*${NUMBER}\\s*${UNIT}${WINDOW_ANCHOR}`),
+      relation: 'within'
+    },
+    {
+      regex: new RegExp(`\\b(?:within|in|during)\\s+the\\s+(?:last|past|previous|preceding|prior)\\s+${UNIT}${WINDOW_ANCHOR}`),
+      relation: 'within',
+      implicitAmount: true
+    },
+    {
+      regex: new RegExp(`(?:<=|<|\\bless than|\\bfewer than|\\bno more than|\\bnot more than|\\bup to)\\s*${NUMBER}\\s*${UNIT}\\s+(?:ago|earlier|prior|before)${WINDOW_ANCHOR}`),
+      relation: 'within'
+    },
+    {
+      regex: new RegExp(`(>=|>|\\bat least|\\bmore than|\\bgreater than|\\bover|\\bno less than|\\bnot less than|\\ba minimum of|\\bminimum of)\\s*${NUMBER}\\s*${UNIT}\\s+(?:ago|earlier|prior|before|since|have elapsed since|has elapsed since|must have elapsed since|must have passed since|have passed since)${WINDOW_ANCHOR}`),
+      relation: 'before',
+      comparatorGroup: 1
+    },
+    {
+      regex: new RegExp(`\\b${NUMBER}\\s*${UNIT}\\s+or more\\s+(?:ago|earlier|prior|before|since)${WINDOW_ANCHOR}`),
+      relation: 'before'
+    }
+  ];
+
+  const found = windows
+    .map(window => ({ window, match: text.match(window.regex) }))
+    .filter(w => w.match);
+  if (found.length !== 1) return null;
+
+  const { window, match } = found[0];
+  const groups = match.slice(window.comparatorGroup ? 2 : 1);
+  const amount = window.implicitAmount ? 1 : parseAmount(groups[0]);
+  const unit = normalizeUnit(window.implicitAmount ? groups[0] : groups[1]);
+  if (!amount) return null;
+  const strict = window.comparatorGroup ? /^(?:>|more than|greater than|over)$/.test(match[1].trim()) : false;
+
+  // The rest names the event: an optional negation, the categories and any qualifiers
+  let subject = (text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length))
+    .replace(/[(),]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:patients?|subjects?|participants?)\s+(?:with|who have|who had|must have|must not have|has|have)\s+/, m => (/not/.test(m) ? 'no ' : ''));
+  const negation = subject.match(/^(?:no|not|without|absence of|must not have (?:had|received|undergone)|(?:has|have) not (?:had|received|undergone))\b\s*/);
+  const negated = Boolean(negation);
+  if (negation) subject = subject.slice(negation[0].length);
+  if (/\b(?:no|not|without|except|unless|other than)\b/.test(subject)) return null;
+
+  const categories = [];
+  let rest = subject;
+  for (const category of EVENT_CATEGORIES) {
+    const pattern = new RegExp(category.pattern.source, 'gi');
+    if (pattern.test(rest)) {
+      categories.push(category.key);
+      rest = rest.replace(pattern, ' ');
+    }
+  }
+  if (categories.length === 0) return null;
+
+  const qualifiers = rest.split(/[^a-z0-9/+-]+/).filter(word => word && !TIMELINE_FILLER.has(word));
+  // Several categories only read as alternatives ("chemotherapy or radiotherapy")
+  if (categories.length > 1 && (qualifiers.length > 0 || /\band\b(?!\/or)/.test(subject))) return null;
+  if (qualifiers.length > 4) return null;
+
+  return {
+    kind: 'time-window',
+    categories,
+    label: categories
+      .map((key, i) => {
+        const label = EVENT_CATEGORIES.find(c => c.key === key).label;
+        return i === 0 ? label : label.toLowerCase();
+      })
+      .join(' or '),
+    relation: window.relation,
+    amount,
+    unit,
+    strict,
+    negated,
+    qualifiers,
+    window: describeAmount(amount, unit),
+    windowLabel: describeWindow(amount, unit)
+  };
+}
+
+/**
+ * Checks whether an event or undated mention names the atom's event, whether
+ * or not it is modified
+ */
+function mentionsAtom(atom, mention) {
+  const text = mention.quote.toLowerCase();
+  return atom.categories.some(key => mention.categories.includes(key)) &&
+    atom.qualifiers.every(word => new RegExp(`(^|[^a-z0-9])${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(text));
+}
+
+/**
+ * Checks whether an event is the patient's own occurrence of the atom's
+ * event: mentioned, and with none of the atom's categories negated,
+ * attributed to a relative, uncertain or not given
+ */
+function concernsAtom(atom, mention) {
+  return mentionsAtom(atom, mention) &&
+    atom.categories.every(key => !mention.categories.includes(key) || !mention.modifiers?.[key]);
+}
+
+/**
+ * Evaluates a time-window atom against a timeline. Dated events decide the
+ * criterion only when the record cannot hold a contrary fact: an undated or
+ * modified mention of the same event blocks any conclusion that rests on
+ * absence, a modified event is never counted, and a date range straddling the
+ * window edge decides nothing. Ongoing treatment lasts up to the reference
+ * date; treatment whose end is not given may last anywhere up to it.
+ * @param {Object} atom - Output of parseTimeWindowCriterion
+ * @param {Object} timeline - Output of extractTimeline
+ * @returns {Object|null} { holds, reasoning, evidence } where evidence carries the computed
+ *   interval, or null to fall back to the model
+ */
+export function evaluateTimeWindow(atom, timeline) {
+  if (!timeline) return null;
+
+  const referenceDay = Math.floor(Date.parse(timeline.referenceDate) / DAY_MS);
+  const windowStart = shiftBack(referenceDay, atom.amount, atom.unit);
+  const windowDays = referenceDay - windowStart;
+
+  const mentioned = timeline.events.filter(event => !event.afterReferenceDate && mentionsAtom(atom, event));
+  const events = mentioned.filter(event => concernsAtom(atom, event));
+  if (events.length === 0) return null;
+  // Negated, relatives', uncertain or withheld events may hide the patient's own
+  const unsettled = mentioned.length > events.length || timeline.undated.some(mention => mentionsAtom(atom, mention));
+
+  // Whether each event lies in the window (within) or far enough back (before):
+  // true, false, or null when its date range straddles the boundary
+  const courseOf = event => (atom.categories.some(key => EVENT_CATEGORIES.find(c => c.key === key).course) ? event.course : undefined);
+  const test = event => {
+    const course = courseOf(event);
+    if (course === 'ongoing') return atom.relation === 'within';
+    const earliest = Math.floor(Date.parse(event.earliest) / DAY_MS);
+    const latest = course === 'open' ? referenceDay : Math.floor(Date.parse(event.latest) / DAY_MS);
+    if (atom.relation === 'within') {
+      if (earliest >= windowStart) return true;
+      if (latest < windowStart) return false;
+      return null;
+    }
+    const beforeBoundary = day => (atom.strict ? day < windowStart : day <= windowStart);
+    if (beforeBoundary(latest)) return true;
+    if (!beforeBoundary(earliest)) return false;
+    return null;
+  };
+  const outcomes = events.map(test);
+
+  // An event in the window, or a diagnosis at least N ago, needs one such
+  // event; treatment at least N ago needs every event that far back. The
+  // interval shown is the most recent event's, except for a first diagnosis.
+  const diagnosis = atom.categories.includes('diagnosis');
+  const firstDiagnosis = atom.relation === 'before' && diagnosis;
+  const settled = atom.relation === 'within' || diagnosis;
+  const index = firstDiagnosis ? outcomes.indexOf(settled) : outcomes.lastIndexOf(settled);
+  let occurred;
+  let decisive;
+  if (index >= 0) {
+    occurred = settled;
+    decisive = events[index];
+  } else {
+    // The opposite conclusion rests on there being no other such event
+    if (outcomes.includes(null) || unsettled) return null;
+    occurred = !settled;
+    decisive = firstDiagnosis ? events[0] : events[events.length - 1];
+  }
+  // An unqualified diagnosis criterion only stands when every dated diagnosis agrees
+  if (diagnosis && atom.qualifiers.length === 0 && !outcomes.every(outcome => outcome === occurred)) {
+    return null;
+  }
+
+  const holds = atom.negated ? !occurred : occurred;
+  const ongoing = courseOf(decisive) === 'ongoing';
+  const interval = {
+    eventDate: decisive.date,
+    referenceDate: timeline.referenceDate,
+    days: ongoing ? 0 : decisive.daysBefore,
+    ...(ongoing && { ongoing: true }),
+    ...(decisive.precision !== 'day' && !ongoing && { approximate: true }),
+    window: atom.window,
+    windowStart: formatDay(windowStart)
+  };
+
+  const which = events.length === 1
+    ? `${atom.label} in the record`
+    : `The ${decisive === events[events.length - 1] ? 'most recent' : 'earliest'} of ${events.length} dated ${atom.label.toLowerCase()} events in the record`;
+  const placement = atom.relation === 'within'
+    ? `${occurred ? 'inside' : 'before'} the ${atom.windowLabel} window starting ${interval.windowStart}`
+    : `${occurred ? (atom.strict ? 'more than' : 'at least') : 'less than'} ${atom.window} before it`;
+
+  return {
+    holds,
+    reasoning: ongoing
+      ? `${which} started on ${decisive.date} and is ongoing at the reference date ${timeline.referenceDate}: ${placement}.`
+      : `${which} was on ${decisive.date}, ${interval.approximate ? 'about ' : ''}${decisive.daysBefore} days ` +
+        `before the reference date ${timeline.referenceDate}: ${placement}.`,
+    evidence: {
+      value: interval.days,
+      quote: decisive.quote,
+      offset: decisive.offset,
+      interval,
+      events: events.map((event, i) => ({
+        date: event.date,
+        daysBefore: event.daysBefore,
+        ...(courseOf(event) && { course: event.course }),
+        inWindow: outcomes[i],
+        quote: event.quote
+      }))
+    }
+  };
+}
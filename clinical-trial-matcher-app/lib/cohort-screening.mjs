@@ -0,0 +1,306 @@
+// lib/cohort-screening.mjs
+//
+// Cohort screening: one trial against a batch of de-identified patient
+// records. Uploads are JSONL (one {"id", "text"} object per line) or CSV with
+// a header row naming an id and a text column. Screened records are summarized
+// into eligibility counts and per-criterion failure counts, which show the
+// criteria that keep most of the cohort out of the trial.
+
+import { formatCsv } from './evaluation-export.mjs';
+
+const ID_FIELDS = ['id', 'recordid', 'patientid'];
+const TEXT_FIELDS = ['text', 'medicalrecord', 'record', 'note'];
+
+const PATIENT_COLUMNS = [
+  'recordId', 'patientId', 'evaluationId', 'overallEligibility',
+  'failedCriteriaCount', 'unknownCriteriaCount', 'failedCriteria', 'error'
+];
+const CRITERIA_COLUMNS = [
+  'type', 'criterion', 'grouped', 'evaluated', 'passed', 'failed', 'unknown', 'failureRate', 'soleFailures'
+];
+
+/**
+ * Works out the format of an upload from its content type or, failing that,
+ * its first non-blank character
+ * @param {string} content - Uploaded text
+ * @param {string} contentType - Optional Content-Type or format name
+ * @returns {string} 'jsonl' or 'csv'
+ */
+export function detectCohortFormat(content, contentType = '') {
+  if (/csv/i.test(contentType)) return 'csv';
+  if (/jsonl|ndjson|json/i.test(contentType)) return 'jsonl';
+  return String(content).trimStart().startsWith('{') ? 'jsonl' : 'csv';
+}
+
+/**
+ * Parses an uploaded cohort into records
+ * @param {string} content - JSONL or CSV text
+ * @param {string} format - 'jsonl' or 'csv'
+ * @returns {Object} { records: [{ id, text }] }, or { error } describing the first problem found
+ */
+export function parseCohortRecords(content, format) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'The uploaded cohort is empty.' };
+  }
+
+  let rows;
+  if (format === 'csv') {
+    const table = parseCsv(content.replace(/^\uFEFF/, ''));
+    const header = (table.shift() || []).map(name => name.trim().toLowerCase().replace(/[\s_-]/g, ''));
+    const idColumn = header.findIndex(name => ID_FIELDS.includes(name));
+    const textColumn = header.findIndex(name => TEXT_FIELDS.includes(name));
+    if (idColumn === -1 || textColumn === -1) {
+      return { error: 'The CSV header must name an id column (id, recordId or patientId) and a text column (text, medicalRecord, record or note).' };
+    }
+    rows = table
+      .map((cells, i) => ({ line: i + 2, id: cells[idColumn], text: cells[textColumn] }))
+      .filter((row, i) => table[i].some(cell => cell.trim()));
+  } else {
+    rows = [];
+    const lines = content.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      let value;
+      try {
+        value = JSON.parse(lines[i]);
+      } catch (error) {
+        return { error: `Line ${i + 1} is not valid JSON: ${error.message}` };
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: `Line ${i + 1} must be a JSON object with "id" and "text".` };
+      }
+      rows.push({ line: i + 1, id: pickField(value, ID_FIELDS), text: pickField(value, TEXT_FIELDS) });
+    }
+  }
+
+  return validateRecords(rows, format === 'csv' ? 'Row' : 'Line');
+}
+
+/**
+ * Validates records supplied as a JSON array in the request body
+ * @param {Array} records - Objects with an id and a text field
+ * @returns {Object} { records: [{ id, text }] }, or { error }
+ */
+export function normalizeCohortRecords(records) {
+  if (!Array.isArray(records)) {
+    return { error: 'Field "records" must be an array of { "id", "text" } objects.' };
+  }
+  return validateRecords(records.map((record, i) => ({
+    line: i + 1,
+    id: record && typeof record === 'object' ? pickField(record, ID_FIELDS) : undefined,
+    text: record && typeof record === 'object' ? pickField(record, TEXT_FIELDS) : undefined
+  })), 'Record');
+}
+
+/**
+ * Summarizes screened records: eligibility counts, per-criterion outcome
+ * counts in criterion order, and the criteria that rule out most records
+ * @param {Array} outcomes - { recordId, patientId, evaluationId, overallEligibility, results } per
+ *   screened record, or { recordId, error } for records that could not be screened
+ * @returns {Object} { summary, criteria, barriers, patients }
+ */
+export function summarizeCohort(outcomes) {
+  const screened = outcomes.filter(o => !o.error);
+  const criteria = new Map();
+
+  for (const outcome of screened) {
+    const failedTopLevel = outcome.results.filter(r => r.parentIndex === undefined && isFailed(r));
+
+    for (const result of outcome.results) {
+      const key = `${result.type}:${result.criterion}`;
+      if (!criteria.has(key)) {
+        criteria.set(key, {
+          criterion: result.criterion,
+          type: result.type,
+          grouped: result.parentIndex !== undefined,
+          evaluated: 0,
+          passed: 0,
+          failed: 0,
+          unknown: 0,
+          soleFailures: 0
+        });
+      }
+      const counts = criteria.get(key);
+      counts.evaluated++;
+      if (isFailed(result)) {
+        counts.failed++;
+        if (failedTopLevel.length === 1 && failedTopLevel[0] === result) counts.soleFailures++;
+      } else if (result.status === 'more-information-needed') {
+        counts.unknown++;
+      } else {
+        counts.passed++;
+      }
+    }
+  }
+
+  const criteriaCounts = [...criteria.values()].map(c => ({
+    ...c,
+    failureRate: c.evaluated > 0 ? Math.round((c.failed / c.evaluated) * 1000) / 1000 : 0
+  }));
+
+  // Grouped criteria only exclude through their group, so they are not barriers on their own
+  const barriers = criteriaCounts
+    .filter(c => !c.grouped && c.failed > 0)
+    .sort((a, b) => b.failed - a.failed || b.unknown - a.unknown)
+    .map((c, index) => ({ rank: index + 1, ...c }));
+
+  return {
+    summary: {
+      total: outcomes.length,
+      screened: screened.length,
+      eligible: screened.filter(o => o.overallEligibility === 'eligible').length,
+      needsReview: screened.filter(o => o.overallEligibility === 'needs-review').length,
+      ineligible: screened.filter(o => o.overallEligibility === 'ineligible').length,
+      failed: outcomes.length - screened.length
+    },
+    criteria: criteriaCounts,
+    barriers,
+    patients: outcomes.map(describeCohortOutcome)
+  };
+}
+
+/**
+ * Builds a CSV download of a cohort summary
+ * @param {Object} cohort - Completed cohort result
+ * @param {string} table - 'patients' (one row per record) or 'criteria' (one row per criterion)
+ * @returns {string} CSV text with a header row
+ */
+export function buildCohortCsv(cohort, table) {
+  if (table === 'criteria') {
+    return formatCsv([
+      CRITERIA_COLUMNS,
+      ...cohort.criteria.map(c => CRITERIA_COLUMNS.map(column => c[column]))
+    ]);
+  }
+
+  return formatCsv([
+    PATIENT_COLUMNS,
+    ...cohort.patients.map(p => [
+      p.recordId,
+      p.patientId || '',
+      p.evaluationId || '',
+      p.overallEligibility || '',
+      p.failedCriteriaCount ?? '',
+      p.unknownCriteriaCount ?? '',
+      (p.failedCriteria || []).join('; '),
+      p.error || ''
+    ])
+  ]);
+}
+
+/**
+ * Per-record row of a cohort summary
+ * @param {Object} outcome - Screened record or error
+ * @returns {Object} Record outcome without the full criterion results
+ */
+export function describeCohortOutcome(outcome) {
+  if (outcome.error) return { recordId: outcome.recordId, error: outcome.error };
+
+  const topLevel = outcome.results.filter(r => r.parentIndex === undefined);
+  return {
+    recordId: outcome.recordId,
+    patientId: outcome.patientId,
+    evaluationId: outcome.evaluationId,
+    overallEligibility: outcome.overallEligibility,
+    failedCriteriaCount: topLevel.filter(isFailed).length,
+    unknownCriteriaCount: topLevel.filter(r => r.status === 'more-information-needed').length,
+    failedCriteria: topLevel.filter(isFailed).map(r => r.criterion)
+  };
+}
+
+/**
+ * Checks ids and texts of parsed records
+ * @param {Array} rows - { line, id, text } per record
+ * @param {string} label - How a position is described in errors
+ * @returns {Object} { records } or { error }
+ */
+function validateRecords(rows, label = 'Line') {
+  if (rows.length === 0) {
+    return { error: 'The uploaded cohort has no records.' };
+  }
+
+  const seen = new Set();
+  const records = [];
+  for (const { line, id, text } of rows) {
+    const recordId = typeof id === 'number' ? String(id) : id;
+    if (typeof recordId !== 'string' || !recordId.trim()) {
+      return { error: `${label} ${line} has no record id.` };
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      return { error: `${label} ${line} (record ${recordId}) has no record text.` };
+    }
+    if (seen.has(recordId.trim())) {
+      return { error: `Record id ${recordId.trim()} appears more than once.` };
+    }
+    seen.add(recordId.trim());
+    records.push({ id: recordId.trim(), text });
+  }
+  return { records };
+}
+
+/**
+ * Reads the first of several alternative field names, ignoring case
+ * @param {Object} object - Parsed record
+ * @param {Array<string>} names - Lower-case field names without separators
+ * @returns {*} The field value, or undefined
+ */
+function pickField(object, names) {
+  const key = Object.keys(object).find(k => names.includes(k.toLowerCase().replace(/[\s_-]/g, '')));
+  return key === undefined ? undefined : object[key];
+}
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields that contain
+ * commas, quotes or line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Checks whether a criterion result rules the record out
+ * @param {Object} result - Criterion result in the basic status vocabulary
+ * @returns {boolean} True if an inclusion criterion is unmet or an exclusion criterion is met
+ */
+function isFailed(result) {
+  return (result.type === 'inclusion' && result.status === 'non-matched') ||
+    (result.type === 'exclusion' && result.status === 'matched');
+}
@@ -0,0 +1,99 @@
+// lib/concurrency.mjs
+//
+// Concurrency helpers for running model calls in parallel under a
+// per-request cap and a process-wide cap shared by all requests.
+
+/**
+ * Counting semaphore with a FIFO wait queue
+ */
+export class Semaphore {
+  /**
+   * @param {number} limit - Maximum number of concurrent holders
+   */
+  constructor(limit) {
+    this.limit = Math.max(1, limit);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Waits until a slot is free and takes it
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Frees a slot, handing it to the next waiter if there is one
+   */
+  release() {
+    if (this.waiting.length > 0 && this.active <= this.limit) {
+      this.waiting.shift()();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Changes the limit; waiters are admitted if the limit grew
+   * @param {number} limit - New maximum number of concurrent holders
+   */
+  setLimit(limit) {
+    this.limit = Math.max(1, limit);
+    while (this.active < this.limit && this.waiting.length > 0) {
+      this.active++;
+      this.waiting.shift()();
+    }
+  }
+}
+
+let globalLimiter = null;
+
+/**
+ * Returns the process-wide limiter, creating it or updating its limit
+ * @param {number} limit - Global concurrency cap
+ * @returns {Semaphore} Shared limiter
+ */
+export function getGlobalLimiter(limit) {
+  if (!globalLimiter) {
+    globalLimiter = new Semaphore(limit);
+  } else if (globalLimiter.limit !== limit) {
+    globalLimiter.setLimit(limit);
+  }
+  return globalLimiter;
+}
+
+/**
+ * Maps items through an async function with bounded concurrency, preserving
+ * input order in the output
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls for this batch
+ * @param {Function} fn - async (item, index) => result
+ * @param {Semaphore} sharedLimiter - Optional limiter shared across batches
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn, sharedLimiter = null) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      if (sharedLimiter) await sharedLimiter.acquire();
+      try {
+        results[index] = await fn(items[index], index);
+      } finally {
+        if (sharedLimiter) sharedLimiter.release();
+      }
+    }
+  }
+
+  const workerCount = Math.min(Math.max(1, limit), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
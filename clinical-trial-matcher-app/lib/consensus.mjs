@@ -0,0 +1,178 @@
+// lib/consensus.mjs
+//
+// Consensus evaluation. A criterion is assessed by several voters (configured
+// models, several samples of one model, or both) and their votes are combined
+// under a voting policy: "majority" takes the status more than half of the
+// voters chose, "strict" needs every voter to agree. A criterion without
+// consensus is left undecided, which routes the evaluation to review. Every
+// ballot is kept with the result, so it is visible which model voted which way.
+
+const POLICIES = ['majority', 'strict'];
+const STATUSES = ['matched', 'non-matched', 'more-information-needed'];
+
+/**
+ * Resolves the consensus options of a request against app configuration
+ * @param {boolean|Object} requested - Request "consensus": true, false, or { models, samples, policy };
+ *   undefined follows consensus.enabled
+ * @param {Object} config - consensus section of app-config.json
+ * @param {Object} models - models section of app-config.json
+ * @returns {Object} { options: { policy, models, samples } }, { options: null } when consensus is off,
+ *   or { error }
+ */
+export function resolveConsensusOptions(requested, config = {}, models = {}) {
+  if (requested === false || (requested === undefined && !config.enabled)) {
+    return { options: null };
+  }
+  if (requested !== undefined && requested !== true && (typeof requested !== 'object' || requested === null || Array.isArray(requested))) {
+    return { error: 'Field "consensus" must be true, false, or an object with "models", "samples" and "policy".' };
+  }
+
+  const request = typeof requested === 'object' ? requested : {};
+  const configuredModels = [...new Set([
+    models.default,
+    models.fallback,
+    ...(Array.isArray(config.models) ? config.models : [])
+  ].filter(Boolean))];
+  const defaultModels = Array.isArray(config.models) && config.models.length > 0
+    ? config.models
+    : [models.default, models.fallback].filter(Boolean);
+
+  const selected = request.models === undefined ? defaultModels : request.models;
+  if (!Array.isArray(selected) || selected.length === 0 || selected.some(m => typeof m !== 'string')) {
+    return { error: 'Field "consensus.models" must be a non-empty array of model names.' };
+  }
+  const unknown = selected.filter(m => !configuredModels.includes(m));
+  if (unknown.length > 0) {
+    return { error: `Consensus models must be configured in app-config.json (${configuredModels.join(', ')}); unknown: ${unknown.join(', ')}` };
+  }
+
+  const maxSamples = config.maxSamples || 5;
+  const samples = request.samples === undefined ? (config.samples || 1) : request.samples;
+  if (!Number.isInteger(samples) || samples < 1 || samples > maxSamples) {
+    return { error: `Field "consensus.samples" must be an integer from 1 to ${maxSamples}.` };
+  }
+
+  const policy = request.policy === undefined ? (config.policy || 'majority') : request.policy;
+  if (!POLICIES.includes(policy)) {
+    return { error: `Field "consensus.policy" must be one of: ${POLICIES.join(', ')}.` };
+  }
+
+  const uniqueModels = [...new Set(selected)];
+  if (uniqueModels.length * samples < 2) {
+    return { error: 'Consensus needs at least two votes: use two models or "samples" of 2 or more.' };
+  }
+
+  return { options: { policy, models: uniqueModels, samples } };
+}
+
+/**
+ * Lists the ballots cast for each criterion: every model, once per sample
+ * @param {Object} options - Resolved consensus options
+ * @returns {Array} [{ model, sample }] with samples numbered from 1
+ */
+export function listBallots(options) {
+  return options.models.flatMap(model =>
+    Array.from({ length: options.samples }, (_, i) => ({ model, sample: i + 1 })));
+}
+
+/**
+ * Combines the votes on one criterion under the voting policy
+ * @param {Array} votes - [{ model, sample, result }] where result is a basic criterion result
+ * @param {string} policy - 'majority' or 'strict'
+ * @returns {Object} { status, confidence, reasoning, consensus } where status is more-information-needed
+ *   when the voters reached no consensus
+ */
+export function combineVotes(votes, policy) {
+  const tally = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  votes.forEach(({ result }) => { tally[result.status] = (tally[result.status] || 0) + 1; });
+
+  const [leading, leadingCount] = Object.entries(tally).sort((a, b) => b[1] - a[1])[0];
+  const unanimous = leadingCount === votes.length;
+  const reached = policy === 'strict' ? unanimous : leadingCount > votes.length / 2;
+  const agreement = Math.round((leadingCount / votes.length) * 1000) / 1000;
+
+  const consensus = {
+    policy,
+    reached,
+    unanimous,
+    agreement,
+    votes: Object.fromEntries(Object.entries(tally).filter(([, count]) => count > 0)),
+    ballots: votes.map(({ model, sample, result }) => ({
+      model,
+      sample,
+      status: result.status,
+      confidence: result.confidence,
+      reasoning: result.reasoning,
+      ...(result.cached && { cached: true })
+    }))
+  };
+
+  if (!reached) {
+    return {
+      status: 'more-information-needed',
+      confidence: 0.0,
+      reasoning: `Voters did not reach ${policy} consensus (${describeTally(consensus.votes)}); needs review.`,
+      consensus
+    };
+  }
+
+  // The winning status speaks through its most confident ballot, discounted by dissent
+  const winners = votes.filter(({ result }) => result.status === leading).map(({ result }) => result);
+  const meanConfidence = winners.reduce((sum, r) => sum + (r.confidence || 0), 0) / winners.length;
+  const representative = winners.reduce((best, r) => ((r.confidence || 0) > (best.confidence || 0) ? r : best));
+
+  return {
+    status: leading,
+    confidence: Math.round(meanConfidence * agreement * 1000) / 1000,
+    reasoning: unanimous
+      ? representative.reasoning
+      : `${representative.reasoning} (${policy} vote: ${describeTally(consensus.votes)})`,
+    consensus
+  };
+}
+
+/**
+ * Summarizes consensus across an evaluation's criteria for its metadata
+ * @param {Array} results - Criterion results or criteriaAnalysis entries; those decided without a
+ *   vote (rules and registry checks) are left out
+ * @param {Object} options - Resolved consensus options
+ * @returns {Object} { policy, models, samples, votersPerCriterion, votedCriteria, unanimous, majority,
+ *   disputed, disputedCriteria, meanAgreement, votesByModel }
+ */
+export function summarizeConsensus(results, options) {
+  const voted = results
+    .map((result, index) => ({ index, consensus: result.consensus }))
+    .filter(({ consensus }) => consensus);
+
+  const votesByModel = Object.fromEntries(options.models.map(model => [model, {}]));
+  voted.forEach(({ consensus }) => {
+    consensus.ballots.forEach(({ model, status }) => {
+      votesByModel[model][status] = (votesByModel[model][status] || 0) + 1;
+    });
+  });
+
+  return {
+    policy: options.policy,
+    models: options.models,
+    samples: options.samples,
+    votersPerCriterion: options.models.length * options.samples,
+    votedCriteria: voted.length,
+    unanimous: voted.filter(v => v.consensus.unanimous).length,
+    majority: voted.filter(v => v.consensus.reached && !v.consensus.unanimous).length,
+    disputed: voted.filter(v => !v.consensus.reached).length,
+    disputedCriteria: voted.filter(v => !v.consensus.reached).map(v => v.index),
+    meanAgreement: voted.length > 0
+      ? Math.round((voted.reduce((sum, v) => sum + v.consensus.agreement, 0) / voted.length) * 1000) / 1000
+      : null,
+    votesByModel
+  };
+}
+
+/**
+ * Writes a vote tally for reasoning text
+ * @param {Object} votes - { status: count }
+ * @returns {string} e.g. "2 matched, 1 non-matched"
+ */
+function describeTally(votes) {
+  return Object.entries(votes).map(([status, count]) => `${count} ${status}`).join(', ');
+}
@@ -0,0 +1,143 @@
+// lib/criterion-cache.mjs
+//
+// Cache of model assessments for single criteria. Entries are keyed by a hash
+// of the medical record, criterion text, criterion type, model name, prompt
+// version and reference date, so a change to any of them is a miss. Entries
+// expire after a TTL and the least recently used entries are evicted beyond
+// the size limit.
+
+import crypto from 'crypto';
+
+// Store in memory (in production, would use Redis or database)
+const entries = new Map();
+const keysByRecord = new Map();
+const stats = { hits: 0, misses: 0, evictions: 0 };
+
+let settings = { enabled: true, ttlMinutes: 24 * 60, maxEntries: 5000 };
+
+/**
+ * Updates cache settings; called with app-config values before each use
+ * @param {Object} options - { enabled, ttlMinutes, maxEntries }
+ */
+export function configureCriterionCache(options = {}) {
+  settings = { ...settings, ...options };
+  evictOverflow();
+}
+
+/**
+ * Hashes a medical record; the hash identifies the record's cache entries
+ * @param {string} medicalRecord - Medical record text
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashRecord(medicalRecord) {
+  return crypto.createHash('sha256').update(medicalRecord).digest('hex');
+}
+
+/**
+ * Builds the cache key for one criterion assessment
+ * @param {Object} parts - { recordHash, criterion, type, modelName, promptVersion, referenceDate } where
+ *   referenceDate is the YYYY-MM-DD time windows were measured to, since "within 28 days" depends on it
+ * @returns {string} SHA-256 hex digest of the parts
+ */
+export function buildCacheKey({ recordHash, criterion, type, modelName, promptVersion, referenceDate = null }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([recordHash, criterion, type, modelName, promptVersion, referenceDate]))
+    .digest('hex');
+}
+
+/**
+ * Returns a cached assessment, or null on a miss
+ * @param {string} key - Key from buildCacheKey
+ * @returns {Object|null} Copy of the cached value
+ */
+export function getCachedCriterion(key) {
+  if (!settings.enabled) return null;
+
+  const entry = entries.get(key);
+  if (!entry || entry.expiresAt < Date.now()) {
+    if (entry) removeEntry(key);
+    stats.misses++;
+    return null;
+  }
+
+  // Re-insert so iteration order tracks recency
+  entries.delete(key);
+  entries.set(key, entry);
+  stats.hits++;
+  return structuredClone(entry.value);
+}
+
+/**
+ * Stores an assessment
+ * @param {string} key - Key from buildCacheKey
+ * @param {string} recordHash - Hash of the record the assessment was made on
+ * @param {Object} value - Assessment to cache
+ */
+export function setCachedCriterion(key, recordHash, value) {
+  if (!settings.enabled) return;
+
+  if (entries.has(key)) removeEntry(key);
+  entries.set(key, {
+    value: structuredClone(value),
+    recordHash,
+    expiresAt: Date.now() + settings.ttlMinutes * 60 * 1000
+  });
+
+  if (!keysByRecord.has(recordHash)) keysByRecord.set(recordHash, new Set());
+  keysByRecord.get(recordHash).add(key);
+
+  evictOverflow();
+}
+
+/**
+ * Removes every cached assessment made on a record
+ * @param {string} recordHash - Hash from hashRecord
+ * @returns {number} Number of entries removed
+ */
+export function purgeRecord(recordHash) {
+  const keys = keysByRecord.get(recordHash);
+  if (!keys) return 0;
+
+  const count = keys.size;
+  [...keys].forEach(removeEntry);
+  return count;
+}
+
+/**
+ * Cache size, limits and hit counters
+ * @returns {Object} Cache statistics
+ */
+export function getCriterionCacheStats() {
+  return {
+    enabled: settings.enabled,
+    entries: entries.size,
+    records: keysByRecord.size,
+    maxEntries: settings.maxEntries,
+    ttlMinutes: settings.ttlMinutes,
+    ...stats
+  };
+}
+
+/**
+ * Evicts least recently used entries beyond maxEntries
+ */
+function evictOverflow() {
+  while (entries.size > settings.maxEntries) {
+    removeEntry(entries.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Removes one entry and its record index reference
+ * @param {string} key - Entry key
+ */
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+
+  entries.delete(key);
+  const keys = keysByRecord.get(entry.recordHash);
+  keys.delete(key);
+  if (keys.size === 0) keysByRecord.delete(entry.recordHash);
+}
@@ -0,0 +1,906 @@
+// lib/criterion-rules.mjs
+//
+// Deterministic evaluation of computable eligibility criteria. A criterion is
+// computable when it consists of a single atom -- age, sex, a lab threshold
+// with units, a performance status, a time window around a dated event (see
+// clinical-timeline.mjs), or the use of named drugs or drug classes (see
+// medication-normalization.mjs) -- and nothing else. Such criteria are checked
+// against facts extracted from the medical record instead of being sent to the
+// model. Anything the parser is not sure about returns null so the caller
+// falls back to the model.
+
+import { extractTimeline, parseTimeWindowCriterion, evaluateTimeWindow } from './clinical-timeline.mjs';
+import { extractMedications, parseMedicationCriterion, evaluateMedicationCriterion } from './medication-normalization.mjs';
+
+// Confidence reported for rule-based results; below 1.0 because the patient
+// value itself was extracted from free text
+const RULE_CONFIDENCE = 0.95;
+
+// Lab analytes recognized in criteria and records. Names are matched longest
+// first; `exclude` rejects names that are the prefix of a different analyte.
+// `conversions` map a normalized unit to a function returning the canonical unit.
+const ANALYTES = [
+  {
+    key: 'hba1c',
+    label: 'HbA1c',
+    names: ['hemoglobin a1c', 'haemoglobin a1c', 'glycated hemoglobin', 'glycosylated hemoglobin', 'hba1c', 'hb a1c', 'a1c'],
+    unit: '%',
+    conversions: { 'mmol/mol': v => v / 10.929 + 2.15 }
+  },
+  {
+    key: 'egfr',
+    label: 'eGFR',
+    names: ['estimated glomerular filtration rate', 'egfr', 'gfr'],
+    unit: 'ml/min/1.73m2',
+    conversions: {}
+  },
+  {
+    key: 'crcl',
+    label: 'Creatinine clearance',
+    names: ['creatinine clearance', 'crcl'],
+    unit: 'ml/min',
+    conversions: {}
+  },
+  {
+    key: 'creatinine',
+    label: 'Serum creatinine',
+    names: ['serum creatinine', 'creatinine'],
+    exclude: /^\s*clearance/,
+    unit: 'mg/dl',
+    conversions: { 'umol/l': v => v / 88.4 }
+  },
+  {
+    key: 'hemoglobin',
+    label: 'Hemoglobin',
+    names: ['hemoglobin', 'haemoglobin', 'hgb', 'hb'],
+    exclude: /^\s*a1c/,
+    unit: 'g/dl',
+    conversions: { 'g/l': v => v / 10, 'mmol/l': v => v * 1.611 }
+  },
+  {
+    key: 'platelets',
+    label: 'Platelet count',
+    names: ['platelet count', 'platelets', 'plt'],
+    unit: '10^9/l',
+    conversions: { '/ul': v => v / 1000, '10^3/ul': v => v },
+    inferUnit: v => (v >= 1000 ? '/ul' : '10^9/l')
+  },
+  {
+    key: 'anc',
+    label: 'Absolute neutrophil count',
+    names: ['absolute neutrophil count', 'anc'],
+    unit: '10^9/l',
+    conversions: { '/ul': v => v / 1000, '10^3/ul': v => v },
+    inferUnit: v => (v >= 100 ? '/ul' : '10^9/l')
+  },
+  {
+    key: 'alt',
+    label: 'ALT',
+    names: ['alanine aminotransferase', 'alt', 'sgpt'],
+    unit: 'u/l',
+    conversions: {}
+  },
+  {
+    key: 'ast',
+    label: 'AST',
+    names: ['aspartate aminotransferase', 'ast', 'sgot'],
+    unit: 'u/l',
+    conversions: {}
+  },
+  {
+    key: 'bilirubin',
+    label: 'Total bilirubin',
+    names: ['total bilirubin', 'bilirubin'],
+    unit: 'mg/dl',
+    conversions: { 'umol/l': v => v / 17.1 }
+  },
+  {
+    key: 'albumin',
+    label: 'Albumin',
+    names: ['serum albumin', 'albumin'],
+    unit: 'g/dl',
+    conversions: { 'g/l': v => v / 10 }
+  },
+  {
+    key: 'ldl',
+    label: 'LDL cholesterol',
+    names: ['ldl cholesterol', 'ldl-c', 'ldl'],
+    unit: 'mg/dl',
+    conversions: { 'mmol/l': v => v * 38.67 }
+  },
+  {
+    key: 'glucose',
+    label: 'Fasting glucose',
+    names: ['fasting plasma glucose', 'fasting glucose', 'fpg'],
+    unit: 'mg/dl',
+    conversions: { 'mmol/l': v => v * 18.016 }
+  },
+  {
+    key: 'potassium',
+    label: 'Potassium',
+    names: ['serum potassium', 'potassium'],
+    unit: 'mmol/l',
+    conversions: {}
+  },
+  {
+    key: 'lvef',
+    label: 'LVEF',
+    names: ['left ventricular ejection fraction', 'ejection fraction', 'lvef'],
+    unit: '%',
+    conversions: {}
+  },
+  {
+    key: 'bmi',
+    label: 'BMI',
+    names: ['body mass index', 'bmi'],
+    unit: 'kg/m2',
+    conversions: {}
+  }
+];
+
+const PERFORMANCE_SCALES = [
+  { key: 'ecog', label: 'ECOG performance status', names: ['eastern cooperative oncology group', 'ecog', 'who performance status'], min: 0, max: 5 },
+  { key: 'karnofsky', label: 'Karnofsky performance status', names: ['karnofsky', 'kps'], min: 0, max: 100 }
+];
+
+// LOINC codes identifying analytes and scales in structured observations
+const LOINC_CODES = {
+  hba1c: ['4548-4', '17856-6', '59261-8'],
+  egfr: ['33914-3', '48642-3', '48643-1', '62238-1', '98979-8'],
+  crcl: ['2164-2'],
+  creatinine: ['2160-0', '38483-4'],
+  hemoglobin: ['718-7'],
+  platelets: ['777-3', '26515-7'],
+  anc: ['751-8', '26499-4'],
+  alt: ['1742-6', '1743-4'],
+  ast: ['1920-8'],
+  bilirubin: ['1975-2'],
+  albumin: ['1751-7'],
+  ldl: ['2089-1', '13457-7', '18262-6'],
+  glucose: ['1558-6'],
+  potassium: ['2823-3', '6298-4'],
+  lvef: ['10230-1', '8806-2'],
+  bmi: ['39156-5'],
+  ecog: ['89247-1'],
+  karnofsky: ['89243-0']
+};
+
+// Matches a unit written after a number; normalized by normalizeUnit. mL/min
+// (creatinine clearance) and mL/min/1.73 m² (eGFR) are different measures and
+// are never converted into one another.
+const UNIT_PATTERN = '(%|mmol\\/mol|ml\\/min(?:\\/1\\.73\\s*m(?:2|²|\\^2))?|mg\\/dl|g\\/dl|g\\/l|[uµμ]mol\\/l|mmol\\/l|meq\\/l|i?u\\/l|kg\\/m(?:2|²|\\^2)|(?:(?:x|×|\\*)\\s*)?10\\s*\\^?\\s*9\\s*\\/\\s*l|(?:(?:x|×|\\*)\\s*)?10\\s*\\^?\\s*3\\s*\\/\\s*(?:[uµμ]l|mm3|mm³)|k\\/[uµμ]l|(?:cells\\s*)?\\/\\s*(?:[uµμ]l|mm3|mm³)|years?|yrs?|months?)';
+
+// Words that may surround a computable atom without changing its meaning
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'is', 'are', 'be', 'must', 'should', 'have', 'has', 'with', 'at',
+  'patient', 'patients', 'subject', 'subjects', 'participant', 'participants', 'adult', 'adults',
+  'age', 'aged', 'years', 'year', 'yrs', 'old', 'level', 'levels', 'value', 'values', 'score',
+  'status', 'performance', 'ps', 'serum', 'plasma', 'screening', 'baseline', 'inclusive', 'only',
+  'count', 'time', 'visit', 'during', 'documented', 'sex', 'gender', 'scale', 'ambulatory'
+]);
+
+/**
+ * Normalizes criterion or record text for pattern matching
+ * @param {string} text - Raw text
+ * @returns {string} Lowercased text with comparators and dashes normalized
+ */
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/≥|=>|⩾/g, '>=')
+    .replace(/≤|=<|⩽/g, '<=')
+    .replace(/[–—−]/g, '-')
+    .replace(/(\d),(\d{3})\b/g, '$1$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalizes a unit string to the keys used in ANALYTES
+ * @param {string} unit - Unit as written
+ * @returns {string|null} Normalized unit
+ */
+function normalizeUnit(unit) {
+  if (!unit) return null;
+  let u = unit.toLowerCase().replace(/\s+/g, '').replace(/[µμ]/g, 'u').replace(/²/g, '2').replace(/\^2/g, '2');
+  u = u.replace(/^(?:x|×|\*)/, '');
+  if (/^10\^?9\/l$/.test(u)) return '10^9/l';
+  if (/^10\^?3\/(ul|mm3|mm³)$/.test(u) || u === 'k/ul') return '10^3/ul';
+  if (/^(cells)?\/(ul|mm3|mm³)$/.test(u)) return '/ul';
+  if (u === 'meq/l') return 'mmol/l';
+  if (u === 'iu/l') return 'u/l';
+  if (/^ml\/min\/1\.73m2$/.test(u)) return 'ml/min/1.73m2';
+  if (/^(years?|yrs?)$/.test(u)) return 'years';
+  if (/^months?$/.test(u)) return 'months';
+  return u;
+}
+
+/**
+ * Escapes a string for use inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds the first analyte or scale name in normalized text
+ * @param {string} text - Normalized text
+ * @param {Array} definitions - ANALYTES or PERFORMANCE_SCALES
+ * @returns {Object|null} { definition, start, end }
+ */
+function findNamedAtom(text, definitions) {
+  let best = null;
+  for (const definition of definitions) {
+    for (const name of [...definition.names].sort((a, b) => b.length - a.length)) {
+      const pattern = new RegExp(`(^|[^a-z0-9])(${escapeRegExp(name)})(?![a-z0-9])`, 'g');
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const start = match.index + match[1].length;
+        const end = start + match[2].length;
+        if (definition.exclude && definition.exclude.test(text.slice(end))) continue;
+        if (!best || start < best.start || (start === best.start && end > best.end)) {
+          best = { definition, start, end };
+        }
+        break;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Parses a numeric constraint such as ">= 18", "between 7.0% and 10.5%" or
+ * "0-1" out of normalized text
+ * @param {string} text - Normalized text with the atom name removed
+ * @param {Object} options - { allowExact, allowList }
+ * @returns {Object|null} { min, minInclusive, max, maxInclusive, unit, remainder }
+ */
+function parseNumericConstraint(text, { allowExact = false, allowList = false } = {}) {
+  const num = '(-?\\d+(?:\\.\\d+)?)';
+  const unit = `(?:\\s*${UNIT_PATTERN})?`;
+  const patterns = [
+    {
+      regex: new RegExp(`(?:between|from)\\s+${num}${unit}\\s+(?:and|to|-)\\s+${num}${unit}`),
+      build: m => ({ min: +m[1], minInclusive: true, max: +m[3], maxInclusive: true, unit: m[4] || m[2] })
+    },
+    {
+      regex: new RegExp(`${num}${unit}\\s*(?:-|to)\\s*${num}${unit}`),
+      build: m => ({ min: +m[1], minInclusive: true, max: +m[3], maxInclusive: true, unit: m[4] || m[2] })
+    },
+    {
+      regex: new RegExp(`(?:>=|at least|greater than or equal to|no less than|not less than|equal to or greater than|minimum(?: of)?)\\s*${num}${unit}`),
+      build: m => ({ min: +m[1], minInclusive: true, max: null, maxInclusive: false, unit: m[2] })
+    },
+    {
+      regex: new RegExp(`(?:<=|at most|less than or equal to|no more than|not more than|not greater than|equal to or less than|maximum(?: of)?|up to)\\s*${num}${unit}`),
+      build: m => ({ min: null, minInclusive: false, max: +m[1], maxInclusive: true, unit: m[2] })
+    },
+    {
+      regex: new RegExp(`(?:>|greater than|more than|higher than|above|over|exceeding)\\s*${num}${unit}`),
+      build: m => ({ min: +m[1], minInclusive: false, max: null, maxInclusive: false, unit: m[2] })
+    },
+    {
+      regex: new RegExp(`(?:<|less than|lower than|below|under)\\s*${num}${unit}`),
+      build: m => ({ min: null, minInclusive: false, max: +m[1], maxInclusive: false, unit: m[2] })
+    },
+    {
+      regex: new RegExp(`${num}${unit}(?:\\s+(?:years?|of age))*\\s+(?:or|and)\\s+(?:older|above|over|greater|more|higher)`),
+      build: m => ({ min: +m[1], minInclusive: true, max: null, maxInclusive: false, unit: m[2] })
+    },
+    {
+      regex: new RegExp(`${num}${unit}(?:\\s+(?:years?|of age))*\\s+(?:or|and)\\s+(?:younger|below|under|less|lower)`),
+      build: m => ({ min: null, minInclusive: false, max: +m[1], maxInclusive: true, unit: m[2] })
+    }
+  ];
+
+  if (allowList) {
+    patterns.push({
+      regex: new RegExp(`${num}(?:\\s*,\\s*${num})*,?\\s+or\\s+${num}`),
+      build: m => {
+        const values = m[0].match(/\d+/g).map(Number);
+        return { min: Math.min(...values), minInclusive: true, max: Math.max(...values), maxInclusive: true, unit: null };
+      }
+    });
+  }
+
+  if (allowExact) {
+    patterns.push({
+      regex: new RegExp(`(?:=|of|is)?\\s*${num}${unit}`),
+      build: m => ({ min: +m[1], minInclusive: true, max: +m[1], maxInclusive: true, unit: m[2] })
+    });
+  }
+
+  for (const { regex, build } of patterns) {
+    const match = text.match(regex);
+    if (match) {
+      const constraint = build(match);
+      return {
+        ...constraint,
+        unit: normalizeUnit(constraint.unit),
+        remainder: text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks that nothing but filler words remain once the atom is removed
+ * @param {string} remainder - Leftover criterion text
+ * @returns {boolean} True if the remainder carries no extra meaning
+ */
+function isOnlyFiller(remainder) {
+  return remainder
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .every(word => FILLER_WORDS.has(word));
+}
+
+/**
+ * Converts a value to an analyte's canonical unit
+ * @param {Object} analyte - Analyte definition
+ * @param {number} value - Value as written
+ * @param {string|null} unit - Normalized unit, or null if unstated
+ * @returns {number|null} Value in canonical unit, or null if the unit is not convertible
+ */
+function toCanonicalUnit(analyte, value, unit) {
+  const effectiveUnit = unit || (analyte.inferUnit ? analyte.inferUnit(value) : analyte.unit);
+  if (effectiveUnit === analyte.unit) return value;
+  const convert = analyte.conversions[effectiveUnit];
+  return convert ? convert(value) : null;
+}
+
+/**
+ * Parses a criterion into a computable atom
+ * @param {string} criterion - Criterion text
+ * @returns {Object|null} Atom ({ kind, ... }) or null if the criterion is not computable
+ */
+export function parseComputableCriterion(criterion) {
+  if (!criterion || typeof criterion !== 'string') return null;
+  const text = normalizeText(criterion).replace(/[.;:]+$/, '');
+
+  // Long criteria nearly always carry qualifiers the parser cannot honour
+  if (text.length > 120) return null;
+
+  // Sex
+  const sexMatch = text.match(/^(?:(?:sex|gender)\s*[:=]?\s*)?(?:(?:patients?|subjects?|participants?|adults?)\s+(?:must\s+be\s+)?)?(female|male|women|men|woman|man)(?:\s+(?:sex|gender|patients?|subjects?|participants?|only))*$/);
+  if (sexMatch) {
+    return { kind: 'sex', sex: /^(female|women|woman)$/.test(sexMatch[1]) ? 'female' : 'male' };
+  }
+
+  // Time window around a dated event ("no chemotherapy within 28 days")
+  const timeWindow = parseTimeWindowCriterion(text);
+  if (timeWindow) {
+    return timeWindow;
+  }
+
+  // Use of drugs or drug classes ("concomitant use of strong CYP3A4 inhibitors")
+  const medication = parseMedicationCriterion(text);
+  if (medication) {
+    return medication;
+  }
+
+  // Performance status
+  const scale = findNamedAtom(text, PERFORMANCE_SCALES);
+  if (scale) {
+    const rest = text.slice(0, scale.start) + ' ' + text.slice(scale.end);
+    const constraint = parseNumericConstraint(rest, { allowExact: true, allowList: true });
+    if (constraint && isOnlyFiller(constraint.remainder.replace(/%/g, ' ')) &&
+        (constraint.min === null || constraint.min >= scale.definition.min) &&
+        (constraint.max === null || constraint.max <= scale.definition.max)) {
+      return {
+        kind: 'performance',
+        scale: scale.definition.key,
+        label: scale.definition.label,
+        min: constraint.min,
+        minInclusive: constraint.minInclusive,
+        max: constraint.max,
+        maxInclusive: constraint.maxInclusive
+      };
+    }
+    return null;
+  }
+
+  // Lab threshold
+  const analyteMatch = findNamedAtom(text, ANALYTES);
+  if (analyteMatch) {
+    const analyte = analyteMatch.definition;
+    const rest = text.slice(0, analyteMatch.start) + ' ' + text.slice(analyteMatch.end);
+    const constraint = parseNumericConstraint(rest);
+    if (!constraint || !isOnlyFiller(constraint.remainder)) return null;
+
+    const min = constraint.min === null ? null : toCanonicalUnit(analyte, constraint.min, constraint.unit);
+    const max = constraint.max === null ? null : toCanonicalUnit(analyte, constraint.max, constraint.unit);
+    if ((constraint.min !== null && min === null) || (constraint.max !== null && max === null)) {
+      return null;
+    }
+
+    return {
+      kind: 'lab',
+      analyte: analyte.key,
+      label: analyte.label,
+      unit: analyte.unit,
+      min,
+      minInclusive: constraint.minInclusive,
+      max,
+      maxInclusive: constraint.maxInclusive
+    };
+  }
+
+  // Age
+  if (/\bage\b|\baged\b|\byears?\b|\byrs?\b|\bold\b/.test(text)) {
+    const constraint = parseNumericConstraint(text);
+    if (!constraint || !isOnlyFiller(constraint.remainder)) return null;
+    if (constraint.unit && !['years', 'months'].includes(constraint.unit)) return null;
+
+    const divisor = constraint.unit === 'months' ? 12 : 1;
+    return {
+      kind: 'age',
+      label: 'Age',
+      unit: 'years',
+      min: constraint.min === null ? null : constraint.min / divisor,
+      minInclusive: constraint.minInclusive,
+      max: constraint.max === null ? null : constraint.max / divisor,
+      maxInclusive: constraint.maxInclusive
+    };
+  }
+
+  return null;
+}
+
+// Where a sentence about the patient starts: the record start, a line start or
+// a sentence end, optionally followed by a section label such as "HPI:"
+const SENTENCE_OPENING = '(?:^|\\n|[.!?]\\s+)\\s*(?:(?:hpi|history of present illness|patient|identification|id|summary|assessment)\\s*:\\s*)?';
+
+// A subject that refers to the patient: "The patient is a", "She is an", ...
+const PATIENT_SUBJECT = '(?:(?:(?:the\\s+)?(?:patient|pt\\.?|subject)|she|he|this)\\s+is\\s+)?(?:an?\\s+)?';
+
+// "52-year-old", "52 year old", "52 yo", "52 y/o"
+const AGE_PHRASE = '(\\d{1,3})(?:[- ]?(?:years?|yrs?|y)[- ]?(?:old|o\\.?)\\b|\\s*(?:yo|y\\/o|y\\.o\\.)(?![a-z]))';
+
+const SEX_WORD = '(female|male|woman|man|girl|boy|lady|gentleman|f|m)\\b';
+
+// Nouns that make an age phrase describe someone other than the patient
+const RELATIVE_NOUN = /^\s*(?:(?:fe)?male\s+|wo)?(?:mother|father|parent|sister|brother|sibling|son|daughter|child|husband|wife|spouse|partner|boyfriend|girlfriend|aunt|uncle|grand\w*|cousin|niece|nephew|friend|caregiver|relative|neighbou?r)s?\b/i;
+
+// A sentence describing the patient by age: "She is a 52-year-old woman",
+// "45 yo F with ..."
+const PATIENT_AGE_SENTENCE = new RegExp(`${SENTENCE_OPENING}(${PATIENT_SUBJECT}${AGE_PHRASE}(?:\\s+${SEX_WORD})?)`, 'gi');
+
+/**
+ * Finds the first sentence that describes the patient by age. Age phrases
+ * naming a relative ("her 80-year-old mother", "a 70-year-old husband") do
+ * not open such a sentence or are followed by the relative and are skipped.
+ * @param {string} text - Medical record text
+ * @returns {Object|null} { age, sex, quote, offset } with sex null if not stated
+ */
+function findPatientAgeSentence(text) {
+  PATIENT_AGE_SENTENCE.lastIndex = 0;
+  let match;
+  while ((match = PATIENT_AGE_SENTENCE.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    // With a sex word, check from it so "male cousin" is caught too
+    if (RELATIVE_NOUN.test(text.slice(match[3] ? end - match[3].length : end))) continue;
+    if (+match[2] > 120) continue;
+    return {
+      age: +match[2],
+      sex: match[3] ? (/^(female|woman|girl|lady|f)$/i.test(match[3]) ? 'female' : 'male') : null,
+      quote: match[1],
+      offset: end - match[1].length
+    };
+  }
+  return null;
+}
+
+/**
+ * Extracts the patient's age in years from the record. Only statements about
+ * the patient are used: an "Age:" field, a date of birth, or a sentence
+ * opening such as "The patient is a 52-year-old". Ages at diagnosis ("at age
+ * 40", "since age 12") and ages of relatives are ignored.
+ * @param {string} text - Medical record text
+ * @param {Date} referenceDate - Date ages are computed against
+ * @returns {Object|null} { value, quote, offset }
+ */
+function extractAge(text, referenceDate) {
+  const field = text.match(/(?:^|\n|[.;|]\s*)\s*((?:(?:the\s+)?patient'?s\s+|current\s+)?age\s*(?:[:=]|\bis\b)\s*(\d{1,3})\b)/i);
+  if (field && +field[2] <= 120) {
+    return { value: +field[2], quote: field[1], offset: field.index + field[0].length - field[1].length };
+  }
+
+  const sentence = findPatientAgeSentence(text);
+  if (sentence) {
+    return { value: sentence.age, quote: sentence.quote, offset: sentence.offset };
+  }
+
+  const dob = text.match(/\b(?:dob|d\.o\.b\.|date of birth|(?:patient|she|he) was born(?: on)?)\s*[:=]?\s*(\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{4})/i);
+  if (dob) {
+    const birthDate = new Date(dob[1]);
+    if (!isNaN(birthDate)) {
+      let age = referenceDate.getFullYear() - birthDate.getFullYear();
+      const beforeBirthday = referenceDate.getMonth() < birthDate.getMonth() ||
+        (referenceDate.getMonth() === birthDate.getMonth() && referenceDate.getDate() < birthDate.getDate());
+      if (beforeBirthday) age--;
+      return { value: age, quote: dob[0], offset: dob.index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Extracts the patient's sex from the record. Only a "Sex:" field or a
+ * sentence describing the patient ("Patient is a 45 year old female", "She is
+ * a woman") is used, so a relative described nearby is not mistaken for the
+ * patient.
+ * @param {string} text - Medical record text
+ * @returns {Object|null} { value: 'female'|'male', quote, offset }
+ */
+function extractSex(text) {
+  const explicit = text.match(/\b(?:sex|gender)\s*[:=]\s*(female|male|f|m)\b/i);
+  if (explicit) {
+    return { value: /^f/i.test(explicit[1]) ? 'female' : 'male', quote: explicit[0], offset: explicit.index };
+  }
+
+  const sentence = findPatientAgeSentence(text);
+  if (sentence && sentence.sex) {
+    return { value: sentence.sex, quote: sentence.quote, offset: sentence.offset };
+  }
+
+  const described = text.match(new RegExp(`${SENTENCE_OPENING}((?:(?:the\\s+)?(?:patient|pt\\.?|subject)|she|he)\\s+is\\s+an?\\s+(?:\\w+\\s+)?(female|male|woman|man|girl|boy|lady|gentleman)\\b)`, 'i'));
+  if (described && !RELATIVE_NOUN.test(text.slice(described.index + described[0].length))) {
+    return {
+      value: /^(female|woman|girl|lady)$/i.test(described[2]) ? 'female' : 'male',
+      quote: described[1],
+      offset: described.index + described[0].length - described[1].length
+    };
+  }
+  return null;
+}
+
+/**
+ * Finds the date of the sentence a value is mentioned in
+ * @param {number} offset - Offset of the mention
+ * @param {Object} timeline - Output of extractTimeline
+ * @returns {Object|null} { date, earliest, latest }, or null if the sentence has no date or several
+ */
+function findMentionDate(offset, timeline) {
+  const containing = timeline.events.filter(event => offset >= event.offset && offset < event.offset + event.quote.length);
+  if (containing.length === 0 || containing.some(event => event.earliest !== containing[0].earliest || event.latest !== containing[0].latest)) {
+    return null;
+  }
+  const { date, earliest, latest } = containing[0];
+  return { date, earliest, latest };
+}
+
+/**
+ * Extracts the value of every known lab analyte. When the record states one
+ * several times, the value is the most recent by the dates of their sentences;
+ * if the mentions cannot be put in date order, the last one is kept and the
+ * fact is marked unordered so that evaluation can check that every value
+ * agrees.
+ * @param {string} text - Medical record text
+ * @param {Object} timeline - Output of extractTimeline, which dates the mentions
+ * @returns {Object} analyte key -> { value, unit, rawValue, rawUnit, quote, offset, date, mentions,
+ *   ordered, values } where ordered and values (every mention { value, quote, offset, date }) are
+ *   set for analytes mentioned more than once
+ */
+function extractLabs(text, timeline) {
+  // Lowercased only (not normalizeText) so offsets stay valid in the original record
+  const lowered = text.toLowerCase();
+  const labs = {};
+
+  for (const analyte of ANALYTES) {
+    const names = [...analyte.names].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    const pattern = new RegExp(`(^|[^a-z0-9])(${names})(?![a-z0-9])([^0-9\\n]{0,30}?)(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)(?:\\s*${UNIT_PATTERN})?`, 'g');
+    let match;
+    const found = [];
+    while ((match = pattern.exec(lowered)) !== null) {
+      const afterName = lowered.slice(match.index + match[1].length + match[2].length);
+      if (analyte.exclude && analyte.exclude.test(afterName)) continue;
+      // A comparator between name and value means a target or threshold, not a result
+      if (/[<>≤≥]|target|goal|less than|greater than/.test(match[3])) continue;
+
+      const rawValue = parseFloat(match[4].replace(/,/g, ''));
+      const rawUnit = normalizeUnit(match[5]);
+      const value = toCanonicalUnit(analyte, rawValue, rawUnit);
+      if (value === null) continue;
+
+      const offset = match.index + match[1].length;
+      found.push({
+        value,
+        unit: analyte.unit,
+        rawValue,
+        rawUnit: rawUnit || null,
+        quote: text.slice(offset, match.index + match[0].length).trim(),
+        offset,
+        dated: findMentionDate(offset, timeline)
+      });
+    }
+    if (found.length === 0) continue;
+
+    // The latest mention by date, if it is later than every other one
+    const latest = found.reduce((a, b) => ((b.dated?.earliest || '') >= (a.dated?.earliest || '') ? b : a));
+    const ordered = found.every(m => m.dated) && found.every(m => m === latest || m.dated.latest < latest.dated.earliest);
+    const { dated, ...chosen } = ordered ? latest : found[found.length - 1];
+    labs[analyte.key] = {
+      ...chosen,
+      ...(dated && { date: dated.date }),
+      mentions: found.length,
+      ...(found.length > 1 && {
+        ordered,
+        values: found.map(m => ({ value: m.value, quote: m.quote, offset: m.offset, date: m.dated?.date || null }))
+      })
+    };
+  }
+
+  return labs;
+}
+
+/**
+ * Extracts ECOG and Karnofsky performance status from the record
+ * @param {string} text - Medical record text
+ * @returns {Object} scale key -> { value, quote, offset }
+ */
+function extractPerformanceStatus(text) {
+  const result = {};
+  const ecog = text.match(/\b(?:ecog|who)(?:\s+performance\s+status|\s+ps)?(?:\s*(?:of|is|was|score|=|:))*\s*([0-5])\b/i);
+  if (ecog) {
+    result.ecog = { value: +ecog[1], quote: ecog[0], offset: ecog.index };
+  }
+  const kps = text.match(/\b(?:karnofsky(?:\s+performance\s+(?:status|score))?|kps)(?:\s*(?:of|is|was|score|=|:))*\s*(\d{2,3})\s*%?/i);
+  if (kps && +kps[1] <= 100) {
+    result.karnofsky = { value: +kps[1], quote: kps[0].trim(), offset: kps.index };
+  }
+  return result;
+}
+
+/**
+ * Extracts the structured facts rule evaluation needs from a medical record
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Object} options - { referenceDate } used for date-of-birth ages and timeline intervals
+ * @returns {Object} { age, sex, labs, performance, timeline, medicationList }
+ */
+export function extractPatientFacts(medicalRecord, { referenceDate = new Date() } = {}) {
+  const text = String(medicalRecord || '');
+  const timeline = extractTimeline(text, { referenceDate });
+  return {
+    age: extractAge(text, referenceDate),
+    sex: extractSex(text),
+    labs: extractLabs(text, timeline),
+    performance: extractPerformanceStatus(text),
+    timeline,
+    medicationList: extractMedications(text)
+  };
+}
+
+/**
+ * Converts a structured observation (e.g. a FHIR Observation) into a lab or
+ * performance status fact of the shape extractPatientFacts produces. The
+ * analyte is identified by LOINC code, else by name; UCUM units are accepted.
+ * @param {Object} observation - { name, loinc, value, unit, quote, offset, date }
+ * @returns {Object|null} { category: 'labs'|'performance', key, label, fact }, or null if the
+ *   analyte or unit is not recognized
+ */
+export function buildObservationFact({ name, loinc, value, unit, quote, offset, date = null }) {
+  if (typeof value !== 'number' || !isFinite(value)) return null;
+
+  const byLoinc = definitions => definitions.find(d => loinc && LOINC_CODES[d.key]?.includes(loinc));
+  const normalizedName = normalizeText(name || '');
+
+  const scale = byLoinc(PERFORMANCE_SCALES) || findNamedAtom(normalizedName, PERFORMANCE_SCALES)?.definition;
+  if (scale) {
+    if (value < scale.min || value > scale.max) return null;
+    return { category: 'performance', key: scale.key, label: scale.label, fact: { value, quote, offset, date } };
+  }
+
+  const analyte = byLoinc(ANALYTES) || findNamedAtom(normalizedName, ANALYTES)?.definition;
+  if (!analyte) return null;
+
+  // UCUM writes 10^9 as 10*9 and puts annotations in braces: mL/min/{1.73_m2}
+  const ucum = unit ? String(unit).replace(/10\*(\d)/g, '10^$1').replace(/\{1\.73_?m2\}/gi, '1.73m2').replace(/\{[^}]*\}/g, '') : null;
+  const rawUnit = normalizeUnit(ucum);
+  const canonical = toCanonicalUnit(analyte, value, rawUnit);
+  if (canonical === null) return null;
+
+  return {
+    category: 'labs',
+    key: analyte.key,
+    label: analyte.label,
+    fact: { value: canonical, unit: analyte.unit, rawValue: value, rawUnit: rawUnit || null, quote, offset, mentions: 1, date }
+  };
+}
+
+/**
+ * Combines facts extracted from text with structured facts (e.g. from a FHIR
+ * Bundle); structured values take precedence
+ * @param {Object} textFacts - Output of extractPatientFacts
+ * @param {Object} structuredFacts - Facts of the same shape, or null
+ * @returns {Object} Merged facts
+ */
+export function mergePatientFacts(textFacts, structuredFacts) {
+  if (!structuredFacts) return textFacts;
+
+  return {
+    ...textFacts,
+    ...structuredFacts,
+    age: structuredFacts.age || textFacts.age,
+    sex: structuredFacts.sex || textFacts.sex,
+    labs: { ...textFacts.labs, ...structuredFacts.labs },
+    performance: { ...textFacts.performance, ...structuredFacts.performance }
+  };
+}
+
+/**
+ * Checks whether a value satisfies an atom's numeric bounds
+ */
+function withinBounds(value, atom) {
+  if (atom.min !== null && (atom.minInclusive ? value < atom.min : value <= atom.min)) return false;
+  if (atom.max !== null && (atom.maxInclusive ? value > atom.max : value >= atom.max)) return false;
+  return true;
+}
+
+/**
+ * Formats a number for reasoning text
+ */
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Describes an atom's numeric bounds in words
+ * @param {Object} atom - Parsed atom
+ * @returns {string} e.g. "≥ 18 years" or "between 7 and 10.5 %"
+ */
+export function describeBounds(atom) {
+  const unit = atom.unit ? ` ${atom.unit}` : '';
+  if (atom.min !== null && atom.max !== null) {
+    return atom.min === atom.max
+      ? `= ${formatNumber(atom.min)}${unit}`
+      : `between ${formatNumber(atom.min)} and ${formatNumber(atom.max)}${unit}`;
+  }
+  if (atom.min !== null) return `${atom.minInclusive ? '≥' : '>'} ${formatNumber(atom.min)}${unit}`;
+  return `${atom.maxInclusive ? '≤' : '<'} ${formatNumber(atom.max)}${unit}`;
+}
+
+/**
+ * Evaluates an atom against extracted patient facts
+ * @param {Object} atom - Parsed atom
+ * @param {Object} facts - Output of extractPatientFacts
+ * @returns {Object|null} { holds, reasoning, evidence } or null if the needed fact is missing
+ */
+export function evaluateAtom(atom, facts) {
+  let fact;
+  let holds;
+  let reasoning;
+
+  switch (atom.kind) {
+    case 'sex':
+      fact = facts.sex;
+      if (!fact) return null;
+      holds = fact.value === atom.sex;
+      reasoning = `Record indicates ${fact.value} sex; criterion requires ${atom.sex}.`;
+      break;
+
+    case 'age':
+      fact = facts.age;
+      if (!fact) return null;
+      holds = withinBounds(fact.value, atom);
+      reasoning = `Patient age ${fact.value} years ${holds ? 'satisfies' : 'does not satisfy'} age ${describeBounds(atom)}.`;
+      break;
+
+    case 'performance':
+      fact = facts.performance[atom.scale];
+      if (!fact) return null;
+      holds = withinBounds(fact.value, atom);
+      reasoning = `${atom.label} ${fact.value} ${holds ? 'satisfies' : 'does not satisfy'} required ${describeBounds(atom)}.`;
+      break;
+
+    case 'lab': {
+      fact = facts.labs[atom.analyte];
+      if (!fact) return null;
+      holds = withinBounds(fact.value, atom);
+      // Values that cannot be put in date order only decide the criterion when they agree
+      const unordered = fact.values && !fact.ordered;
+      if (unordered && fact.values.some(v => withinBounds(v.value, atom) !== holds)) return null;
+      reasoning = `${atom.label} ${formatNumber(fact.value)} ${atom.unit}` +
+        (fact.rawUnit && fact.rawUnit !== atom.unit ? ` (recorded as ${formatNumber(fact.rawValue)} ${fact.rawUnit})` : '') +
+        ` ${holds ? 'satisfies' : 'does not satisfy'} ${describeBounds(atom)}.`;
+      if (unordered) {
+        reasoning += ` The record states ${fact.values.length} values (${fact.values.map(v => formatNumber(v.value)).join(', ')} ${atom.unit}) that cannot be ordered by date; all of them ${holds ? 'satisfy' : 'fail'} the criterion.`;
+      } else if (fact.mentions > 1) {
+        reasoning += ` Most recent of ${fact.mentions} values in the record${fact.date ? `, dated ${fact.date},` : ''} was used.`;
+      }
+      break;
+    }
+
+    case 'time-window':
+      // The evidence is the event and its computed interval to the reference date
+      return evaluateTimeWindow(atom, facts.timeline);
+
+    case 'medication':
+      // The evidence names the medication that triggered the match
+      return evaluateMedicationCriterion(atom, facts.medicationList);
+
+    default:
+      return null;
+  }
+
+  return {
+    holds,
+    reasoning,
+    evidence: { value: fact.value, quote: fact.quote, offset: fact.offset }
+  };
+}
+
+/**
+ * Evaluates a criterion deterministically when it is computable
+ * @param {string} criterion - Criterion text
+ * @param {string} type - 'inclusion' or 'exclusion'
+ * @param {Object} facts - Output of extractPatientFacts
+ * @returns {Object|null} Criterion result tagged method "rule", or null to fall back to the model
+ */
+export function evaluateComputableCriterion(criterion, type, facts) {
+  const atom = parseComputableCriterion(criterion);
+  if (!atom) return null;
+
+  const outcome = evaluateAtom(atom, facts);
+  if (!outcome) return null;
+
+  return {
+    criterion,
+    type,
+    // For exclusion criteria "matched" means the patient IS excluded
+    status: outcome.holds ? 'matched' : 'non-matched',
+    reasoning: outcome.reasoning,
+    confidence: RULE_CONFIDENCE,
+    method: 'rule',
+    evidence: outcome.evidence
+  };
+}
+
+/**
+ * Builds rule results for the registry-level age and sex limits of a trial
+ * (the minimumAge/maximumAge/gender fields of parseNCT). Checks whose patient
+ * fact is missing from the record are omitted.
+ * @param {Object} eligibility - parseNCT eligibility section
+ * @param {Object} facts - Output of extractPatientFacts
+ * @param {Function} parseAge - Converts "18 Years" to a number of years (null for "N/A")
+ * @returns {Array} Criterion results with source "registry"
+ */
+export function buildRegistryChecks(eligibility, facts, parseAge) {
+  const checks = [];
+  if (!eligibility) return checks;
+
+  const min = parseAge(eligibility.minimumAge);
+  const max = parseAge(eligibility.maximumAge);
+  if ((min !== null || max !== null) && facts.age) {
+    const atom = { kind: 'age', label: 'Age', unit: 'years', min, minInclusive: true, max, maxInclusive: true };
+    const outcome = evaluateAtom(atom, facts);
+    checks.push({
+      criterion: `Age ${eligibility.minimumAge || 'N/A'} to ${eligibility.maximumAge || 'N/A'} (registry eligibility)`,
+      type: 'inclusion',
+      status: outcome.holds ? 'matched' : 'non-matched',
+      reasoning: outcome.reasoning,
+      confidence: RULE_CONFIDENCE,
+      method: 'rule',
+      source: 'registry',
+      evidence: outcome.evidence
+    });
+  }
+
+  const gender = String(eligibility.gender || 'All').toLowerCase();
+  if ((gender === 'female' || gender === 'male') && facts.sex) {
+    const outcome = evaluateAtom({ kind: 'sex', sex: gender }, facts);
+    checks.push({
+      criterion: `Sex: ${eligibility.gender} (registry eligibility)`,
+      type: 'inclusion',
+      status: outcome.holds ? 'matched' : 'non-matched',
+      reasoning: outcome.reasoning,
+      confidence: RULE_CONFIDENCE,
+      method: 'rule',
+      source: 'registry',
+      evidence: outcome.evidence
+    });
+  }
+
+  return checks;
+}
@@ -0,0 +1,311 @@
+// lib/criterion-tree.mjs
+//
+// Criterion trees. Registry criteria arrive as flat string arrays, but many
+// lines are headers of nested lists ("Any of the following:", "Adequate organ
+// function defined as:") whose meaning depends on the lines under them. The
+// flat list is parsed into a tree of AND/OR groups; a header is never assessed
+// on its own, its status is computed from its sub-criteria with three-valued
+// logic. Inclusion criteria form an AND group (all must be met) and exclusion
+// criteria an OR group (any one excludes), so a whole criteria list is decided
+// by the status of its root.
+//
+// Nesting is read from indentation when lines are indented differently, and
+// otherwise from bullet styles in order of first appearance ("1." before "a."
+// before "i."). A header whose sub-criteria cannot be told apart from the
+// lines after it groups nothing: registry lists are often flat, and guessing
+// where its list ends could pull required criteria into a disjunction. Such a
+// header is left undecided for review and the lines after it stay top level.
+
+// Headers that need only some of their sub-criteria
+const DISJUNCTIVE_HEADER = /\b(any|either|one or more|at least (?:one|1))\b|\bone\s+of\b/i;
+const AT_LEAST_HEADER = /\bat least (\d+|two|three|four|five)\b/i;
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5 };
+
+const BULLET_PATTERN = /^(\s*)(?:([-*•·▪◦‣o])|(\d+[.)])|(\(?[ivx]+[.)])|(\(?[a-z][.)]))\s+/i;
+
+/**
+ * Parses a flat criteria list into a tree
+ * @param {Array<string>} criteria - Inclusion or exclusion criteria, in order
+ * @param {string} type - 'inclusion' or 'exclusion'
+ * @returns {Object} Root group { operator, children } where a group is { index, operator, minMatched,
+ *   children } for the header at criteria[index], a leaf is { index }, and a header whose
+ *   sub-criteria cannot be told apart is { index, ambiguous: true }
+ */
+export function buildCriterionTree(criteria, type) {
+  const lines = criteria.map(describeLine);
+  assignLevels(lines);
+
+  const parse = (start, end) => {
+    const nodes = [];
+    let i = start;
+    while (i < end) {
+      const line = lines[i];
+      if (!line.header || i + 1 >= end) {
+        nodes.push({ index: i });
+        i++;
+        continue;
+      }
+
+      // A header directly followed by another header has nothing to group
+      if (lines[i + 1].header && lines[i + 1].level <= line.level) {
+        nodes.push({ index: i });
+        i++;
+        continue;
+      }
+
+      // Sub-criteria are the following deeper lines. Without any, nothing
+      // tells where the header's list ends.
+      if (lines[i + 1].level <= line.level) {
+        nodes.push({ index: i, ambiguous: true });
+        i++;
+        continue;
+      }
+      let childEnd = i + 1;
+      while (childEnd < end && lines[childEnd].level > line.level) childEnd++;
+
+      nodes.push({ index: i, ...describeOperator(criteria[i]), children: parse(i + 1, childEnd) });
+      i = childEnd;
+    }
+    return nodes;
+  };
+
+  return {
+    index: null,
+    operator: type === 'exclusion' ? 'OR' : 'AND',
+    minMatched: type === 'exclusion' ? 1 : null,
+    children: parse(0, criteria.length)
+  };
+}
+
+/**
+ * Whether a tree has any groups or ambiguous headers below its root
+ * @param {Object} tree - Tree from buildCriterionTree
+ * @returns {boolean} True if some criterion is a header that is not assessed on its own
+ */
+export function hasGroups(tree) {
+  return tree.children.some(node => node.children || node.ambiguous);
+}
+
+/**
+ * Indexes of the headers in a criteria list that are not assessed on their
+ * own: group headers and ambiguous headers
+ * @param {Object} tree - Tree from buildCriterionTree
+ * @returns {Set<number>} Criterion indexes of headers
+ */
+export function getGroupHeaderIndexes(tree) {
+  const indexes = new Set();
+  const visit = node => {
+    if (node.ambiguous) indexes.add(node.index);
+    if (!node.children) return;
+    if (node.index !== null) indexes.add(node.index);
+    node.children.forEach(visit);
+  };
+  visit(tree);
+  return indexes;
+}
+
+/**
+ * Combines sub-criterion statuses with three-valued logic
+ * @param {Object} group - { operator, minMatched } of the group
+ * @param {Array<string>} statuses - Child statuses
+ * @param {string} unknownStatus - Status used when the outcome cannot be decided
+ * @returns {string} 'matched', 'non-matched' or unknownStatus
+ */
+export function combineStatuses({ operator, minMatched }, statuses, unknownStatus) {
+  const required = operator === 'AND' ? statuses.length : Math.min(minMatched || 1, statuses.length);
+  const matched = statuses.filter(s => s === 'matched').length;
+  const undecided = statuses.filter(s => s !== 'matched' && s !== 'non-matched').length;
+
+  if (matched >= required) return 'matched';
+  if (matched + undecided < required) return 'non-matched';
+  return unknownStatus;
+}
+
+/**
+ * Annotates criterion results with their place in the criterion trees and
+ * decides group headers from their sub-criteria. Results must hold the
+ * criteria in order after `offset` leading entries (registry checks): all
+ * inclusion criteria, then all exclusion criteria.
+ * @param {Array} results - Criterion results or criteriaAnalysis entries; modified in place
+ * @param {Object} trialCriteria - Trial criteria object with inclusion/exclusion arrays
+ * @param {Object} options - { offset, unknownStatus } number of leading entries before the criteria,
+ *   and the undecided status of the response shape
+ * @returns {Object|null} { inclusion, exclusion } trees with indexes into results, or null if neither
+ *   list has groups
+ */
+export function applyCriterionTree(results, trialCriteria, { offset = 0, unknownStatus = 'more-information-needed' } = {}) {
+  const trees = {
+    inclusion: buildCriterionTree(trialCriteria.inclusionCriteria, 'inclusion'),
+    exclusion: buildCriterionTree(trialCriteria.exclusionCriteria, 'exclusion')
+  };
+  if (!hasGroups(trees.inclusion) && !hasGroups(trees.exclusion)) return null;
+
+  const starts = { inclusion: offset, exclusion: offset + trialCriteria.inclusionCriteria.length };
+
+  const place = (node, start, parentIndex, depth) => {
+    const resultIndex = node.index === null ? null : start + node.index;
+    if (resultIndex !== null && parentIndex !== null) {
+      results[resultIndex].parentIndex = parentIndex;
+      results[resultIndex].depth = depth;
+    }
+    if (node.ambiguous) {
+      markForReview(results[resultIndex], unknownStatus);
+      return { index: resultIndex, ambiguous: true };
+    }
+    if (!node.children) return { index: resultIndex };
+
+    const children = node.children.map(child => place(child, start, resultIndex, depth + 1));
+    if (resultIndex !== null) {
+      results[resultIndex].group = {
+        operator: node.operator,
+        ...(node.minMatched && { minMatched: node.minMatched }),
+        children: children.map(child => child.index)
+      };
+    }
+    return {
+      index: resultIndex,
+      operator: node.operator,
+      ...(node.minMatched && { minMatched: node.minMatched }),
+      children
+    };
+  };
+
+  const criteriaTree = {
+    inclusion: place(trees.inclusion, starts.inclusion, null, -1),
+    exclusion: place(trees.exclusion, starts.exclusion, null, -1)
+  };
+  resolveCriterionGroups(results, unknownStatus);
+  return criteriaTree;
+}
+
+/**
+ * Leaves a header whose sub-criteria cannot be told apart undecided, unless a
+ * reviewer has decided it
+ * @param {Object} result - Result of the header; modified in place
+ * @param {string} unknownStatus - Undecided status of the response shape
+ */
+function markForReview(result, unknownStatus) {
+  if (!result || result.adjudication) return;
+  result.status = unknownStatus;
+  result.confidence = 0;
+  const reasoning = 'The criteria under this header cannot be told apart from the criteria after it, so they are assessed on their own; review which of them it covers.';
+  if ('clinicalReasoning' in result) {
+    result.clinicalReasoning = reasoning;
+  } else {
+    result.reasoning = reasoning;
+  }
+}
+
+/**
+ * Recomputes the status of every group header from its sub-criteria, deepest
+ * groups first. Called after evaluation and whenever a sub-criterion changes.
+ * @param {Array} results - Results annotated by applyCriterionTree; modified in place
+ * @param {string} unknownStatus - Undecided status of the response shape
+ * @returns {Array} The results
+ */
+export function resolveCriterionGroups(results, unknownStatus) {
+  const headers = results
+    .map((result, index) => ({ result, index }))
+    .filter(({ result }) => result.group)
+    .sort((a, b) => (b.result.depth || 0) - (a.result.depth || 0));
+
+  // A reviewer's status for a header stands; only computed headers follow their children
+  headers.filter(({ result }) => !result.adjudication).forEach(({ result }) => {
+    const children = result.group.children.map(i => results[i]).filter(Boolean);
+    const statuses = children.map(c => c.status);
+    const status = combineStatuses(result.group, statuses, unknownStatus);
+    const confidences = children.map(c => c.confidence).filter(c => typeof c === 'number');
+
+    result.status = status;
+    result.confidence = confidences.length > 0 ? Math.min(...confidences) : 0;
+    const reasoning = describeGroupOutcome(result.group, statuses, status);
+    if ('clinicalReasoning' in result) {
+      result.clinicalReasoning = reasoning;
+    } else {
+      result.reasoning = reasoning;
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Whether a result is decided directly rather than through a group
+ * @param {Object} result - Criterion result
+ * @returns {boolean} True for top-level criteria and headers
+ */
+export function isTopLevelCriterion(result) {
+  return result.parentIndex === undefined;
+}
+
+/**
+ * Explains a group status for its reasoning field
+ * @param {Object} group - { operator, minMatched }
+ * @param {Array<string>} statuses - Child statuses
+ * @param {string} status - Computed status
+ * @returns {string} e.g. "Any 1 of 3 sub-criteria required: 1 matched, 2 not matched."
+ */
+function describeGroupOutcome(group, statuses, status) {
+  const matched = statuses.filter(s => s === 'matched').length;
+  const notMatched = statuses.filter(s => s === 'non-matched').length;
+  const undecided = statuses.length - matched - notMatched;
+  const requirement = group.operator === 'AND'
+    ? `All ${statuses.length} sub-criteria required`
+    : `At least ${group.minMatched || 1} of ${statuses.length} sub-criteria required`;
+  const counts = [
+    `${matched} matched`,
+    `${notMatched} not matched`,
+    ...(undecided > 0 ? [`${undecided} undetermined`] : [])
+  ].join(', ');
+
+  return `${requirement}: ${counts}; group is ${status.replace(/-/g, ' ')}.`;
+}
+
+/**
+ * Reads indentation, bullet style and header form of one criterion line
+ * @param {string} text - Criterion text as listed
+ * @returns {Object} { indent, bullet, header }
+ */
+function describeLine(text) {
+  const match = String(text).match(BULLET_PATTERN);
+  const indent = (String(text).match(/^\s*/)[0]).replace(/\t/g, '    ').length;
+  let bullet = 'none';
+  if (match) {
+    bullet = match[2] ? `symbol:${match[2]}` : match[3] ? 'number' : match[4] ? 'roman' : 'letter';
+  }
+  return { indent, bullet, header: /:\s*$/.test(String(text).trim()) };
+}
+
+/**
+ * Assigns each line a nesting level: by indentation when lines are indented
+ * differently, otherwise by bullet style in order of first appearance
+ * @param {Array} lines - Results of describeLine; modified in place
+ */
+function assignLevels(lines) {
+  const indents = [...new Set(lines.map(l => l.indent))].sort((a, b) => a - b);
+  if (indents.length > 1) {
+    lines.forEach(line => { line.level = indents.indexOf(line.indent); });
+    return;
+  }
+
+  const bulletOrder = [];
+  lines.forEach(line => {
+    if (!bulletOrder.includes(line.bullet)) bulletOrder.push(line.bullet);
+    line.level = bulletOrder.indexOf(line.bullet);
+  });
+}
+
+/**
+ * Reads the operator of a group header
+ * @param {string} header - Header text
+ * @returns {Object} { operator, minMatched } with minMatched set for OR groups
+ */
+function describeOperator(header) {
+  const atLeast = header.match(AT_LEAST_HEADER);
+  if (atLeast) {
+    const count = NUMBER_WORDS[atLeast[1].toLowerCase()] || Number(atLeast[1]);
+    return { operator: 'OR', minMatched: count };
+  }
+  if (DISJUNCTIVE_HEADER.test(header)) return { operator: 'OR', minMatched: 1 };
+  return { operator: 'AND', minMatched: null };
+}
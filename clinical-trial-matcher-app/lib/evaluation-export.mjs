@@ -0,0 +1,382 @@
+// lib/evaluation-export.mjs
+//
+// Exports of a stored evaluation for use outside the matcher: a FHIR R4
+// Bundle with the screening outcome as a ResearchSubject and one Observation
+// per criterion, a CSV of criterion results, and a self-contained HTML report
+// laid out for printing. Reviewer overrides are included in every format, with
+// the model's original status alongside.
+
+import crypto from 'crypto';
+import { getCriteria } from './evaluation-history.mjs';
+
+const NCT_IDENTIFIER_SYSTEM = 'https://clinicaltrials.gov';
+const TRIAL_KEY_SYSTEM = 'urn:clinical-trial-matcher:trial';
+const PATIENT_IDENTIFIER_SYSTEM = 'urn:clinical-trial-matcher:patient';
+const EVALUATION_IDENTIFIER_SYSTEM = 'urn:clinical-trial-matcher:evaluation';
+const CRITERION_TYPE_SYSTEM = 'urn:clinical-trial-matcher:criterion-type';
+const CRITERION_STATUS_SYSTEM = 'urn:clinical-trial-matcher:criterion-status';
+
+// ResearchSubject.status has no "needs review" code; a subject still being
+// screened is a candidate
+const RESEARCH_SUBJECT_STATUS = {
+  eligible: 'eligible',
+  ineligible: 'ineligible'
+};
+
+const CSV_COLUMNS = [
+  'index', 'type', 'criterion', 'status', 'confidence', 'method', 'reasoning',
+  'evidence', 'modelStatus', 'reviewer', 'reviewReason'
+];
+
+/**
+ * Criterion results of a stored evaluation in one shape for both response formats
+ * @param {Object} entry - Stored evaluation entry
+ * @returns {Array} { index, criterion, type, status, confidence, method, reasoning, evidence, adjudication }
+ */
+export function normalizeCriteria(entry) {
+  return getCriteria(entry).map((c, index) => ({
+    index,
+    criterion: c.criterion,
+    type: c.type,
+    status: c.status,
+    confidence: typeof c.confidence === 'number' ? c.confidence : null,
+    method: c.method || 'model',
+    reasoning: c.clinicalReasoning || c.reasoning || '',
+    evidence: c.evidenceFromRecord || c.evidence?.quote || '',
+    adjudication: c.adjudication || null
+  }));
+}
+
+/**
+ * Builds a FHIR R4 collection Bundle for a stored evaluation. The trial is
+ * referenced by identifier (the NCT number, or the matcher's trial key for
+ * submitted criteria); the patient by the evaluation's patientId.
+ * @param {Object} entry - Stored evaluation entry
+ * @param {Object} trial - Trial header from describeTrial
+ * @returns {Object} FHIR Bundle
+ */
+export function buildFhirExport(entry, trial) {
+  const overallEligibility = getOverallEligibility(entry);
+  const patient = {
+    type: 'Patient',
+    identifier: { system: PATIENT_IDENTIFIER_SYSTEM, value: entry.patientId }
+  };
+  const study = {
+    type: 'ResearchStudy',
+    identifier: entry.nctNumber
+      ? { system: NCT_IDENTIFIER_SYSTEM, value: entry.nctNumber }
+      : { system: TRIAL_KEY_SYSTEM, value: entry.trialKey },
+    ...(trial.title && { display: trial.title })
+  };
+
+  const subjectUrl = `urn:uuid:${crypto.randomUUID()}`;
+  const researchSubject = {
+    resourceType: 'ResearchSubject',
+    identifier: [{ system: EVALUATION_IDENTIFIER_SYSTEM, value: entry.evaluationId }],
+    status: RESEARCH_SUBJECT_STATUS[overallEligibility] || 'candidate',
+    period: { start: entry.timestamp },
+    study,
+    individual: patient
+  };
+
+  const observations = normalizeCriteria(entry).map(c => {
+    const notes = [];
+    if (c.reasoning) notes.push({ text: c.reasoning });
+    if (c.adjudication) {
+      notes.push({
+        authorString: c.adjudication.reviewer,
+        time: c.adjudication.adjudicatedAt,
+        text: `Reviewer set status to ${c.adjudication.status} (model: ${c.adjudication.modelStatus}): ${c.adjudication.reason}`
+      });
+    }
+
+    const components = [];
+    if (c.confidence !== null) {
+      components.push({
+        code: { text: 'confidence' },
+        valueQuantity: { value: c.confidence, unit: 'ratio', system: 'http://unitsofmeasure.org', code: '1' }
+      });
+    }
+    if (c.evidence) {
+      components.push({ code: { text: 'evidence' }, valueString: c.evidence });
+    }
+
+    return {
+      fullUrl: `urn:uuid:${crypto.randomUUID()}`,
+      resource: {
+        resourceType: 'Observation',
+        status: c.adjudication ? 'amended' : 'final',
+        category: [{
+          coding: [{ system: CRITERION_TYPE_SYSTEM, code: c.type, display: `${capitalize(c.type)} criterion` }]
+        }],
+        code: { text: c.criterion },
+        subject: patient,
+        focus: [{ reference: subjectUrl }],
+        effectiveDateTime: entry.timestamp,
+        valueCodeableConcept: {
+          coding: [{ system: CRITERION_STATUS_SYSTEM, code: c.status }],
+          text: formatStatus(c.status)
+        },
+        method: { text: c.method },
+        ...(notes.length > 0 && { note: notes }),
+        ...(components.length > 0 && { component: components })
+      }
+    };
+  });
+
+  return {
+    resourceType: 'Bundle',
+    identifier: { system: EVALUATION_IDENTIFIER_SYSTEM, value: entry.evaluationId },
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: [
+      { fullUrl: subjectUrl, resource: researchSubject },
+      ...observations
+    ]
+  };
+}
+
+/**
+ * Builds a CSV of criterion results, one row per criterion
+ * @param {Object} entry - Stored evaluation entry
+ * @returns {string} CSV text with a header row
+ */
+export function buildCsvExport(entry) {
+  const rows = normalizeCriteria(entry).map(c => [
+    c.index,
+    c.type,
+    c.criterion,
+    c.status,
+    c.confidence ?? '',
+    c.method,
+    c.reasoning,
+    c.evidence,
+    c.adjudication?.modelStatus || '',
+    c.adjudication?.reviewer || '',
+    c.adjudication?.reason || ''
+  ]);
+
+  return formatCsv([CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Joins rows of values into CSV text, quoting fields where needed
+ * @param {Array<Array>} rows - Rows of field values, header row first
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function formatCsv(rows) {
+  return rows
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds a print-ready HTML screening report
+ * @param {Object} entry - Stored evaluation entry
+ * @param {Object} trial - Trial header from describeTrial
+ * @returns {string} Complete HTML document
+ */
+export function buildHtmlReport(entry, trial) {
+  const criteria = normalizeCriteria(entry);
+  const overallEligibility = getOverallEligibility(entry);
+  const modelOverallEligibility = entry.response.adjudication?.modelOverallEligibility;
+  const summary = entry.response.overallAssessment?.clinicalSummary;
+
+  const trialRows = [
+    ['NCT Number', trial.nctNumber],
+    ['Condition', trial.condition],
+    ['Phase', trial.phase],
+    ['Recruitment Status', trial.status],
+    ['Age Range', trial.ageRange],
+    ['Sex', trial.gender]
+  ].filter(([, value]) => value);
+
+  const criteriaSection = type => {
+    const rows = criteria.filter(c => c.type === type);
+    if (rows.length === 0) return '';
+
+    return `
+    <h2>${capitalize(type)} Criteria</h2>
+    <table class="criteria">
+      <thead>
+        <tr><th>#</th><th>Criterion</th><th>Status</th><th>Confidence</th><th>Reasoning</th></tr>
+      </thead>
+      <tbody>
+${rows.map(c => `        <tr>
+          <td>${c.index + 1}</td>
+          <td>${escapeHtml(c.criterion)}</td>
+          <td><span class="status ${escapeHtml(c.status)}">${escapeHtml(formatStatus(c.status))}</span></td>
+          <td>${c.confidence === null ? '-' : `${Math.round(c.confidence * 100)}%`}</td>
+          <td>
+            ${escapeHtml(c.reasoning)}
+            ${c.evidence ? `<div class="evidence">Evidence: "${escapeHtml(c.evidence)}"</div>` : ''}
+            ${c.adjudication ? `<div class="override">Reviewed by ${escapeHtml(c.adjudication.reviewer)} on ${formatDate(c.adjudication.adjudicatedAt)}; model status ${escapeHtml(formatStatus(c.adjudication.modelStatus))}. ${escapeHtml(c.adjudication.reason)}</div>` : ''}
+          </td>
+        </tr>`).join('\n')}
+      </tbody>
+    </table>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Screening Report - ${escapeHtml(trial.nctNumber || trial.title || entry.trialKey)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #1d1d1f; margin: 32px; font-size: 13px; line-height: 1.45; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #d2d2d7; padding-bottom: 4px; }
+    .subtitle { color: #6e6e73; margin-bottom: 16px; }
+    .facts { border-collapse: collapse; margin-bottom: 8px; }
+    .facts th { text-align: left; font-weight: 600; padding: 2px 16px 2px 0; white-space: nowrap; vertical-align: top; }
+    .facts td { padding: 2px 0; }
+    .outcome { display: inline-block; padding: 4px 12px; border-radius: 12px; font-weight: 600; text-transform: uppercase; }
+    .criteria { width: 100%; border-collapse: collapse; }
+    .criteria th, .criteria td { border: 1px solid #d2d2d7; padding: 6px 8px; text-align: left; vertical-align: top; }
+    .criteria th { background: #f5f5f7; }
+    .criteria tr { page-break-inside: avoid; }
+    .status { font-weight: 600; white-space: nowrap; }
+    .eligible, .matched { color: #00875a; }
+    .ineligible, .non-matched { color: #c0392b; }
+    .needs-review, .requires-review, .more-information-needed, .insufficient-data { color: #856404; }
+    .evidence { color: #6e6e73; font-style: italic; margin-top: 4px; }
+    .override { background: #fff3cd; padding: 4px 6px; margin-top: 4px; }
+    .signature { margin-top: 40px; display: flex; gap: 48px; }
+    .signature div { flex: 1; border-top: 1px solid #1d1d1f; padding-top: 4px; }
+    footer { margin-top: 32px; color: #6e6e73; font-size: 11px; }
+    @media print {
+      body { margin: 0; }
+      @page { margin: 18mm; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(trial.title || 'Clinical Trial Screening Report')}</h1>
+  <div class="subtitle">Eligibility screening report</div>
+
+  <table class="facts">
+${trialRows.map(([label, value]) => `    <tr><th>${label}</th><td>${escapeHtml(String(value))}</td></tr>`).join('\n')}
+  </table>
+
+  <h2>Screening Outcome</h2>
+  <table class="facts">
+    <tr><th>Patient ID</th><td>${escapeHtml(entry.patientId)}</td></tr>
+    <tr><th>Evaluation</th><td>${escapeHtml(entry.evaluationId)} (${escapeHtml(entry.evaluationType)})</td></tr>
+    <tr><th>Assessed</th><td>${formatDate(entry.timestamp)}</td></tr>
+    <tr><th>Overall Eligibility</th><td><span class="outcome ${escapeHtml(overallEligibility || '')}">${escapeHtml(formatStatus(overallEligibility))}</span></td></tr>
+${modelOverallEligibility ? `    <tr><th>Model Assessment</th><td>${escapeHtml(formatStatus(modelOverallEligibility))} (before reviewer overrides)</td></tr>\n` : ''}  </table>
+${summary ? `  <p>${escapeHtml(summary)}</p>\n` : ''}${criteriaSection('inclusion')}${criteriaSection('exclusion')}
+
+  <div class="signature">
+    <div>Reviewed by</div>
+    <div>Date</div>
+  </div>
+
+  <footer>
+    Generated ${formatDate(new Date().toISOString())} by Clinical Trial Matcher. Automated screening results support, and do not replace, review by the study team.
+  </footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Trial header fields for exports, from parsed registry data when available
+ * and otherwise from what the evaluation response recorded
+ * @param {Object} entry - Stored evaluation entry
+ * @param {Object} trialData - Optional parseNCT result for entry.nctNumber
+ * @returns {Object} { nctNumber, title, condition, phase, status, ageRange, gender }
+ */
+export function describeTrial(entry, trialData = null) {
+  if (trialData) {
+    return {
+      nctNumber: trialData.nctNumber || entry.nctNumber,
+      title: trialData.studyInfo?.briefTitle || null,
+      condition: trialData.studyInfo?.condition || null,
+      phase: trialData.studyInfo?.phase || null,
+      status: trialData.studyInfo?.overallStatus || null,
+      ageRange: trialData.eligibility
+        ? `${trialData.eligibility.minimumAge} to ${trialData.eligibility.maximumAge}`
+        : null,
+      gender: trialData.eligibility?.gender || null
+    };
+  }
+
+  const info = entry.response.trialInfo || {};
+  return {
+    nctNumber: entry.nctNumber,
+    title: entry.response.trialTitle || info.title || null,
+    condition: info.condition || null,
+    phase: info.phase || null,
+    status: info.status || null,
+    ageRange: info.ageRange || null,
+    gender: info.gender || null
+  };
+}
+
+/**
+ * Overall eligibility of a stored evaluation in either response shape
+ * @param {Object} entry - Stored evaluation entry
+ * @returns {string|null} Overall eligibility
+ */
+function getOverallEligibility(entry) {
+  return entry.response.overallAssessment?.eligibility || entry.response.overallEligibility || null;
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break.
+ * Field text comes from outside (registries, model output, reviewers and
+ * uploads), so text a spreadsheet would read as a formula is prefixed with an
+ * apostrophe.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape HTML characters to prevent XSS
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text ?? '').replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Status code as words, e.g. "more information needed"
+ * @param {string} status - Criterion or overall status
+ * @returns {string} Readable status
+ */
+function formatStatus(status) {
+  return status ? status.replace(/-/g, ' ') : 'unknown';
+}
+
+/**
+ * Formats an ISO timestamp for the report, independent of the server's locale
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} e.g. "2025-06-09 14:03:11 UTC"
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+/**
+ * Capitalizes the first letter
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
@@ -0,0 +1,262 @@
+// lib/evaluation-history.mjs
+//
+// Per-patient evaluation history. Every evaluation is stored under the
+// patient identifier it was run for, so eligibility can be followed over time
+// and two evaluations of the same trial compared criterion by criterion.
+// Reviewers can override criterion statuses on a stored evaluation; the model's
+// values are kept alongside and every override is added to an audit trail.
+
+import crypto from 'crypto';
+
+// Store in memory (in production, would use Redis or database)
+const evaluations = new Map();
+const evaluationIdsByPatient = new Map();
+
+/**
+ * Identifies the trial an evaluation was run against: the NCT number when
+ * there is one, otherwise a hash of the submitted criteria
+ * @param {string} nctNumber - Optional NCT number
+ * @param {Object} trialCriteria - Trial criteria object with inclusion/exclusion arrays
+ * @returns {string} Trial key, e.g. "NCT00000102" or "criteria-3f2a9c1e8b7d"
+ */
+export function identifyTrial(nctNumber, trialCriteria) {
+  if (nctNumber) return nctNumber;
+
+  const digest = crypto.createHash('sha256')
+    .update(JSON.stringify([trialCriteria.inclusionCriteria, trialCriteria.exclusionCriteria]))
+    .digest('hex');
+  return `criteria-${digest.slice(0, 12)}`;
+}
+
+/**
+ * Stores an evaluation response in its patient's history
+ * @param {Object} response - Evaluation response body with evaluationId, patientId and timestamp
+ * @param {Object} context - { trialCriteria, medicalRecord, recordHash, sessionId, registrySnapshot } the
+ *   evaluation was run on, the pre-populated session it was run from, if any, and for NCT trials the
+ *   registry entry as it was at the time
+ * @param {Object} options - { maxEvaluationsPerPatient } oldest entries beyond the limit are dropped
+ * @returns {Object} The stored entry
+ */
+export function recordEvaluation(response, { trialCriteria, medicalRecord, recordHash, sessionId, registrySnapshot }, { maxEvaluationsPerPatient = 100 } = {}) {
+  const entry = {
+    evaluationId: response.evaluationId,
+    patientId: response.patientId,
+    timestamp: response.timestamp,
+    evaluationType: response.evaluationType || (response.overallAssessment ? 'comprehensive' : 'basic'),
+    nctNumber: response.nctNumber || null,
+    trialKey: identifyTrial(response.nctNumber, trialCriteria),
+    trialCriteria,
+    medicalRecord,
+    recordHash,
+    sessionId: sessionId || null,
+    registrySnapshot: registrySnapshot || null,
+    response
+  };
+  evaluations.set(entry.evaluationId, entry);
+
+  // A re-screen after a registry change supersedes the evaluation it started from
+  const rescreened = response.rescreen && evaluations.get(response.rescreen.previousEvaluationId);
+  if (rescreened) rescreened.rescreenedBy = entry.evaluationId;
+
+  if (!evaluationIdsByPatient.has(entry.patientId)) evaluationIdsByPatient.set(entry.patientId, []);
+  const ids = evaluationIdsByPatient.get(entry.patientId);
+  ids.push(entry.evaluationId);
+
+  ids.splice(0, Math.max(0, ids.length - maxEvaluationsPerPatient)).forEach(id => evaluations.delete(id));
+  return entry;
+}
+
+/**
+ * Looks up a stored evaluation
+ * @param {string} evaluationId - Evaluation id
+ * @returns {Object|undefined} The stored entry
+ */
+export function getEvaluation(evaluationId) {
+  return evaluations.get(evaluationId);
+}
+
+/**
+ * Lists a patient's evaluations, newest first
+ * @param {string} patientId - Patient identifier
+ * @param {Object} filters - Optional { trialKey } to restrict to one trial
+ * @returns {Array|null} Stored entries, or null if the patient has no history
+ */
+export function listPatientEvaluations(patientId, { trialKey } = {}) {
+  const ids = evaluationIdsByPatient.get(patientId);
+  if (!ids) return null;
+
+  return ids
+    .map(id => evaluations.get(id))
+    .filter(entry => !trialKey || entry.trialKey === trialKey)
+    .reverse();
+}
+
+/**
+ * Lists every stored evaluation of NCT trials, oldest first
+ * @param {Object} filters - Optional { nctNumber } to restrict to one trial
+ * @returns {Array} Stored entries
+ */
+export function listTrialEvaluations({ nctNumber } = {}) {
+  return [...evaluations.values()]
+    .filter(entry => entry.nctNumber && (!nctNumber || entry.nctNumber === nctNumber));
+}
+
+/**
+ * Public summary of a stored evaluation
+ * @param {Object} entry - Stored entry
+ * @returns {Object} Ids, trial, overall eligibility and criterion status counts
+ */
+export function summarizeEvaluation(entry) {
+  const criteria = getCriteria(entry);
+  const statusCounts = {};
+  criteria.forEach(c => { statusCounts[c.status] = (statusCounts[c.status] || 0) + 1; });
+
+  return {
+    evaluationId: entry.evaluationId,
+    timestamp: entry.timestamp,
+    evaluationType: entry.evaluationType,
+    nctNumber: entry.nctNumber,
+    trialKey: entry.trialKey,
+    trialTitle: entry.response.trialTitle || entry.response.trialInfo?.title || null,
+    overallEligibility: getOverallEligibility(entry),
+    recordHash: entry.recordHash,
+    criteriaCount: criteria.length,
+    statusCounts,
+    adjudicatedCriteria: criteria.filter(c => c.adjudication).length
+  };
+}
+
+/**
+ * Records a reviewer's status for one criterion of a stored evaluation. The
+ * criterion's status becomes the reviewer's; the model's status is kept in
+ * its adjudication. The caller recomputes the overall eligibility.
+ * @param {Object} entry - Stored entry
+ * @param {number} index - Criterion index in results/criteriaAnalysis
+ * @param {Object} decision - { reviewer, status, reason }
+ * @returns {Object} Audit trail record of the change
+ */
+export function adjudicateCriterion(entry, index, { reviewer, status, reason }) {
+  const criterion = getCriteria(entry)[index];
+  const adjudicatedAt = new Date().toISOString();
+  const modelStatus = criterion.adjudication ? criterion.adjudication.modelStatus : criterion.status;
+
+  const record = {
+    criterionIndex: index,
+    criterion: criterion.criterion,
+    type: criterion.type,
+    previousStatus: criterion.status,
+    status,
+    modelStatus,
+    reviewer,
+    reason,
+    adjudicatedAt
+  };
+
+  criterion.status = status;
+  criterion.adjudication = { modelStatus, status, reviewer, reason, adjudicatedAt };
+
+  if (!entry.response.adjudication) {
+    entry.response.adjudication = { modelOverallEligibility: getOverallEligibility(entry), auditTrail: [] };
+  }
+  entry.response.adjudication.auditTrail.push(record);
+
+  return record;
+}
+
+/**
+ * Criterion statuses a reviewer may assign, in the vocabulary of the
+ * evaluation's response shape
+ * @param {Object} entry - Stored entry
+ * @returns {Array<string>} Allowed statuses
+ */
+export function getAllowedStatuses(entry) {
+  return entry.response.criteriaAnalysis
+    ? ['matched', 'non-matched', 'insufficient-data']
+    : ['matched', 'non-matched', 'more-information-needed'];
+}
+
+/**
+ * Criterion results of a stored evaluation in either response shape
+ * @param {Object} entry - Stored entry
+ * @returns {Array} Basic results or comprehensive criteriaAnalysis entries
+ */
+export function getCriteria(entry) {
+  return entry.response.criteriaAnalysis || entry.response.results || [];
+}
+
+/**
+ * Compares two evaluations of the same trial. Criteria are matched by type
+ * and text; criteria only present in one evaluation (e.g. after the registry
+ * entry changed) are reported as added or removed.
+ * @param {Object} from - Earlier stored entry
+ * @param {Object} to - Later stored entry
+ * @returns {Object} Overall eligibility change and per-criterion status changes
+ */
+export function diffEvaluations(from, to) {
+  const fromCriteria = indexCriteria(getCriteria(from));
+  const toCriteria = indexCriteria(getCriteria(to));
+
+  const describe = c => ({
+    status: c.status,
+    confidence: c.confidence ?? null,
+    method: c.method || 'model',
+    ...(c.adjudication && { adjudicatedBy: c.adjudication.reviewer })
+  });
+  const changedCriteria = [];
+  const addedCriteria = [];
+  let unchangedCount = 0;
+
+  for (const [key, after] of toCriteria) {
+    const before = fromCriteria.get(key);
+    if (!before) {
+      addedCriteria.push({ criterion: after.criterion, type: after.type, to: describe(after) });
+    } else if (before.status !== after.status) {
+      changedCriteria.push({ criterion: after.criterion, type: after.type, from: describe(before), to: describe(after) });
+    } else {
+      unchangedCount++;
+    }
+  }
+
+  const removedCriteria = [...fromCriteria]
+    .filter(([key]) => !toCriteria.has(key))
+    .map(([, before]) => ({ criterion: before.criterion, type: before.type, from: describe(before) }));
+
+  const fromEligibility = getOverallEligibility(from);
+  const toEligibility = getOverallEligibility(to);
+
+  return {
+    patientId: to.patientId,
+    trialKey: to.trialKey,
+    nctNumber: to.nctNumber,
+    from: summarizeEvaluation(from),
+    to: summarizeEvaluation(to),
+    recordChanged: from.recordHash !== to.recordHash,
+    overallEligibility: {
+      from: fromEligibility,
+      to: toEligibility,
+      changed: fromEligibility !== toEligibility
+    },
+    changedCriteria,
+    addedCriteria,
+    removedCriteria,
+    unchangedCount
+  };
+}
+
+/**
+ * Overall eligibility of a stored evaluation in either response shape
+ * @param {Object} entry - Stored entry
+ * @returns {string} Overall eligibility
+ */
+function getOverallEligibility(entry) {
+  return entry.response.overallAssessment?.eligibility || entry.response.overallEligibility || null;
+}
+
+/**
+ * Indexes criterion results by type and text
+ * @param {Array} criteria - Criterion results
+ * @returns {Map} "type:criterion" => result
+ */
+function indexCriteria(criteria) {
+  return new Map(criteria.map(c => [`${c.type}:${c.criterion}`, c]));
+}
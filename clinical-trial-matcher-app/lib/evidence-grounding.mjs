@@ -0,0 +1,251 @@
+// lib/evidence-grounding.mjs
+//
+// Checks that the evidence a model cites for a criterion actually appears in
+// the medical record. Quotes are matched token by token so differences in
+// case, punctuation and whitespace do not matter; a quote that only loosely
+// resembles the record is reported as partial. Verified spans carry character
+// offsets into the submitted record so the interface can highlight them.
+
+// Placeholder evidence written by the basic fallback or by models with nothing
+// to cite; there is nothing to verify
+const PLACEHOLDER_EVIDENCE = new Set([
+  '',
+  'see individual criterion evaluation',
+  'none',
+  'none identified',
+  'n/a',
+  'na',
+  'not applicable',
+  'not available'
+]);
+
+// Quotes stating that something is absent. Such quotes differ from true ones
+// only in what is absent ("No history of cardiac disease" vs "No history of
+// pancreatitis"), so they must be found word for word.
+const ABSENCE_QUOTE = /^(no|not|none|nothing|never|denies|denied|without|negative for|absence of|absent|there (?:is|are|was|were) no|(?:the )?patient (?:has|had|have) no|(?:the )?record does not)\b/i;
+
+const TOKEN_PATTERN = /[a-z]+|[0-9]+(?:\.[0-9]+)?/gi;
+
+// Quotes shorter than this many tokens must match exactly
+const MIN_FUZZY_TOKENS = 3;
+
+const DEFAULT_OPTIONS = {
+  minMatchScore: 0.85,
+  partialMatchScore: 0.6,
+  unverifiedConfidencePenalty: 0.5,
+  partialConfidencePenalty: 0.8
+};
+
+/**
+ * Splits text into lowercase tokens with their character offsets
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens as { token, start, end }
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    tokens.push({ token: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Splits a model's evidence text into the individual quotes it contains.
+ * Text in quotation marks is taken as the quotes; otherwise the evidence is
+ * split on ellipses, semicolons and line breaks.
+ * @param {string} evidence - evidenceFromRecord as returned by the model
+ * @returns {Array<string>} Candidate quotes
+ */
+export function splitEvidenceQuotes(evidence) {
+  const quoted = [...evidence.matchAll(/["“]([^"”]{3,})["”]/g)].map(m => m[1]);
+  const segments = quoted.length > 0 ? quoted : evidence.split(/\s*(?:\.\.\.|…|;|\n)\s*/);
+
+  return segments
+    .map(s => s.trim().replace(/^[-•*]\s*/, '').replace(/[.,]$/, ''))
+    .filter(s => tokenize(s).length > 0);
+}
+
+/**
+ * Finds the best match for a single quote in the record
+ * @param {Array} recordTokens - Tokens of the medical record
+ * @param {string} medicalRecord - Medical record text
+ * @param {string} quote - Quote to locate
+ * @param {boolean} exactOnly - Only accept the exact token sequence
+ * @returns {Object} { score, start, end, text } for the best window, score 0 when nothing matched
+ */
+function matchQuote(recordTokens, medicalRecord, quote, exactOnly = false) {
+  const quoteTokens = tokenize(quote).map(t => t.token);
+  const m = quoteTokens.length;
+  const noMatch = { score: 0, start: null, end: null, text: null };
+
+  if (m === 0 || recordTokens.length === 0) return noMatch;
+
+  const span = (from, to) => ({
+    start: recordTokens[from].start,
+    end: recordTokens[to].end,
+    text: medicalRecord.slice(recordTokens[from].start, recordTokens[to].end)
+  });
+
+  // Exact token sequence
+  for (let i = 0; i + m <= recordTokens.length; i++) {
+    let j = 0;
+    while (j < m && recordTokens[i + j].token === quoteTokens[j]) j++;
+    if (j === m) return { score: 1, ...span(i, i + m - 1) };
+  }
+
+  if (exactOnly || m < MIN_FUZZY_TOKENS || recordTokens.length < m) return noMatch;
+
+  // Sliding window scored by token overlap; the window is a little longer
+  // than the quote so a few inserted words do not break the match
+  const windowSize = Math.min(recordTokens.length, m + Math.ceil(m / 4));
+  const wanted = new Map();
+  quoteTokens.forEach(t => wanted.set(t, (wanted.get(t) || 0) + 1));
+  const inWindow = new Map();
+  let overlap = 0;
+  let best = { overlap: 0, from: 0 };
+
+  const add = token => {
+    const count = (inWindow.get(token) || 0) + 1;
+    inWindow.set(token, count);
+    if (count <= (wanted.get(token) || 0)) overlap++;
+  };
+  const remove = token => {
+    const count = inWindow.get(token);
+    inWindow.set(token, count - 1);
+    if (count <= (wanted.get(token) || 0)) overlap--;
+  };
+
+  for (let i = 0; i < recordTokens.length; i++) {
+    add(recordTokens[i].token);
+    if (i >= windowSize) remove(recordTokens[i - windowSize].token);
+    if (i >= windowSize - 1 && overlap > best.overlap) {
+      best = { overlap, from: i - windowSize + 1 };
+    }
+  }
+
+  if (best.overlap === 0) return noMatch;
+
+  // Trim window edges that do not belong to the quote
+  let from = best.from;
+  let to = best.from + windowSize - 1;
+  while (from < to && !wanted.has(recordTokens[from].token)) from++;
+  while (to > from && !wanted.has(recordTokens[to].token)) to--;
+
+  return { score: best.overlap / m, ...span(from, to) };
+}
+
+/**
+ * Verifies the evidence cited for one criterion against the medical record
+ * @param {string} evidence - evidenceFromRecord text
+ * @param {string} medicalRecord - Medical record text the evaluation was run on
+ * @param {Object} options - Optional { minMatchScore, partialMatchScore } thresholds
+ * @returns {Object} { status: verified|partial|unverified|not-applicable, score, spans, unverifiedQuotes }
+ */
+export function verifyEvidence(evidence, medicalRecord, options = {}) {
+  const { minMatchScore, partialMatchScore } = { ...DEFAULT_OPTIONS, ...options };
+  const text = typeof evidence === 'string' ? evidence.trim() : '';
+
+  // Statements of absence are checked too: only the record can show that the
+  // patient has no history of something
+  if (PLACEHOLDER_EVIDENCE.has(text.toLowerCase().replace(/[.]$/, ''))) {
+    return { status: 'not-applicable', score: null, spans: [], unverifiedQuotes: [] };
+  }
+
+  const recordTokens = tokenize(medicalRecord);
+  const spans = [];
+  const unverifiedQuotes = [];
+  let verifiedCount = 0;
+  let scoreTotal = 0;
+
+  const quotes = splitEvidenceQuotes(text);
+  for (const quote of quotes) {
+    const match = matchQuote(recordTokens, medicalRecord, quote, ABSENCE_QUOTE.test(quote));
+    scoreTotal += match.score;
+
+    if (match.score >= minMatchScore) {
+      verifiedCount++;
+      spans.push({ start: match.start, end: match.end, text: match.text, score: round(match.score), quote });
+    } else if (match.score >= partialMatchScore) {
+      spans.push({ start: match.start, end: match.end, text: match.text, score: round(match.score), quote, partial: true });
+      unverifiedQuotes.push(quote);
+    } else {
+      unverifiedQuotes.push(quote);
+    }
+  }
+
+  const checked = verifiedCount + unverifiedQuotes.length;
+  if (checked === 0) {
+    return { status: 'not-applicable', score: null, spans: [], unverifiedQuotes: [] };
+  }
+
+  let status = 'partial';
+  if (verifiedCount === checked) status = 'verified';
+  else if (spans.length === 0) status = 'unverified';
+
+  return { status, score: round(scoreTotal / checked), spans, unverifiedQuotes };
+}
+
+/**
+ * Verifies the evidence of every entry in a comprehensive criteriaAnalysis and
+ * downgrades entries whose evidence cannot be found. A definitive status
+ * (matched/non-matched) resting only on unverifiable quotes becomes
+ * insufficient-data; partially verified evidence lowers the confidence.
+ * @param {Array} criteriaAnalysis - Comprehensive criteriaAnalysis entries
+ * @param {string} medicalRecord - Medical record text the evaluation was run on
+ * @param {Object} options - Optional thresholds and confidence penalties
+ * @returns {Object} { criteriaAnalysis, summary } with evidenceGrounding added to every entry
+ */
+export function groundCriteriaAnalysis(criteriaAnalysis, medicalRecord, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const summary = { verified: 0, partial: 0, unverified: 0, notApplicable: 0, downgraded: 0 };
+
+  const grounded = criteriaAnalysis.map(entry => {
+    const grounding = verifyEvidence(entry.evidenceFromRecord, medicalRecord, settings);
+    const key = grounding.status === 'not-applicable' ? 'notApplicable' : grounding.status;
+    summary[key]++;
+
+    const confidence = typeof entry.confidence === 'number' ? entry.confidence : 0;
+    let adjusted = null;
+
+    if (grounding.status === 'unverified') {
+      adjusted = {
+        status: entry.status === 'matched' || entry.status === 'non-matched' ? 'insufficient-data' : entry.status,
+        confidence: round(confidence * settings.unverifiedConfidencePenalty)
+      };
+    } else if (grounding.status === 'partial') {
+      adjusted = { status: entry.status, confidence: round(confidence * settings.partialConfidencePenalty) };
+    }
+
+    if (!adjusted || (adjusted.status === entry.status && adjusted.confidence === confidence)) {
+      return { ...entry, evidenceGrounding: grounding };
+    }
+
+    summary.downgraded++;
+    return {
+      ...entry,
+      status: adjusted.status,
+      confidence: adjusted.confidence,
+      evidenceGrounding: {
+        ...grounding,
+        adjustment: {
+          originalStatus: entry.status,
+          originalConfidence: confidence,
+          reason: grounding.status === 'unverified'
+            ? 'Cited evidence could not be found in the medical record'
+            : 'Some of the cited evidence could not be found in the medical record'
+        }
+      }
+    };
+  });
+
+  return { criteriaAnalysis: grounded, summary };
+}
+
+/**
+ * Rounds a score or confidence to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
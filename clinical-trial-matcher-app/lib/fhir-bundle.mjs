@@ -0,0 +1,326 @@
+// lib/fhir-bundle.mjs
+//
+// Converts a FHIR R4 Bundle into the two forms the matcher works with: a
+// readable narrative that takes the place of the free-text medical record, and
+// structured patient facts for deterministic criterion checks. Facts carry
+// offsets into the narrative, so their evidence can be highlighted like facts
+// extracted from text. Resource types the converter does not read are counted
+// and reported rather than dropped silently.
+
+import { buildObservationFact } from './criterion-rules.mjs';
+
+// Medication resources are read through MedicationStatement.medicationReference
+const SUPPORTED_TYPES = new Set(['Patient', 'Condition', 'MedicationStatement', 'Observation', 'Medication']);
+
+const LOINC_SYSTEM = 'http://loinc.org';
+
+/**
+ * Checks that a value is a FHIR Bundle the converter can read
+ * @param {*} bundle - Candidate bundle
+ * @returns {string|null} Error message, or null if the bundle is usable
+ */
+export function validateFhirBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return 'Field "fhirBundle" must be a FHIR R4 Bundle object.';
+  }
+  if (bundle.resourceType !== 'Bundle') {
+    return `Field "fhirBundle" must have resourceType "Bundle" (received "${bundle.resourceType}").`;
+  }
+  if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+    return 'Field "fhirBundle" must contain at least one entry.';
+  }
+  return null;
+}
+
+/**
+ * Converts a bundle to a narrative and structured facts
+ * @param {Object} bundle - FHIR R4 Bundle (see validateFhirBundle)
+ * @param {Object} options - { referenceDate, offset } date ages are computed against, and the
+ *   position of the narrative in the full record when it follows other text
+ * @returns {Object} { narrative, facts, summary } where facts has the extractPatientFacts shape plus
+ *   conditions, medications and observations, and summary counts converted and unsupported resources
+ */
+export function convertFhirBundle(bundle, { referenceDate = new Date(), offset = 0 } = {}) {
+  const resources = bundle.entry.map(entry => entry?.resource).filter(r => r && typeof r === 'object');
+  const resourceCounts = {};
+  const unsupported = {};
+  let enteredInError = 0;
+
+  resources.forEach(resource => {
+    const type = resource.resourceType || 'Unknown';
+    if (SUPPORTED_TYPES.has(type)) {
+      resourceCounts[type] = (resourceCounts[type] || 0) + 1;
+    } else {
+      unsupported[type] = (unsupported[type] || 0) + 1;
+    }
+  });
+
+  const isCurrent = resource => {
+    const status = resource.verificationStatus?.coding?.[0]?.code || resource.status;
+    if (status === 'entered-in-error') {
+      enteredInError++;
+      return false;
+    }
+    return true;
+  };
+  const ofType = type => resources.filter(r => r.resourceType === type).filter(isCurrent);
+
+  // Narrative lines are written in order; offsets of every line are tracked
+  // so facts can point at the text that states them
+  const lines = [];
+  let length = offset;
+  const addLine = text => {
+    const lineOffset = length;
+    lines.push(text);
+    length += text.length + 1;
+    return lineOffset;
+  };
+
+  const facts = {
+    age: null,
+    sex: null,
+    labs: {},
+    performance: {},
+    conditions: [],
+    medications: [],
+    observations: []
+  };
+
+  addLine('Patient record converted from a FHIR R4 Bundle.');
+
+  const patient = ofType('Patient')[0];
+  if (patient) {
+    addLine('');
+    if (patient.gender) {
+      const quote = `Sex: ${patient.gender}`;
+      const lineOffset = addLine(quote);
+      if (patient.gender === 'female' || patient.gender === 'male') {
+        facts.sex = { value: patient.gender, quote, offset: lineOffset };
+      }
+    }
+    if (patient.birthDate) {
+      const age = computeAge(patient.birthDate, referenceDate);
+      const quote = `Date of birth: ${patient.birthDate}`;
+      const lineOffset = addLine(age === null ? quote : `${quote} (age ${age})`);
+      if (age !== null) {
+        facts.age = { value: age, quote, offset: lineOffset };
+      }
+    }
+    if (patient.deceasedBoolean || patient.deceasedDateTime) {
+      addLine(`Deceased${patient.deceasedDateTime ? `: ${patient.deceasedDateTime}` : ''}`);
+    }
+  }
+
+  const conditions = ofType('Condition');
+  if (conditions.length > 0) {
+    addLine('');
+    addLine('Conditions:');
+    conditions.forEach(condition => {
+      const text = codeText(condition.code);
+      const clinicalStatus = condition.clinicalStatus?.coding?.[0]?.code || null;
+      const verificationStatus = condition.verificationStatus?.coding?.[0]?.code || null;
+      const onsetDate = condition.onsetDateTime || condition.onsetPeriod?.start || condition.onsetString || null;
+      const abatementDate = condition.abatementDateTime || condition.abatementPeriod?.start || condition.abatementString || null;
+
+      const details = [
+        clinicalStatus,
+        verificationStatus && verificationStatus !== 'confirmed' ? verificationStatus : null,
+        onsetDate ? `onset ${onsetDate}` : null,
+        abatementDate ? `resolved ${abatementDate}` : null
+      ].filter(Boolean);
+      const quote = `${text}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+      const lineOffset = addLine(`- ${quote}`);
+
+      facts.conditions.push({
+        text,
+        codes: codings(condition.code),
+        clinicalStatus,
+        verificationStatus,
+        onsetDate,
+        abatementDate,
+        quote,
+        offset: lineOffset + 2
+      });
+    });
+  }
+
+  const medicationsById = new Map();
+  resources.filter(r => r.resourceType === 'Medication').forEach(medication => {
+    if (medication.id) medicationsById.set(`Medication/${medication.id}`, medication);
+  });
+  bundle.entry.forEach(entry => {
+    if (entry?.fullUrl && entry.resource?.resourceType === 'Medication') {
+      medicationsById.set(entry.fullUrl, entry.resource);
+    }
+  });
+
+  const statements = ofType('MedicationStatement');
+  if (statements.length > 0) {
+    addLine('');
+    addLine('Medications:');
+    statements.forEach(statement => {
+      const concept = statement.medicationCodeableConcept ||
+        medicationsById.get(statement.medicationReference?.reference)?.code;
+      const text = codeText(concept) || statement.medicationReference?.display || 'Unnamed medication';
+      const startDate = statement.effectiveDateTime || statement.effectivePeriod?.start || null;
+      const endDate = statement.effectivePeriod?.end || null;
+      const dosage = statement.dosage?.[0]?.text || null;
+
+      const details = [
+        statement.status,
+        startDate ? `since ${startDate}` : null,
+        endDate ? `until ${endDate}` : null
+      ].filter(Boolean);
+      const quote = `${text}${details.length > 0 ? ` (${details.join(', ')})` : ''}${dosage ? `; ${dosage}` : ''}`;
+      const lineOffset = addLine(`- ${quote}`);
+
+      facts.medications.push({
+        text,
+        codes: codings(concept),
+        status: statement.status || null,
+        startDate,
+        endDate,
+        dosage,
+        quote,
+        offset: lineOffset + 2
+      });
+    });
+  }
+
+  const observations = ofType('Observation').filter(o => o.status !== 'cancelled');
+  if (observations.length > 0) {
+    addLine('');
+    addLine('Observations:');
+    observations.forEach(observation => {
+      const name = codeText(observation.code);
+      const loinc = codings(observation.code).find(c => c.system === LOINC_SYSTEM)?.code || null;
+      const date = observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued || null;
+      const { value, unit } = observationValue(observation);
+
+      // Recognized analytes are written under their usual label so the
+      // narrative reads the same as a clinical note
+      const recognized = typeof value === 'number'
+        ? buildObservationFact({ name, loinc, value, unit })
+        : null;
+      const label = recognized ? recognized.label : name;
+      const quote = `${label}: ${formatValue(observation, value, unit)}`;
+      const lineOffset = addLine(`- ${quote}${date ? ` (${date})` : ''}`);
+
+      facts.observations.push({ text: name, loinc, value, unit, date, quote, offset: lineOffset + 2 });
+
+      if (recognized) {
+        const fact = { ...recognized.fact, quote, offset: lineOffset + 2, date };
+        const existing = facts[recognized.category][recognized.key];
+        // The most recent value is used; undated values rank by bundle order
+        if (!existing || !existing.date || !date || Date.parse(date) >= Date.parse(existing.date)) {
+          facts[recognized.category][recognized.key] = existing
+            ? { ...fact, mentions: (existing.mentions || 1) + 1 }
+            : fact;
+        } else if (existing.mentions) {
+          existing.mentions++;
+        }
+      }
+    });
+  }
+
+  const unsupportedResources = Object.entries(unsupported)
+    .map(([resourceType, count]) => ({ resourceType, count }));
+
+  if (unsupportedResources.length > 0) {
+    addLine('');
+    addLine(`Not included in this summary: ${unsupportedResources.map(u => `${u.resourceType} (${u.count})`).join(', ')}`);
+  }
+
+  return {
+    narrative: lines.join('\n'),
+    facts,
+    summary: {
+      resourceCounts,
+      unsupportedResources,
+      enteredInError
+    }
+  };
+}
+
+/**
+ * Human-readable text of a CodeableConcept
+ * @param {Object} concept - FHIR CodeableConcept
+ * @returns {string|null} text, else the first coding's display or code
+ */
+function codeText(concept) {
+  if (!concept) return null;
+  const coding = concept.coding?.find(c => c.display) || concept.coding?.[0];
+  return concept.text || coding?.display || coding?.code || null;
+}
+
+/**
+ * Codings of a CodeableConcept
+ * @param {Object} concept - FHIR CodeableConcept
+ * @returns {Array} { system, code, display } for each coding
+ */
+function codings(concept) {
+  return (concept?.coding || []).map(c => ({
+    system: c.system || null,
+    code: c.code || null,
+    display: c.display || null
+  }));
+}
+
+/**
+ * Reads an Observation's value
+ * @param {Object} observation - FHIR Observation
+ * @returns {Object} { value, unit } where value is a number, string, boolean or null
+ */
+function observationValue(observation) {
+  if (observation.valueQuantity) {
+    return {
+      value: observation.valueQuantity.value ?? null,
+      unit: observation.valueQuantity.unit || observation.valueQuantity.code || null
+    };
+  }
+  if (observation.valueInteger !== undefined) return { value: observation.valueInteger, unit: null };
+  if (observation.valueString !== undefined) return { value: observation.valueString, unit: null };
+  if (observation.valueBoolean !== undefined) return { value: observation.valueBoolean, unit: null };
+  if (observation.valueCodeableConcept) return { value: codeText(observation.valueCodeableConcept), unit: null };
+  return { value: null, unit: null };
+}
+
+/**
+ * Formats an Observation's value for the narrative, including components
+ * such as the systolic and diastolic parts of a blood pressure
+ * @param {Object} observation - FHIR Observation
+ * @param {*} value - Value from observationValue
+ * @param {string} unit - Unit from observationValue
+ * @returns {string} Formatted value
+ */
+function formatValue(observation, value, unit) {
+  if (value !== null && value !== undefined) {
+    return `${value}${unit ? ` ${unit}` : ''}`;
+  }
+
+  const components = (observation.component || []).map(component => {
+    const part = observationValue(component);
+    return `${codeText(component.code)} ${part.value ?? 'no value'}${part.unit ? ` ${part.unit}` : ''}`;
+  });
+  if (components.length > 0) return components.join(', ');
+
+  return observation.dataAbsentReason ? `not available (${codeText(observation.dataAbsentReason)})` : 'no value';
+}
+
+/**
+ * Age in whole years on a reference date
+ * @param {string} birthDate - FHIR date; only full dates (YYYY-MM-DD) give an age
+ * @param {Date} referenceDate - Date to compute the age on
+ * @returns {number|null} Age, or null for partial or invalid dates
+ */
+function computeAge(birthDate, referenceDate) {
+  const match = String(birthDate).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  let age = referenceDate.getFullYear() - year;
+  const beforeBirthday = referenceDate.getMonth() + 1 < month ||
+    (referenceDate.getMonth() + 1 === month && referenceDate.getDate() < day);
+  if (beforeBirthday) age--;
+  return age >= 0 && age <= 130 ? age : null;
+}
@@ -0,0 +1,98 @@
+// lib/handoff-page.mjs
+//
+// Printable handoff page for a share link. A clinician opens it on the
+// workstation and scans the QR code with a tablet or phone, or prints it for a
+// colleague. The page shows the trial and when the link stops working, but no
+// patient data: the record is only reachable through the code itself.
+
+/**
+ * Builds the handoff page of a share link
+ * @param {Object} handoff - { qrSvg, trial, expiresAt, singleUse, kind } the QR code as SVG markup,
+ *   trial { nctNumber, title } if known, token expiry, whether the link works once, and the token
+ *   kind ('session' or 'link')
+ * @returns {string} Complete HTML document
+ */
+export function buildHandoffPage({ qrSvg, trial = {}, expiresAt, singleUse, kind }) {
+  const heading = trial.title || trial.nctNumber || 'Clinical Trial Screening';
+  const usage = singleUse
+    ? 'The link works once: the first device to open it uses it up.'
+    : 'The link can be opened more than once until it expires.';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="referrer" content="no-referrer">
+  <title>Handoff - ${escapeHtml(trial.nctNumber || heading)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #1d1d1f; margin: 32px; font-size: 14px; line-height: 1.45; text-align: center; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .subtitle { color: #6e6e73; margin-bottom: 24px; }
+    .code { display: inline-block; padding: 16px; border: 1px solid #d2d2d7; border-radius: 12px; background: #ffffff; }
+    .code svg { display: block; max-width: 80vw; height: auto; }
+    .facts { border-collapse: collapse; margin: 24px auto 8px; text-align: left; }
+    .facts th { font-weight: 600; padding: 2px 16px 2px 0; white-space: nowrap; vertical-align: top; }
+    .facts td { padding: 2px 0; }
+    ol { display: inline-block; text-align: left; margin: 8px auto; }
+    .notice { max-width: 520px; margin: 16px auto; background: #fff3cd; padding: 8px 12px; border-radius: 8px; color: #856404; }
+    .btn { background: #007AFF; color: white; border: none; border-radius: 12px; padding: 10px 24px; font-size: 15px; font-weight: 600; cursor: pointer; margin-top: 16px; }
+    footer { margin-top: 32px; color: #6e6e73; font-size: 11px; }
+    @media print {
+      body { margin: 0; }
+      @page { margin: 18mm; }
+      .btn { display: none; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(heading)}</h1>
+  <div class="subtitle">${kind === 'session' ? 'Pre-populated screening session' : 'Screening link'}${trial.nctNumber && trial.title ? ` &middot; ${escapeHtml(trial.nctNumber)}` : ''}</div>
+
+  <div class="code">${qrSvg}</div>
+
+  <table class="facts">
+    <tr><th>Expires</th><td>${formatDate(expiresAt)}</td></tr>
+    <tr><th>Use</th><td>${singleUse ? 'Single use' : 'Until expiry'}</td></tr>
+  </table>
+
+  <ol>
+    <li>Open the camera on the tablet or phone.</li>
+    <li>Point it at the code and open the link it shows.</li>
+    <li>The matcher opens with the patient's record and trial filled in.</li>
+  </ol>
+
+  <div class="notice">${escapeHtml(usage)} Anyone who scans the code before then can open the patient's record, so do not leave printouts unattended.</div>
+
+  <button class="btn" onclick="window.print()">Print</button>
+
+  <footer>
+    Generated ${formatDate(new Date().toISOString())} by Clinical Trial Matcher. This page contains no patient information.
+  </footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escape HTML characters to prevent XSS
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text ?? '').replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Formats an ISO timestamp for the page, independent of the server's locale
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} e.g. "2025-06-09 14:03:11 UTC"
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
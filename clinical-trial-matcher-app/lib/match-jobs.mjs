@@ -0,0 +1,199 @@
+// lib/match-jobs.mjs
+//
+// Background matching jobs. A job wraps one evaluation, records every
+// per-criterion result as an event so late subscribers can replay them, and
+// can be cancelled through an AbortSignal handed to the evaluation. Cohort
+// jobs report per-record results the same way.
+
+// Store in memory (in production, would use Redis or database)
+const jobs = new Map();
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+// Event name and progress fields for each kind of item a job reports
+const PROGRESS_UNITS = {
+  criteria: { event: 'criterion', completed: 'completedCriteria', total: 'totalCriteria', results: 'criteriaResults' },
+  records: { event: 'record', completed: 'completedRecords', total: 'totalRecords', results: 'recordResults' }
+};
+
+/**
+ * Creates a job and starts running it on the next tick
+ * @param {string} type - Endpoint the job was created from, e.g. "comprehensive-match"
+ * @param {number} total - Number of results the job is expected to emit
+ * @param {Function} run - async ({ onResult, signal }) => result
+ * @param {Object} options - { retentionMinutes, unit } how long finished jobs are kept, and whether
+ *   results are 'criteria' (default) or cohort 'records'
+ * @returns {Object} The job
+ */
+export function createJob(type, total, run, { retentionMinutes = 60, unit = 'criteria' } = {}) {
+  cleanupExpiredJobs();
+
+  const fields = PROGRESS_UNITS[unit];
+
+  const job = {
+    id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    expiresAt: null,
+    retentionMinutes,
+    unit,
+    progress: { [fields.completed]: 0, [fields.total]: total },
+    result: null,
+    error: null,
+    events: [],
+    listeners: new Set(),
+    controller: new AbortController()
+  };
+  jobs.set(job.id, job);
+
+  setImmediate(() => runJob(job, run));
+  return job;
+}
+
+/**
+ * Runs a job's evaluation and records its outcome
+ * @param {Object} job - Job created by createJob
+ * @param {Function} run - async ({ onResult, signal }) => result
+ */
+async function runJob(job, run) {
+  if (job.status !== 'queued') return;
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  emit(job, 'status', { status: job.status });
+
+  try {
+    const result = await run({
+      signal: job.controller.signal,
+      onResult: entry => {
+        if (job.status !== 'running') return;
+        const fields = PROGRESS_UNITS[job.unit];
+        job.progress[fields.completed]++;
+        job.progress[fields.total] = Math.max(job.progress[fields.total], job.progress[fields.completed]);
+        emit(job, fields.event, { result: entry, progress: { ...job.progress } });
+      }
+    });
+
+    if (job.status !== 'running') return;
+    job.result = result;
+    finish(job, 'completed', { result });
+  } catch (error) {
+    if (job.status !== 'running') return;
+    console.error(`Error in job ${job.id}:`, error);
+    job.error = error.message || 'Evaluation failed';
+    finish(job, 'failed', { error: job.error });
+  }
+}
+
+/**
+ * Moves a job to a terminal status and notifies subscribers
+ * @param {Object} job - Job to finish
+ * @param {string} status - completed, failed or cancelled
+ * @param {Object} data - Event payload
+ */
+function finish(job, status, data) {
+  job.status = status;
+  job.completedAt = new Date().toISOString();
+  job.expiresAt = new Date(Date.now() + job.retentionMinutes * 60 * 1000).toISOString();
+  emit(job, status, { status, ...data });
+  job.listeners.clear();
+}
+
+/**
+ * Records an event and delivers it to current subscribers
+ * @param {Object} job - Job the event belongs to
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function emit(job, event, data) {
+  const record = { id: job.events.length + 1, event, data };
+  job.events.push(record);
+  for (const listener of job.listeners) {
+    listener(record);
+  }
+}
+
+/**
+ * Looks up a job by id
+ * @param {string} jobId - Job id
+ * @returns {Object|undefined} The job
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId);
+}
+
+/**
+ * Cancels a job that has not finished; finished jobs are left unchanged
+ * @param {string} jobId - Job id
+ * @returns {Object|undefined} The job
+ */
+export function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || TERMINAL_STATUSES.has(job.status)) return job;
+
+  job.controller.abort();
+  finish(job, 'cancelled', {});
+  return job;
+}
+
+/**
+ * Subscribes to a job's events, replaying those after lastEventId first
+ * @param {Object} job - Job to follow
+ * @param {number} lastEventId - Id of the last event the subscriber already has
+ * @param {Function} listener - Called with { id, event, data } for each event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(job, lastEventId, listener) {
+  job.events.filter(record => record.id > lastEventId).forEach(listener);
+
+  if (TERMINAL_STATUSES.has(job.status)) return () => {};
+
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+/**
+ * Checks whether a job has finished
+ * @param {Object} job - Job to check
+ * @returns {boolean} True for completed, failed and cancelled jobs
+ */
+export function isJobFinished(job) {
+  return TERMINAL_STATUSES.has(job.status);
+}
+
+/**
+ * Public view of a job
+ * @param {Object} job - Job to describe
+ * @returns {Object} Job status, progress and, once completed, the result
+ */
+export function describeJob(job) {
+  const fields = PROGRESS_UNITS[job.unit];
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    progress: job.progress,
+    [fields.results]: job.events.filter(e => e.event === fields.event).map(e => e.data.result),
+    ...(job.result && { result: job.result }),
+    ...(job.error && { error: job.error })
+  };
+}
+
+/**
+ * Removes finished jobs past their retention period
+ */
+function cleanupExpiredJobs() {
+  const now = new Date();
+  for (const [jobId, job] of jobs.entries()) {
+    if (job.expiresAt && new Date(job.expiresAt) < now) {
+      jobs.delete(jobId);
+    }
+  }
+}
@@ -0,0 +1,641 @@
+// lib/medication-normalization.mjs
+//
+// Medication normalization against a bundled offline drug vocabulary, and
+// deterministic evaluation of medication criteria ("concomitant use of strong
+// CYP3A4 inhibitors", "anticoagulants", "no systemic corticosteroids"). The
+// patient's medications are read from the record's medication list and from
+// free text, and each brand or ingredient is mapped to its ingredients and
+// drug classes, so a criterion naming a class matches "Eliquis" without the
+// model having to know what Eliquis is. A match reports the medication that
+// triggered it. A criterion is only found not to apply when the record has a
+// medication list whose every entry is in the vocabulary; anything less
+// certain is left to the model.
+
+import fs from 'fs';
+
+const DEFAULT_VOCABULARY_FILE = new URL('../data/drug-vocabulary.json', import.meta.url);
+
+let vocabulary = null;
+let vocabularySource = null;
+
+// Section headers that open the patient's medication list
+const MEDICATION_HEADER = /^(?:(?:current|home|active|outpatient|discharge|admission|concomitant|chronic|ongoing)\s+)*(?:medications?|meds|medication list|prescriptions|drug therapy)(?:\s+(?:list|on admission|at home|\(current\)))?$/i;
+
+// Section headers whose entries are not medications the patient takes
+const ALLERGY_HEADER = /^(?:(?:drug|medication)\s+)?(?:allerg(?:y|ies)|intolerances?|adverse (?:drug )?reactions?)(?:\s*(?:\/|and)\s*(?:allerg(?:y|ies)|intolerances?|adverse reactions?))?$/i;
+
+// A medication list stating that there are none
+const NO_MEDICATIONS = /^(?:none|nil|nkda|n\/a|no (?:current |known |home |regular )?(?:medications?|meds))\.?$/i;
+
+// Sentences about allergies or reactions, not use
+const ALLERGY_CONTEXT = /\b(?:allerg\w*|intoleran\w*|hypersensitiv\w*|anaphyla\w*|reaction to)\b/i;
+
+// Context words giving the status of a mention, checked in this order. FHIR
+// MedicationStatement statuses appear in the narrative as "(stopped, ...)".
+const STATUS_PATTERNS = [
+  { status: 'not-taking', pattern: /\b(?:not (?:on|taking|using|receiving)|denies|never (?:taken|used|on)|not-taken|declined)\b/i },
+  { status: 'past', pattern: /\b(?:discontinued|stopped|d\/c'?d|held|holding|on-hold|off|ceased|completed|finished|previously|formerly|former|prior|past|history of|hx of|was on|were on|switched from|changed from|no longer|quit|entered-in-error)\b/i },
+  { status: 'planned', pattern: /\b(?:plan(?:ned|ning)?|will (?:start|begin|initiate)|to (?:start|begin|initiate)|consider(?:ing)?|recommend(?:ed)?|discuss(?:ed)?|candidate for|intended|pending)\b/i },
+  { status: 'current', pattern: /\b(?:takes|taking|on|continues?|continuing|continued|currently|current|receiving|receives|using|uses|started|starting|began|active|daily|bid|tid|qid|qd|qhs|qam|qpm|prn|mg|mcg|units?|tabs?|tablets?|capsules?)\b/i }
+];
+
+// Routes of administration, checked in this order
+const ROUTE_PATTERNS = [
+  { route: 'inhaled', pattern: /\b(?:inhaled|inhalers?|inhalation|nebuli[sz]ed|nebuli[sz]er|mdi|dpi|hfa|puffs?)\b/i },
+  { route: 'nasal', pattern: /\b(?:nasal|intranasal|nasally)\b/i },
+  { route: 'ophthalmic', pattern: /\b(?:ophthalmic|eye drops?|gtts)\b/i },
+  { route: 'otic', pattern: /\b(?:otic|ear drops?)\b/i },
+  { route: 'topical', pattern: /\b(?:topical|topically|cream|ointment|gel|lotion|foam|shampoo|paste|wash|cleanser|lacquer|apply|applied|(?<!\b(?:oral|injectable|intravenous|iv)\s+)solution(?!\s+for\s+(?:injection|infusion)))\b/i },
+  { route: 'transdermal', pattern: /\b(?:transdermal|patch)\b/i },
+  { route: 'intra-articular', pattern: /\b(?:intra-articular|intraarticular|joint injection)\b/i },
+  { route: 'intravenous', pattern: /\b(?:iv|intravenous|intravenously|infusion)\b/i },
+  { route: 'intramuscular', pattern: /\b(?:im|intramuscular|intramuscularly)\b/i },
+  { route: 'subcutaneous', pattern: /\b(?:subcutaneous|subcutaneously|sc|subq|sq)\b/i },
+  { route: 'oral', pattern: /\b(?:oral|orally|po|tablets?|tabs?|capsules?|caps?)\b/i }
+];
+
+// Words that carry no meaning in a medication criterion once its drugs and
+// classes are identified
+const MEDICATION_FILLER = new Set([
+  'a', 'an', 'the', 'any', 'of', 'with', 'or', 'and/or', 'current', 'currently', 'concomitant', 'concomitantly',
+  'concurrent', 'concurrently', 'ongoing', 'chronic', 'chronically', 'regular', 'regularly', 'active', 'use',
+  'uses', 'using', 'used', 'user', 'users', 'treatment', 'treated', 'therapy', 'taking', 'take', 'takes',
+  'receiving', 'receive', 'receives', 'on', 'requiring', 'require', 'requires', 'requirement', 'need', 'needs',
+  'for', 'patient', 'patients', 'subject', 'subjects', 'participant', 'participants', 'who', 'are', 'is', 'be',
+  'must', 'medication', 'medications', 'drug', 'drugs', 'agent', 'agents', 'at', 'time', 'screening',
+  'enrollment', 'enrolment', 'study', 'entry', 'during', 'known', 'other', 'administration', 'administered'
+]);
+
+// Connectors between alternatives; an elided name is completed across them
+const ALTERNATIVE_CONNECTORS = new Set(['or', 'and/or', ',']);
+
+/**
+ * Escapes a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a case-insensitive regular expression matching any of the names as
+ * whole words, longest first
+ * @param {Array} names - Names, lower case
+ * @param {Function} toPattern - Converts an escaped name into its pattern
+ */
+function buildNamePattern(names, toPattern = name => name) {
+  const alternatives = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(name => toPattern(escapeRegExp(name)));
+  return new RegExp(`(?<![a-z0-9])(?:${alternatives.join('|')})(?![a-z0-9])`, 'gi');
+}
+
+/**
+ * Indexes a vocabulary file: classes with the ancestors each one belongs to,
+ * and every ingredient, brand and combination name in lower case
+ */
+function buildVocabulary({ classes, drugs, combinations = {} }) {
+  const classIndex = new Map();
+  for (const [key, definition] of Object.entries(classes)) {
+    classIndex.set(key, {
+      key,
+      label: definition.label,
+      names: definition.names.map(name => name.toLowerCase()),
+      parents: definition.parents || [],
+      excludedRoutes: definition.excludedRoutes || []
+    });
+  }
+  // A class belongs to itself and every class above it
+  const ancestorsOf = (key, seen = new Set()) => {
+    if (seen.has(key) || !classIndex.has(key)) return seen;
+    seen.add(key);
+    classIndex.get(key).parents.forEach(parent => ancestorsOf(parent, seen));
+    return seen;
+  };
+  classIndex.forEach(definition => {
+    definition.ancestors = [...ancestorsOf(definition.key)];
+  });
+
+  const drugIndex = new Map();
+  const names = new Map();
+  for (const [ingredient, definition] of Object.entries(drugs)) {
+    const key = ingredient.toLowerCase();
+    const drugClasses = new Set((definition.classes || []).flatMap(c => classIndex.get(c)?.ancestors || []));
+    drugIndex.set(key, {
+      ingredient: key,
+      brands: (definition.brands || []).map(brand => brand.toLowerCase()),
+      directClasses: definition.classes || [],
+      classes: [...drugClasses],
+      routes: definition.routes || []
+    });
+    names.set(key, { ingredients: [key], brand: false });
+  }
+  drugIndex.forEach(drug => {
+    drug.brands.forEach(brand => {
+      if (!names.has(brand)) names.set(brand, { ingredients: [drug.ingredient], brand: true });
+    });
+  });
+  for (const [brand, ingredients] of Object.entries(combinations)) {
+    const known = ingredients.map(i => i.toLowerCase()).filter(i => drugIndex.has(i));
+    if (known.length > 0 && !names.has(brand.toLowerCase())) {
+      names.set(brand.toLowerCase(), { ingredients: known, brand: true });
+    }
+  }
+
+  const classNames = new Map();
+  classIndex.forEach(definition => definition.names.forEach(name => {
+    if (!classNames.has(name)) classNames.set(name, definition.key);
+  }));
+
+  return {
+    classes: classIndex,
+    drugs: drugIndex,
+    names,
+    classNames,
+    drugPattern: buildNamePattern(names.keys()),
+    // Class names are written in the plural as often as not, in any word
+    // ("inhibitors of CYP3A4")
+    classPattern: buildNamePattern(classNames.keys(), name => name.split(' ').map(word => `${word}(?:e?s)?`).join('\\s+'))
+  };
+}
+
+/**
+ * Loads the drug vocabulary. Later calls without a file reuse the vocabulary
+ * already loaded, so a replacement loaded at configuration time stays.
+ * @param {string} file - Optional path of a replacement vocabulary (medications.vocabularyFile)
+ * @returns {Object} Indexed vocabulary: { classes, drugs, names, classNames, drugPattern, classPattern }
+ */
+export function loadDrugVocabulary(file = null) {
+  if (vocabulary && (!file || file === vocabularySource)) return vocabulary;
+
+  const source = file || DEFAULT_VOCABULARY_FILE;
+  vocabulary = buildVocabulary(JSON.parse(fs.readFileSync(source, 'utf8')));
+  vocabularySource = source;
+  return vocabulary;
+}
+
+/**
+ * Finds vocabulary names in a text
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - drugPattern or classPattern of the vocabulary
+ * @returns {Array} { name, start, end } with the name in lower case, in text order
+ */
+function findNames(text, pattern) {
+  const found = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    found.push({ name: match[0].toLowerCase().replace(/\s+/g, ' '), start: match.index, end: match.index + match[0].length });
+  }
+  return found;
+}
+
+/**
+ * Looks up a class name as written, singular or plural
+ */
+function lookupClassName(written) {
+  const { classNames } = loadDrugVocabulary();
+  if (classNames.has(written)) return classNames.get(written);
+  const singular = written.split(' ').map(word => word.replace(/(?:es|s)$/, '')).join(' ');
+  for (const [name, key] of classNames) {
+    if (name.split(' ').map(word => word.replace(/(?:es|s)$/, '')).join(' ') === singular) return key;
+  }
+  return null;
+}
+
+/**
+ * Reads the status of a mention from its context
+ * @returns {string|null} 'not-taking', 'past', 'planned', 'current', or null if the context does not say
+ */
+function readStatus(context) {
+  return STATUS_PATTERNS.find(({ pattern }) => pattern.test(context))?.status || null;
+}
+
+/**
+ * Reads the route of administration from a mention's context
+ */
+function readRoute(context) {
+  return ROUTE_PATTERNS.find(({ pattern }) => pattern.test(context))?.route || null;
+}
+
+/**
+ * Builds a normalized medication from a mention of one or more vocabulary names
+ * @param {Array} found - Names found in the mention (findNames)
+ * @param {string} context - Text giving the mention's route
+ */
+function normalizeMention(found, context) {
+  const { names, drugs } = loadDrugVocabulary();
+  const ingredients = [...new Set(found.flatMap(({ name }) => names.get(name).ingredients))];
+  const classes = [...new Set(ingredients.flatMap(ingredient => drugs.get(ingredient).classes))];
+  const single = ingredients.length === 1 ? drugs.get(ingredients[0]) : null;
+  // A drug given only one way needs no route in the record
+  const route = readRoute(context) || (single?.routes.length === 1 ? single.routes[0] : null);
+  return {
+    name: found[0].name,
+    brand: names.get(found[0].name).brand,
+    ingredients,
+    classes,
+    route
+  };
+}
+
+/**
+ * Splits an entry of a medication list into items: one per sentence, and
+ * within a sentence one per comma, semicolon or "and" of an inline list, so
+ * "metformin. Warfarin was stopped in 2019." is two entries with their own
+ * status. A sentence ends at a period followed by a capital letter, not at
+ * "p.o." or "0.5 mg"; commas inside numbers ("1,000 mg") do not split.
+ * @returns {Array} { text, offset }
+ */
+function splitListItems(text, offset) {
+  const items = [];
+  const sentencePattern = /(?:[^.]|\.(?!\s+[A-Z]))+/g;
+  const itemPattern = /[^;,]+(?:,(?=\d{3}\b)[^;,]*)*/g;
+  let sentence;
+  while ((sentence = sentencePattern.exec(text)) !== null) {
+    const sentenceOffset = offset + sentence.index;
+    itemPattern.lastIndex = 0;
+    let match;
+    while ((match = itemPattern.exec(sentence[0])) !== null) {
+      match[0].split(/\s+and\s+/i).reduce((position, part) => {
+        const start = match[0].indexOf(part, position);
+        const leading = part.length - part.trimStart().length;
+        const trimmed = part.trim().replace(/^(?:[-*•·]|\d+[.)])\s*/, '');
+        if (trimmed) items.push({ text: trimmed, offset: sentenceOffset + match.index + start + leading + (part.trim().length - trimmed.length) });
+        return start + part.length;
+      }, 0);
+    }
+  }
+  return items;
+}
+
+/**
+ * Splits free text into sentences, keeping their offsets
+ */
+function splitSentences(text, offset) {
+  const sentences = [];
+  const pattern = /[^;.]+(?:\.(?=\S)[^;.]*)*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const leading = match[0].length - match[0].trimStart().length;
+    const trimmed = match[0].trim();
+    if (trimmed) sentences.push({ text: trimmed, offset: offset + match.index + leading });
+  }
+  return sentences;
+}
+
+/**
+ * Extracts the patient's medications from a medical record. Entries of a
+ * medication list section are current unless they say otherwise; mentions in
+ * free text take their status from their own clause. Mentions in allergy
+ * sections or sentences are left out.
+ * @param {string} medicalRecord - Medical record text
+ * @returns {Object} { listed, list, medications, unrecognized, classMentions } where listed says
+ *   whether the record has a medication list, list is its header { quote, offset }, medications are
+ *   { name, brand, ingredients, classes, route, status, source: 'list'|'text', quote, offset },
+ *   unrecognized are list entries not in the vocabulary { quote, offset }, and classMentions are
+ *   drug classes named in the record { key, classes, quote, offset }
+ */
+export function extractMedications(medicalRecord) {
+  const text = String(medicalRecord || '');
+  const { drugPattern, classPattern, classes } = loadDrugVocabulary();
+  const result = { listed: false, list: null, medications: [], unrecognized: [], classMentions: [] };
+
+  // Medication list entries, one item at a time
+  const addListItem = item => {
+    if (NO_MEDICATIONS.test(item.text)) return;
+    const found = findNames(item.text, drugPattern);
+    if (found.length === 0) {
+      if (/[a-z]{3}/i.test(item.text)) result.unrecognized.push({ quote: item.text, offset: item.offset });
+      return;
+    }
+    result.medications.push({
+      ...normalizeMention(found, item.text),
+      status: readStatus(item.text) || 'current',
+      source: 'list',
+      quote: item.text,
+      offset: item.offset
+    });
+  };
+
+  // Free-text mentions: each takes its status from the text before it back to
+  // the previous mention, or carries on a plain list from that mention
+  const addSentence = sentence => {
+    if (ALLERGY_CONTEXT.test(sentence.text)) return;
+    // Quoted text is cited wording, such as a criterion repeated in an
+    // answered question, not a statement about the patient
+    const quoted = [...sentence.text.matchAll(/"[^"]*"|“[^”]*”/g)].map(q => [q.index, q.index + q[0].length]);
+    const unquoted = mention => !quoted.some(([start, end]) => mention.start >= start && mention.end <= end);
+    const found = findNames(sentence.text, drugPattern).filter(unquoted);
+    let previous = null;
+    found.forEach((mention, i) => {
+      const before = sentence.text.slice(previous ? previous.end : 0, mention.start);
+      const after = sentence.text.slice(mention.end, i + 1 < found.length ? found[i + 1].start : sentence.text.length);
+      let status = readStatus(before) || readStatus(after.split(/[,;]/)[0]);
+      if (!status && previous && /^[\s,]*(?:(?:and|or|,)\s*)?$/i.test(before)) status = previous.status;
+      const medication = {
+        ...normalizeMention([mention], before + ' ' + after),
+        status: status || 'unknown',
+        source: 'text',
+        quote: sentence.text,
+        offset: sentence.offset
+      };
+      result.medications.push(medication);
+      previous = { end: mention.end, status: medication.status };
+    });
+    findNames(sentence.text, classPattern).filter(unquoted).forEach(mention => {
+      const key = lookupClassName(mention.name);
+      if (key) result.classMentions.push({ key, classes: classes.get(key).ancestors, quote: sentence.text, offset: sentence.offset });
+    });
+  };
+
+  // A section runs to the next blank line or header; one whose header carries
+  // entries inline continues only through bulleted lines
+  let section = null;
+  let bulletsOnly = false;
+  let position = 0;
+  for (const line of text.split('\n')) {
+    const lineOffset = position + (line.length - line.trimStart().length);
+    position += line.length + 1;
+    const trimmed = line.trim();
+    if (!trimmed) {
+      section = null;
+      continue;
+    }
+
+    // "Header: content", unless the header is itself a drug ("Metformin: 500 mg")
+    const header = trimmed.match(/^([A-Za-z][A-Za-z0-9 /&()'-]{1,40}):\s*(.*)$/);
+    if (header && findNames(header[1], drugPattern).length === 0) {
+      const name = header[1].trim();
+      const contentOffset = lineOffset + trimmed.length - header[2].length;
+      bulletsOnly = header[2].trim().length > 0;
+      if (MEDICATION_HEADER.test(name)) {
+        section = 'medications';
+        result.listed = true;
+        result.list = result.list || { quote: trimmed, offset: lineOffset };
+        splitListItems(header[2], contentOffset).forEach(addListItem);
+      } else if (ALLERGY_HEADER.test(name)) {
+        section = 'allergies';
+      } else {
+        section = null;
+        splitSentences(header[2], contentOffset).forEach(addSentence);
+      }
+      continue;
+    }
+
+    const bulleted = /^(?:[-*•·]|\d+[.)])\s+/.test(trimmed);
+    if (section && (bulleted || !bulletsOnly)) {
+      if (section === 'medications') {
+        const item = trimmed.replace(/^(?:[-*•·]|\d+[.)])\s+/, '');
+        // A line of the list may itself be an inline list
+        splitListItems(item, lineOffset + trimmed.length - item.length).forEach(addListItem);
+      }
+      continue;
+    }
+
+    section = null;
+    splitSentences(trimmed, lineOffset).forEach(addSentence);
+  }
+
+  return result;
+}
+
+/**
+ * Parses a medication criterion: drug classes and ingredients (brand names
+ * are mapped to theirs), joined as alternatives, with nothing else but the
+ * words criteria wrap them in. A name left incomplete across "or" is
+ * completed from its neighbour ("strong CYP3A4 inhibitors or inducers").
+ * Doses, time windows, past use and examples outside the named class make the
+ * criterion non-computable.
+ * @param {string} normalizedText - Lower-cased criterion text
+ * @returns {Object|null} { kind: 'medication', classes, ingredients, label, negated } or null
+ */
+export function parseMedicationCriterion(normalizedText) {
+  const vocab = loadDrugVocabulary();
+
+  // Examples of a class ("(e.g., ketoconazole)") only restate it, so long as
+  // every drug they name is in the class
+  const examples = [];
+  let text = normalizedText
+    .replace(/\((?:e\.g\.?|eg|i\.e\.?|such as|including|for example|like)[^)]*\)/g, m => { examples.push(m); return ' '; })
+    .replace(/,?\s*(?:e\.g\.?|such as|including|for example)\b.*$/, m => { examples.push(m); return ' '; })
+    .replace(/[()]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:patients?|subjects?|participants?)\s+(?:who\s+)?(?:are\s+|is\s+|must\s+(?:be\s+)?)?/, '');
+
+  const negation = text.match(/^(?:no|not|without|must not be|must not|should not be|is not|are not|not be)\b\s*/);
+  const negated = Boolean(negation);
+  if (negation) text = text.slice(negation[0].length);
+
+  // Names of drugs and classes, longest first; classes win over drugs at the same place
+  const spans = [
+    ...findNames(text, vocab.classPattern).map(span => ({ ...span, classKey: lookupClassName(span.name) })),
+    ...findNames(text, vocab.drugPattern).map(span => ({ ...span, ingredients: vocab.names.get(span.name).ingredients }))
+  ]
+    .filter(span => span.classKey || span.ingredients)
+    .sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || (a.classKey ? -1 : 1))
+    .filter((span, i, all) => !all.slice(0, i).some(other => span.start < other.end && other.start < span.end));
+  if (spans.length === 0) return null;
+
+  // The words around the names, in order
+  const tokens = [];
+  let position = 0;
+  spans.forEach(span => {
+    (text.slice(position, span.start).match(/and\/or|,|[a-z0-9'/+-]+/g) || []).forEach(word => tokens.push({ word }));
+    tokens.push({ span });
+    position = span.end;
+  });
+  (text.slice(position).match(/and\/or|,|[a-z0-9'/+-]+/g) || []).forEach(word => tokens.push({ word }));
+
+  // Completes elided class names: "inhibitors or inducers", "strong or moderate inhibitors"
+  for (let i = 0; i < tokens.length; i++) {
+    const { word } = tokens[i];
+    if (!word || MEDICATION_FILLER.has(word) || ALTERNATIVE_CONNECTORS.has(word)) continue;
+    const previous = tokens[i - 2]?.span?.classKey && ALTERNATIVE_CONNECTORS.has(tokens[i - 1].word) ? tokens[i - 2].span : null;
+    const next = tokens[i + 2]?.span?.classKey && ALTERNATIVE_CONNECTORS.has(tokens[i + 1].word) ? tokens[i + 2].span : null;
+    const candidates = [
+      previous && previous.name.replace(/\S+$/, word),
+      next && next.name.replace(/^\S+/, word)
+    ].filter(Boolean);
+    const classKey = candidates.map(lookupClassName).find(Boolean);
+    if (!classKey) return null;
+    tokens[i] = { span: { name: word, classKey } };
+  }
+
+  const classKeys = [...new Set(tokens.filter(t => t.span?.classKey).map(t => t.span.classKey))];
+  const ingredients = [...new Set(tokens.filter(t => t.span?.ingredients).flatMap(t => t.span.ingredients))];
+
+  for (const example of examples) {
+    const outside = findNames(example, vocab.drugPattern).some(({ name }) =>
+      vocab.names.get(name).ingredients.every(ingredient =>
+        !ingredients.includes(ingredient) && !classKeys.some(key => vocab.drugs.get(ingredient).classes.includes(key))));
+    if (outside) return null;
+  }
+
+  const labels = [
+    ...classKeys.map(key => vocab.classes.get(key).label),
+    ...ingredients
+  ];
+  return {
+    kind: 'medication',
+    classes: classKeys,
+    ingredients,
+    label: labels.map((label, i) => (i === 0 ? label : lowerFirst(label))).join(' or '),
+    negated
+  };
+}
+
+/**
+ * Lower-cases the first letter of a label unless it starts an acronym
+ */
+function lowerFirst(label) {
+  return /^[A-Z][a-z]/.test(label) ? label[0].toLowerCase() + label.slice(1) : label;
+}
+
+/**
+ * Upper-cases the first letter of a sentence
+ */
+function upperFirst(text) {
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+/**
+ * Prefixes a label with "a" or "an"
+ */
+function withArticle(label) {
+  const word = lowerFirst(label);
+  const an = /^[aeiou]/i.test(word) || /^[FHLMNRSX][A-Z0-9-]/.test(word);
+  return `${an ? 'an' : 'a'} ${word}`;
+}
+
+/**
+ * Describes a medication as written, with its ingredients when it was named
+ * by brand: "Eliquis (apixaban)"
+ */
+function describeMedication(medication) {
+  const name = medication.brand ? medication.name.replace(/\b[a-z]/g, c => c.toUpperCase()) : medication.name;
+  return medication.brand ? `${name} (${medication.ingredients.join(' + ')})` : name;
+}
+
+/**
+ * Checks whether a medication falls under a medication atom
+ * @returns {Object|false|null} { classKey } of the class it matched (null for an ingredient),
+ *   false if it does not fall under the atom, or null when its route leaves it unclear
+ */
+function matchMedication(atom, medication) {
+  const { classes, drugs } = loadDrugVocabulary();
+  if (atom.ingredients.some(ingredient => medication.ingredients.includes(ingredient))) return { classKey: null };
+
+  let unclear = false;
+  for (const key of atom.classes) {
+    if (!medication.classes.includes(key)) continue;
+    const { excludedRoutes } = classes.get(key);
+    if (excludedRoutes.length === 0) return { classKey: key };
+    if (medication.route) {
+      if (!excludedRoutes.includes(medication.route)) return { classKey: key };
+      continue;
+    }
+    // Without a route, a drug also given by an excluded route may or may not count
+    const carriers = medication.ingredients.map(i => drugs.get(i)).filter(drug => drug.classes.includes(key));
+    if (carriers.every(drug => !drug.routes.some(route => excludedRoutes.includes(route)))) return { classKey: key };
+    unclear = true;
+  }
+  return unclear ? null : false;
+}
+
+/**
+ * Names the class through which a medication matched: its own class, and the
+ * criterion's broader class when they differ
+ */
+function describeMembership(medication, classKey) {
+  const { classes, drugs } = loadDrugVocabulary();
+  const own = medication.ingredients
+    .flatMap(ingredient => drugs.get(ingredient).directClasses)
+    .find(key => classes.get(key)?.ancestors.includes(classKey));
+  const matched = classes.get(classKey).label;
+  if (!own || own === classKey) return withArticle(matched);
+  return `${withArticle(classes.get(own).label)}, which is ${withArticle(matched)}`;
+}
+
+/**
+ * Evaluates a medication atom against the patient's medications. A current
+ * medication under the atom decides it, unless another mention says the
+ * patient stopped or does not take it. Any other mention of a matching
+ * medication, a drug class named in the record, or a medication list entry
+ * outside the vocabulary blocks the conclusion that the patient takes none.
+ * @param {Object} atom - Output of parseMedicationCriterion
+ * @param {Object} medicationList - Output of extractMedications
+ * @returns {Object|null} { holds, reasoning, evidence } where evidence names the medication
+ *   that triggered the match, or null to fall back to the model
+ */
+export function evaluateMedicationCriterion(atom, medicationList) {
+  if (!medicationList) return null;
+  const { medications, listed, list, unrecognized, classMentions } = medicationList;
+
+  const matches = medications
+    .map(medication => ({ medication, match: matchMedication(atom, medication) }))
+    .filter(({ match }) => match !== false);
+  const trigger = matches.find(({ medication, match }) => match && medication.status === 'current');
+  const summary = medications.map(m => ({ name: m.name, ingredients: m.ingredients, classes: m.classes, status: m.status, source: m.source }));
+
+  let taking;
+  let reasoning;
+  let evidence;
+  if (trigger) {
+    const contradicted = matches.some(({ medication }) =>
+      medication.ingredients.some(i => trigger.medication.ingredients.includes(i)) &&
+      ['past', 'not-taking'].includes(medication.status));
+    if (contradicted) return null;
+
+    const { medication, match } = trigger;
+    taking = true;
+    const where = medication.source === 'list' ? 'on the medication list' : 'in the record';
+    reasoning = match.classKey
+      ? `${upperFirst(describeMedication(medication))} ${where} is ${describeMembership(medication, match.classKey)}.`
+      : medication.brand
+        ? `${upperFirst(describeMedication(medication))} ${where} contains ${medication.ingredients.filter(i => atom.ingredients.includes(i)).join(' and ')}.`
+        : `${upperFirst(medication.name)} is ${where}.`;
+    evidence = {
+      value: medication.name,
+      quote: medication.quote,
+      offset: medication.offset,
+      medication: {
+        name: medication.name,
+        ingredients: medication.ingredients,
+        classes: medication.classes,
+        matchedClass: match.classKey,
+        matchedClassLabel: match.classKey ? loadDrugVocabulary().classes.get(match.classKey).label : null,
+        route: medication.route,
+        status: medication.status
+      },
+      medications: summary
+    };
+  } else {
+    // Taking none rests on a complete list, and on nothing else pointing to one
+    if (matches.length > 0 || !listed || unrecognized.length > 0) return null;
+    if (classMentions.some(mention => atom.classes.some(key => mention.classes.includes(key)))) return null;
+
+    taking = false;
+    const listedNames = medications.filter(m => m.source === 'list').map(describeMedication);
+    const { classes } = loadDrugVocabulary();
+    const subject = [
+      atom.classes.length > 0 && `is ${withArticle(atom.classes.map((key, i) => (i === 0 ? classes.get(key).label : lowerFirst(classes.get(key).label))).join(' or '))}`,
+      atom.ingredients.length > 0 && `contains ${atom.ingredients.join(' or ')}`
+    ].filter(Boolean).join(' or ');
+    reasoning = listedNames.length === 0
+      ? `The medication list in the record has no medications, so none ${subject}.`
+      : `None of the ${listedNames.length} medications on the record's medication list (${listedNames.join(', ')}) ${subject}.`;
+    // Members of the class given by a route that does not count
+    const byRoute = medications.filter(m => m.source === 'list' && atom.classes.some(key => m.classes.includes(key)));
+    if (byRoute.length > 0) {
+      reasoning += ` ${byRoute.map(m => `${upperFirst(describeMedication(m))} is ${m.route}`).join('; ')}, which does not count.`;
+    }
+    evidence = { value: listedNames.length, quote: list.quote, offset: list.offset, medications: summary };
+  }
+
+  return {
+    holds: atom.negated ? !taking : taking,
+    reasoning,
+    evidence
+  };
+}
@@ -0,0 +1,414 @@
+// lib/model-response.mjs
+//
+// Contract for the JSON the model returns. Each response shape has a JSON
+// Schema; replies are parsed leniently (JSON inside code fences or surrounding
+// prose is extracted), status values and confidences are normalized to the
+// schema, and a reply that still fails validation is sent back to the model
+// with the validation errors for a bounded number of repair attempts. Every
+// parse returns a record of what was needed, so responses can report repairs
+// instead of hiding them.
+
+// Subset of JSON Schema (draft-07) understood by validateResponse: type,
+// required, properties, items, enum, minimum, maximum and minLength
+export const RESPONSE_SCHEMAS = {
+  basic: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Criterion assessment',
+    type: 'object',
+    required: ['status', 'reasoning', 'confidence'],
+    properties: {
+      status: { type: 'string', enum: ['matched', 'non-matched', 'more-information-needed'] },
+      reasoning: { type: 'string', minLength: 1 },
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+  comprehensive: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Comprehensive eligibility assessment',
+    type: 'object',
+    required: ['overallAssessment', 'criteriaAnalysis'],
+    properties: {
+      overallAssessment: {
+        type: 'object',
+        required: ['eligibility', 'confidence', 'clinicalSummary'],
+        properties: {
+          eligibility: { type: 'string', enum: ['eligible', 'ineligible', 'requires-review'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          clinicalSummary: { type: 'string' },
+          safetyAssessment: { type: 'string' }
+        }
+      },
+      criteriaAnalysis: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['criterion', 'type', 'status', 'confidence', 'clinicalReasoning'],
+          properties: {
+            criterion: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: ['inclusion', 'exclusion'] },
+            status: { type: 'string', enum: ['matched', 'non-matched', 'insufficient-data'] },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            clinicalReasoning: { type: 'string' },
+            evidenceFromRecord: { type: 'string' },
+            missingInformation: { type: 'string' }
+          }
+        }
+      },
+      clinicalRecommendations: {
+        type: 'object',
+        properties: {
+          nextSteps: { type: 'string' },
+          additionalTests: { type: 'string' },
+          riskFactors: { type: 'string' },
+          alternativeTrials: { type: 'string' }
+        }
+      }
+    }
+  },
+  explanation: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Patient explanation',
+    type: 'object',
+    required: ['summary', 'criteria', 'questionsForDoctor'],
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      criteria: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['criterionIndex', 'explanation'],
+          properties: {
+            criterionIndex: { type: 'integer', minimum: 0 },
+            explanation: { type: 'string', minLength: 1 },
+            questionsForDoctor: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      questionsForDoctor: { type: 'array', items: { type: 'string' } },
+      nextSteps: { type: 'string' }
+    }
+  }
+};
+
+// Values the model uses for the same meaning. A value is normalized to the
+// member of its group that the schema's enum allows, so "insufficient-data"
+// becomes "more-information-needed" in a basic response and the reverse in a
+// comprehensive one.
+const ENUM_SYNONYMS = [
+  ['matched', 'match', 'met', 'meets', 'satisfied', 'yes'],
+  ['non-matched', 'not-matched', 'nonmatched', 'unmatched', 'non-match', 'not-met', 'no'],
+  ['more-information-needed', 'insufficient-data', 'insufficient-information', 'more-info-needed',
+    'needs-more-information', 'unknown', 'unclear', 'undetermined', 'indeterminate'],
+  ['requires-review', 'needs-review', 'review', 'review-required', 'uncertain'],
+  ['eligible', 'likely-eligible'],
+  ['ineligible', 'not-eligible', 'non-eligible', 'likely-ineligible'],
+  ['inclusion', 'include', 'inclusion-criterion'],
+  ['exclusion', 'exclude', 'exclusion-criterion']
+];
+
+const MAX_QUOTED_RESPONSE_LENGTH = 8000;
+
+/**
+ * Parses, normalizes and validates a model reply, asking the model to repair
+ * it when it does not satisfy the schema
+ * @param {Object} chatModel - The chat model instance, used for repair prompts
+ * @param {string} content - Model reply
+ * @param {string} shape - 'basic', 'comprehensive' or 'explanation'
+ * @param {Object} options - { maxRepairAttempts, signal } repair prompts to send at most, and an
+ *   AbortSignal checked before each
+ * @returns {Object} { value, record } where value is the validated response or null, and record is
+ *   { extraction, normalized, repairAttempts, valid, errors } describing what was needed
+ */
+export async function parseModelResponse(chatModel, content, shape, { maxRepairAttempts = 1, signal } = {}) {
+  const schema = RESPONSE_SCHEMAS[shape];
+  let reply = typeof content === 'string' ? content : String(content ?? '');
+  let repairAttempts = 0;
+  let firstExtraction = null;
+
+  while (true) {
+    const checked = checkReply(reply, schema);
+    if (firstExtraction === null) firstExtraction = checked.extraction;
+
+    if (checked.errors.length === 0 || repairAttempts >= maxRepairAttempts) {
+      const valid = checked.errors.length === 0;
+      return {
+        value: valid ? checked.value : null,
+        record: {
+          extraction: firstExtraction,
+          normalized: checked.normalized,
+          repairAttempts,
+          valid,
+          ...(!valid && { errors: checked.errors })
+        }
+      };
+    }
+
+    if (signal?.aborted) throw new Error('Evaluation cancelled');
+    repairAttempts++;
+    const repaired = await chatModel.replyTo(buildRepairPrompt(reply, checked.errors, schema));
+    reply = typeof repaired === 'string' ? repaired : String(repaired ?? '');
+  }
+}
+
+/**
+ * Finds the JSON value in a model reply: the whole reply, a fenced code block,
+ * or the outermost object embedded in prose
+ * @param {string} content - Model reply
+ * @returns {Object|null} { value, extraction } with extraction 'json', 'fenced' or 'embedded', or null
+ */
+export function extractJson(content) {
+  const text = content.trim();
+  const direct = tryParse(text);
+  if (direct !== undefined) return { value: direct, extraction: 'json' };
+
+  for (const match of text.matchAll(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/g)) {
+    const fenced = tryParse(match[1].trim());
+    if (fenced !== undefined) return { value: fenced, extraction: 'fenced' };
+  }
+
+  // Widest span from the first opening brace to a closing brace that parses
+  const start = text.indexOf('{');
+  if (start !== -1) {
+    for (let end = text.lastIndexOf('}'); end > start; end = text.lastIndexOf('}', end - 1)) {
+      const embedded = tryParse(text.slice(start, end + 1));
+      if (embedded !== undefined) return { value: embedded, extraction: 'embedded' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Rewrites enum values and confidences that mean what the schema asks for in
+ * another form: status synonyms, case and separators, confidences given as
+ * strings or percentages
+ * @param {*} value - Parsed response; modified in place
+ * @param {Object} schema - JSON Schema for the value
+ * @param {string} path - Path of the value, for the normalization record
+ * @returns {Array<string>} Descriptions of the values that were rewritten
+ */
+export function normalizeResponse(value, schema, path = '$') {
+  const normalized = [];
+
+  if (schema.type === 'array' && Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      const itemPath = `${path}[${i}]`;
+      if (schema.items.type === 'object') {
+        normalized.push(...normalizeResponse(item, schema.items, itemPath));
+      }
+    });
+    return normalized;
+  }
+
+  if (schema.type !== 'object' || !isPlainObject(value)) return normalized;
+
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    if (!(key in value)) continue;
+    const propertyPath = `${path}.${key}`;
+    const current = value[key];
+
+    if (propertySchema.enum && typeof current === 'string' && !propertySchema.enum.includes(current)) {
+      const replacement = normalizeEnumValue(current, propertySchema.enum);
+      if (replacement) {
+        value[key] = replacement;
+        normalized.push(`${propertyPath}: "${current}" -> "${replacement}"`);
+      }
+    } else if (propertySchema.type === 'number') {
+      const replacement = normalizeConfidence(current, propertySchema);
+      if (replacement !== null) {
+        value[key] = replacement;
+        normalized.push(`${propertyPath}: ${JSON.stringify(current)} -> ${replacement}`);
+      }
+    } else if (propertySchema.type === 'object' || propertySchema.type === 'array') {
+      normalized.push(...normalizeResponse(current, propertySchema, propertyPath));
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates a value against a JSON Schema (the subset used by RESPONSE_SCHEMAS)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors; empty if the value is valid
+ */
+export function validateResponse(value, schema, path = '$') {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} must be ${article(schema.type)} ${schema.type} (received ${describeType(value)})`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')} (received ${JSON.stringify(value)})`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (isPlainObject(value)) {
+    (schema.required || [])
+      .filter(key => value[key] === undefined || value[key] === null)
+      .forEach(key => errors.push(`${path}.${key} is required`));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined && value[key] !== null)
+      .forEach(([key, propertySchema]) => errors.push(...validateResponse(value[key], propertySchema, `${path}.${key}`)));
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateResponse(item, schema.items, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Extracts, normalizes and validates one reply
+ * @param {string} reply - Model reply
+ * @param {Object} schema - JSON Schema for the response
+ * @returns {Object} { value, extraction, normalized, errors }
+ */
+function checkReply(reply, schema) {
+  const extracted = extractJson(reply);
+  if (!extracted) {
+    return {
+      value: null,
+      extraction: 'none',
+      normalized: [],
+      errors: ['Response does not contain a JSON object']
+    };
+  }
+
+  const normalized = normalizeResponse(extracted.value, schema);
+  return {
+    value: extracted.value,
+    extraction: extracted.extraction,
+    normalized,
+    errors: validateResponse(extracted.value, schema)
+  };
+}
+
+/**
+ * Builds the prompt asking the model to correct a reply that failed validation
+ * @param {string} reply - The reply that failed
+ * @param {Array<string>} errors - Its validation errors
+ * @param {Object} schema - JSON Schema the reply must satisfy
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(reply, errors, schema) {
+  const quoted = reply.length > MAX_QUOTED_RESPONSE_LENGTH
+    ? `${reply.slice(0, MAX_QUOTED_RESPONSE_LENGTH)}\n[... truncated]`
+    : reply;
+
+  return `Your previous response could not be used because it does not match the required JSON format.
+
+VALIDATION ERRORS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+PREVIOUS RESPONSE:
+${quoted}
+
+Respond with ONLY the corrected JSON (no code fences or additional text). Keep your assessments and reasoning unchanged; fix only what the errors describe. The JSON must satisfy this schema:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * Maps a value to the enum member with the same meaning
+ * @param {string} value - Value returned by the model
+ * @param {Array<string>} allowed - Enum members
+ * @returns {string|null} Enum member, or null if the value has no known meaning
+ */
+function normalizeEnumValue(value, allowed) {
+  const key = value.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (allowed.includes(key)) return key;
+
+  const group = ENUM_SYNONYMS.find(synonyms => synonyms.includes(key));
+  return group ? allowed.find(member => group.includes(member)) || null : null;
+}
+
+/**
+ * Reads a confidence given as a numeric string or a percentage
+ * @param {*} value - Value returned by the model
+ * @param {Object} schema - Number schema with minimum/maximum
+ * @returns {number|null} Confidence in range, or null if the value needs no or no safe change
+ */
+function normalizeConfidence(value, schema) {
+  let number = value;
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(%?)$/);
+    if (!match) return null;
+    number = Number(match[1]) / (match[2] ? 100 : 1);
+  }
+  if (typeof number !== 'number' || Number.isNaN(number)) return null;
+
+  // 85 on a 0-1 scale is a percentage
+  if (schema.maximum === 1 && number > 1 && number <= 100) number /= 100;
+
+  const inRange = (schema.minimum === undefined || number >= schema.minimum) &&
+    (schema.maximum === undefined || number <= schema.maximum);
+  return inRange && number !== value ? number : null;
+}
+
+/**
+ * Parses JSON text
+ * @param {string} text - Candidate JSON
+ * @returns {*} Parsed value, or undefined if the text is not JSON
+ */
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Checks for a JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks a value against a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * JSON type name of a value, for error messages
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Indefinite article for a type name in error messages
+ * @param {string} type - Type name
+ * @returns {string} "a" or "an"
+ */
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
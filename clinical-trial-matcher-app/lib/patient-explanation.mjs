@@ -0,0 +1,373 @@
+// lib/patient-explanation.mjs
+//
+// Plain-language explanations of a stored evaluation for the patient. The
+// criteria standing in the way of enrolment (an inclusion criterion not met,
+// an exclusion criterion that applies, or either one undecided) are rewritten
+// by the model at a chosen reading level and language, each with questions the
+// patient could ask their doctor. The model is given the evaluation, not the
+// medical record, so it can only restate what the evaluation found. The text
+// is then scored with the readability formula for its language, and whether
+// it reached the requested level is reported rather than assumed.
+
+import { getCriteria } from './evaluation-history.mjs';
+
+export const READING_LEVELS = {
+  basic: {
+    grade: 5,
+    guidance: 'Write for a 5th grade reader: short sentences of about 10 words, everyday words, no medical terms.'
+  },
+  standard: {
+    grade: 8,
+    guidance: 'Write for an 8th grade reader: short sentences, everyday words, and a medical term only where the patient will hear it from their doctor, explained in the same sentence.'
+  },
+  detailed: {
+    grade: 11,
+    guidance: 'Write for an 11th grade reader: fuller explanations that may name the medical terms involved, each explained in plain words.'
+  }
+};
+
+// Languages offered, each with its adaptation of the Flesch reading ease
+// formula where one exists
+export const LANGUAGES = {
+  en: { name: 'English', formula: 'flesch' },
+  es: { name: 'Spanish', formula: 'fernandez-huerta' },
+  fr: { name: 'French', formula: 'kandel-moles' },
+  de: { name: 'German', formula: 'amstad' },
+  it: { name: 'Italian', formula: 'franchina-vacca' },
+  pt: { name: 'Portuguese', formula: 'martins' },
+  ar: { name: 'Arabic', formula: null },
+  ko: { name: 'Korean', formula: null },
+  ru: { name: 'Russian', formula: null },
+  vi: { name: 'Vietnamese', formula: null },
+  zh: { name: 'Chinese (Simplified)', formula: null }
+};
+
+// Reading ease from average sentence length (words) and average word length
+// (syllables); all are scaled like Flesch's, 100 being easiest
+const READING_EASE_FORMULAS = {
+  flesch: (asl, asw) => 206.835 - 1.015 * asl - 84.6 * asw,
+  'fernandez-huerta': (asl, asw) => 206.84 - 1.02 * asl - 60 * asw,
+  'kandel-moles': (asl, asw) => 207 - 1.015 * asl - 73.6 * asw,
+  amstad: (asl, asw) => 180 - asl - 58.5 * asw,
+  'franchina-vacca': (asl, asw) => 206 - asl - 65 * asw,
+  martins: (asl, asw) => 248.835 - 1.015 * asl - 84.6 * asw
+};
+
+// Lowest reading ease for each school grade, from Flesch's table
+const MINIMUM_EASE_BY_GRADE = [
+  { grade: 5, ease: 90 },
+  { grade: 6, ease: 80 },
+  { grade: 7, ease: 70 },
+  { grade: 9, ease: 60 },
+  { grade: 12, ease: 50 }
+];
+
+const UNKNOWN_STATUSES = new Set(['more-information-needed', 'insufficient-data']);
+
+/**
+ * Validates the requested reading level and language
+ * @param {Object} requested - { readingLevel, language } from the request
+ * @param {Object} config - explanations section of the app config
+ * @returns {Object} { options: { readingLevel, targetGrade, language, languageName } } or { error }
+ */
+export function resolveExplanationOptions({ readingLevel, language } = {}, config = {}) {
+  const level = readingLevel ?? config.defaultReadingLevel ?? 'standard';
+  if (!READING_LEVELS[level]) {
+    return { error: `Field "readingLevel" must be one of: ${Object.keys(READING_LEVELS).join(', ')}.` };
+  }
+
+  const code = language ?? config.defaultLanguage ?? 'en';
+  if (!LANGUAGES[code]) {
+    return { error: `Field "language" must be one of: ${Object.keys(LANGUAGES).join(', ')}.` };
+  }
+
+  return {
+    options: {
+      readingLevel: level,
+      targetGrade: READING_LEVELS[level].grade,
+      language: code,
+      languageName: LANGUAGES[code].name
+    }
+  };
+}
+
+/**
+ * What a criterion's status means for the patient
+ * @param {Object} criterion - Criterion result
+ * @returns {string} 'met', 'not-met' (inclusion not satisfied), 'excluded' (exclusion applies) or 'unknown'
+ */
+export function describeOutcome(criterion) {
+  if (UNKNOWN_STATUSES.has(criterion.status)) return 'unknown';
+  if (criterion.type === 'exclusion') {
+    return criterion.status === 'matched' ? 'excluded' : 'met';
+  }
+  return criterion.status === 'matched' ? 'met' : 'not-met';
+}
+
+/**
+ * Criteria of a stored evaluation the explanation covers: those not met or
+ * undecided. Group headers are explained through their sub-criteria, and a
+ * sub-criterion is left out when its group is met anyway (one option of an
+ * "any of" list failing).
+ * @param {Object} entry - Stored evaluation entry
+ * @returns {Array} { index, criterion, type, status, outcome, reasoning, missingInformation, partOf } where
+ *   partOf is the header of the criterion's group, if any
+ */
+export function selectExplainedCriteria(entry) {
+  const criteria = getCriteria(entry);
+  const groupMet = index => {
+    for (let i = index; i !== undefined; i = criteria[i].parentIndex) {
+      if (criteria[i].group && describeOutcome(criteria[i]) === 'met') return true;
+    }
+    return false;
+  };
+
+  return criteria
+    .map((c, index) => ({ c, index }))
+    .filter(({ c, index }) => !c.group && describeOutcome(c) !== 'met' && !groupMet(index))
+    .map(({ c, index }) => ({
+      index,
+      criterion: c.criterion,
+      type: c.type,
+      status: c.status,
+      outcome: describeOutcome(c),
+      reasoning: c.clinicalReasoning || c.reasoning || '',
+      missingInformation: c.missingInformation || '',
+      partOf: c.parentIndex !== undefined ? criteria[c.parentIndex].criterion.trim() : null
+    }));
+}
+
+/**
+ * Key of the criterion statuses an explanation was written for, so a stored
+ * explanation is not reused after a reviewer changes a status
+ * @param {Object} entry - Stored evaluation entry
+ * @returns {string} Statuses in criterion order
+ */
+export function explanationBasis(entry) {
+  return getCriteria(entry).map(c => c.status).join(',');
+}
+
+/**
+ * Builds the prompt asking the model for the patient explanation
+ * @param {Object} evaluation - { trialTitle, nctNumber, overallEligibility, clinicalSummary, metCount }
+ * @param {Array} explained - Criteria from selectExplainedCriteria
+ * @param {Object} options - Options from resolveExplanationOptions
+ * @returns {string} Prompt
+ */
+export function buildExplanationPrompt(evaluation, explained, options) {
+  const criteriaText = explained.length > 0
+    ? explained.map(c => `[${c.index}] ${c.type} criterion: "${c.criterion.trim()}"${c.partOf ? `\n    Part of the requirement: "${c.partOf}"` : ''}
+    Finding: ${describeFinding(c.outcome)}
+    Screening notes: ${c.reasoning || 'none'}${c.missingInformation ? `\n    Information still needed: ${c.missingInformation}` : ''}`).join('\n\n')
+    : 'None: every requirement that was checked is met.';
+
+  return `You are explaining the result of a clinical trial eligibility screening to the patient who was screened. The screening was done by a research team; you are rewriting its findings for the patient.
+
+TRIAL: ${evaluation.trialTitle || evaluation.nctNumber || 'Clinical trial'}${evaluation.nctNumber ? ` (${evaluation.nctNumber})` : ''}
+SCREENING RESULT: ${describeEligibility(evaluation.overallEligibility)}
+REQUIREMENTS MET: ${evaluation.metCount}
+${evaluation.clinicalSummary ? `RESEARCH TEAM SUMMARY: ${evaluation.clinicalSummary}\n` : ''}
+REQUIREMENTS NOT MET OR NOT YET KNOWN:
+${criteriaText}
+
+WRITING INSTRUCTIONS:
+- Write in ${options.languageName}. Every text value must be in ${options.languageName}.
+- ${READING_LEVELS[options.readingLevel].guidance}
+- Address the patient as "you". Be warm, direct and honest; do not promise enrolment or give medical advice.
+- Use only the findings above. Do not add diagnoses, test results or reasons that are not stated.
+- Explain every listed requirement: what it asks for, what the screening found, and for an unknown one, what information is missing.
+- A screening is not a final decision: the research team and the patient's doctor decide.
+- Give each requirement 1 to 3 questions the patient could ask their doctor, and 2 to 4 general questions.
+
+Return ONLY a JSON object:
+{
+  "summary": "2-4 sentences on what the screening found overall",
+  "criteria": [
+    {
+      "criterionIndex": 3,
+      "explanation": "plain-language explanation of this requirement and the finding",
+      "questionsForDoctor": ["question the patient could ask"]
+    }
+  ],
+  "questionsForDoctor": ["general question about the trial or the result"],
+  "nextSteps": "1-3 sentences on what the patient can do next"
+}
+
+Include one "criteria" entry for each requirement listed above, using the number in brackets as "criterionIndex".`;
+}
+
+/**
+ * Combines the model's explanation with the criteria it explains
+ * @param {Object} value - Validated model response (the explanation schema)
+ * @param {Array} explained - Criteria from selectExplainedCriteria
+ * @returns {Object} { summary, criteria, questionsForDoctor, nextSteps, unexplainedCriteria } where
+ *   unexplainedCriteria lists the indexes the model left out; their explanation is null
+ */
+export function assembleExplanation(value, explained) {
+  const byIndex = new Map(value.criteria.map(c => [c.criterionIndex, c]));
+
+  const criteria = explained.map(c => {
+    const written = byIndex.get(c.index);
+    return {
+      index: c.index,
+      criterion: c.criterion,
+      type: c.type,
+      status: c.status,
+      outcome: c.outcome,
+      explanation: written ? written.explanation.trim() : null,
+      questionsForDoctor: cleanQuestions(written?.questionsForDoctor)
+    };
+  });
+
+  return {
+    summary: value.summary.trim(),
+    criteria,
+    questionsForDoctor: cleanQuestions(value.questionsForDoctor),
+    nextSteps: (value.nextSteps || '').trim(),
+    unexplainedCriteria: criteria.filter(c => c.explanation === null).map(c => c.index)
+  };
+}
+
+/**
+ * All patient-facing text of an explanation, one sentence or question per
+ * line, for scoring
+ * @param {Object} explanation - Explanation from assembleExplanation
+ * @returns {string} Text
+ */
+export function explanationText(explanation) {
+  return [
+    explanation.summary,
+    ...explanation.criteria.flatMap(c => [c.explanation, ...c.questionsForDoctor]),
+    ...explanation.questionsForDoctor,
+    explanation.nextSteps
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Scores the readability of a text in its language. Every language with a
+ * Flesch adaptation is judged by reading ease against Flesch's table of ease
+ * by school grade; English must also have a Flesch-Kincaid grade level at or
+ * below the target.
+ * @param {string} text - Text to score
+ * @param {string} language - Language code from LANGUAGES
+ * @param {number} targetGrade - School grade the text was written for
+ * @returns {Object} { formula, readingEase, gradeLevel, targetGrade, minimumReadingEase, meetsTarget,
+ *   sentences, words, syllables }, or { formula: null, targetGrade, meetsTarget: null, reason } for
+ *   languages without a formula
+ */
+export function scoreReadability(text, language, targetGrade) {
+  const formula = LANGUAGES[language]?.formula;
+  if (!formula) {
+    return {
+      formula: null,
+      targetGrade,
+      meetsTarget: null,
+      reason: `No readability formula is available for ${LANGUAGES[language]?.name || language}`
+    };
+  }
+
+  const sentences = text.split(/[.!?]+(?:\s+|$)|\n+/).filter(s => /\p{L}/u.test(s)).length;
+  const words = text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word, language), 0);
+
+  if (words.length === 0) {
+    return { formula, targetGrade, meetsTarget: null, reason: 'No text to score' };
+  }
+
+  const asl = words.length / Math.max(sentences, 1);
+  const asw = syllables / words.length;
+  const readingEase = round(READING_EASE_FORMULAS[formula](asl, asw));
+  const gradeLevel = language === 'en' ? round(0.39 * asl + 11.8 * asw - 15.59) : null;
+  const minimumReadingEase = minimumEaseForGrade(targetGrade);
+
+  return {
+    formula: language === 'en' ? 'flesch-kincaid' : formula,
+    readingEase,
+    gradeLevel,
+    targetGrade,
+    minimumReadingEase,
+    meetsTarget: readingEase >= minimumReadingEase && (gradeLevel === null || gradeLevel <= targetGrade),
+    sentences,
+    words: words.length,
+    syllables
+  };
+}
+
+/**
+ * Wording of a criterion outcome for the prompt
+ * @param {string} outcome - Outcome from describeOutcome
+ * @returns {string} Finding
+ */
+function describeFinding(outcome) {
+  switch (outcome) {
+    case 'not-met': return 'the patient does not meet this requirement';
+    case 'excluded': return 'this applies to the patient, which rules out joining the trial';
+    default: return 'not yet known; the record does not say';
+  }
+}
+
+/**
+ * Wording of the overall eligibility for the prompt
+ * @param {string} eligibility - Overall eligibility of the evaluation
+ * @returns {string} Result
+ */
+function describeEligibility(eligibility) {
+  switch (eligibility) {
+    case 'eligible': return 'likely able to join, pending the research team\'s review';
+    case 'ineligible': return 'likely not able to join';
+    default: return 'not decided yet; more information is needed';
+  }
+}
+
+/**
+ * Trimmed, non-empty questions
+ * @param {Array} questions - Questions from the model
+ * @returns {Array<string>} Questions
+ */
+function cleanQuestions(questions) {
+  return (questions || []).map(q => q.trim()).filter(Boolean);
+}
+
+/**
+ * Counts syllables by vowel groups; English also drops the usual silent endings
+ * @param {string} word - Word
+ * @param {string} language - Language code
+ * @returns {number} Syllables, at least 1
+ */
+function countSyllables(word, language) {
+  const lower = word.toLowerCase();
+
+  if (language === 'en') {
+    const letters = lower.replace(/[^a-z]/g, '');
+    if (letters.length <= 3) return 1;
+    const groups = letters
+      .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+      .replace(/^y/, '')
+      .match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 1);
+  }
+
+  // Final e is silent in French
+  const stem = language === 'fr' ? lower.replace(/(?<=[^aeiouy])es?$/, '') : lower;
+  const groups = stem.match(/[aeiouyáàâäãåéèêëíìîïóòôöõúùûüœæ]+/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+/**
+ * Lowest reading ease for a school grade
+ * @param {number} grade - School grade
+ * @returns {number} Reading ease
+ */
+function minimumEaseForGrade(grade) {
+  const band = MINIMUM_EASE_BY_GRADE.find(b => grade <= b.grade);
+  return band ? band.ease : 30;
+}
+
+/**
+ * Rounds to one decimal place
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,646 @@
+// lib/qr-code.mjs
+//
+// QR codes for handing a deep link from a workstation screen to a tablet or
+// phone. Encoding happens here, without a library or an external service, so
+// no link ever leaves the server to be drawn. Links are encoded in byte mode
+// at the smallest version (1-40) that fits the requested error correction
+// level, and rendered as SVG or PNG data URLs.
+
+import zlib from 'zlib';
+
+// Format bits of each error correction level, and its row in the tables below
+const ERROR_CORRECTION = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+const FORMATS = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+
+// Error correction codewords per block, by level and version (ISO/IEC 18004 table 9)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, by level and version
+const ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Mask penalty weights
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER = 40;
+const PENALTY_BALANCE = 10;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Resolves the QR code options of a request against app configuration
+ * @param {Object} requested - { qrCode, qrFormat, qrSize, qrErrorCorrection } from a JSON body or a
+ *   query string; qrCode false (or "false") leaves the code out
+ * @param {Object} config - qrCodes section of app-config.json
+ * @returns {Object} { options: { format, size, errorCorrection, margin } }, { options: null } when no
+ *   code is wanted, or { error }
+ */
+export function resolveQrOptions(requested = {}, config = {}) {
+  const { qrCode, qrFormat, qrSize, qrErrorCorrection } = requested;
+  const given = value => value !== undefined && value !== '';
+
+  if (qrCode === false || qrCode === 'false' || (!given(qrCode) && config.enabled === false)) {
+    return { options: null };
+  }
+  if (given(qrCode) && qrCode !== true && qrCode !== 'true') {
+    return { error: 'Field "qrCode" must be true or false.' };
+  }
+
+  const format = given(qrFormat) ? String(qrFormat).toLowerCase() : (config.format || 'svg');
+  if (!FORMATS[format]) {
+    return { error: `Field "qrFormat" must be one of: ${Object.keys(FORMATS).join(', ')}.` };
+  }
+
+  const maxSize = config.maxSize || 1024;
+  const size = given(qrSize) ? Number(qrSize) : (config.size || 256);
+  if (!Number.isInteger(size) || size < 64 || size > maxSize) {
+    return { error: `Field "qrSize" must be an integer from 64 to ${maxSize} (pixels).` };
+  }
+
+  const errorCorrection = given(qrErrorCorrection)
+    ? String(qrErrorCorrection).toUpperCase()
+    : (config.errorCorrection || 'M');
+  if (!ERROR_CORRECTION[errorCorrection]) {
+    return { error: `Field "qrErrorCorrection" must be one of: ${Object.keys(ERROR_CORRECTION).join(', ')}.` };
+  }
+
+  return { options: { format, size, errorCorrection, margin: config.margin ?? 4 } };
+}
+
+/**
+ * Draws a QR code as a data URL
+ * @param {string} text - Text to encode, usually a link
+ * @param {Object} options - { format, size, errorCorrection, margin } as from resolveQrOptions
+ * @returns {Object} { format, dataUrl, size, version, modules, errorCorrection } where size is the
+ *   image width in pixels and modules the width of the code in modules
+ */
+export function createQrCode(text, { format = 'svg', size = 256, errorCorrection = 'M', margin = 4 } = {}) {
+  const qr = encodeQrCode(text, { errorCorrection });
+  const image = format === 'png'
+    ? renderQrPng(qr, { size, margin })
+    : { data: Buffer.from(renderQrSvg(qr, { size, margin }), 'utf8'), size };
+
+  return {
+    format,
+    dataUrl: `data:${FORMATS[format]};base64,${image.data.toString('base64')}`,
+    size: image.size,
+    version: qr.version,
+    modules: qr.size,
+    errorCorrection
+  };
+}
+
+/**
+ * Encodes text as a QR code matrix
+ * @param {string} text - Text to encode; UTF-8 in byte mode
+ * @param {Object} options - { errorCorrection, mask } level L, M, Q or H, and a mask 0-7 to force
+ *   instead of the one with the lowest penalty
+ * @returns {Object} { version, size, errorCorrection, mask, modules } where modules[y][x] is true for
+ *   dark modules
+ */
+export function encodeQrCode(text, { errorCorrection = 'M', mask } = {}) {
+  const level = ERROR_CORRECTION[errorCorrection];
+  if (!level) throw new Error(`Unknown QR error correction level: ${errorCorrection}`);
+
+  const data = Buffer.from(String(text), 'utf8');
+  let version = 1;
+  while (version <= 40 && 4 + (version < 10 ? 8 : 16) + data.length * 8 > getNumDataCodewords(version, level) * 8) {
+    version++;
+  }
+  if (version > 40) {
+    throw new Error(`Text of ${data.length} bytes is too long for a QR code at error correction ${errorCorrection}`);
+  }
+
+  // Byte mode segment, terminator, then padding to capacity
+  const capacityBits = getNumDataCodewords(version, level) * 8;
+  const bits = [];
+  appendBits(bits, 0x4, 4);
+  appendBits(bits, data.length, version < 10 ? 8 : 16);
+  data.forEach(byte => appendBits(bits, byte, 8));
+  appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) appendBits(bits, pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  const matrix = createMatrix(version);
+  drawFunctionPatterns(matrix, version, level);
+  drawCodewords(matrix, addErrorCorrection(codewords, version, level));
+
+  let chosenMask = mask;
+  if (chosenMask === undefined) {
+    let lowestPenalty = Infinity;
+    for (let candidate = 0; candidate < 8; candidate++) {
+      applyMask(matrix, candidate);
+      drawFormatBits(matrix, level, candidate);
+      const penalty = getPenaltyScore(matrix.modules);
+      if (penalty < lowestPenalty) {
+        chosenMask = candidate;
+        lowestPenalty = penalty;
+      }
+      applyMask(matrix, candidate); // XOR again to undo
+    }
+  }
+  applyMask(matrix, chosenMask);
+  drawFormatBits(matrix, level, chosenMask);
+
+  return { version, size: matrix.size, errorCorrection, mask: chosenMask, modules: matrix.modules };
+}
+
+/**
+ * Renders a QR code as SVG, one path of horizontal runs of dark modules
+ * @param {Object} qr - encodeQrCode result
+ * @param {Object} options - { size, margin } width in pixels and quiet zone in modules
+ * @returns {string} SVG document
+ */
+export function renderQrSvg(qr, { size = 256, margin = 4 } = {}) {
+  const extent = qr.size + margin * 2;
+  const path = [];
+
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < qr.size; x++) {
+      if (!row[x]) continue;
+      const start = x;
+      while (x + 1 < qr.size && row[x + 1]) x++;
+      const length = x - start + 1;
+      path.push(`M${start + margin},${y + margin}h${length}v1h-${length}z`);
+    }
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">` +
+    `<rect width="${extent}" height="${extent}" fill="#ffffff"/>` +
+    `<path d="${path.join('')}" fill="#000000"/></svg>`;
+}
+
+/**
+ * Renders a QR code as a greyscale PNG. Modules are whole pixels, so the image
+ * is the largest multiple of the code width that fits the requested size.
+ * @param {Object} qr - encodeQrCode result
+ * @param {Object} options - { size, margin } width in pixels and quiet zone in modules
+ * @returns {Object} { data, size } PNG bytes and the actual width in pixels
+ */
+export function renderQrPng(qr, { size = 256, margin = 4 } = {}) {
+  const extent = qr.size + margin * 2;
+  const scale = Math.max(1, Math.floor(size / extent));
+  const width = extent * scale;
+
+  // Each scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((width + 1) * width, 0xff);
+  for (let py = 0; py < width; py++) {
+    const rowStart = py * (width + 1);
+    raw[rowStart] = 0;
+    const y = Math.floor(py / scale) - margin;
+    if (y < 0 || y >= qr.size) continue;
+    for (let px = 0; px < width; px++) {
+      const x = Math.floor(px / scale) - margin;
+      if (x >= 0 && x < qr.size && qr.modules[y][x]) raw[rowStart + 1 + px] = 0;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(width, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // greyscale; compression, filter and interlace stay 0
+
+  return {
+    data: Buffer.concat([
+      PNG_SIGNATURE,
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]),
+    size: width
+  };
+}
+
+/**
+ * Appends the low bits of a value, most significant first
+ * @param {Array<number>} bits - Bit buffer
+ * @param {number} value - Value
+ * @param {number} length - Number of bits
+ */
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+}
+
+/**
+ * Modules available for data and error correction in a version, after
+ * function patterns, format and version information
+ * @param {number} version - 1-40
+ * @returns {number} Number of modules
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Data codewords a version holds at an error correction level
+ * @param {number} version - 1-40
+ * @param {Object} level - ERROR_CORRECTION entry
+ * @returns {number} Number of 8-bit codewords
+ */
+function getNumDataCodewords(version, level) {
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] * ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+}
+
+/**
+ * Splits data codewords into blocks, appends Reed-Solomon error correction to
+ * each and interleaves the blocks
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - 1-40
+ * @param {Object} level - ERROR_CORRECTION entry
+ * @returns {Array<number>} Final codeword sequence
+ */
+function addErrorCorrection(data, version, level) {
+  const numBlocks = ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    // Short blocks get a placeholder so every block has the same layout
+    if (i < numShortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/**
+ * Generator polynomial for Reed-Solomon error correction of a given degree
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Coefficients, highest power first, without the leading 1
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree - 1).fill(0);
+  result.push(1);
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Reed-Solomon error correction codewords of a block
+ * @param {Array<number>} data - Block data codewords
+ * @param {Array<number>} divisor - reedSolomonDivisor result
+ * @returns {Array<number>} Error correction codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor); });
+  });
+  return result;
+}
+
+/**
+ * Multiplies in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Creates an empty matrix for a version
+ * @param {number} version - 1-40
+ * @returns {Object} { size, modules, reserved } where reserved marks function modules
+ */
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  return {
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+  };
+}
+
+/**
+ * Sets a function module, which masking and data placement leave alone
+ * @param {Object} matrix - createMatrix result
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {boolean} dark - Module color
+ */
+function setFunctionModule(matrix, x, y, dark) {
+  matrix.modules[y][x] = dark;
+  matrix.reserved[y][x] = true;
+}
+
+/**
+ * Draws timing, finder and alignment patterns, and reserves the format and
+ * version areas
+ * @param {Object} matrix - createMatrix result
+ * @param {number} version - 1-40
+ * @param {Object} level - ERROR_CORRECTION entry
+ */
+function drawFunctionPatterns(matrix, version, level) {
+  const { size } = matrix;
+
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(matrix, 6, i, i % 2 === 0);
+    setFunctionModule(matrix, i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunctionModule(matrix, x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = getAlignmentPatternPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      // Skip the three positions taken by finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Placeholder until the mask is chosen
+  drawFormatBits(matrix, level, 0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunctionModule(matrix, a, b, dark);
+      setFunctionModule(matrix, b, a, dark);
+    }
+  }
+}
+
+/**
+ * Centre coordinates of alignment patterns, the same for rows and columns
+ * @param {number} version - 1-40
+ * @returns {Array<number>} Ascending positions
+ */
+function getAlignmentPatternPositions(version) {
+  if (version === 1) return [];
+
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let position = version * 4 + 17 - 7; result.length < numAlign; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+/**
+ * Draws both copies of the format information (error correction level and
+ * mask) and the dark module
+ * @param {Object} matrix - createMatrix result
+ * @param {Object} level - ERROR_CORRECTION entry
+ * @param {number} mask - 0-7
+ */
+function drawFormatBits(matrix, level, mask) {
+  const { size } = matrix;
+  const data = (level.formatBits << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) setFunctionModule(matrix, 8, i, bit(i));
+  setFunctionModule(matrix, 8, 7, bit(6));
+  setFunctionModule(matrix, 8, 8, bit(7));
+  setFunctionModule(matrix, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunctionModule(matrix, 14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) setFunctionModule(matrix, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunctionModule(matrix, 8, size - 15 + i, bit(i));
+  setFunctionModule(matrix, 8, size - 8, true);
+}
+
+/**
+ * Places codewords in the zigzag order of two-module columns, right to left
+ * @param {Object} matrix - createMatrix result with function patterns drawn
+ * @param {Array<number>} codewords - addErrorCorrection result
+ */
+function drawCodewords(matrix, codewords) {
+  const { size } = matrix;
+  let i = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // The vertical timing pattern takes column 6
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!matrix.reserved[y][x] && i < codewords.length * 8) {
+          matrix.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * XORs a mask pattern over the data modules; applying it twice undoes it
+ * @param {Object} matrix - createMatrix result
+ * @param {number} mask - 0-7
+ */
+function applyMask(matrix, mask) {
+  const patterns = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+  ];
+  const invert = patterns[mask];
+
+  for (let y = 0; y < matrix.size; y++) {
+    for (let x = 0; x < matrix.size; x++) {
+      if (!matrix.reserved[y][x] && invert(x, y)) matrix.modules[y][x] = !matrix.modules[y][x];
+    }
+  }
+}
+
+/**
+ * Penalty of a masked matrix: long runs, 2x2 blocks, finder-like patterns and
+ * dark/light imbalance all make a code harder to scan
+ * @param {Array<Array<boolean>>} modules - Matrix modules
+ * @returns {number} Penalty; lower is better
+ */
+function getPenaltyScore(modules) {
+  const size = modules.length;
+  let result = 0;
+
+  const scoreLine = get => {
+    let runColor = false;
+    let runLength = 0;
+    const history = [0, 0, 0, 0, 0, 0, 0];
+    for (let i = 0; i < size; i++) {
+      if (get(i) === runColor) {
+        runLength++;
+        if (runLength === 5) result += PENALTY_RUN;
+        else if (runLength > 5) result++;
+      } else {
+        addFinderHistory(history, runLength, size);
+        if (!runColor) result += countFinderPatterns(history) * PENALTY_FINDER;
+        runColor = get(i);
+        runLength = 1;
+      }
+    }
+    // Close the line as if the light quiet zone followed
+    if (runColor) {
+      addFinderHistory(history, runLength, size);
+      runLength = 0;
+    }
+    addFinderHistory(history, runLength + size, size);
+    result += countFinderPatterns(history) * PENALTY_FINDER;
+  };
+
+  for (let y = 0; y < size; y++) scoreLine(x => modules[y][x]);
+  for (let x = 0; x < size; x++) scoreLine(y => modules[y][x]);
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        result += PENALTY_BLOCK;
+      }
+    }
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_BALANCE;
+
+  return result;
+}
+
+/**
+ * Records a run length in the finder pattern history, newest first; the first
+ * run of a line includes the light quiet zone before it
+ * @param {Array<number>} history - Last seven run lengths
+ * @param {number} runLength - Length of the run that just ended
+ * @param {number} size - Matrix width
+ */
+function addFinderHistory(history, runLength, size) {
+  if (history[0] === 0) runLength += size;
+  history.pop();
+  history.unshift(runLength);
+}
+
+/**
+ * Counts 1:1:3:1:1 finder-like patterns with four light modules on either side
+ * @param {Array<number>} history - Run lengths, newest first, starting on a light run
+ * @returns {number} 0, 1 or 2
+ */
+function countFinderPatterns(history) {
+  const n = history[1];
+  const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+  return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+    (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+}
+
+/**
+ * Builds a PNG chunk
+ * @param {string} type - Chunk type, e.g. "IHDR"
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * CRC-32 as used by PNG
+ * @param {Buffer} bytes - Chunk type and data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
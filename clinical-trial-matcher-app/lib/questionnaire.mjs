@@ -0,0 +1,297 @@
+// lib/questionnaire.mjs
+//
+// Missing-information questionnaires. Criteria an evaluation could not decide
+// are turned into structured questions: computable criteria (age, sex, a lab
+// threshold, a performance status) ask for the value itself, and a question
+// asking for a value is shared by every criterion that needs it; other criteria
+// ask whether they apply. Answers become attested supplementary data, both as
+// text appended to the record for the model and as structured facts for the
+// deterministic rules.
+
+import { parseComputableCriterion, buildObservationFact } from './criterion-rules.mjs';
+
+const UNRESOLVED_STATUSES = new Set(['more-information-needed', 'insufficient-data']);
+
+// Plausible ranges for values that have no range of their own
+const AGE_RANGE = { min: 0, max: 120 };
+const PERFORMANCE_RANGES = { ecog: { min: 0, max: 5 }, karnofsky: { min: 0, max: 100 } };
+
+const MAX_DETAILS_LENGTH = 1000;
+
+/**
+ * Builds the questionnaire for the unresolved criteria of an evaluation
+ * @param {Array} criteria - Criterion results or criteriaAnalysis entries of a stored evaluation
+ * @returns {Array} Questions { questionId, question, answerType, units?, options?, min?, max?,
+ *   criteria: [{ index, criterion, type, status }], hint? } in criterion order
+ */
+export function buildQuestionnaire(criteria) {
+  const questions = new Map();
+
+  criteria.forEach((criterion, index) => {
+    // Group headers are decided by their sub-criteria, which get the questions
+    if (!UNRESOLVED_STATUSES.has(criterion.status) || criterion.group) return;
+
+    const question = describeQuestion(criterion, index);
+    const resolves = { index, criterion: criterion.criterion, type: criterion.type, status: criterion.status };
+
+    if (questions.has(question.questionId)) {
+      questions.get(question.questionId).criteria.push(resolves);
+      return;
+    }
+    questions.set(question.questionId, { ...question, criteria: [resolves] });
+  });
+
+  return [...questions.values()];
+}
+
+/**
+ * Validates answers against a questionnaire
+ * @param {Array} questions - Questions from buildQuestionnaire
+ * @param {Array} answers - [{ questionId, value, unit?, details? }]
+ * @returns {Object} { answers } normalized (boolean values, numeric values, units), or { error }
+ */
+export function validateAnswers(questions, answers) {
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return { error: 'Field "answers" must be a non-empty array of { "questionId", "value" } objects.' };
+  }
+
+  const byId = new Map(questions.map(q => [q.questionId, q]));
+  const seen = new Set();
+  const normalized = [];
+
+  for (const answer of answers) {
+    const question = answer && byId.get(answer.questionId);
+    if (!question) {
+      return { error: `Question ${answer?.questionId} is not part of this evaluation's questionnaire.` };
+    }
+    if (seen.has(question.questionId)) {
+      return { error: `Question ${question.questionId} is answered more than once.` };
+    }
+    seen.add(question.questionId);
+
+    if (answer.details !== undefined && (typeof answer.details !== 'string' || answer.details.length > MAX_DETAILS_LENGTH)) {
+      return { error: `Details for question ${question.questionId} must be a string of at most ${MAX_DETAILS_LENGTH} characters.` };
+    }
+
+    const value = normalizeValue(question, answer.value);
+    if (value === null) {
+      return { error: `Answer to question ${question.questionId} must be ${describeAnswerType(question)}.` };
+    }
+
+    const unit = question.answerType === 'number' ? (answer.unit || question.units[0]) : undefined;
+    if (question.answerType === 'number' && question.analyte) {
+      if (!buildObservationFact({ name: question.label, value, unit })) {
+        return { error: `Unit "${unit}" cannot be converted for ${question.label}; use ${question.units[0]}.` };
+      }
+    } else if (unit !== undefined && !question.units.includes(unit)) {
+      return { error: `Answer to question ${question.questionId} must be in ${question.units[0]}.` };
+    }
+
+    normalized.push({
+      questionId: question.questionId,
+      value,
+      ...(unit !== undefined && { unit }),
+      ...(answer.details && answer.details.trim() && { details: answer.details.trim() })
+    });
+  }
+
+  return { answers: normalized };
+}
+
+/**
+ * Turns validated answers into attested supplementary data: entries to keep
+ * with the session, a text block to append to the record, and structured facts
+ * whose offsets point into that block
+ * @param {Array} questions - Questions from buildQuestionnaire
+ * @param {Array} answers - Answers from validateAnswers
+ * @param {Object} attestation - { attestedBy, attestedAt, offset } where offset is the position of the
+ *   block in the record it is appended to
+ * @returns {Object} { text, entries, facts }
+ */
+export function buildSupplementaryData(questions, answers, { attestedBy, attestedAt, offset = 0 }) {
+  const byId = new Map(questions.map(q => [q.questionId, q]));
+  const header = `SUPPLEMENTARY DATA (attested by ${attestedBy} on ${attestedAt}; answers to eligibility questions, not part of the original record):`;
+  const facts = { labs: {}, performance: {} };
+  const entries = [];
+  let text = header;
+
+  for (const answer of answers) {
+    const question = byId.get(answer.questionId);
+    const line = `- ${formatAnswer(question, answer)}`;
+    const lineOffset = offset + text.length + 1;
+    text += `\n${line}`;
+
+    const fact = buildAnswerFact(question, answer, line.slice(2), lineOffset + 2);
+    if (fact) {
+      if (fact.category) {
+        facts[fact.category][fact.key] = fact.fact;
+      } else {
+        facts[fact.key] = fact.fact;
+      }
+    }
+
+    entries.push({
+      questionId: question.questionId,
+      question: question.question,
+      answer: answer.value,
+      ...(answer.unit && { unit: answer.unit }),
+      ...(answer.details && { details: answer.details }),
+      text: line.slice(2),
+      criteria: question.criteria.map(c => c.index),
+      attestedBy,
+      attestedAt
+    });
+  }
+
+  return { text, entries, facts };
+}
+
+/**
+ * Describes the question for one unresolved criterion
+ * @param {Object} criterion - Criterion result
+ * @param {number} index - Criterion index
+ * @returns {Object} Question without its criteria list
+ */
+function describeQuestion(criterion, index) {
+  const atom = parseComputableCriterion(criterion.criterion);
+  const hint = criterion.missingInformation && criterion.missingInformation !== 'None identified'
+    ? criterion.missingInformation
+    : undefined;
+
+  switch (atom?.kind) {
+    case 'age':
+      return {
+        questionId: 'age',
+        question: "What is the patient's age?",
+        answerType: 'number',
+        units: ['years'],
+        ...AGE_RANGE,
+        label: 'Age'
+      };
+    case 'sex':
+      return {
+        questionId: 'sex',
+        question: "What is the patient's sex?",
+        answerType: 'choice',
+        options: ['female', 'male'],
+        label: 'Sex'
+      };
+    case 'performance':
+      return {
+        questionId: `performance-${atom.scale}`,
+        question: `What is the patient's current ${atom.label}?`,
+        answerType: 'number',
+        units: ['score'],
+        ...PERFORMANCE_RANGES[atom.scale],
+        label: atom.label,
+        scale: atom.scale
+      };
+    case 'lab':
+      return {
+        questionId: `lab-${atom.analyte}`,
+        question: `What is the patient's most recent ${atom.label}?`,
+        answerType: 'number',
+        units: [atom.unit],
+        min: 0,
+        label: atom.label,
+        analyte: atom.analyte
+      };
+    default:
+      return {
+        questionId: `criterion-${index}`,
+        question: criterion.type === 'exclusion'
+          ? `Does this exclusion criterion apply to the patient: "${criterion.criterion}"?`
+          : `Does the patient meet this criterion: "${criterion.criterion}"?`,
+        answerType: 'boolean',
+        ...(hint && { hint })
+      };
+  }
+}
+
+/**
+ * Converts an answer value to the question's type
+ * @param {Object} question - Question
+ * @param {*} value - Submitted value
+ * @returns {*} Normalized value, or null if it does not fit the question
+ */
+function normalizeValue(question, value) {
+  switch (question.answerType) {
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'string' && /^(yes|no|true|false)$/i.test(value.trim())) {
+        return /^(yes|true)$/i.test(value.trim());
+      }
+      return null;
+    case 'choice':
+      return typeof value === 'string' && question.options.includes(value.trim().toLowerCase())
+        ? value.trim().toLowerCase()
+        : null;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof number !== 'number' || !isFinite(number)) return null;
+      if (question.min !== undefined && number < question.min) return null;
+      if (question.max !== undefined && number > question.max) return null;
+      return number;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describes what an answer must look like, for validation errors
+ * @param {Object} question - Question
+ * @returns {string} e.g. "a number between 0 and 5"
+ */
+function describeAnswerType(question) {
+  if (question.answerType === 'boolean') return 'true/false or "yes"/"no"';
+  if (question.answerType === 'choice') return `one of: ${question.options.join(', ')}`;
+  if (question.max !== undefined) return `a number between ${question.min} and ${question.max}`;
+  return `a number of at least ${question.min}`;
+}
+
+/**
+ * Writes an answer as a line of supplementary data
+ * @param {Object} question - Question
+ * @param {Object} answer - Validated answer
+ * @returns {string} e.g. "HbA1c: 7.4 %" or the question followed by "Yes."
+ */
+function formatAnswer(question, answer) {
+  const details = answer.details ? ` ${answer.details}` : '';
+  if (question.answerType === 'boolean') {
+    return `${question.question} ${answer.value ? 'Yes' : 'No'}.${details}`;
+  }
+  if (question.answerType === 'choice') {
+    return `${question.label}: ${answer.value}.${details}`;
+  }
+  const unit = answer.unit && answer.unit !== 'score' ? ` ${answer.unit}` : '';
+  return `${question.label}: ${answer.value}${unit}.${details}`;
+}
+
+/**
+ * Structured fact for an answer that supplies a computable value
+ * @param {Object} question - Question
+ * @param {Object} answer - Validated answer
+ * @param {string} quote - The answer's line of supplementary data
+ * @param {number} offset - Position of the line in the record
+ * @returns {Object|null} { key, fact } for age and sex, { category, key, fact } for labs and
+ *   performance status, or null for yes/no answers
+ */
+function buildAnswerFact(question, answer, quote, offset) {
+  if (question.questionId === 'age') {
+    return { key: 'age', fact: { value: answer.value, quote, offset } };
+  }
+  if (question.questionId === 'sex') {
+    return { key: 'sex', fact: { value: answer.value, quote, offset } };
+  }
+  if (question.analyte || question.scale) {
+    return buildObservationFact({
+      name: question.label,
+      value: answer.value,
+      unit: question.scale ? null : answer.unit,
+      quote,
+      offset
+    });
+  }
+  return null;
+}
@@ -0,0 +1,229 @@
+// lib/registry-changes.mjs
+//
+// Registry change detection. An evaluation of an NCT trial keeps a snapshot of
+// the registry entry it was run against: the criteria, the overall status and
+// the age and sex limits. After the local NCT database is refreshed, a scan
+// compares every stored snapshot with the trial as it is parsed now and
+// reports the evaluations whose trial changed, criterion by criterion, so they
+// can be re-screened on the changed criteria only.
+
+import { parseNCT, getNCTDatabaseStats } from '../../../charmonator/lib/nct-parser.mjs';
+
+// Registry limits checked deterministically alongside the criteria
+const LIMIT_FIELDS = ['minimumAge', 'maximumAge', 'gender'];
+
+// Store in memory (in production, would use Redis or database)
+const scans = {
+  latest: null,
+  running: null
+};
+
+/**
+ * Takes a snapshot of the registry entry an evaluation is run against
+ * @param {Object} trialData - parseNCT output
+ * @returns {Object} { parsedAt, databaseVersion, overallStatus, inclusionCriteria, exclusionCriteria,
+ *   minimumAge, maximumAge, gender }
+ */
+export function snapshotTrial(trialData) {
+  const eligibility = trialData.eligibility || {};
+
+  return {
+    parsedAt: trialData.metadata?.parsedAt || null,
+    databaseVersion: readDatabaseVersion(),
+    overallStatus: trialData.studyInfo?.overallStatus || null,
+    inclusionCriteria: [...(eligibility.inclusionCriteria || [])],
+    exclusionCriteria: [...(eligibility.exclusionCriteria || [])],
+    ...Object.fromEntries(LIMIT_FIELDS.map(field => [field, eligibility[field] ?? null]))
+  };
+}
+
+/**
+ * Compares two snapshots of a trial. Criteria are compared by type and exact
+ * text, indentation included, because indentation decides criterion groups.
+ * @param {Object} before - Snapshot the evaluation was run against
+ * @param {Object} after - Snapshot of the trial as parsed now
+ * @returns {Object} { changed, statusChange, limitChanges, addedCriteria, removedCriteria, reordered,
+ *   unchangedCriteria } where a reordering alone only regroups criteria
+ */
+export function diffTrialSnapshots(before, after) {
+  const addedCriteria = [];
+  const removedCriteria = [];
+  let unchangedCriteria = 0;
+  let reordered = false;
+
+  for (const type of ['inclusion', 'exclusion']) {
+    const beforeList = before[`${type}Criteria`].map(normalizeCriterionText);
+    const afterList = after[`${type}Criteria`].map(normalizeCriterionText);
+    const remaining = countTexts(beforeList);
+
+    afterList.forEach(text => {
+      if (remaining.get(text) > 0) {
+        remaining.set(text, remaining.get(text) - 1);
+        unchangedCriteria++;
+      } else {
+        addedCriteria.push({ type, criterion: text });
+      }
+    });
+    for (const [text, count] of remaining) {
+      for (let i = 0; i < count; i++) removedCriteria.push({ type, criterion: text });
+    }
+
+    const kept = text => !addedCriteria.some(c => c.type === type && c.criterion === text) &&
+      !removedCriteria.some(c => c.type === type && c.criterion === text);
+    if (beforeList.filter(kept).join('\n') !== afterList.filter(kept).join('\n')) reordered = true;
+  }
+
+  const statusChange = before.overallStatus !== after.overallStatus
+    ? { from: before.overallStatus, to: after.overallStatus }
+    : null;
+  const limitChanges = LIMIT_FIELDS
+    .filter(field => (before[field] ?? null) !== (after[field] ?? null))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+  return {
+    changed: Boolean(statusChange) || limitChanges.length > 0 || addedCriteria.length > 0 ||
+      removedCriteria.length > 0 || reordered,
+    statusChange,
+    limitChanges,
+    addedCriteria,
+    removedCriteria,
+    reordered,
+    unchangedCriteria
+  };
+}
+
+/**
+ * Compares stored evaluations with the trials as parsed now. Each trial is
+ * parsed once however many evaluations were run against it.
+ * @param {Array} entries - Stored evaluation entries with an nctNumber and a registrySnapshot
+ * @param {Object} options - { scanId, onResult, signal } id the report is stored under, callback
+ *   receiving { nctNumber, changed, evaluations } per trial, and an AbortSignal that stops the scan
+ * @returns {Object} Scan report, also kept as the latest report
+ */
+export async function scanRegistryChanges(entries, { scanId, onResult, signal } = {}) {
+  const startedAt = new Date().toISOString();
+  const databaseVersion = readDatabaseVersion();
+  scans.running = { scanId, startedAt };
+
+  try {
+    const byTrial = new Map();
+    entries.filter(entry => entry.nctNumber && entry.registrySnapshot).forEach(entry => {
+      if (!byTrial.has(entry.nctNumber)) byTrial.set(entry.nctNumber, []);
+      byTrial.get(entry.nctNumber).push(entry);
+    });
+
+    const changedEvaluations = [];
+    const unavailableTrials = [];
+    let changedTrials = 0;
+
+    for (const [nctNumber, trialEntries] of byTrial) {
+      if (signal?.aborted) throw new Error('Scan cancelled');
+
+      let current;
+      try {
+        current = snapshotTrial(await parseNCT(nctNumber));
+      } catch (error) {
+        unavailableTrials.push({ nctNumber, error: error.message, evaluations: trialEntries.length });
+        if (onResult) onResult({ nctNumber, changed: null, evaluations: trialEntries.length });
+        continue;
+      }
+
+      const changed = trialEntries
+        .map(entry => ({ entry, changes: diffTrialSnapshots(entry.registrySnapshot, current) }))
+        .filter(({ changes }) => changes.changed);
+      if (changed.length > 0) changedTrials++;
+
+      changed.forEach(({ entry, changes }) => changedEvaluations.push({
+        evaluationId: entry.evaluationId,
+        patientId: entry.patientId,
+        nctNumber,
+        timestamp: entry.timestamp,
+        evaluationType: entry.evaluationType,
+        evaluatedAgainst: {
+          parsedAt: entry.registrySnapshot.parsedAt,
+          databaseVersion: entry.registrySnapshot.databaseVersion
+        },
+        changes
+      }));
+      if (onResult) onResult({ nctNumber, changed: changed.length > 0, evaluations: trialEntries.length });
+    }
+
+    scans.latest = {
+      scanId: scanId || null,
+      startedAt,
+      completedAt: new Date().toISOString(),
+      databaseVersion,
+      checkedTrials: byTrial.size,
+      checkedEvaluations: [...byTrial.values()].reduce((sum, list) => sum + list.length, 0),
+      changedTrials,
+      unavailableTrials,
+      changedEvaluations
+    };
+    return scans.latest;
+  } finally {
+    scans.running = null;
+  }
+}
+
+/**
+ * The most recent completed scan
+ * @returns {Object|null} Scan report from scanRegistryChanges
+ */
+export function getLatestRegistryScan() {
+  return scans.latest;
+}
+
+/**
+ * Reports whether the stored evaluations have been compared with the current
+ * NCT database
+ * @returns {Object} { databaseLastUpdated, scannedDatabaseVersion, lastScanAt, running, stale } where
+ *   stale means the database was refreshed after the last scan (or nothing was scanned yet)
+ */
+export function getRegistryScanStatus() {
+  const databaseLastUpdated = readDatabaseVersion();
+  const scannedDatabaseVersion = scans.latest?.databaseVersion || null;
+
+  return {
+    databaseLastUpdated,
+    scannedDatabaseVersion,
+    lastScanAt: scans.latest?.completedAt || null,
+    running: scans.running,
+    stale: !scans.latest ||
+      (databaseLastUpdated !== null && scannedDatabaseVersion !== null &&
+        new Date(databaseLastUpdated) > new Date(scannedDatabaseVersion))
+  };
+}
+
+/**
+ * Reads the version of the local NCT database
+ * @returns {string|null} lastUpdated from the database stats, or null if unavailable
+ */
+function readDatabaseVersion() {
+  try {
+    return getNCTDatabaseStats()?.lastUpdated || null;
+  } catch (error) {
+    // Stats unavailable; freshness cannot be determined
+    return null;
+  }
+}
+
+/**
+ * Normalizes a criterion for comparison: trailing whitespace and line endings
+ * differ between database exports without changing the criterion
+ * @param {string} text - Criterion text
+ * @returns {string} Text without trailing whitespace
+ */
+function normalizeCriterionText(text) {
+  return String(text).replace(/\r\n?/g, '\n').trimEnd();
+}
+
+/**
+ * Counts occurrences of each text, so repeated criteria are matched one to one
+ * @param {Array<string>} texts - Criterion texts
+ * @returns {Map} text => count
+ */
+function countTexts(texts) {
+  const counts = new Map();
+  texts.forEach(text => counts.set(text, (counts.get(text) || 0) + 1));
+  return counts;
+}
@@ -0,0 +1,199 @@
+// lib/share-tokens.mjs
+//
+// Share tokens for deep links. A link carries an opaque token instead of
+// patient data, so nothing identifying ends up in browser history or proxy
+// logs. The token is encrypted and authenticated (AES-256-GCM) and only names
+// a record held on the server, which points at a pre-populated session or
+// holds the linked data itself. Tokens expire, can be limited to a single use,
+// and can be revoked.
+
+import crypto from 'crypto';
+
+// Store in memory (in production, would use Redis or database)
+const tokens = new Map();
+
+// Used when no secret is configured; tokens then stop working on restart,
+// as the in-memory records they name do
+const processKey = crypto.randomBytes(32);
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Issues a share token
+ * @param {Object} target - { sessionId } for a pre-populated session, or { data } held with the token
+ * @param {Object} options - { ttlMinutes, singleUse, secret, notAfter } lifetime, whether the token
+ *   works once only, the configured secret (a per-process key is used without one), and an optional
+ *   time the token may not outlive, such as its session's expiry
+ * @returns {Object} { token, record } the token for the link and the stored record
+ */
+export function issueShareToken(target, { ttlMinutes = 60, singleUse = true, secret, notAfter } = {}) {
+  cleanupExpiredTokens();
+
+  let expiresAt = Date.now() + ttlMinutes * 60 * 1000;
+  if (notAfter) expiresAt = Math.min(expiresAt, new Date(notAfter).getTime());
+
+  const record = {
+    tokenId: `token-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    ...(target.sessionId ? { sessionId: target.sessionId } : { data: target.data }),
+    singleUse,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+    usedAt: null,
+    useCount: 0,
+    revokedAt: null
+  };
+  tokens.set(record.tokenId, record);
+
+  return { token: sealToken({ tid: record.tokenId, exp: expiresAt }, secret), record };
+}
+
+/**
+ * Redeems a share token; a single-use token cannot be redeemed again
+ * @param {string} token - Token from a link
+ * @param {Object} options - { secret } the secret the token was issued with
+ * @returns {Object} { record }, or { error, status } with 404 for unknown or tampered tokens and 410
+ *   for expired, used or revoked ones
+ */
+export function redeemShareToken(token, { secret } = {}) {
+  const checked = inspectShareToken(token, { secret });
+  if (checked.error) return checked;
+
+  const { record } = checked;
+  record.usedAt = record.usedAt || new Date().toISOString();
+  record.useCount++;
+  return { record };
+}
+
+/**
+ * Checks that a share token could be redeemed, without using it; a handoff
+ * page can then show the token's link without spending a single-use token
+ * @param {string} token - Token from a link
+ * @param {Object} options - { secret } the secret the token was issued with
+ * @returns {Object} { record }, or { error, status } as from redeemShareToken
+ */
+export function inspectShareToken(token, { secret } = {}) {
+  const payload = typeof token === 'string' ? openToken(token, secret) : null;
+  const record = payload && tokens.get(payload.tid);
+  if (!record) {
+    return { error: 'Share token not found or expired', status: 404 };
+  }
+
+  if (record.revokedAt) {
+    return { error: 'Share token has been revoked', status: 410 };
+  }
+  if (Date.now() > payload.exp || new Date() > new Date(record.expiresAt)) {
+    return { error: 'Share token has expired', status: 410 };
+  }
+  if (record.singleUse && record.usedAt) {
+    return { error: 'Share token has already been used', status: 410 };
+  }
+
+  return { record };
+}
+
+/**
+ * Revokes a share token so its link stops working
+ * @param {string} tokenId - Token id returned when the token was issued
+ * @returns {Object|null} The token record, or null if unknown
+ */
+export function revokeShareToken(tokenId) {
+  const record = tokens.get(tokenId);
+  if (!record) return null;
+
+  record.revokedAt = record.revokedAt || new Date().toISOString();
+  return record;
+}
+
+/**
+ * Revokes every token of a session, e.g. when the session is deleted
+ * @param {string} sessionId - Session id
+ * @returns {number} Number of tokens revoked
+ */
+export function revokeSessionTokens(sessionId) {
+  let revoked = 0;
+  for (const record of tokens.values()) {
+    if (record.sessionId === sessionId && !record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      revoked++;
+    }
+  }
+  return revoked;
+}
+
+/**
+ * Public description of a token record; linked data is left out
+ * @param {Object} record - Token record
+ * @returns {Object} { tokenId, kind, sessionId?, singleUse, createdAt, expiresAt, usedAt, useCount, revokedAt }
+ */
+export function describeShareToken(record) {
+  return {
+    tokenId: record.tokenId,
+    kind: record.sessionId ? 'session' : 'link',
+    ...(record.sessionId && { sessionId: record.sessionId }),
+    singleUse: record.singleUse,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    usedAt: record.usedAt,
+    useCount: record.useCount,
+    revokedAt: record.revokedAt
+  };
+}
+
+/**
+ * Encrypts a token payload
+ * @param {Object} payload - { tid, exp }
+ * @param {string} secret - Configured secret, if any
+ * @returns {string} base64url of IV, ciphertext and authentication tag
+ */
+function sealToken(payload, secret) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64url');
+}
+
+/**
+ * Decrypts and authenticates a token
+ * @param {string} token - Token from a link
+ * @param {string} secret - Configured secret, if any
+ * @returns {Object|null} { tid, exp }, or null if the token was not issued with this key
+ */
+function openToken(token, secret) {
+  try {
+    const raw = Buffer.from(token, 'base64url');
+    if (raw.length <= IV_LENGTH + TAG_LENGTH) return null;
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), raw.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(raw.subarray(raw.length - TAG_LENGTH));
+    const plaintext = Buffer.concat([
+      decipher.update(raw.subarray(IV_LENGTH, raw.length - TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8');
+    return JSON.parse(plaintext);
+  } catch (error) {
+    // Tampered, truncated or issued with another key
+    return null;
+  }
+}
+
+/**
+ * Derives the 256-bit encryption key
+ * @param {string} secret - Configured secret, if any
+ * @returns {Buffer} Key
+ */
+function deriveKey(secret) {
+  return secret ? crypto.createHash('sha256').update(secret).digest() : processKey;
+}
+
+/**
+ * Drops token records that have expired
+ */
+function cleanupExpiredTokens() {
+  const now = new Date();
+  for (const [tokenId, record] of tokens.entries()) {
+    if (new Date(record.expiresAt) < now) {
+      tokens.delete(tokenId);
+    }
+  }
+}
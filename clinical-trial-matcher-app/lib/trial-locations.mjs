@@ -0,0 +1,273 @@
+// lib/trial-locations.mjs
+//
+// Trial site locations. Sites are read from the locations of a parsed NCT
+// record, each with its own recruitment status. A patient's postal code is
+// resolved to coordinates through a bundled offline centroid table, so the
+// distance to every site can be computed without calling a geocoding service.
+// Sites without coordinates of their own are placed by their postal code the
+// same way.
+
+import fs from 'fs';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Site statuses under which a site is taking patients
+const RECRUITING_STATUSES = new Set(['RECRUITING', 'NOT_YET_RECRUITING', 'ENROLLING_BY_INVITATION']);
+
+const DEFAULT_CENTROID_FILE = new URL('../data/postal-centroids.json', import.meta.url);
+
+// Prefixes missing from the table may borrow a prefix at most this far away,
+// and only in the same state, so a code is never placed in another state
+const MAX_AREA_PREFIX_DISTANCE = 2;
+
+// US ZIP prefix ranges [first, last, state]; military and unassigned
+// prefixes are left out
+const US_PREFIX_STATES = [
+  [5, 5, 'NY'], [6, 7, 'PR'], [8, 8, 'VI'], [9, 9, 'PR'], [10, 27, 'MA'], [28, 29, 'RI'],
+  [30, 38, 'NH'], [39, 49, 'ME'], [50, 54, 'VT'], [55, 55, 'MA'], [56, 59, 'VT'], [60, 69, 'CT'],
+  [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'], [200, 200, 'DC'],
+  [201, 201, 'VA'], [202, 205, 'DC'], [206, 219, 'MD'], [220, 246, 'VA'], [247, 268, 'WV'],
+  [270, 289, 'NC'], [290, 299, 'SC'], [300, 319, 'GA'], [320, 339, 'FL'], [341, 349, 'FL'],
+  [350, 369, 'AL'], [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'],
+  [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'], [530, 549, 'WI'],
+  [550, 567, 'MN'], [569, 569, 'DC'], [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'],
+  [600, 629, 'IL'], [630, 658, 'MO'], [660, 679, 'KS'], [680, 693, 'NE'], [700, 715, 'LA'],
+  [716, 729, 'AR'], [730, 732, 'OK'], [733, 733, 'TX'], [734, 749, 'OK'], [750, 799, 'TX'],
+  [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'], [850, 865, 'AZ'],
+  [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'], [967, 968, 'HI'],
+  [969, 969, 'GU'], [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+let centroids = null;
+let centroidSource = null;
+
+/**
+ * Loads the postal code centroid table. Later calls without a file reuse the
+ * table already loaded, so a replacement loaded at configuration time stays.
+ * @param {string} file - Optional path of a replacement table (locations.centroidFile)
+ * @returns {Object} { [country]: { [postalCode or prefix]: [latitude, longitude, place] } }
+ */
+export function loadPostalCentroids(file = null) {
+  if (centroids && (!file || file === centroidSource)) return centroids;
+
+  const source = file || DEFAULT_CENTROID_FILE;
+  const { description, ...countries } = JSON.parse(fs.readFileSync(source, 'utf8'));
+  centroids = countries;
+  centroidSource = source;
+  return centroids;
+}
+
+/**
+ * Returns the state of a US ZIP prefix
+ * @param {string} prefix - Three-digit prefix
+ * @returns {string|null} State or territory code, or null for unassigned and military prefixes
+ */
+function usPrefixState(prefix) {
+  const number = Number(prefix);
+  const range = US_PREFIX_STATES.find(([first, last]) => number >= first && number <= last);
+  return range ? range[2] : null;
+}
+
+/**
+ * Resolves a postal code to approximate coordinates. The full code is tried
+ * first, then its three-digit prefix. A US prefix missing from the table
+ * borrows the numerically closest prefix within MAX_AREA_PREFIX_DISTANCE in
+ * the same state (neighbouring prefixes cover neighbouring areas); otherwise
+ * the code is not placed, rather than placed in another state.
+ * @param {string} postalCode - Postal code, e.g. "02114" or "02114-2696"
+ * @param {string} country - ISO country code (default "US")
+ * @returns {Object|null} { postalCode, country, latitude, longitude, place, precision } where
+ *   precision is 'postal-code', 'prefix' or 'area', or null if the code cannot be placed
+ */
+export function resolvePostalCode(postalCode, country = 'US') {
+  const table = loadPostalCentroids()[String(country).toUpperCase()];
+  const code = String(postalCode || '').trim().toUpperCase().replace(/-\d{4}$/, '').replace(/\s+/g, '');
+  if (!table || !code) return null;
+
+  const describe = (key, precision) => ({
+    postalCode: code,
+    country: String(country).toUpperCase(),
+    latitude: table[key][0],
+    longitude: table[key][1],
+    place: table[key][2] || null,
+    precision
+  });
+
+  if (table[code]) return describe(code, 'postal-code');
+
+  const prefix = code.slice(0, 3);
+  if (table[prefix]) return describe(prefix, 'prefix');
+
+  if (String(country).toUpperCase() !== 'US' || !/^\d{3}$/.test(prefix)) return null;
+  const state = usPrefixState(prefix);
+  if (!state) return null;
+
+  const gap = key => Math.abs(Number(key) - Number(prefix));
+  const nearest = Object.keys(table)
+    .filter(key => /^\d{3}$/.test(key) && gap(key) <= MAX_AREA_PREFIX_DISTANCE && usPrefixState(key) === state)
+    .sort((a, b) => gap(a) - gap(b))[0];
+  return nearest ? describe(nearest, 'area') : null;
+}
+
+/**
+ * Reads a patient location from a request: a postal code, or coordinates
+ * @param {Object|string} input - { postalCode, country } or { latitude, longitude }, or a postal code
+ * @param {string} defaultCountry - Country of postal codes given without one
+ * @returns {Object} { location } as returned by resolvePostalCode, or { error }
+ */
+export function resolvePatientLocation(input, defaultCountry = 'US') {
+  const value = typeof input === 'string' ? { postalCode: input } : input;
+  if (!value || typeof value !== 'object') {
+    return { error: 'Patient location must be a postal code or { "postalCode", "country" } or { "latitude", "longitude" }.' };
+  }
+
+  if (value.latitude !== undefined || value.longitude !== undefined) {
+    const latitude = Number(value.latitude);
+    const longitude = Number(value.longitude);
+    if (!isFinite(latitude) || !isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: 'Patient location "latitude" and "longitude" must be valid coordinates.' };
+    }
+    return { location: { postalCode: null, country: null, latitude, longitude, place: null, precision: 'coordinates' } };
+  }
+
+  if (!value.postalCode || typeof value.postalCode !== 'string') {
+    return { error: 'Patient location needs a "postalCode" or "latitude" and "longitude".' };
+  }
+
+  const location = resolvePostalCode(value.postalCode, value.country || defaultCountry);
+  if (!location) {
+    return { error: `Postal code ${value.postalCode} could not be resolved; pass "latitude" and "longitude" instead.` };
+  }
+  return { location };
+}
+
+/**
+ * Extracts the sites of a parsed trial. Parsers differ in where and how they
+ * keep locations, so flat ({ facility, city, zip, status }) and nested
+ * ({ facility: { name, address } }) entries are both read.
+ * @param {Object} trialData - parseNCT output
+ * @returns {Array} Sites { facility, city, state, postalCode, country, status, recruiting,
+ *   latitude, longitude } with coordinates null when they cannot be determined
+ */
+export function extractTrialLocations(trialData) {
+  const locations = trialData?.locations ||
+    trialData?.studyInfo?.locations ||
+    trialData?.contactsLocations?.locations ||
+    [];
+  if (!Array.isArray(locations)) return [];
+
+  // Sites without a status of their own share the trial's
+  const trialStatus = normalizeTrialStatus(trialData?.studyInfo?.overallStatus);
+
+  return locations.filter(Boolean).map(location => {
+    const facility = typeof location.facility === 'object' && location.facility !== null ? location.facility : {};
+    const address = facility.address || location.address || location;
+    const status = normalizeTrialStatus(location.status || location.recruitmentStatus) || trialStatus;
+    const postalCode = address.zip || address.postalCode || null;
+    const country = address.country || null;
+    const geoPoint = location.geoPoint || location.coordinates || {};
+    let latitude = Number(geoPoint.lat ?? geoPoint.latitude ?? location.latitude);
+    let longitude = Number(geoPoint.lon ?? geoPoint.longitude ?? location.longitude);
+
+    if (!isFinite(latitude) || !isFinite(longitude) || (latitude === 0 && longitude === 0)) {
+      const centroid = postalCode ? resolvePostalCode(postalCode, toCountryCode(country)) : null;
+      latitude = centroid ? centroid.latitude : null;
+      longitude = centroid ? centroid.longitude : null;
+    }
+
+    return {
+      facility: (typeof location.facility === 'string' ? location.facility : facility.name) || location.name || null,
+      city: address.city || null,
+      state: address.state || null,
+      postalCode,
+      country,
+      status,
+      recruiting: RECRUITING_STATUSES.has(status),
+      latitude,
+      longitude
+    };
+  });
+}
+
+/**
+ * Describes a trial's sites relative to a patient: distance to each site,
+ * nearest first, and the nearest site that is recruiting
+ * @param {Object} trialData - parseNCT output
+ * @param {Object} patientLocation - Optional location from resolvePatientLocation
+ * @param {Object} options - { maxSites } number of sites listed (default 10)
+ * @returns {Object} { overallStatus, recruiting, siteCount, recruitingSiteCount, nearestRecruitingSite,
+ *   sites } where distances are in miles and only present with a patient location
+ */
+export function describeTrialSites(trialData, patientLocation = null, { maxSites = 10 } = {}) {
+  const sites = extractTrialLocations(trialData).map(site => ({
+    ...site,
+    ...(patientLocation && { distanceMiles: distanceToSite(patientLocation, site) })
+  }));
+
+  if (patientLocation) {
+    sites.sort((a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity) || b.recruiting - a.recruiting);
+  } else {
+    sites.sort((a, b) => b.recruiting - a.recruiting);
+  }
+
+  const recruitingSites = sites.filter(site => site.recruiting);
+  const overallStatus = trialData?.studyInfo?.overallStatus || null;
+
+  return {
+    overallStatus,
+    recruiting: RECRUITING_STATUSES.has(normalizeTrialStatus(overallStatus)) && (sites.length === 0 || recruitingSites.length > 0),
+    siteCount: sites.length,
+    recruitingSiteCount: recruitingSites.length,
+    nearestRecruitingSite: patientLocation
+      ? recruitingSites.find(site => site.distanceMiles !== null) || null
+      : null,
+    sites: sites.slice(0, maxSites)
+  };
+}
+
+/**
+ * Normalizes an overall or site status such as "Not yet recruiting" to NOT_YET_RECRUITING
+ * @param {string} status - Status as stored in the registry record
+ * @returns {string|null} Normalized status
+ */
+export function normalizeTrialStatus(status) {
+  if (!status) return null;
+  return String(status).trim().toUpperCase().replace(/[^A-Z]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Checks whether a trial is taking patients
+ * @param {string} status - Overall or site status, in any casing
+ * @returns {boolean} True for recruiting, not yet recruiting and enrolling by invitation
+ */
+export function isRecruitingStatus(status) {
+  return RECRUITING_STATUSES.has(normalizeTrialStatus(status));
+}
+
+/**
+ * Great-circle distance between a patient and a site
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} site - { latitude, longitude }, either of which may be null
+ * @returns {number|null} Distance in miles rounded to one decimal, or null without site coordinates
+ */
+export function distanceToSite(from, site) {
+  if (site.latitude === null || site.longitude === null) return null;
+
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(site.latitude - from.latitude);
+  const dLon = toRadians(site.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(site.latitude)) * Math.sin(dLon / 2) ** 2;
+  const miles = 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+  return Math.round(miles * 10) / 10;
+}
+
+/**
+ * Maps a registry country name to the key of the centroid table
+ * @param {string} country - Country as written in the record, e.g. "United States"
+ * @returns {string} ISO country code, "US" when the country is missing
+ */
+function toCountryCode(country) {
+  if (!country || /^(united states|usa?|u\.s\.a?\.?)$/i.test(String(country).trim())) return 'US';
+  return String(country).trim().toUpperCase();
+}
@@ -0,0 +1,447 @@
+// lib/trial-search-index.mjs
+//
+// In-memory search index over the parsed local NCT database. The index is
+// built in the background from parseNCT output and supports keyword,
+// condition, intervention and demographic queries with relevance ranking.
+// Trial sites are indexed with their coordinates, so searches near a patient
+// can filter and rank by the distance to the nearest recruiting site.
+import { parseNCT, searchNCT, getNCTDatabaseStats } from '../../../charmonator/lib/nct-parser.mjs';
+import { extractTrialLocations, distanceToSite, normalizeTrialStatus } from './trial-locations.mjs';
+
+// Relative weight of a query token hit in each indexed field
+const FIELD_WEIGHTS = {
+  conditions: 3,
+  title: 2,
+  interventions: 2
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+  'is', 'of', 'on', 'or', 'the', 'to', 'with', 'without'
+]);
+
+// Preferred ordering when no text query is given
+const STATUS_PRIORITY = {
+  RECRUITING: 0,
+  NOT_YET_RECRUITING: 1,
+  ENROLLING_BY_INVITATION: 2,
+  ACTIVE_NOT_RECRUITING: 3
+};
+
+const index = {
+  documents: new Map(),   // nctNumber -> indexed document
+  postings: new Map(),    // token -> Map(nctNumber -> Set(field))
+  builtAt: null,
+  buildStartedAt: null,
+  building: false,
+  lastError: null,
+  databaseLastUpdated: null,
+  skippedTrials: 0,
+  matchingTrials: 0,
+  truncated: false
+};
+
+/**
+ * Splits text into lowercase search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens with stopwords removed
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 0 && !STOPWORDS.has(token));
+}
+
+/**
+ * Normalizes a value that may be a string, an array of strings or missing
+ * @param {*} value - Raw parseNCT field value
+ * @returns {Array} Array of non-empty strings
+ */
+function toList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) {
+    return value
+      .map(v => (typeof v === 'string' ? v : v?.name || v?.interventionName || ''))
+      .filter(Boolean);
+  }
+  return String(value).split(/[;|]/).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Converts a registry age such as "18 Years" or "6 Months" to years
+ * @param {string} age - Age string from the eligibility section
+ * @returns {number|null} Age in years, or null when unbounded ("N/A")
+ */
+export function parseAgeToYears(age) {
+  if (age === null || age === undefined) return null;
+  const match = String(age).match(/(\d+(?:\.\d+)?)\s*(year|month|week|day|hour|minute)?/i);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || 'year').toLowerCase();
+  const divisors = { year: 1, month: 12, week: 52.1775, day: 365.25, hour: 8766, minute: 525960 };
+  return value / divisors[unit];
+}
+
+/**
+ * Builds the indexed document for a parsed trial
+ * @param {Object} trialData - parseNCT output
+ * @returns {Object} Indexed document
+ */
+function buildDocument(trialData) {
+  const studyInfo = trialData.studyInfo || {};
+  const eligibility = trialData.eligibility || {};
+
+  return {
+    nctNumber: trialData.nctNumber,
+    title: studyInfo.briefTitle || studyInfo.officialTitle || '',
+    conditions: toList(studyInfo.conditions || studyInfo.condition),
+    interventions: toList(studyInfo.interventions || studyInfo.intervention),
+    phase: studyInfo.phase || null,
+    overallStatus: studyInfo.overallStatus || null,
+    normalizedStatus: normalizeTrialStatus(studyInfo.overallStatus),
+    minimumAge: eligibility.minimumAge || null,
+    maximumAge: eligibility.maximumAge || null,
+    minimumAgeYears: parseAgeToYears(eligibility.minimumAge),
+    maximumAgeYears: parseAgeToYears(eligibility.maximumAge),
+    gender: eligibility.gender || 'All',
+    ...describeSites(extractTrialLocations(trialData))
+  };
+}
+
+/**
+ * Keeps what searches need of a trial's sites: recruiting sites that can be placed
+ * @param {Array} sites - Sites from extractTrialLocations
+ * @returns {Object} { siteCount, recruitingSites: [{ facility, city, state, status, latitude, longitude }] }
+ */
+function describeSites(sites) {
+  return {
+    siteCount: sites.length,
+    recruitingSites: sites
+      .filter(site => site.recruiting && site.latitude !== null)
+      .map(({ facility, city, state, status, latitude, longitude }) => ({ facility, city, state, status, latitude, longitude }))
+  };
+}
+
+/**
+ * Finds the recruiting site of a trial closest to a patient
+ * @param {Object} doc - Indexed document
+ * @param {Object} origin - Patient location { latitude, longitude }
+ * @returns {Object|null} { facility, city, state, status, distanceMiles }, or null without placed recruiting sites
+ */
+function findNearestSite(doc, origin) {
+  let nearest = null;
+  for (const { latitude, longitude, ...site } of doc.recruitingSites) {
+    const distanceMiles = distanceToSite(origin, { latitude, longitude });
+    if (!nearest || distanceMiles < nearest.distanceMiles) {
+      nearest = { ...site, distanceMiles };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Adds a document's tokens to the posting lists
+ * @param {Map} postings - Token posting lists to update
+ * @param {Object} doc - Indexed document
+ */
+function addPostings(postings, doc) {
+  const fields = {
+    title: tokenize(doc.title),
+    conditions: tokenize(doc.conditions.join(' ')),
+    interventions: tokenize(doc.interventions.join(' '))
+  };
+
+  for (const [field, tokens] of Object.entries(fields)) {
+    for (const token of tokens) {
+      if (!postings.has(token)) {
+        postings.set(token, new Map());
+      }
+      const entry = postings.get(token);
+      if (!entry.has(doc.nctNumber)) {
+        entry.set(doc.nctNumber, new Set());
+      }
+      entry.get(doc.nctNumber).add(field);
+    }
+  }
+}
+
+/**
+ * Rebuilds the search index from the local NCT database. The new index is
+ * assembled off to the side and swapped in when complete, so searches keep
+ * working against the previous index while a rebuild runs.
+ * @param {Object} options - Build options
+ * @param {string} options.pattern - NCT glob selecting trials to index (default: "NCT*")
+ * @param {number|null} options.maxTrials - Maximum number of trials to index; when
+ *   more trials match, the newest NCT numbers are kept (default: no limit)
+ * @returns {Object} Index status after the build
+ */
+export async function buildSearchIndex({ pattern = 'NCT*', maxTrials = null } = {}) {
+  if (index.building) {
+    return getSearchIndexStatus();
+  }
+
+  index.building = true;
+  index.buildStartedAt = new Date().toISOString();
+  index.lastError = null;
+
+  try {
+    const databaseStats = getNCTDatabaseStats();
+    const matching = searchNCT(pattern);
+    // NCT numbers are assigned in registration order, so a capped index keeps
+    // the highest numbers: the newest trials are the ones most likely recruiting
+    const truncated = maxTrials > 0 && matching.length > maxTrials;
+    const nctNumbers = truncated
+      ? [...matching].sort().slice(-maxTrials)
+      : matching;
+    const documents = new Map();
+    const postings = new Map();
+    let skipped = 0;
+
+    for (let i = 0; i < nctNumbers.length; i++) {
+      try {
+        const doc = buildDocument(await parseNCT(nctNumbers[i]));
+        documents.set(doc.nctNumber, doc);
+        addPostings(postings, doc);
+      } catch (error) {
+        skipped++;
+      }
+
+      // Yield periodically so request handling is not starved during a build
+      if (i % 200 === 199) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    index.documents = documents;
+    index.postings = postings;
+    index.builtAt = new Date().toISOString();
+    index.databaseLastUpdated = databaseStats?.lastUpdated || null;
+    index.skippedTrials = skipped;
+    index.matchingTrials = matching.length;
+    index.truncated = truncated;
+
+  } catch (error) {
+    console.error('Error building trial search index:', error);
+    index.lastError = error.message;
+  } finally {
+    index.building = false;
+  }
+
+  return getSearchIndexStatus();
+}
+
+/**
+ * Reports how current the search index is relative to the NCT database
+ * @returns {Object} Index status and freshness information
+ */
+export function getSearchIndexStatus() {
+  let databaseLastUpdated = null;
+  try {
+    databaseLastUpdated = getNCTDatabaseStats()?.lastUpdated || null;
+  } catch (error) {
+    // Stats unavailable; freshness cannot be determined
+  }
+
+  const stale = !index.builtAt ||
+    (databaseLastUpdated !== null && index.databaseLastUpdated !== null &&
+      new Date(databaseLastUpdated) > new Date(index.databaseLastUpdated));
+
+  return {
+    indexedTrials: index.documents.size,
+    indexedTokens: index.postings.size,
+    skippedTrials: index.skippedTrials,
+    matchingTrials: index.matchingTrials,
+    truncated: index.truncated,
+    builtAt: index.builtAt,
+    building: index.building,
+    buildStartedAt: index.building ? index.buildStartedAt : null,
+    indexedDatabaseVersion: index.databaseLastUpdated,
+    databaseLastUpdated,
+    stale,
+    ageMs: index.builtAt ? Date.now() - new Date(index.builtAt).getTime() : null,
+    lastError: index.lastError
+  };
+}
+
+/**
+ * Scores documents for a set of query tokens
+ * @param {Array} tokens - Query tokens
+ * @param {Array} fields - Fields the tokens may match in
+ * @returns {Map} nctNumber -> { score, matchedTokens }
+ */
+function scoreTokens(tokens, fields) {
+  const scores = new Map();
+  const totalDocs = Math.max(index.documents.size, 1);
+
+  for (const token of new Set(tokens)) {
+    const entry = index.postings.get(token);
+    if (!entry) continue;
+
+    const idf = Math.log(1 + totalDocs / entry.size);
+    for (const [nctNumber, matchedFields] of entry.entries()) {
+      let tokenScore = 0;
+      for (const field of fields) {
+        if (matchedFields.has(field)) {
+          tokenScore += FIELD_WEIGHTS[field] * idf;
+        }
+      }
+      if (tokenScore === 0) continue;
+
+      const current = scores.get(nctNumber) || { score: 0, matchedTokens: 0 };
+      current.score += tokenScore;
+      current.matchedTokens += 1;
+      scores.set(nctNumber, current);
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Checks a document against the demographic and registry filters
+ * @param {Object} doc - Indexed document
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean} Whether the document passes every filter
+ */
+function passesFilters(doc, filters) {
+  if (filters.statuses && !filters.statuses.includes(doc.normalizedStatus)) {
+    return false;
+  }
+
+  if (filters.phase) {
+    const phase = String(doc.phase || '').toLowerCase().replace(/\s+/g, '');
+    if (!phase.includes(filters.phase)) return false;
+  }
+
+  if (filters.age !== null) {
+    if (doc.minimumAgeYears !== null && filters.age < doc.minimumAgeYears) return false;
+    if (doc.maximumAgeYears !== null && filters.age > doc.maximumAgeYears) return false;
+  }
+
+  if (filters.gender) {
+    const trialGender = String(doc.gender || 'All').toLowerCase();
+    if (trialGender !== 'all' && trialGender !== filters.gender) return false;
+  }
+
+  if (filters.maxDistanceMiles !== null) {
+    if (!doc.nearestSite || doc.nearestSite.distanceMiles > filters.maxDistanceMiles) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Searches the index
+ * @param {Object} query - Search query
+ * @param {string} query.q - Free-text keywords matched against title, conditions and interventions
+ * @param {string} query.condition - Condition; every token must appear in the trial's conditions
+ * @param {string} query.intervention - Intervention; every token must appear in the trial's interventions
+ * @param {string} query.status - Comma-separated overall statuses (e.g. "RECRUITING,NOT_YET_RECRUITING")
+ * @param {string} query.phase - Phase (e.g. "Phase 2")
+ * @param {number} query.age - Patient age in years
+ * @param {string} query.gender - Patient gender ("female" or "male")
+ * @param {Object} query.origin - Patient location { latitude, longitude }; adds the nearest recruiting site
+ * @param {number} query.maxDistance - Miles from origin within which a trial needs a recruiting site
+ * @param {string} query.sort - 'relevance' (default) or 'distance' (nearest recruiting site first; needs origin)
+ * @param {number} query.page - 1-based page number
+ * @param {number} query.pageSize - Results per page
+ * @returns {Object} Paginated, ranked results
+ */
+export function searchTrials({
+  q, condition, intervention, status, phase, age, gender, origin = null, maxDistance, sort = 'relevance', page = 1, pageSize = 20
+} = {}) {
+  const filters = {
+    statuses: status ? String(status).split(',').map(normalizeTrialStatus).filter(Boolean) : null,
+    phase: phase ? String(phase).toLowerCase().replace(/\s+/g, '') : null,
+    age: age !== undefined && age !== null && age !== '' ? parseFloat(age) : null,
+    gender: gender ? String(gender).toLowerCase() : null,
+    maxDistanceMiles: origin && maxDistance !== undefined && maxDistance !== null && maxDistance !== ''
+      ? parseFloat(maxDistance)
+      : null
+  };
+
+  // Required token groups narrow the candidate set; free text only ranks
+  const requiredGroups = [
+    { tokens: tokenize(condition), fields: ['conditions'] },
+    { tokens: tokenize(intervention), fields: ['interventions'] }
+  ].filter(group => group.tokens.length > 0);
+  const freeTextTokens = tokenize(q);
+
+  const scores = new Map();
+  let candidates = null;
+
+  for (const group of requiredGroups) {
+    const groupScores = scoreTokens(group.tokens, group.fields);
+    const uniqueTokens = new Set(group.tokens).size;
+    const matching = new Set(
+      [...groupScores.entries()]
+        .filter(([, s]) => s.matchedTokens === uniqueTokens)
+        .map(([nctNumber]) => nctNumber)
+    );
+    candidates = candidates === null
+      ? matching
+      : new Set([...candidates].filter(n => matching.has(n)));
+
+    for (const [nctNumber, s] of groupScores.entries()) {
+      scores.set(nctNumber, (scores.get(nctNumber) || 0) + s.score);
+    }
+  }
+
+  if (freeTextTokens.length > 0) {
+    const textScores = scoreTokens(freeTextTokens, Object.keys(FIELD_WEIGHTS));
+    if (candidates === null) {
+      candidates = new Set(textScores.keys());
+    }
+    for (const [nctNumber, s] of textScores.entries()) {
+      scores.set(nctNumber, (scores.get(nctNumber) || 0) + s.score);
+    }
+  }
+
+  if (candidates === null) {
+    candidates = new Set(index.documents.keys());
+  }
+
+  // Distances depend on the patient, so they are worked out per search on a view of the document
+  const distanceOf = doc => doc.nearestSite?.distanceMiles ?? Infinity;
+  const ranked = [...candidates]
+    .map(nctNumber => index.documents.get(nctNumber))
+    .filter(Boolean)
+    .map(doc => (origin ? { ...doc, nearestSite: findNearestSite(doc, origin) } : doc))
+    .filter(doc => passesFilters(doc, filters))
+    .map(doc => ({ doc, score: scores.get(doc.nctNumber) || 0 }))
+    .sort((a, b) =>
+      (origin && sort === 'distance' ? distanceOf(a.doc) - distanceOf(b.doc) : 0) ||
+      b.score - a.score ||
+      (STATUS_PRIORITY[a.doc.normalizedStatus] ?? 9) - (STATUS_PRIORITY[b.doc.normalizedStatus] ?? 9) ||
+      (origin ? distanceOf(a.doc) - distanceOf(b.doc) : 0) ||
+      a.doc.nctNumber.localeCompare(b.doc.nctNumber)
+    );
+
+  const safePage = Math.max(1, parseInt(page) || 1);
+  const safePageSize = Math.min(100, Math.max(1, parseInt(pageSize) || 20));
+  const start = (safePage - 1) * safePageSize;
+
+  return {
+    results: ranked.slice(start, start + safePageSize).map(({ doc, score }) => ({
+      nctNumber: doc.nctNumber,
+      title: doc.title,
+      conditions: doc.conditions,
+      interventions: doc.interventions,
+      phase: doc.phase,
+      overallStatus: doc.overallStatus,
+      ageRange: `${doc.minimumAge || 'N/A'} to ${doc.maximumAge || 'N/A'}`,
+      gender: doc.gender,
+      siteCount: doc.siteCount,
+      recruitingSiteCount: doc.recruitingSites.length,
+      ...(origin && { nearestRecruitingSite: doc.nearestSite }),
+      relevance: Math.round(score * 1000) / 1000
+    })),
+    totalMatches: ranked.length,
+    page: safePage,
+    pageSize: safePageSize,
+    totalPages: Math.ceil(ranked.length / safePageSize)
+  };
+}
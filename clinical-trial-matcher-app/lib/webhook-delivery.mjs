@@ -0,0 +1,263 @@
+// lib/webhook-delivery.mjs
+//
+// Signed webhook delivery with retries. Each delivery is tracked in a record
+// the caller keeps (on the session) so attempts can be inspected later.
+// Deliveries run in the background; callers never wait for the receiver.
+// Receivers on loopback, private or link-local addresses are refused, both
+// when the URL is given and after its host name is resolved. The connection
+// goes to the address that was checked rather than resolving the name again,
+// so a DNS answer that changes in between cannot redirect it, and redirects
+// are never followed, so a webhook cannot reach the server's own network.
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+export const SIGNATURE_HEADER = 'X-Trial-Matcher-Signature';
+export const TIMESTAMP_HEADER = 'X-Trial-Matcher-Timestamp';
+export const DELIVERY_HEADER = 'X-Trial-Matcher-Delivery';
+export const EVENT_HEADER = 'X-Trial-Matcher-Event';
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  initialDelayMs: 1000,
+  maxDelayMs: 60000,
+  timeoutMs: 10000,
+  allowPrivateNetworks: false
+};
+
+// Loopback, private, shared, link-local (including cloud metadata), benchmark,
+// multicast and reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2001:db8::', 32]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Computes the signature header value for a webhook body. Receivers verify it
+ * by computing the same HMAC over "<timestamp>.<raw body>" with their secret.
+ * @param {string} secret - Shared signing secret
+ * @param {string} timestamp - Value of the timestamp header (Unix seconds)
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex digest>"
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Generates a random signing secret
+ * @returns {string} 64 hex characters
+ */
+export function generateSigningSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise
+ * not a public internet address. IPv4-mapped IPv6 addresses are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not receive webhooks
+ */
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (family === 0) return true;
+  return PRIVATE_NETWORKS.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Returns a URL's host name without the brackets of an IPv6 literal
+ */
+function hostOf(parsed) {
+  return parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Checks that a webhook URL is an absolute http(s) URL whose host is not
+ * localhost or a private address literal. Host names are checked again after
+ * resolution when delivering.
+ * @param {string} url - Candidate URL
+ * @param {Object} options - Optional { allowPrivateNetworks }
+ * @returns {boolean} True if the URL can be used for delivery
+ */
+export function isValidWebhookUrl(url, { allowPrivateNetworks = false } = {}) {
+  if (typeof url !== 'string') return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+  if (allowPrivateNetworks) return true;
+
+  const host = hostOf(parsed);
+  if (host === 'localhost' || host.endsWith('.localhost')) return false;
+  return net.isIP(host) === 0 || !isPrivateAddress(host);
+}
+
+/**
+ * Resolves a webhook URL's host and rejects it if any of its addresses is
+ * private
+ * @param {string} url - Webhook URL
+ * @returns {Promise<Object>} { address, family } to connect to, or { refused } with the reason
+ */
+async function resolveReceiver(url) {
+  const host = hostOf(new URL(url));
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+  const refused = addresses.find(({ address }) => isPrivateAddress(address));
+  if (refused) return { refused: `Webhook host ${host} resolves to non-public address ${refused.address}` };
+  return addresses[0];
+}
+
+/**
+ * Posts a body to a URL without following redirects. With a pinned address
+ * the connection goes to that address; the Host header and TLS server name
+ * still come from the URL, so certificates are checked against the host name.
+ * @param {string} url - Receiver URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @param {Object} options - { pinned, timeoutMs } where pinned is { address, family } or null
+ * @returns {Promise<number>} HTTP status code
+ */
+function postTo(url, headers, body, { pinned, timeoutMs }) {
+  const parsed = new URL(url);
+  const transport = parsed.protocol === 'https:' ? https : http;
+  const lookup = pinned && ((hostname, options, callback) => (options.all
+    ? callback(null, [pinned])
+    : callback(null, pinned.address, pinned.family)));
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(parsed, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      ...(lookup && { lookup }),
+      signal: AbortSignal.timeout(timeoutMs)
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Starts delivering a payload in the background and returns its record. The
+ * record is updated in place as attempts are made.
+ * @param {Object} params - { url, secret, event, payload }
+ * @param {Object} options - Optional { maxAttempts, initialDelayMs, maxDelayMs, timeoutMs, allowPrivateNetworks }
+ * @returns {Object} Delivery record
+ */
+export function deliverWebhook({ url, secret, event, payload }, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const record = {
+    deliveryId: `delivery-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    event,
+    url,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    nextAttemptAt: new Date().toISOString(),
+    attempts: []
+  };
+
+  // The body is fixed so every retry carries the same content
+  const body = JSON.stringify(payload);
+  setImmediate(() => attemptDelivery(record, secret, body, settings));
+  return record;
+}
+
+/**
+ * Makes one delivery attempt and schedules the next on a retryable failure
+ * @param {Object} record - Delivery record
+ * @param {string} secret - Signing secret
+ * @param {string} body - Raw JSON body
+ * @param {Object} settings - Retry settings
+ */
+async function attemptDelivery(record, secret, body, settings) {
+  const attemptNumber = record.attempts.length + 1;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  const attempt = { attempt: attemptNumber, attemptedAt: new Date(startedAt).toISOString() };
+  let retryable = true;
+
+  try {
+    // Resolved on every attempt; the request connects to the checked address
+    const receiver = settings.allowPrivateNetworks ? null : await resolveReceiver(record.url);
+    if (receiver?.refused) {
+      attempt.outcome = 'failed';
+      attempt.error = receiver.refused;
+      retryable = false;
+    } else {
+      // Redirects are not followed: their target would bypass the host check
+      const status = await postTo(record.url, {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signPayload(secret, timestamp, body),
+        [TIMESTAMP_HEADER]: timestamp,
+        [DELIVERY_HEADER]: record.deliveryId,
+        [EVENT_HEADER]: record.event
+      }, body, { pinned: receiver, timeoutMs: settings.timeoutMs });
+
+      attempt.statusCode = status;
+      if (status >= 200 && status < 300) {
+        attempt.outcome = 'delivered';
+      } else if (status >= 300 && status < 400) {
+        attempt.outcome = 'failed';
+        attempt.error = `Receiver redirected with HTTP ${status}; redirects are not followed`;
+        retryable = false;
+      } else {
+        attempt.outcome = 'failed';
+        attempt.error = `Receiver responded with HTTP ${status}`;
+        // Other client errors will not succeed on retry
+        retryable = status >= 500 || status === 408 || status === 429;
+      }
+    }
+  } catch (error) {
+    attempt.outcome = 'failed';
+    attempt.error = error.name === 'TimeoutError' || error.cause?.name === 'TimeoutError'
+      ? `No response within ${settings.timeoutMs}ms`
+      : (error.cause?.message || error.message);
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  record.attempts.push(attempt);
+
+  if (attempt.outcome === 'delivered') {
+    finishDelivery(record, 'delivered');
+    return;
+  }
+
+  if (!retryable || attemptNumber >= settings.maxAttempts) {
+    finishDelivery(record, 'failed');
+    return;
+  }
+
+  // Exponential backoff: initialDelayMs, 2x, 4x, ... capped at maxDelayMs
+  const delay = Math.min(settings.initialDelayMs * 2 ** (attemptNumber - 1), settings.maxDelayMs);
+  record.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => attemptDelivery(record, secret, body, settings), delay).unref();
+}
+
+/**
+ * Marks a delivery as finished
+ * @param {Object} record - Delivery record
+ * @param {string} status - delivered or failed
+ */
+function finishDelivery(record, status) {
+  record.status = status;
+  record.completedAt = new Date().toISOString();
+  record.nextAttemptAt = null;
+}
@@ -0,0 +1,147 @@
+// outbox.js
+//
+// Outbox of evaluation requests made while the server was unreachable. The
+// page and the service worker (through importScripts) share it, so whichever
+// runs first once the server is reachable again submits the queued requests.
+// Requests stay in IndexedDB on this device until their results have been
+// opened or they are removed, because they contain the medical record.
+
+(function (scope) {
+    const DB_NAME = 'clinical-trial-matcher';
+    const STORE = 'outbox';
+
+    // A request marked as sending for longer than this was interrupted, e.g.
+    // by closing the page, and is sent again
+    const STALE_SENDING_MS = 2 * 60 * 1000;
+
+    function openDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Runs work(store, setResult) in one transaction and resolves with the
+    // result once the transaction has committed
+    async function transaction(mode, work) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            let result;
+            tx.oncomplete = () => { db.close(); resolve(result); };
+            tx.onerror = tx.onabort = () => { db.close(); reject(tx.error); };
+            work(tx.objectStore(STORE), value => { result = value; });
+        });
+    }
+
+    function enqueue({ endpoint, body, label }) {
+        const item = {
+            id: `outbox-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            endpoint,
+            body,
+            label,
+            status: 'queued',
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null
+        };
+        return transaction('readwrite', (store, setResult) => {
+            store.add(item);
+            setResult(item);
+        });
+    }
+
+    function list() {
+        return transaction('readonly', (store, setResult) => {
+            const request = store.getAll();
+            request.onsuccess = () => setResult(request.result.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt)));
+        });
+    }
+
+    function update(id, changes) {
+        return transaction('readwrite', (store, setResult) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const item = { ...request.result, ...changes };
+                store.put(item);
+                setResult(item);
+            };
+        });
+    }
+
+    function remove(id) {
+        return transaction('readwrite', store => { store.delete(id); });
+    }
+
+    // Marks a request as sending unless another page or the service worker
+    // already is; the read and the write share one transaction
+    function claim(id) {
+        return transaction('readwrite', (store, setResult) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const item = request.result;
+                const stale = item && item.status === 'sending' &&
+                    Date.now() - new Date(item.sendingAt).getTime() > STALE_SENDING_MS;
+                if (!item || (item.status !== 'queued' && !stale)) return;
+
+                const claimed = { ...item, status: 'sending', sendingAt: new Date().toISOString(), attempts: item.attempts + 1 };
+                store.put(claimed);
+                setResult(claimed);
+            };
+        });
+    }
+
+    // Submits queued requests in the order they were made. Stops at the first
+    // network failure, since the rest would fail the same way.
+    async function flush() {
+        const summary = { submitted: 0, failed: 0, remaining: 0, offline: false };
+
+        for (const queued of await list()) {
+            if (summary.offline) {
+                if (queued.status === 'queued') summary.remaining++;
+                continue;
+            }
+
+            const item = await claim(queued.id);
+            if (!item) continue;
+
+            let response;
+            try {
+                response = await fetch(item.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(item.body)
+                });
+            } catch (error) {
+                await update(item.id, { status: 'queued', lastError: 'Server unreachable' });
+                summary.offline = true;
+                summary.remaining++;
+                continue;
+            }
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                await update(item.id, { status: 'failed', lastError: data.error || `HTTP ${response.status}` });
+                summary.failed++;
+                continue;
+            }
+
+            // Asynchronous evaluations return a job to follow; others the result
+            await update(item.id, {
+                status: 'submitted',
+                submittedAt: new Date().toISOString(),
+                lastError: null,
+                jobId: data.jobId || null,
+                evaluationId: data.evaluationId || null
+            });
+            summary.submitted++;
+        }
+
+        return summary;
+    }
+
+    scope.TrialMatcherOutbox = { enqueue, list, update, remove, flush };
+})(self);
@@ -0,0 +1,110 @@
+// service-worker.js
+//
+// Offline support for the trial matcher interface. The interface files and
+// every trial fetched from /nct/:nctNumber are cached, and served from the
+// cache when the network fails; online, the network always wins so updates
+// and registry refreshes show up. Evaluations requested offline wait in the
+// outbox (outbox.js) and are submitted on Background Sync where the browser
+// supports it, or by the page when it sees the server again.
+
+importScripts('outbox.js');
+
+// Bump to replace the cached interface files on the next visit
+const SHELL_CACHE = 'trial-matcher-shell-v1';
+// Not versioned, so cached trials survive interface updates
+const TRIAL_CACHE = 'trial-matcher-trials';
+const MAX_CACHED_TRIALS = 100;
+
+const SHELL_FILES = [
+    'clinical-trial-matcher.html',
+    'manifest.webmanifest',
+    'icon.svg',
+    'outbox.js'
+];
+const TRIAL_PATH = /\/nct\/NCT\d{8}$/;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('trial-matcher-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (TRIAL_PATH.test(url.pathname)) {
+        event.respondWith(networkFirst(request, TRIAL_CACHE, url.pathname, MAX_CACHED_TRIALS));
+        return;
+    }
+
+    // Interface files, whatever the query string (?session=, ?token=, ...)
+    const scopePath = new URL(self.registration.scope).pathname;
+    if (url.pathname.startsWith(scopePath) && SHELL_FILES.includes(url.pathname.slice(scopePath.length))) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, url.pathname));
+    }
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag === 'outbox') {
+        event.waitUntil(flushOutbox());
+    }
+});
+
+// Fetches from the network and keeps a copy, stamped with X-Cached-At so the
+// page can tell a cached response from a fresh one; falls back to the copy
+async function networkFirst(request, cacheName, cacheKey, maxEntries) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set('X-Cached-At', new Date().toISOString());
+            await cache.put(cacheKey, new Response(await response.clone().blob(), {
+                status: response.status,
+                statusText: response.statusText,
+                headers
+            }));
+            if (maxEntries) await trimCache(cache, maxEntries);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Drops the oldest entries beyond the limit
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function flushOutbox() {
+    const summary = await self.TrialMatcherOutbox.flush();
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'outbox-updated', summary }));
+
+    // Failing the sync makes the browser retry it later
+    if (summary.offline) {
+        throw new Error('Server unreachable; outbox kept for the next sync');
+    }
+}
@@ -6,12 +6,59 @@ import { fileURLToPath } from 'url';
 import { fetchChatModel } from '../../../charmonator/lib/core.mjs';
 import { getAppConfig } from '../../../charmonator/lib/app-loader.mjs';
 import { parseNCT, getEligibilityCriteria, searchNCT, getNCTDatabaseStats } from '../../../charmonator/lib/nct-parser.mjs';
+import { buildSearchIndex, searchTrials, getSearchIndexStatus, parseAgeToYears } from '../lib/trial-search-index.mjs';
+import { loadPostalCentroids, resolvePatientLocation, describeTrialSites } from '../lib/trial-locations.mjs';
+import { mapWithConcurrency, getGlobalLimiter } from '../lib/concurrency.mjs';
+import {
+  extractPatientFacts, mergePatientFacts, evaluateComputableCriterion, buildRegistryChecks
+} from '../lib/criterion-rules.mjs';
+import { parseReferenceDate, extractTimeline, describeTimeline } from '../lib/clinical-timeline.mjs';
+import { loadDrugVocabulary, extractMedications } from '../lib/medication-normalization.mjs';
+import { buildQuestionnaire, validateAnswers, buildSupplementaryData } from '../lib/questionnaire.mjs';
+import { validateFhirBundle, convertFhirBundle } from '../lib/fhir-bundle.mjs';
+import {
+  buildCriterionTree, getGroupHeaderIndexes, applyCriterionTree, resolveCriterionGroups, isTopLevelCriterion
+} from '../lib/criterion-tree.mjs';
+import { groundCriteriaAnalysis } from '../lib/evidence-grounding.mjs';
+import { parseModelResponse } from '../lib/model-response.mjs';
+import { resolveConsensusOptions, listBallots, combineVotes, summarizeConsensus } from '../lib/consensus.mjs';
+import { createJob, getJob, cancelJob, subscribeToJob, isJobFinished, describeJob } from '../lib/match-jobs.mjs';
+import { deliverWebhook, generateSigningSecret, isValidWebhookUrl } from '../lib/webhook-delivery.mjs';
+import {
+  issueShareToken, redeemShareToken, inspectShareToken, revokeShareToken, revokeSessionTokens, describeShareToken
+} from '../lib/share-tokens.mjs';
+import { resolveQrOptions, createQrCode, encodeQrCode, renderQrSvg } from '../lib/qr-code.mjs';
+import { buildHandoffPage } from '../lib/handoff-page.mjs';
+import {
+  resolveExplanationOptions, describeOutcome, selectExplainedCriteria, explanationBasis, buildExplanationPrompt,
+  assembleExplanation, explanationText, scoreReadability
+} from '../lib/patient-explanation.mjs';
+import {
+  recordEvaluation, getEvaluation, listPatientEvaluations, summarizeEvaluation, diffEvaluations,
+  adjudicateCriterion, getAllowedStatuses, getCriteria, listTrialEvaluations
+} from '../lib/evaluation-history.mjs';
+import {
+  snapshotTrial, diffTrialSnapshots, scanRegistryChanges, getLatestRegistryScan, getRegistryScanStatus
+} from '../lib/registry-changes.mjs';
+import { buildFhirExport, buildCsvExport, buildHtmlReport, describeTrial } from '../lib/evaluation-export.mjs';
+import {
+  detectCohortFormat, parseCohortRecords, normalizeCohortRecords, summarizeCohort, describeCohortOutcome, buildCohortCsv
+} from '../lib/cohort-screening.mjs';
+import {
+  configureCriterionCache, hashRecord, buildCacheKey, getCachedCriterion, setCachedCriterion,
+  purgeRecord, getCriterionCacheStats
+} from '../lib/criterion-cache.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+// Part of every criterion cache key; bump when the corresponding prompt changes
+// so assessments made with the old prompt are not reused
+const BASIC_PROMPT_VERSION = 'basic-2';
+const COMPREHENSIVE_PROMPT_VERSION = 'comprehensive-2';
+
 /**
  * POST /clinical-trial-matcher
  * 
@@ -24,13 +71,19 @@ const router = express.Router();
  *     "trialCriteria": {
  *       "inclusionCriteria": ["criterion 1", "criterion 2", ...],
  *       "exclusionCriteria": ["criterion 1", "criterion 2", ...]
- *     }
+ *     },
+ *     "sessionId": "optional; delivers the result to the session's webhookUrl",
+ *     "patientId": "optional stable patient identifier; defaults to the session's, else generated",
+ *     "consensus": { "models": [...], "samples": 1, "policy": "majority|strict" },  // optional; or true/false
+ *     "referenceDate": "2026-10-19"  // optional; date time windows are measured to, default today
  *   }
  * 
  * Response:
  *   {
- *     "patientId": "generated-id",
+ *     "evaluationId": "eval-1234567890-abc123",  // stored in the patient's history
+ *     "patientId": "given or generated id",
  *     "timestamp": "ISO-date",
+ *     "referenceDate": "2026-10-19",
  *     "overallEligibility": "eligible|ineligible|needs-review",
  *     "results": [
  *       {
@@ -38,19 +91,31 @@ const router = express.Router();
  *         "type": "inclusion|exclusion",
  *         "status": "matched|non-matched|more-information-needed",
  *         "reasoning": "explanation",
- *         "confidence": 0.0-1.0
+ *         "confidence": 0.0-1.0,
+ *         "method": "rule|model",
+ *         "evidence": { "value": 54, "quote": "54-year-old", "offset": 13 }  // rule results only; time
+ *           // windows add "interval": { eventDate, referenceDate, days, window, windowStart } and "events";
+ *           // medication matches add "medication": { name, ingredients, classes, matchedClass,
+ *           // matchedClassLabel, route, status }
  *       }
- *     ]
+ *     ],
+ *     "metadata": { ..., "timeline": { "referenceDate", "noteDate", "events": [...] } }
  *   }
  */
 router.post('/clinical-trial-matcher', async (req, res) => {
   try {
-    const { medicalRecord, trialCriteria } = req.body;
+    const { trialCriteria } = req.body;
 
-    // Validate input
-    if (!medicalRecord || typeof medicalRecord !== 'string') {
-      return res.status(400).json({ 
-        error: 'Field "medicalRecord" is required and must be a string.' 
+    // Validate input; a FHIR Bundle is converted to a narrative record and structured facts
+    const patientRecord = resolvePatientRecord(req.body);
+    if (patientRecord.error) {
+      return res.status(400).json({ error: patientRecord.error });
+    }
+    const { medicalRecord, facts, fhir } = patientRecord;
+
+    if (req.body.patientId !== undefined && !isValidPatientId(req.body.patientId)) {
+      return res.status(400).json({
+        error: 'Field "patientId" must be 1-128 letters, digits or the characters . _ : @ -'
       });
     }
 
@@ -60,6 +125,16 @@ router.post('/clinical-trial-matcher', async (req, res) => {
       });
     }
 
+    const consensus = resolveRequestConsensus(req.body.consensus);
+    if (consensus.error) {
+      return res.status(400).json({ error: consensus.error });
+    }
+
+    const reference = resolveReferenceDate(req.body.referenceDate);
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+
     // Get app configuration to determine which model to use
     const appConfig = getAppConfig('clinical-trial-matcher-app');
     const modelName = appConfig?.models?.default || 'hipaa:o3-high';
@@ -67,40 +142,43 @@ router.post('/clinical-trial-matcher', async (req, res) => {
     // Get the specified model
     const chatModel = fetchChatModel(modelName);
     
-    // Generate patient ID and timestamp
-    const patientId = `pt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // Evaluations are stored under the caller's patient ID (or the session's)
+    const patientId = resolvePatientId(req.body);
+    const evaluationId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
 
-    // Process each criterion
-    const results = [];
-    
-    // Process inclusion criteria
-    for (const criterion of trialCriteria.inclusionCriteria) {
-      const result = await evaluateCriterion(chatModel, medicalRecord, criterion, 'inclusion');
-      results.push(result);
-    }
-
-    // Process exclusion criteria  
-    for (const criterion of trialCriteria.exclusionCriteria) {
-      const result = await evaluateCriterion(chatModel, medicalRecord, criterion, 'exclusion');
-      results.push(result);
-    }
+    // Evaluate all criteria concurrently, preserving criterion order
+    const { results, timing, criteriaTree } = await evaluateCriteriaList(chatModel, medicalRecord, trialCriteria, {
+      facts,
+      modelName,
+      consensus: consensus.options,
+      referenceDate: reference.date
+    });
 
     // Determine overall eligibility
     const overallEligibility = determineOverallEligibility(results);
 
-    const response = {
+    const response = storeEvaluation({ medicalRecord, trialCriteria, sessionId: req.body.sessionId }, {
+      evaluationId,
       patientId,
       timestamp,
+      referenceDate: reference.value,
       overallEligibility,
       results,
+      ...(criteriaTree && { criteriaTree }),
       metadata: {
         appVersion: appConfig?.version || '1.0.0',
-        model: modelName
+        model: modelName,
+        timing,
+        cache: summarizeCacheUse(medicalRecord, results),
+        modelResponses: summarizeModelResponses(results),
+        timeline: summarizeTimeline(medicalRecord, reference.date),
+        ...(consensus.options && { consensus: summarizeConsensus(results, consensus.options) }),
+        ...(fhir && { fhir })
       }
-    };
+    });
 
-    return res.json(response);
+    return res.json(attachSessionWebhook(req.body.sessionId, response));
 
   } catch (error) {
     console.error('Error in clinical-trial-matcher:', error);
@@ -198,40 +276,211 @@ router.get('/nct/:nctNumber/eligibility', async (req, res) => {
 });
 
 /**
- * GET /search?pattern=NCT0000010*
- * Search for clinical trials by NCT number pattern
+ * GET /nct/:nctNumber/locations
+ * Trial sites with their recruitment status, and their distance from the
+ * patient when a location is given
  * 
  * Query parameters:
+ *   - postalCode, country: Patient location (or latitude and longitude), optional
+ *   - maxSites: Number of sites listed (default: locations.maxSitesListed, 10)
+ * 
+ * Example: GET /nct/NCT00000102/locations?postalCode=02114
+ * 
+ * Response:
+ *   {
+ *     "nctNumber": "NCT00000102",
+ *     "patientLocation": { "postalCode": "02114", "latitude": 42.35, "longitude": -71.07, "place": "Boston, MA", "precision": "prefix" },
+ *     "overallStatus": "Recruiting",
+ *     "recruiting": true,
+ *     "siteCount": 12,
+ *     "recruitingSiteCount": 9,
+ *     "nearestRecruitingSite": { "facility", "city", "state", "status", "distanceMiles", ... },
+ *     "sites": [{ "facility", "city", "state", "postalCode", "country", "status", "recruiting",
+ *                 "latitude", "longitude", "distanceMiles" }]
+ *   }
+ */
+router.get('/nct/:nctNumber/locations', async (req, res) => {
+  try {
+    const { nctNumber } = req.params;
+    const { postalCode, country, latitude, longitude } = req.query;
+    
+    if (!nctNumber.match(/^NCT\d{8}$/)) {
+      return res.status(400).json({
+        error: 'Invalid NCT number format. Expected format: NCT00000000'
+      });
+    }
+    
+    const patientLocation = postalCode || latitude || longitude
+      ? resolveRequestLocation(postalCode ? { postalCode, country } : { latitude, longitude })
+      : null;
+    if (patientLocation?.error) {
+      return res.status(400).json({ error: patientLocation.error });
+    }
+    
+    const trialData = await parseNCT(nctNumber);
+    return res.json({
+      nctNumber,
+      patientLocation: patientLocation?.location || null,
+      ...describeSitesForPatient(trialData, patientLocation?.location, Math.max(0, parseInt(req.query.maxSites) || 0))
+    });
+    
+  } catch (error) {
+    console.error('Error fetching trial locations:', error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: `Clinical trial ${req.params.nctNumber} not found in local database`
+      });
+    }
+    
+    return res.status(500).json({
+      error: error.message || 'Internal server error while fetching trial locations'
+    });
+  }
+});
+
+/**
+ * GET /search
+ * Search for clinical trials by NCT number pattern, or by condition, keyword
+ * and patient demographics using the trial search index
+ * 
+ * Pattern search query parameters:
  *   - pattern: Search pattern (e.g., "NCT0000010*")
  *   - limit: Maximum number of results (default: 50)
  * 
- * Response:
+ * Index search query parameters (used when no pattern is given):
+ *   - q: Free-text keywords (title, conditions, interventions)
+ *   - condition: Condition that every result must mention (e.g., "type 2 diabetes")
+ *   - intervention: Intervention that every result must mention
+ *   - status: Comma-separated overall statuses (e.g., "RECRUITING")
+ *   - phase: Trial phase (e.g., "Phase 2")
+ *   - age: Patient age in years
+ *   - gender: Patient gender ("female" or "male")
+ *   - postalCode, country: Patient location (or latitude and longitude); adds the nearest recruiting site
+ *   - maxDistance: Miles within which a trial needs a recruiting site (needs a location)
+ *   - sort: "relevance" (default) or "distance" (nearest recruiting site first; needs a location)
+ *   - page: Page number (default: 1)
+ *   - pageSize: Results per page (default: 20, max: 100)
+ * 
+ * Response (pattern search):
  *   {
  *     "query": "NCT0000010*",
  *     "results": ["NCT00000102", "NCT00000104", ...],
  *     "count": 5,
  *     "limit": 50
  *   }
+ * 
+ * Response (index search):
+ *   {
+ *     "query": { "condition": "type 2 diabetes", "status": "RECRUITING", ... },
+ *     "patientLocation": { "postalCode", "latitude", "longitude", "place", "precision" },  // with a location
+ *     "results": [{ "nctNumber", "title", "conditions", "recruitingSiteCount", "nearestRecruitingSite", "relevance", ... }],
+ *     "count": 20,
+ *     "totalMatches": 134,
+ *     "page": 1,
+ *     "pageSize": 20,
+ *     "totalPages": 7,
+ *     "index": { "builtAt": "ISO-date", "stale": false, ... }
+ *   }
  */
 router.get('/search', async (req, res) => {
   try {
-    const { pattern, limit = 50 } = req.query;
+    const {
+      pattern, limit = 50, q, condition, intervention, status, phase, age, gender,
+      postalCode, country, latitude, longitude, maxDistance, sort = 'relevance', page, pageSize
+    } = req.query;
+    
+    if (!pattern && !q && !condition && !intervention && !status && !phase && !age && !gender && !postalCode && !latitude) {
+      return res.status(400).json({
+        error: 'Search pattern or query is required. Example: ?pattern=NCT0000010* or ?condition=type 2 diabetes&status=RECRUITING'
+      });
+    }
+    
+    if (pattern) {
+      const results = searchNCT(pattern);
+      const limitedResults = results.slice(0, parseInt(limit));
+      
+      return res.json({
+        query: pattern,
+        results: limitedResults,
+        count: limitedResults.length,
+        totalMatches: results.length,
+        limit: parseInt(limit)
+      });
+    }
+    
+    if (age && isNaN(parseFloat(age))) {
+      return res.status(400).json({
+        error: 'Query parameter "age" must be a number of years.'
+      });
+    }
+    
+    if (gender && !['female', 'male'].includes(String(gender).toLowerCase())) {
+      return res.status(400).json({
+        error: 'Query parameter "gender" must be "female" or "male".'
+      });
+    }
+    
+    const patientLocation = postalCode || latitude || longitude
+      ? resolveRequestLocation(postalCode ? { postalCode, country } : { latitude, longitude })
+      : null;
+    if (patientLocation?.error) {
+      return res.status(400).json({ error: patientLocation.error });
+    }
+    
+    if (!['relevance', 'distance'].includes(sort)) {
+      return res.status(400).json({
+        error: 'Query parameter "sort" must be "relevance" or "distance".'
+      });
+    }
     
-    if (!pattern) {
+    if ((maxDistance || sort === 'distance') && !patientLocation) {
       return res.status(400).json({
-        error: 'Search pattern is required. Example: ?pattern=NCT0000010*'
+        error: 'Query parameters "maxDistance" and "sort=distance" require "postalCode" or "latitude" and "longitude".'
+      });
+    }
+    
+    if (maxDistance && !(parseFloat(maxDistance) > 0)) {
+      return res.status(400).json({
+        error: 'Query parameter "maxDistance" must be a positive number of miles.'
+      });
+    }
+    
+    // Build the index on first use, and refresh it in the background once the
+    // database has been updated; searches keep using the current index meanwhile
+    let indexStatus = getSearchIndexStatus();
+    if (indexStatus.stale && !indexStatus.building) {
+      startSearchIndexBuild();
+      indexStatus = getSearchIndexStatus();
+    }
+    
+    if (indexStatus.indexedTrials === 0) {
+      return res.status(503).json({
+        error: 'Trial search index is being built. Please retry shortly.',
+        index: indexStatus
       });
     }
     
-    const results = searchNCT(pattern);
-    const limitedResults = results.slice(0, parseInt(limit));
+    const query = { q, condition, intervention, status, phase, age, gender, postalCode, country, latitude, longitude, maxDistance };
+    const searchResults = searchTrials({
+      q, condition, intervention, status, phase, age, gender,
+      origin: patientLocation?.location || null,
+      maxDistance,
+      sort,
+      page,
+      pageSize
+    });
     
     return res.json({
-      query: pattern,
-      results: limitedResults,
-      count: limitedResults.length,
-      totalMatches: results.length,
-      limit: parseInt(limit)
+      query: Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined)),
+      ...(patientLocation && { patientLocation: patientLocation.location }),
+      results: searchResults.results,
+      count: searchResults.results.length,
+      totalMatches: searchResults.totalMatches,
+      page: searchResults.page,
+      pageSize: searchResults.pageSize,
+      totalPages: searchResults.totalPages,
+      index: indexStatus
     });
     
   } catch (error) {
@@ -242,6 +491,24 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * POST /search/reindex
+ * Rebuild the trial search index from the local NCT database
+ * 
+ * Response: Current index status (the build continues in the background)
+ */
+router.post('/search/reindex', (req, res) => {
+  try {
+    startSearchIndexBuild();
+    return res.status(202).json(getSearchIndexStatus());
+  } catch (error) {
+    console.error('Error starting search index build:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error while rebuilding search index'
+    });
+  }
+});
+
 /**
  * GET /database-stats
  * Get statistics about the clinical trials database
@@ -251,13 +518,26 @@ router.get('/search', async (req, res) => {
  *     "totalTrials": 540505,
  *     "totalDirectories": 701,
  *     "directoryStats": {...},
- *     "lastUpdated": "2025-06-09T00:00:00.000Z"
+ *     "lastUpdated": "2025-06-09T00:00:00.000Z",
+ *     "searchIndex": {
+ *       "indexedTrials": 540493,
+ *       "matchingTrials": 540505,
+ *       "truncated": false,
+ *       "builtAt": "2025-06-09T01:00:00.000Z",
+ *       "stale": false,
+ *       ...
+ *     },
+ *     "registryScan": { "scannedDatabaseVersion": "ISO-date", "lastScanAt": "ISO-date", "stale": false, ... }
  *   }
  */
 router.get('/database-stats', (req, res) => {
   try {
     const stats = getNCTDatabaseStats();
-    return res.json(stats);
+    return res.json({
+      ...stats,
+      searchIndex: getSearchIndexStatus(),
+      registryScan: getRegistryScanStatus()
+    });
   } catch (error) {
     console.error('Error getting database stats:', error);
     return res.status(500).json({
@@ -266,6 +546,109 @@ router.get('/database-stats', (req, res) => {
   }
 });
 
+/**
+ * GET /registry-changes
+ * Stored evaluations whose trial changed in the registry since they were run
+ *
+ * The report comes from the latest registry scan. When the NCT database has
+ * been refreshed since that scan (or nothing was scanned yet), a new scan is
+ * started in the background and the previous report is returned meanwhile.
+ *
+ * Query parameters:
+ *   nctNumber - optional; only evaluations of this trial
+ *
+ * Response:
+ *   {
+ *     "status": { "databaseLastUpdated", "scannedDatabaseVersion", "lastScanAt", "running", "stale" },
+ *     "scanJob": { "jobId", "statusUrl", ... } or null,  // scan started by this request
+ *     "report": {
+ *       "scanId", "startedAt", "completedAt", "databaseVersion",
+ *       "checkedTrials": 12, "checkedEvaluations": 40, "changedTrials": 1,
+ *       "unavailableTrials": [{ "nctNumber", "error", "evaluations" }],
+ *       "changedEvaluations": [
+ *         {
+ *           "evaluationId", "patientId", "nctNumber", "timestamp", "evaluationType",
+ *           "evaluatedAgainst": { "parsedAt", "databaseVersion" },
+ *           "changes": { "statusChange", "limitChanges", "addedCriteria", "removedCriteria", "reordered", ... },
+ *           "rescreenedBy": "eval-..." or null,
+ *           "rescreenUrl": "POST to re-screen the changed criteria"
+ *         }
+ *       ]
+ *     } or null
+ *   }
+ */
+router.get('/registry-changes', (req, res) => {
+  try {
+    const { nctNumber } = req.query;
+
+    if (nctNumber && !nctNumber.match(/^NCT\d{8}$/)) {
+      return res.status(400).json({
+        error: 'Query parameter "nctNumber" must be in format NCT00000000.'
+      });
+    }
+
+    let status = getRegistryScanStatus();
+    let scanJob = null;
+    if (status.stale && !status.running) {
+      scanJob = describeJobLinks(req, startRegistryScan());
+      status = getRegistryScanStatus();
+    }
+
+    const report = getLatestRegistryScan();
+    const evaluationUrl = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/evaluations`;
+
+    return res.json({
+      status,
+      scanJob,
+      report: report && {
+        ...report,
+        changedEvaluations: report.changedEvaluations
+          .filter(e => !nctNumber || e.nctNumber === nctNumber)
+          .filter(e => getEvaluation(e.evaluationId))
+          .map(e => ({
+            ...e,
+            rescreenedBy: getEvaluation(e.evaluationId).rescreenedBy || null,
+            rescreenUrl: `${evaluationUrl}/${e.evaluationId}/rescreen`
+          }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in registry-changes:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error while reporting registry changes'
+    });
+  }
+});
+
+/**
+ * POST /registry-changes/scan
+ * Compare every stored NCT evaluation with the current registry entry now,
+ * e.g. right after a database refresh
+ *
+ * Response (202): job links as for asynchronous matching; "record" events
+ * report each trial checked, and the job result is the scan report
+ */
+router.post('/registry-changes/scan', (req, res) => {
+  try {
+    const { running } = getRegistryScanStatus();
+    if (running) {
+      return res.status(409).json({
+        error: `Registry scan ${running.scanId} is already running`,
+        jobId: running.scanId
+      });
+    }
+
+    return res.status(202).json(describeJobLinks(req, startRegistryScan()));
+
+  } catch (error) {
+    console.error('Error starting registry scan:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error while starting registry scan'
+    });
+  }
+});
+
 /**
  * POST /comprehensive-match
  * Enhanced clinical trial matching with comprehensive AI reasoning
@@ -281,19 +664,32 @@ router.get('/database-stats', (req, res) => {
  *       "title": "optional trial title",
  *       "condition": "optional condition",
  *       "phase": "optional phase"
- *     }
+ *     },
+ *     "async": false,  // optional; true returns 202 with a job id (see GET /jobs/:jobId)
+ *     "sessionId": "optional; delivers the result to the session's webhookUrl",
+ *     "patientId": "optional stable patient identifier; defaults to the session's, else generated",
+ *     "consensus": true,  // optional; votes on each criterion (see "Consensus Evaluation" in the API docs)
+ *     "referenceDate": "2026-10-19"  // optional; date time windows are measured to, default today
  *   }
  * 
- * Response: Comprehensive clinical evaluation with detailed reasoning
+ * Response: Comprehensive clinical evaluation with detailed reasoning; each
+ * criterion's evidenceFromRecord is verified against medicalRecord and
+ * reported in evidenceGrounding
  */
 router.post('/comprehensive-match', async (req, res) => {
   try {
-    const { medicalRecord, trialCriteria, trialInfo = {} } = req.body;
+    const { trialCriteria, trialInfo = {} } = req.body;
 
-    // Validate input
-    if (!medicalRecord || typeof medicalRecord !== 'string') {
-      return res.status(400).json({ 
-        error: 'Field "medicalRecord" is required and must be a string.' 
+    // Validate input; a FHIR Bundle is converted to a narrative record and structured facts
+    const patientRecord = resolvePatientRecord(req.body);
+    if (patientRecord.error) {
+      return res.status(400).json({ error: patientRecord.error });
+    }
+    const { medicalRecord, facts, fhir } = patientRecord;
+
+    if (req.body.patientId !== undefined && !isValidPatientId(req.body.patientId)) {
+      return res.status(400).json({
+        error: 'Field "patientId" must be 1-128 letters, digits or the characters . _ : @ -'
       });
     }
 
@@ -303,6 +699,16 @@ router.post('/comprehensive-match', async (req, res) => {
       });
     }
 
+    const consensus = resolveRequestConsensus(req.body.consensus);
+    if (consensus.error) {
+      return res.status(400).json({ error: consensus.error });
+    }
+
+    const reference = resolveReferenceDate(req.body.referenceDate);
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+
     // Get app configuration to determine which model to use
     const appConfig = getAppConfig('clinical-trial-matcher-app');
     const modelName = appConfig?.models?.default || 'hipaa:o3-high';
@@ -310,31 +716,49 @@ router.post('/comprehensive-match', async (req, res) => {
     // Get the specified model
     const chatModel = fetchChatModel(modelName);
     
-    // Generate patient ID and timestamp
-    const patientId = `pt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // Evaluations are stored under the caller's patient ID (or the session's)
+    const patientId = resolvePatientId(req.body);
+    const evaluationId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
 
-    // Perform comprehensive evaluation
-    const comprehensiveResults = await evaluateEligibilityComprehensive(
-      chatModel, 
-      medicalRecord, 
-      trialCriteria, 
-      trialInfo
-    );
+    const evaluate = withSessionWebhook(req.body.sessionId, withEvaluationHistory({ medicalRecord, trialCriteria, sessionId: req.body.sessionId }, async ({ onResult, signal } = {}) => {
+      // Perform comprehensive evaluation
+      const startedAt = Date.now();
+      const { timing: fallbackTiming, modelResponse, ...comprehensiveResults } = await evaluateEligibilityComprehensive(
+        chatModel, 
+        medicalRecord, 
+        trialCriteria, 
+        trialInfo,
+        { facts, onResult, signal, modelName, consensus: consensus.options, referenceDate: reference.date }
+      );
 
-    const response = {
-      patientId,
-      timestamp,
-      evaluationType: "comprehensive",
-      ...comprehensiveResults,
-      metadata: {
-        appVersion: appConfig?.version || '1.0.0',
-        model: modelName,
-        evaluationMethod: "comprehensive-ai-reasoning"
-      }
-    };
+      return {
+        evaluationId,
+        patientId,
+        timestamp,
+        referenceDate: reference.value,
+        evaluationType: "comprehensive",
+        ...comprehensiveResults,
+        metadata: {
+          appVersion: appConfig?.version || '1.0.0',
+          model: modelName,
+          evaluationMethod: "comprehensive-ai-reasoning",
+          timing: { ...fallbackTiming, totalMs: Date.now() - startedAt },
+          cache: summarizeCacheUse(medicalRecord, comprehensiveResults.criteriaAnalysis),
+          modelResponses: summarizeModelResponses(comprehensiveResults.criteriaAnalysis, modelResponse),
+          timeline: summarizeTimeline(medicalRecord, reference.date),
+          ...(consensus.options && { consensus: summarizeConsensus(comprehensiveResults.criteriaAnalysis, consensus.options) }),
+          ...(fhir && { fhir })
+        }
+      };
+    }));
 
-    return res.json(response);
+    if (isAsyncRequest(req)) {
+      const job = startMatchJob('comprehensive-match', evaluate, medicalRecord, trialCriteria, null, facts);
+      return res.status(202).json(describeJobLinks(req, job));
+    }
+
+    return res.json(await evaluate());
 
   } catch (error) {
     console.error('Error in comprehensive-match:', error);
@@ -351,19 +775,32 @@ router.post('/comprehensive-match', async (req, res) => {
  * Request body:
  *   {
  *     "medicalRecord": "string containing patient medical record",
- *     "nctNumber": "NCT00000102"
+ *     "nctNumber": "NCT00000102",
+ *     "async": false,  // optional; true returns 202 with a job id (see GET /jobs/:jobId)
+ *     "sessionId": "optional; delivers the result to the session's webhookUrl",
+ *     "patientId": "optional stable patient identifier; defaults to the session's, else generated",
+ *     "patientLocation": { "postalCode": "02114" },  // optional; adds distances to the trial's sites
+ *     "consensus": true,  // optional; votes on each criterion (see "Consensus Evaluation" in the API docs)
+ *     "referenceDate": "2026-10-19"  // optional; date time windows are measured to, default today
  *   }
  * 
  * Response: Comprehensive clinical evaluation using NCT trial data
+ *   with "sites": { overallStatus, recruiting, siteCount, recruitingSiteCount, nearestRecruitingSite, sites }
  */
 router.post('/comprehensive-match-nct', async (req, res) => {
   try {
-    const { medicalRecord, nctNumber } = req.body;
+    const { nctNumber } = req.body;
     
-    // Validate input
-    if (!medicalRecord || typeof medicalRecord !== 'string') {
+    // Validate input; a FHIR Bundle is converted to a narrative record and structured facts
+    const patientRecord = resolvePatientRecord(req.body);
+    if (patientRecord.error) {
+      return res.status(400).json({ error: patientRecord.error });
+    }
+    const { medicalRecord, facts, fhir } = patientRecord;
+
+    if (req.body.patientId !== undefined && !isValidPatientId(req.body.patientId)) {
       return res.status(400).json({
-        error: 'Field "medicalRecord" is required and must be a string.'
+        error: 'Field "patientId" must be 1-128 letters, digits or the characters . _ : @ -'
       });
     }
     
@@ -373,12 +810,28 @@ router.post('/comprehensive-match-nct', async (req, res) => {
       });
     }
     
+    const patientLocation = req.body.patientLocation === undefined ? null : resolveRequestLocation(req.body.patientLocation);
+    if (patientLocation?.error) {
+      return res.status(400).json({ error: `Field "patientLocation": ${patientLocation.error}` });
+    }
+
+    const consensus = resolveRequestConsensus(req.body.consensus);
+    if (consensus.error) {
+      return res.status(400).json({ error: consensus.error });
+    }
+
+    const reference = resolveReferenceDate(req.body.referenceDate);
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+    
     // Get trial data from NCT number
     const trialData = await parseNCT(nctNumber);
     const trialCriteria = {
       inclusionCriteria: trialData.eligibility.inclusionCriteria,
       exclusionCriteria: trialData.eligibility.exclusionCriteria
     };
+    const sites = describeSitesForPatient(trialData, patientLocation?.location);
     
     const trialInfo = {
       title: trialData.studyInfo.briefTitle,
@@ -396,34 +849,66 @@ router.post('/comprehensive-match-nct', async (req, res) => {
     // Get the specified model
     const chatModel = fetchChatModel(modelName);
     
-    // Generate patient ID and timestamp
-    const patientId = `pt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // Evaluations are stored under the caller's patient ID (or the session's)
+    const patientId = resolvePatientId(req.body);
+    const evaluationId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
     
-    // Perform comprehensive evaluation
-    const comprehensiveResults = await evaluateEligibilityComprehensive(
-      chatModel, 
-      medicalRecord, 
-      trialCriteria, 
-      trialInfo
-    );
+    const evaluate = withSessionWebhook(req.body.sessionId, withEvaluationHistory({
+      medicalRecord,
+      trialCriteria,
+      sessionId: req.body.sessionId,
+      registrySnapshot: snapshotTrial(trialData)
+    }, async ({ onResult, signal } = {}) => {
+      // Perform comprehensive evaluation
+      const startedAt = Date.now();
+      const { timing: fallbackTiming, modelResponse, ...comprehensiveResults } = await evaluateEligibilityComprehensive(
+        chatModel, 
+        medicalRecord, 
+        trialCriteria, 
+        trialInfo,
+        {
+          eligibility: trialData.eligibility,
+          facts,
+          onResult,
+          signal,
+          modelName,
+          consensus: consensus.options,
+          referenceDate: reference.date
+        }
+      );
+      
+      return {
+        evaluationId,
+        patientId,
+        timestamp,
+        referenceDate: reference.value,
+        nctNumber,
+        evaluationType: "comprehensive-nct",
+        trialInfo,
+        sites,
+        ...comprehensiveResults,
+        metadata: {
+          appVersion: appConfig?.version || '1.0.0',
+          model: modelName,
+          evaluationMethod: "comprehensive-ai-reasoning-nct",
+          nctDataParsedAt: trialData.metadata.parsedAt,
+          timing: { ...fallbackTiming, totalMs: Date.now() - startedAt },
+          cache: summarizeCacheUse(medicalRecord, comprehensiveResults.criteriaAnalysis),
+          modelResponses: summarizeModelResponses(comprehensiveResults.criteriaAnalysis, modelResponse),
+          timeline: summarizeTimeline(medicalRecord, reference.date),
+          ...(consensus.options && { consensus: summarizeConsensus(comprehensiveResults.criteriaAnalysis, consensus.options) }),
+          ...(fhir && { fhir })
+        }
+      };
+    }));
     
-    const response = {
-      patientId,
-      timestamp,
-      nctNumber,
-      evaluationType: "comprehensive-nct",
-      trialInfo,
-      ...comprehensiveResults,
-      metadata: {
-        appVersion: appConfig?.version || '1.0.0',
-        model: modelName,
-        evaluationMethod: "comprehensive-ai-reasoning-nct",
-        nctDataParsedAt: trialData.metadata.parsedAt
-      }
-    };
+    if (isAsyncRequest(req)) {
+      const job = startMatchJob('comprehensive-match-nct', evaluate, medicalRecord, trialCriteria, trialData.eligibility, facts);
+      return res.status(202).json(describeJobLinks(req, job));
+    }
     
-    return res.json(response);
+    return res.json(await evaluate());
     
   } catch (error) {
     console.error('Error in comprehensive-match-nct:', error);
@@ -447,19 +932,32 @@ router.post('/comprehensive-match-nct', async (req, res) => {
  * Request body:
  *   {
  *     "medicalRecord": "string containing patient medical record",
- *     "nctNumber": "NCT00000102"
+ *     "nctNumber": "NCT00000102",
+ *     "async": false,  // optional; true returns 202 with a job id (see GET /jobs/:jobId)
+ *     "sessionId": "optional; delivers the result to the session's webhookUrl",
+ *     "patientId": "optional stable patient identifier; defaults to the session's, else generated",
+ *     "patientLocation": { "postalCode": "02114" },  // optional; adds distances to the trial's sites
+ *     "consensus": true,  // optional; votes on each criterion (see "Consensus Evaluation" in the API docs)
+ *     "referenceDate": "2026-10-19"  // optional; date time windows are measured to, default today
  *   }
  * 
  * Response: Basic evaluation using individual criterion assessment
+ *   with "sites": { overallStatus, recruiting, siteCount, recruitingSiteCount, nearestRecruitingSite, sites }
  */
 router.post('/match-to-nct', async (req, res) => {
   try {
-    const { medicalRecord, nctNumber } = req.body;
+    const { nctNumber } = req.body;
     
-    // Validate input
-    if (!medicalRecord || typeof medicalRecord !== 'string') {
+    // Validate input; a FHIR Bundle is converted to a narrative record and structured facts
+    const patientRecord = resolvePatientRecord(req.body);
+    if (patientRecord.error) {
+      return res.status(400).json({ error: patientRecord.error });
+    }
+    const { medicalRecord, facts, fhir } = patientRecord;
+
+    if (req.body.patientId !== undefined && !isValidPatientId(req.body.patientId)) {
       return res.status(400).json({
-        error: 'Field "medicalRecord" is required and must be a string.'
+        error: 'Field "patientId" must be 1-128 letters, digits or the characters . _ : @ -'
       });
     }
     
@@ -469,12 +967,28 @@ router.post('/match-to-nct', async (req, res) => {
       });
     }
     
+    const patientLocation = req.body.patientLocation === undefined ? null : resolveRequestLocation(req.body.patientLocation);
+    if (patientLocation?.error) {
+      return res.status(400).json({ error: `Field "patientLocation": ${patientLocation.error}` });
+    }
+
+    const consensus = resolveRequestConsensus(req.body.consensus);
+    if (consensus.error) {
+      return res.status(400).json({ error: consensus.error });
+    }
+
+    const reference = resolveReferenceDate(req.body.referenceDate);
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+    
     // Get trial data from NCT number
     const trialData = await parseNCT(nctNumber);
     const trialCriteria = {
       inclusionCriteria: trialData.eligibility.inclusionCriteria,
       exclusionCriteria: trialData.eligibility.exclusionCriteria
     };
+    const sites = describeSitesForPatient(trialData, patientLocation?.location);
     
     // Get app configuration to determine which model to use
     const appConfig = getAppConfig('clinical-trial-matcher-app');
@@ -483,50 +997,70 @@ router.post('/match-to-nct', async (req, res) => {
     // Get the specified model
     const chatModel = fetchChatModel(modelName);
     
-    // Generate patient ID and timestamp
-    const patientId = `pt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // Evaluations are stored under the caller's patient ID (or the session's)
+    const patientId = resolvePatientId(req.body);
+    const evaluationId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
     
-    // Process each criterion
-    const results = [];
-    
-    // Process inclusion criteria
-    for (const criterion of trialCriteria.inclusionCriteria) {
-      const result = await evaluateCriterion(chatModel, medicalRecord, criterion, 'inclusion');
-      results.push(result);
-    }
+    const evaluate = withSessionWebhook(req.body.sessionId, withEvaluationHistory({
+      medicalRecord,
+      trialCriteria,
+      sessionId: req.body.sessionId,
+      registrySnapshot: snapshotTrial(trialData)
+    }, async ({ onResult, signal } = {}) => {
+      // Evaluate all criteria concurrently, preserving criterion order; registry
+      // age and sex limits are checked deterministically alongside them
+      const { results, timing, criteriaTree } = await evaluateCriteriaList(chatModel, medicalRecord, trialCriteria, {
+        eligibility: trialData.eligibility,
+        facts,
+        onResult,
+        signal,
+        modelName,
+        consensus: consensus.options,
+        referenceDate: reference.date
+      });
+      
+      // Determine overall eligibility
+      const overallEligibility = determineOverallEligibility(results);
+      
+      return {
+        evaluationId,
+        patientId,
+        timestamp,
+        referenceDate: reference.value,
+        nctNumber,
+        trialTitle: trialData.studyInfo.briefTitle,
+        overallEligibility,
+        results,
+        ...(criteriaTree && { criteriaTree }),
+        trialInfo: {
+          status: trialData.studyInfo.overallStatus,
+          phase: trialData.studyInfo.phase,
+          condition: trialData.studyInfo.condition,
+          ageRange: `${trialData.eligibility.minimumAge} to ${trialData.eligibility.maximumAge}`,
+          gender: trialData.eligibility.gender
+        },
+        sites,
+        metadata: {
+          appVersion: appConfig?.version || '1.0.0',
+          model: modelName,
+          nctDataParsedAt: trialData.metadata.parsedAt,
+          timing,
+          cache: summarizeCacheUse(medicalRecord, results),
+          modelResponses: summarizeModelResponses(results),
+          timeline: summarizeTimeline(medicalRecord, reference.date),
+          ...(consensus.options && { consensus: summarizeConsensus(results, consensus.options) }),
+          ...(fhir && { fhir })
+        }
+      };
+    }));
     
-    // Process exclusion criteria  
-    for (const criterion of trialCriteria.exclusionCriteria) {
-      const result = await evaluateCriterion(chatModel, medicalRecord, criterion, 'exclusion');
-      results.push(result);
+    if (isAsyncRequest(req)) {
+      const job = startMatchJob('match-to-nct', evaluate, medicalRecord, trialCriteria, trialData.eligibility, facts);
+      return res.status(202).json(describeJobLinks(req, job));
     }
     
-    // Determine overall eligibility
-    const overallEligibility = determineOverallEligibility(results);
-    
-    const response = {
-      patientId,
-      timestamp,
-      nctNumber,
-      trialTitle: trialData.studyInfo.briefTitle,
-      overallEligibility,
-      results,
-      trialInfo: {
-        status: trialData.studyInfo.overallStatus,
-        phase: trialData.studyInfo.phase,
-        condition: trialData.studyInfo.condition,
-        ageRange: `${trialData.eligibility.minimumAge} to ${trialData.eligibility.maximumAge}`,
-        gender: trialData.eligibility.gender
-      },
-      metadata: {
-        appVersion: appConfig?.version || '1.0.0',
-        model: modelName,
-        nctDataParsedAt: trialData.metadata.parsedAt
-      }
-    };
-    
-    return res.json(response);
+    return res.json(await evaluate());
     
   } catch (error) {
     console.error('Error in match-to-nct:', error);
@@ -544,757 +1078,4342 @@ router.post('/match-to-nct', async (req, res) => {
 });
 
 /**
- * POST /pre-populate
- * Pre-populate the interface with medical record and trial data
- * 
+ * POST /timeline
+ * Build the timeline of dated events in a medical record, as the matching
+ * endpoints see it when evaluating time-window criteria
+ *
  * Request body:
  *   {
- *     "medicalRecord": "string containing patient medical record",
- *     "nctNumber": "NCT00000102" (optional),
- *     "trialCriteria": {
- *       "inclusionCriteria": ["criterion 1", ...],
- *       "exclusionCriteria": ["criterion 1", ...]
- *     } (optional, used if nctNumber not provided),
- *     "sessionId": "optional session identifier for complex workflows",
- *     "returnUrl": "optional URL to return to after evaluation"
+ *     "medicalRecord": "string containing patient medical record",  // or "fhirBundle"
+ *     "referenceDate": "2026-10-19"  // optional; date intervals are measured to, default today
  *   }
- * 
+ *
  * Response:
  *   {
- *     "sessionId": "generated-session-id",
- *     "interfaceUrl": "URL to pre-populated interface",
- *     "trialInfo": { ... },
- *     "prePopulatedData": { ... },
- *     "deepLinkUrl": "URL with query parameters for direct access"
+ *     "referenceDate": "2026-10-19",
+ *     "noteDate": { "date": "2026-10-15", "quote": "Date of visit: 2026-10-15", "offset": 0 } or null,
+ *     "events": [
+ *       {
+ *         "date": "2026-09-30", "precision": "day|month|year|approximate",
+ *         "earliest": "2026-09-30", "latest": "2026-09-30", "daysBefore": 19,
+ *         "categories": ["chemotherapy"], "quote": "Received carboplatin on 09/30/2026", "offset": 132,
+ *         "dateQuote": "09/30/2026", "dateOffset": 156
+ *       },
+ *       {
+ *         "date": "2026-10-01", ..., "categories": ["chemotherapy"],
+ *         "modifiers": { "chemotherapy": ["not-given"] },  // negated|family-history|uncertain|not-given
+ *         "quote": "Chemotherapy was held on 2026-10-01", ...
+ *       }
+ *     ]
  *   }
  */
-router.post('/pre-populate', async (req, res) => {
+router.post('/timeline', (req, res) => {
   try {
-    const { medicalRecord, nctNumber, trialCriteria, sessionId, returnUrl } = req.body;
+    const patientRecord = resolvePatientRecord(req.body);
+    if (patientRecord.error) {
+      return res.status(400).json({ error: patientRecord.error });
+    }
 
-    // Validate required fields
-    if (!medicalRecord || typeof medicalRecord !== 'string') {
-      return res.status(400).json({
-        error: 'Field "medicalRecord" is required and must be a string.'
+    const reference = resolveReferenceDate(req.body.referenceDate);
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+
+    return res.json(summarizeTimeline(patientRecord.medicalRecord, reference.date));
+
+  } catch (error) {
+    console.error('Error building timeline:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error while building the timeline'
+    });
+  }
+});
+
+/**
+ * POST /medications
+ * Extract the medications in a medical record and normalize each brand or
+ * ingredient to its ingredients and drug classes, as the matching endpoints
+ * do when evaluating medication criteria
+ *
+ * Request body:
+ *   {
+ *     "medicalRecord": "string containing patient medical record"  // or "fhirBundle"
+ *   }
+ *
+ * Response:
+ *   {
+ *     "listed": true,
+ *     "list": { "quote": "Current medications:", "offset": 80 } or null,
+ *     "medications": [
+ *       {
+ *         "name": "eliquis", "brand": true, "ingredients": ["apixaban"],
+ *         "classes": ["direct-oral-anticoagulant", "anticoagulant", "oral-anticoagulant"],
+ *         "route": "oral", "status": "current|past|planned|not-taking|unknown", "source": "list|text",
+ *         "quote": "Eliquis 5 mg BID", "offset": 103
+ *       }
+ *     ],
+ *     "unrecognized": [{ "quote": "Fish oil 1 g daily", "offset": 140 }],
+ *     "classMentions": [{ "key": "anticoagulant", "classes": ["anticoagulant"], "quote": "...", "offset": 0 }]
+ *   }
+ */
+router.post('/medications', (req, res) => {
+  try {
+    const patientRecord = resolvePatientRecord(req.body);
+    if (patientRecord.error) {
+      return res.status(400).json({ error: patientRecord.error });
+    }
+
+    loadConfiguredVocabulary();
+    return res.json(extractMedications(patientRecord.medicalRecord));
+
+  } catch (error) {
+    console.error('Error extracting medications:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error while extracting medications'
+    });
+  }
+});
+
+/**
+ * GET /patients/:patientId/evaluations
+ * A patient's evaluation history, newest first
+ *
+ * Every evaluation from the matching endpoints and /screen-trials is stored
+ * under the patientId it was run for.
+ *
+ * Query parameters:
+ *   nctNumber - optional; only evaluations of this trial
+ *
+ * Response:
+ *   {
+ *     "patientId": "MRN-0012345",
+ *     "evaluations": [
+ *       {
+ *         "evaluationId": "eval-1234567890-abc123",
+ *         "timestamp": "ISO-date",
+ *         "evaluationType": "comprehensive-nct",
+ *         "nctNumber": "NCT00000102",
+ *         "trialKey": "NCT00000102",   // "criteria-<hash>" for custom criteria
+ *         "overallEligibility": "eligible",
+ *         "recordHash": "9f86d081...",
+ *         "criteriaCount": 12,
+ *         "statusCounts": { "matched": 10, "insufficient-data": 2 }
+ *       }
+ *     ]
+ *   }
+ */
+router.get('/patients/:patientId/evaluations', (req, res) => {
+  const { patientId } = req.params;
+  const { nctNumber } = req.query;
+
+  if (nctNumber !== undefined && !String(nctNumber).match(/^NCT\d{8}$/)) {
+    return res.status(400).json({
+      error: 'Query parameter "nctNumber" must be in format NCT00000000.'
+    });
+  }
+
+  const entries = listPatientEvaluations(patientId, { trialKey: nctNumber });
+  if (!entries) {
+    return res.status(404).json({
+      error: `No evaluations found for patient ${patientId}`
+    });
+  }
+
+  return res.json({
+    patientId,
+    evaluations: entries.map(summarizeEvaluation)
+  });
+});
+
+/**
+ * GET /patients/:patientId/evaluations/diff
+ * Criteria whose status changed between two evaluations of the same trial
+ *
+ * Query parameters:
+ *   from, to  - evaluation ids to compare, or
+ *   nctNumber - compare the two most recent evaluations of this trial
+ *
+ * Response:
+ *   {
+ *     "patientId": "MRN-0012345",
+ *     "trialKey": "NCT00000102",
+ *     "from": { ...evaluation summary },
+ *     "to": { ...evaluation summary },
+ *     "recordChanged": true,
+ *     "overallEligibility": { "from": "needs-review", "to": "eligible", "changed": true },
+ *     "changedCriteria": [
+ *       {
+ *         "criterion": "HbA1c between 7.0% and 10.5%",
+ *         "type": "inclusion",
+ *         "from": { "status": "more-information-needed", "confidence": 0.4, "method": "model" },
+ *         "to": { "status": "matched", "confidence": 1, "method": "rule" }
+ *       }
+ *     ],
+ *     "addedCriteria": [],
+ *     "removedCriteria": [],
+ *     "unchangedCount": 11
+ *   }
+ */
+router.get('/patients/:patientId/evaluations/diff', (req, res) => {
+  const { patientId } = req.params;
+  const { from, to, nctNumber } = req.query;
+
+  let fromEntry;
+  let toEntry;
+
+  if (from && to) {
+    fromEntry = getEvaluation(from);
+    toEntry = getEvaluation(to);
+
+    const missing = [[from, fromEntry], [to, toEntry]].find(([, entry]) => !entry || entry.patientId !== patientId);
+    if (missing) {
+      return res.status(404).json({
+        error: `Evaluation ${missing[0]} not found for patient ${patientId}`
       });
     }
 
-    // Must have either nctNumber or trialCriteria
-    if (!nctNumber && !trialCriteria) {
+    if (fromEntry.trialKey !== toEntry.trialKey) {
       return res.status(400).json({
-        error: 'Either "nctNumber" or "trialCriteria" must be provided.'
+        error: `Evaluations ${from} and ${to} are for different trials (${fromEntry.trialKey}, ${toEntry.trialKey})`
+      });
+    }
+  } else if (nctNumber) {
+    const entries = listPatientEvaluations(patientId, { trialKey: nctNumber }) || [];
+    if (entries.length < 2) {
+      return res.status(404).json({
+        error: `Patient ${patientId} has fewer than two evaluations of ${nctNumber}`
       });
     }
+    [toEntry, fromEntry] = entries;
+  } else {
+    return res.status(400).json({
+      error: 'Query parameters "from" and "to", or "nctNumber", are required.'
+    });
+  }
 
-    // Generate or use provided session ID
-    const finalSessionId = sessionId || `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    let trialInfo = null;
-    let criteriaToUse = trialCriteria;
+  return res.json(diffEvaluations(fromEntry, toEntry));
+});
 
-    // If NCT number provided, fetch trial data
-    if (nctNumber) {
-      if (!nctNumber.match(/^NCT\d{8}$/)) {
-        return res.status(400).json({
-          error: 'Invalid NCT number format. Expected format: NCT00000000'
-        });
-      }
+/**
+ * GET /evaluations/:evaluationId
+ * A stored evaluation, with the response body exactly as first returned
+ *
+ * Response:
+ *   {
+ *     ...evaluation summary (see GET /patients/:patientId/evaluations),
+ *     "patientId": "MRN-0012345",
+ *     "result": { ...original response body }
+ *   }
+ */
+router.get('/evaluations/:evaluationId', (req, res) => {
+  const entry = getEvaluation(req.params.evaluationId);
 
-      try {
-        const trialData = await parseNCT(nctNumber);
-        trialInfo = {
-          nctNumber: trialData.nctNumber,
-          title: trialData.studyInfo.briefTitle,
-          condition: trialData.studyInfo.condition,
-          phase: trialData.studyInfo.phase,
-          status: trialData.studyInfo.overallStatus,
-          ageRange: `${trialData.eligibility.minimumAge} to ${trialData.eligibility.maximumAge}`,
-          gender: trialData.eligibility.gender
-        };
-        
-        criteriaToUse = {
-          inclusionCriteria: trialData.eligibility.inclusionCriteria,
-          exclusionCriteria: trialData.eligibility.exclusionCriteria
-        };
-      } catch (error) {
-        return res.status(404).json({
-          error: `Trial ${nctNumber} not found or could not be parsed: ${error.message}`
-        });
-      }
-    }
+  if (!entry) {
+    return res.status(404).json({
+      error: `Evaluation ${req.params.evaluationId} not found`
+    });
+  }
 
-    // Store session data for later retrieval
-    const sessionData = {
-      sessionId: finalSessionId,
-      medicalRecord,
-      nctNumber,
-      trialCriteria: criteriaToUse,
-      trialInfo,
-      returnUrl,
-      createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-    };
+  return res.json({
+    ...summarizeEvaluation(entry),
+    patientId: entry.patientId,
+    result: entry.response
+  });
+});
 
-    // Store in memory (in production, would use Redis or database)
-    if (!global.clinicalTrialSessions) {
-      global.clinicalTrialSessions = new Map();
+/**
+ * GET /evaluations/:evaluationId/export
+ * Export a stored evaluation, including any reviewer overrides
+ *
+ * Query parameters:
+ *   - format: "fhir" (FHIR R4 Bundle with a ResearchSubject and one Observation
+ *     per criterion), "csv" (one row per criterion) or "html" (print-ready
+ *     screening report with the trial header from the registry)
+ *   - download: "true" to send the HTML report as an attachment; FHIR and CSV
+ *     are always attachments
+ *
+ * Example: GET /evaluations/eval-1234567890-abc123/export?format=csv
+ */
+router.get('/evaluations/:evaluationId/export', async (req, res) => {
+  try {
+    const { evaluationId } = req.params;
+    const { format, download } = req.query;
+
+    const entry = getEvaluation(evaluationId);
+    if (!entry) {
+      return res.status(404).json({
+        error: `Evaluation ${evaluationId} not found`
+      });
     }
-    global.clinicalTrialSessions.set(finalSessionId, sessionData);
 
-    // Clean up expired sessions
-    cleanupExpiredSessions();
+    if (!['fhir', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({
+        error: 'Query parameter "format" must be one of: fhir, csv, html.'
+      });
+    }
 
-    // Build interface URL with query parameters
-    const baseUrl = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/clinical-trial-matcher.html`;
-    const queryParams = new URLSearchParams({
-      session: finalSessionId,
-      ...(nctNumber && { nct: nctNumber }),
-      ...(returnUrl && { returnUrl })
-    });
-    const interfaceUrl = `${baseUrl}?${queryParams}`;
+    // Registry data gives the fullest trial header; evaluations of submitted
+    // criteria, or trials no longer in the database, fall back to the response
+    let trialData = null;
+    if (entry.nctNumber) {
+      try {
+        trialData = await parseNCT(entry.nctNumber);
+      } catch (error) {
+        console.warn(`Trial ${entry.nctNumber} unavailable for export header:`, error.message);
+      }
+    }
+    const trial = describeTrial(entry, trialData);
 
-    // Build deep link URL with encoded data
-    const deepLinkParams = new URLSearchParams({
-      medicalRecord: medicalRecord.substring(0, 500), // Truncate for URL length
-      ...(nctNumber && { nct: nctNumber }),
-      ...(returnUrl && { returnUrl })
-    });
-    const deepLinkUrl = `${baseUrl}?${deepLinkParams}`;
+    if (format === 'fhir') {
+      res.set('Content-Disposition', `attachment; filename="${evaluationId}.fhir.json"`);
+      return res.type('application/fhir+json').send(JSON.stringify(buildFhirExport(entry, trial), null, 2));
+    }
 
-    const response = {
-      sessionId: finalSessionId,
-      interfaceUrl,
-      deepLinkUrl,
-      trialInfo,
-      prePopulatedData: {
-        medicalRecord,
-        trialCriteria: criteriaToUse,
-        mode: nctNumber ? 'nct-lookup' : 'manual-entry'
-      },
-      metadata: {
-        createdAt: sessionData.createdAt,
-        expiresAt: sessionData.expiresAt,
-        sessionDuration: '24 hours'
-      }
-    };
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${evaluationId}.csv"`);
+      return res.type('text/csv').send(buildCsvExport(entry));
+    }
 
-    return res.json(response);
+    if (download === 'true') {
+      res.set('Content-Disposition', `attachment; filename="${evaluationId}.html"`);
+    }
+    return res.type('html').send(buildHtmlReport(entry, trial));
 
   } catch (error) {
-    console.error('Error in pre-populate:', error);
+    console.error('Error in evaluation export:', error);
     return res.status(500).json({
-      error: error.message || 'Internal server error during pre-population'
+      error: error.message || 'Internal server error during export'
     });
   }
 });
 
 /**
- * GET /session/:sessionId
- * Retrieve stored session data for pre-population
+ * PATCH /evaluations/:evaluationId/criteria/:index
+ * Record a reviewer's status for one criterion of a stored evaluation
+ *
+ * The criterion's status is replaced and the overall eligibility recomputed
+ * from the criteria; the model's values are kept in adjudication fields.
+ *
+ * Request body:
+ *   {
+ *     "reviewer": "Dr. Jane Smith",
+ *     "status": "matched|non-matched|more-information-needed",  // insufficient-data for comprehensive evaluations
+ *     "reason": "HbA1c 7.4% on 2025-05-02 lab report not in the submitted note"
+ *   }
+ *
+ * Response:
+ *   {
+ *     "evaluationId": "eval-1234567890-abc123",
+ *     "criterionIndex": 2,
+ *     "criterion": { ...criterion with status and adjudication { modelStatus, status, reviewer, reason, adjudicatedAt } },
+ *     "overallEligibility": "eligible",
+ *     "modelOverallEligibility": "needs-review",
+ *     "adjudication": { ...audit trail record },
+ *     "auditTrail": [...]
+ *   }
  */
-router.get('/session/:sessionId', (req, res) => {
+router.patch('/evaluations/:evaluationId/criteria/:index', (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    if (!global.clinicalTrialSessions || !global.clinicalTrialSessions.has(sessionId)) {
+    const { evaluationId } = req.params;
+    const { reviewer, status, reason } = req.body || {};
+
+    const entry = getEvaluation(evaluationId);
+    if (!entry) {
       return res.status(404).json({
-        error: 'Session not found or expired'
+        error: `Evaluation ${evaluationId} not found`
       });
     }
 
-    const sessionData = global.clinicalTrialSessions.get(sessionId);
-    
-    // Check if session is expired
-    if (new Date() > new Date(sessionData.expiresAt)) {
-      global.clinicalTrialSessions.delete(sessionId);
-      return res.status(410).json({
-        error: 'Session has expired'
+    if (!/^\d+$/.test(req.params.index)) {
+      return res.status(400).json({
+        error: 'Criterion index must be a non-negative integer.'
       });
     }
 
-    // Return session data without sensitive information
-    const { sessionId: _, createdAt, expiresAt, ...publicData } = sessionData;
-    
+    const index = Number(req.params.index);
+    if (index >= getCriteria(entry).length) {
+      return res.status(404).json({
+        error: `Criterion ${index} not found in evaluation ${evaluationId}`
+      });
+    }
+
+    if (!reviewer || typeof reviewer !== 'string' || !reviewer.trim()) {
+      return res.status(400).json({
+        error: 'Field "reviewer" is required and must be a string.'
+      });
+    }
+
+    const allowedStatuses = getAllowedStatuses(entry);
+    if (!allowedStatuses.includes(status)) {
+      return res.status(400).json({
+        error: `Field "status" must be one of: ${allowedStatuses.join(', ')}.`
+      });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        error: 'Field "reason" is required and must be a string.'
+      });
+    }
+
+    const adjudication = adjudicateCriterion(entry, index, {
+      reviewer: reviewer.trim(),
+      status,
+      reason: reason.trim()
+    });
+
     return res.json({
-      ...publicData,
-      metadata: {
-        sessionId,
-        createdAt,
-        expiresAt,
-        timeRemaining: Math.max(0, new Date(expiresAt) - new Date())
-      }
+      evaluationId,
+      criterionIndex: index,
+      criterion: getCriteria(entry)[index],
+      overallEligibility: recomputeOverallEligibility(entry.response),
+      modelOverallEligibility: entry.response.adjudication.modelOverallEligibility,
+      adjudication,
+      auditTrail: entry.response.adjudication.auditTrail
     });
 
   } catch (error) {
-    console.error('Error retrieving session:', error);
+    console.error('Error in evaluation adjudication:', error);
     return res.status(500).json({
-      error: 'Internal server error while retrieving session'
+      error: error.message || 'Internal server error during adjudication'
     });
   }
 });
 
 /**
- * DELETE /session/:sessionId
- * Delete a session (cleanup)
+ * GET /evaluations/:evaluationId/questionnaire
+ * Structured questions for the criteria a stored evaluation could not decide
+ *
+ * Response:
+ *   {
+ *     "evaluationId": "eval-1234567890-abc123",
+ *     "sessionId": "session the evaluation was run from, or null",
+ *     "unresolvedCriteria": 3,
+ *     "questions": [
+ *       {
+ *         "questionId": "lab-hba1c",
+ *         "question": "What is the patient's most recent HbA1c?",
+ *         "answerType": "number|choice|boolean",
+ *         "units": ["%"],                      // number questions
+ *         "options": ["female", "male"],       // choice questions
+ *         "min": 0, "max": 120,                // number questions, when bounded
+ *         "criteria": [{ "index": 4, "criterion": "HbA1c between 7.0% and 10.5%", "type": "inclusion", "status": "more-information-needed" }],
+ *         "hint": "free-text missingInformation from the model, when given"
+ *       }
+ *     ]
+ *   }
  */
-router.delete('/session/:sessionId', (req, res) => {
+router.get('/evaluations/:evaluationId/questionnaire', (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    if (!global.clinicalTrialSessions || !global.clinicalTrialSessions.has(sessionId)) {
+    const { evaluationId } = req.params;
+
+    const entry = getEvaluation(evaluationId);
+    if (!entry) {
       return res.status(404).json({
-        error: 'Session not found'
+        error: `Evaluation ${evaluationId} not found`
       });
     }
 
-    global.clinicalTrialSessions.delete(sessionId);
-    
+    // Medication criteria are parsed against the configured drug vocabulary
+    loadConfiguredVocabulary();
+    const questions = buildQuestionnaire(getCriteria(entry));
+
     return res.json({
-      message: 'Session deleted successfully',
-      sessionId
+      evaluationId,
+      sessionId: entry.sessionId,
+      unresolvedCriteria: questions.reduce((count, q) => count + q.criteria.length, 0),
+      questions
     });
 
   } catch (error) {
-    console.error('Error deleting session:', error);
+    console.error('Error in evaluation questionnaire:', error);
     return res.status(500).json({
-      error: 'Internal server error while deleting session'
+      error: error.message || 'Internal server error while building questionnaire'
     });
   }
 });
 
 /**
- * POST /populate
- * Lightweight endpoint that accepts only a medical record and returns a simplified interface
- * 
+ * POST /evaluations/:evaluationId/answers
+ * Answer questionnaire questions and re-evaluate the criteria they resolve
+ *
+ * The answers are appended to the record as attested supplementary data and
+ * to the session's supplementaryData. Only the criteria the answered questions
+ * resolve are re-evaluated (by rule where the answer is a computable value,
+ * otherwise by the model); the rest are carried over. The result is stored as
+ * a new evaluation, so it can be compared with the original.
+ *
  * Request body:
  *   {
- *     "medicalRecord": "string containing patient medical record"
+ *     "attestedBy": "Dr. Jane Smith",
+ *     "answers": [
+ *       { "questionId": "lab-hba1c", "value": 7.4, "unit": "%" },
+ *       { "questionId": "criterion-6", "value": false, "details": "Negative serum hCG on 2025-06-01" }
+ *     ],
+ *     "sessionId": "optional; defaults to the session the evaluation was run from"
  *   }
- * 
- * Response: HTML interface with medical record pre-populated but hidden
+ *
+ * Response: the new evaluation, in the shape of the original, with
+ *   "reevaluation": { previousEvaluationId, attestedBy, attestedAt, answeredQuestions,
+ *     reevaluatedCriteria, supplementaryText, remainingQuestions }
  */
-router.post('/populate', async (req, res) => {
+router.post('/evaluations/:evaluationId/answers', async (req, res) => {
   try {
-    const { medicalRecord } = req.body;
+    const { evaluationId } = req.params;
+    const { attestedBy, answers } = req.body;
 
-    // Validate required field
-    if (!medicalRecord || typeof medicalRecord !== 'string') {
+    const entry = getEvaluation(evaluationId);
+    if (!entry) {
+      return res.status(404).json({
+        error: `Evaluation ${evaluationId} not found`
+      });
+    }
+
+    if (!attestedBy || typeof attestedBy !== 'string' || !attestedBy.trim()) {
       return res.status(400).json({
-        error: 'Field "medicalRecord" is required and must be a string.'
+        error: 'Field "attestedBy" is required and must be a string.'
       });
     }
 
-    // Generate a simple session ID for tracking
-    const sessionId = `populate-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Read the simplified template
-    const templatePath = path.join(__dirname, '../public/populate-interface.html');
-    let htmlTemplate;
-    
-    try {
-      htmlTemplate = fs.readFileSync(templatePath, 'utf8');
-    } catch (error) {
-      // Fallback: generate inline HTML if template not found
-      htmlTemplate = generateSimplifiedHTML();
+    const sessionId = req.body.sessionId || entry.sessionId;
+    const sessionData = sessionId && global.clinicalTrialSessions?.get(sessionId);
+    if (req.body.sessionId && (!sessionData || new Date() > new Date(sessionData.expiresAt))) {
+      return res.status(404).json({
+        error: 'Session not found or expired'
+      });
     }
-    
-    // Replace placeholders with actual data
-    const populatedHTML = htmlTemplate
-      .replace(/{{MEDICAL_RECORD}}/g, escapeHtml(medicalRecord))
-      .replace(/{{SESSION_ID}}/g, sessionId)
-      .replace(/{{TIMESTAMP}}/g, new Date().toISOString());
-    
-    // Set appropriate headers
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.setHeader('X-Session-ID', sessionId);
-    
-    return res.send(populatedHTML);
+
+    loadConfiguredVocabulary();
+    const questions = buildQuestionnaire(getCriteria(entry));
+    if (questions.length === 0) {
+      return res.status(409).json({
+        error: `Evaluation ${evaluationId} has no unresolved criteria`
+      });
+    }
+
+    const validation = validateAnswers(questions, answers);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    // The supplementary block follows the record, so its fact offsets start after it
+    const attestedAt = new Date().toISOString();
+    const prefix = `${entry.medicalRecord}\n\n`;
+    const supplementary = buildSupplementaryData(questions, validation.answers, {
+      attestedBy: attestedBy.trim(),
+      attestedAt,
+      offset: prefix.length
+    });
+    const medicalRecord = prefix + supplementary.text;
+
+    // Structured facts of a FHIR session still apply to the unchanged record;
+    // time windows are measured to the reference date of the evaluation answered
+    const sessionFacts = sessionData?.fhirFacts && sessionData.medicalRecord === entry.medicalRecord
+      ? sessionData.fhirFacts
+      : null;
+    const reference = resolveReferenceDate(entry.response.referenceDate);
+    const facts = mergePatientFacts(
+      mergePatientFacts(extractPatientFacts(medicalRecord, { referenceDate: reference.date }), sessionFacts),
+      supplementary.facts
+    );
+
+    const response = await reevaluateWithAnswers(entry, questions, validation.answers, medicalRecord, facts);
+    response.reevaluation = {
+      ...response.reevaluation,
+      attestedBy: attestedBy.trim(),
+      attestedAt,
+      supplementaryText: supplementary.text
+    };
+    storeEvaluation({
+      medicalRecord,
+      trialCriteria: entry.trialCriteria,
+      sessionId: sessionData ? sessionId : null,
+      registrySnapshot: entry.registrySnapshot
+    }, response);
+
+    if (sessionData) {
+      sessionData.supplementaryData = [
+        ...(sessionData.supplementaryData || []),
+        ...supplementary.entries.map(e => ({ ...e, evaluationId: response.evaluationId }))
+      ];
+    }
+
+    return res.json(attachSessionWebhook(sessionData ? sessionId : null, response));
 
   } catch (error) {
-    console.error('Error in populate endpoint:', error);
+    console.error('Error in questionnaire answers:', error);
     return res.status(500).json({
-      error: error.message || 'Internal server error during population'
+      error: error.message || 'Internal server error during re-evaluation'
     });
   }
 });
 
 /**
- * Escape HTML characters to prevent XSS
+ * GET /evaluations/:evaluationId/registry-changes
+ * Compare the registry entry an evaluation was run against with the trial as
+ * it is in the NCT database now
+ *
+ * Response:
+ *   {
+ *     "evaluationId", "nctNumber",
+ *     "evaluatedAgainst": { "parsedAt", "databaseVersion" },
+ *     "current": { "parsedAt", "databaseVersion" },
+ *     "changes": { "changed": true, "statusChange", "limitChanges", "addedCriteria", "removedCriteria",
+ *                  "reordered", "unchangedCriteria" },
+ *     "rescreenedBy": "eval-..." or null
+ *   }
  */
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
-}
+router.get('/evaluations/:evaluationId/registry-changes', async (req, res) => {
+  try {
+    const entry = getEvaluation(req.params.evaluationId);
+    if (!entry) {
+      return res.status(404).json({ error: `Evaluation ${req.params.evaluationId} not found` });
+    }
+
+    if (!entry.registrySnapshot) {
+      return res.status(409).json({
+        error: `Evaluation ${entry.evaluationId} was not run against an NCT registry entry`
+      });
+    }
+
+    const current = snapshotTrial(await parseNCT(entry.nctNumber));
+
+    return res.json({
+      evaluationId: entry.evaluationId,
+      nctNumber: entry.nctNumber,
+      evaluatedAgainst: {
+        parsedAt: entry.registrySnapshot.parsedAt,
+        databaseVersion: entry.registrySnapshot.databaseVersion
+      },
+      current: { parsedAt: current.parsedAt, databaseVersion: current.databaseVersion },
+      changes: diffTrialSnapshots(entry.registrySnapshot, current),
+      rescreenedBy: entry.rescreenedBy || null
+    });
+
+  } catch (error) {
+    console.error('Error in evaluation registry-changes:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: `Clinical trial ${getEvaluation(req.params.evaluationId)?.nctNumber} not found in local database`
+      });
+    }
+
+    return res.status(500).json({
+      error: error.message || 'Internal server error while comparing registry entries'
+    });
+  }
+});
 
 /**
- * Generate simplified HTML template inline (fallback)
+ * POST /evaluations/:evaluationId/rescreen
+ * Re-screen a stored evaluation after its trial changed in the registry
+ *
+ * Only criteria that are new or reworded are evaluated; results of unchanged
+ * criteria are carried over with any reviewer overrides, criteria removed from
+ * the registry are dropped, and registry age/sex checks are redone when the
+ * limits changed. The result is stored as a new evaluation.
+ *
+ * Request body: none
+ *
+ * Response: the new evaluation, in the shape of the original, with
+ *   "rescreen": {
+ *     "previousEvaluationId", "registryChanges": {...},
+ *     "reevaluatedCriteria": [3, 7],  // indexes in the new evaluation
+ *     "carriedOverCriteria": 10
+ *   }
  */
-function generateSimplifiedHTML() {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Clinical Trial Matcher - Simplified</title>
-    <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; margin: 20px; }
-        .container { max-width: 800px; margin: 0 auto; }
-        .hidden { display: none; }
-        .card { background: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 8px; }
-        .btn { background: #007aff; color: white; border: none; padding: 12px 20px; border-radius: 8px; cursor: pointer; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>Clinical Trial Matcher</h1>
-        <div id="medicalRecordData" class="hidden">{{MEDICAL_RECORD}}</div>
-        <div class="card">
-            <h2>Select Trial Criteria</h2>
-            <p>Please specify the trial criteria to evaluate.</p>
-            <button class="btn" onclick="alert('Interface simplified - implement trial selection')">Select Trial</button>
-        </div>
-    </div>
-</body>
-</html>`;
-}
+router.post('/evaluations/:evaluationId/rescreen', async (req, res) => {
+  try {
+    const entry = getEvaluation(req.params.evaluationId);
+    if (!entry) {
+      return res.status(404).json({ error: `Evaluation ${req.params.evaluationId} not found` });
+    }
+
+    if (!entry.registrySnapshot) {
+      return res.status(409).json({
+        error: `Evaluation ${entry.evaluationId} was not run against an NCT registry entry`
+      });
+    }
+
+    const trialData = await parseNCT(entry.nctNumber);
+    const registrySnapshot = snapshotTrial(trialData);
+    const changes = diffTrialSnapshots(entry.registrySnapshot, registrySnapshot);
+    if (!changes.changed) {
+      return res.status(409).json({
+        error: `Trial ${entry.nctNumber} has not changed since evaluation ${entry.evaluationId}`
+      });
+    }
+
+    const response = await rescreenChangedCriteria(entry, trialData, changes);
+    storeEvaluation({
+      medicalRecord: entry.medicalRecord,
+      trialCriteria: {
+        inclusionCriteria: trialData.eligibility.inclusionCriteria,
+        exclusionCriteria: trialData.eligibility.exclusionCriteria
+      },
+      sessionId: entry.sessionId,
+      registrySnapshot
+    }, response);
+
+    return res.json(attachSessionWebhook(entry.sessionId, response));
+
+  } catch (error) {
+    console.error('Error in rescreen:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: `Clinical trial ${getEvaluation(req.params.evaluationId)?.nctNumber} not found in local database`
+      });
+    }
+
+    return res.status(500).json({
+      error: error.message || 'Internal server error during re-screening'
+    });
+  }
+});
 
 /**
- * GET /generate-link
- * Generate deep links for direct access without session storage
- * 
- * Query parameters:
- *   - nct: NCT number (optional)
- *   - medicalRecord: Medical record text (optional, truncated for URL length)
- *   - returnUrl: URL to return to after evaluation (optional)
- * 
+ * POST /evaluations/:evaluationId/explanation
+ * Plain-language explanation of a stored evaluation for the patient
+ *
+ * Each criterion the patient does not meet, or that could not be decided, is
+ * explained at the requested reading level and language, with questions the
+ * patient could ask their doctor. The model is given the evaluation (with any
+ * reviewer overrides), not the medical record. Explanations are kept with the
+ * evaluation and returned again for the same options until a criterion's
+ * status changes.
+ *
+ * Request body (all optional):
+ *   {
+ *     "readingLevel": "basic|standard|detailed",  // grade 5, 8 or 11; default explanations.defaultReadingLevel
+ *     "language": "en",                           // en, es, fr, de, it, pt, ar, ko, ru, vi, zh
+ *     "regenerate": false                         // true to write a new explanation
+ *   }
+ *
  * Response:
  *   {
- *     "deepLinkUrl": "URL with query parameters",
- *     "sessionUrl": "URL for creating a session (for longer data)",
- *     "qrCode": "Data URL for QR code (future enhancement)"
+ *     "evaluationId", "nctNumber", "trialTitle", "overallEligibility",
+ *     "readingLevel": "standard", "targetGrade": 8, "language": "en", "languageName": "English",
+ *     "summary": "...",
+ *     "metCriteria": 9,
+ *     "criteria": [{ "index": 4, "criterion", "type", "status", "outcome": "not-met|excluded|unknown",
+ *                    "explanation": "...", "questionsForDoctor": ["..."] }],
+ *     "questionsForDoctor": ["..."],
+ *     "nextSteps": "...",
+ *     "unexplainedCriteria": [],                  // indexes the model left out
+ *     "readability": { "formula": "flesch-kincaid", "readingEase": 71.2, "gradeLevel": 6.4, "targetGrade": 8,
+ *                      "minimumReadingEase": 60, "meetsTarget": true, "sentences", "words", "syllables" },
+ *     "generatedAt", "model", "modelResponse": { ...parse record }, "cached": false
  *   }
  */
-router.get('/generate-link', (req, res) => {
+router.post('/evaluations/:evaluationId/explanation', async (req, res) => {
   try {
-    const { nct, medicalRecord, returnUrl } = req.query;
-    
-    if (!nct && !medicalRecord) {
-      return res.status(400).json({
-        error: 'At least one of "nct" or "medicalRecord" parameters is required'
+    const { evaluationId } = req.params;
+    const { readingLevel, language, regenerate } = req.body || {};
+
+    const entry = getEvaluation(evaluationId);
+    if (!entry) {
+      return res.status(404).json({
+        error: `Evaluation ${evaluationId} not found`
       });
     }
-    
-    // Build deep link URL
-    const baseUrl = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/clinical-trial-matcher.html`;
-    const params = new URLSearchParams();
-    
-    if (nct) {
-      if (!nct.match(/^NCT\d{8}$/)) {
-        return res.status(400).json({
-          error: 'Invalid NCT number format. Expected format: NCT00000000'
-        });
-      }
-      params.set('nct', nct);
+
+    const appConfig = getAppConfig('clinical-trial-matcher-app');
+    const resolved = resolveExplanationOptions({ readingLevel, language }, appConfig?.explanations);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
     }
-    
-    if (medicalRecord) {
-      // Truncate medical record for URL length limitations
-      const truncatedRecord = medicalRecord.substring(0, 500);
-      params.set('medicalRecord', truncatedRecord);
-      
-      if (medicalRecord.length > 500) {
-        console.warn(`Medical record truncated from ${medicalRecord.length} to 500 characters for deep link`);
-      }
+    const { options } = resolved;
+
+    if (regenerate !== undefined && typeof regenerate !== 'boolean') {
+      return res.status(400).json({
+        error: 'Field "regenerate" must be a boolean.'
+      });
     }
-    
-    if (returnUrl) {
-      params.set('returnUrl', returnUrl);
+
+    const key = `${options.readingLevel}:${options.language}`;
+    const basis = explanationBasis(entry);
+    const stored = entry.explanations?.[key];
+    if (stored && stored.basis === basis && !regenerate) {
+      return res.json({ ...stored.explanation, cached: true });
     }
-    
-    const deepLinkUrl = `${baseUrl}?${params}`;
-    
-    // Provide session-based URL as alternative for longer data
-    const sessionEndpoint = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/pre-populate`;
-    
+
+    const modelName = appConfig?.explanations?.model || appConfig?.models?.default || 'hipaa:o3-high';
+    const chatModel = fetchChatModel(modelName);
+
+    const summary = summarizeEvaluation(entry);
+    const criteria = getCriteria(entry);
+    const explained = selectExplainedCriteria(entry);
+    const metCriteria = criteria.filter(c => !c.group && describeOutcome(c) === 'met').length;
+
+    const prompt = buildExplanationPrompt({
+      trialTitle: summary.trialTitle,
+      nctNumber: entry.nctNumber,
+      overallEligibility: summary.overallEligibility,
+      clinicalSummary: entry.response.overallAssessment?.clinicalSummary,
+      metCount: metCriteria
+    }, explained, options);
+
+    const content = await chatModel.replyTo(prompt);
+    const { value, record } = await parseModelResponse(chatModel, content, 'explanation', {
+      maxRepairAttempts: getMaxRepairAttempts()
+    });
+
+    if (!value) {
+      console.warn('Patient explanation response failed validation:', record.errors);
+      return res.status(502).json({
+        error: 'The model did not return a usable explanation; try again.',
+        modelResponse: record
+      });
+    }
+
+    const explanation = assembleExplanation(value, explained);
     const response = {
-      deepLinkUrl,
-      sessionEndpoint,
-      usage: {
-        deepLink: 'Direct URL access - limited to ~500 chars of medical record',
-        session: 'POST to /pre-populate for unlimited data with 24-hour session'
-      },
-      metadata: {
-        urlLength: deepLinkUrl.length,
-        maxRecommendedLength: 2000,
-        medicalRecordTruncated: medicalRecord ? medicalRecord.length > 500 : false
-      }
+      evaluationId,
+      nctNumber: entry.nctNumber,
+      trialTitle: summary.trialTitle,
+      overallEligibility: summary.overallEligibility,
+      ...options,
+      summary: explanation.summary,
+      metCriteria,
+      criteria: explanation.criteria,
+      questionsForDoctor: explanation.questionsForDoctor,
+      nextSteps: explanation.nextSteps,
+      unexplainedCriteria: explanation.unexplainedCriteria,
+      readability: scoreReadability(explanationText(explanation), options.language, options.targetGrade),
+      generatedAt: new Date().toISOString(),
+      model: modelName,
+      modelResponse: record
     };
-    
-    return res.json(response);
-    
+
+    entry.explanations = { ...entry.explanations, [key]: { basis, explanation: response } };
+
+    return res.json({ ...response, cached: false });
+
   } catch (error) {
-    console.error('Error generating link:', error);
+    console.error('Error in patient explanation:', error);
     return res.status(500).json({
-      error: 'Internal server error while generating link'
+      error: error.message || 'Internal server error while writing the explanation'
     });
   }
 });
 
 /**
- * Clean up expired sessions
+ * GET /jobs/:jobId
+ * Status of an asynchronous matching job
+ *
+ * Jobs are created by /comprehensive-match, /comprehensive-match-nct and
+ * /match-to-nct when the request body has "async": true, and by /cohorts.
+ *
+ * Response:
+ *   {
+ *     "jobId": "job-1234567890-abc123",
+ *     "type": "comprehensive-match-nct",
+ *     "status": "queued|running|completed|failed|cancelled",
+ *     "progress": { "completedCriteria": 3, "totalCriteria": 12 },
+ *     "criteriaResults": [...],   // criterion results received so far
+ *     "recordResults": [...],     // cohort jobs: per-record outcomes, with completedRecords/totalRecords progress
+ *     "result": {...},            // once completed; same body as the synchronous endpoint
+ *     "error": "message"          // if failed
+ *   }
  */
-function cleanupExpiredSessions() {
-  if (!global.clinicalTrialSessions) return;
-  
-  const now = new Date();
-  for (const [sessionId, sessionData] of global.clinicalTrialSessions.entries()) {
-    if (new Date(sessionData.expiresAt) < now) {
-      global.clinicalTrialSessions.delete(sessionId);
-    }
+router.get('/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found or expired` });
   }
-}
+
+  return res.json(describeJob(job));
+});
 
 /**
- * GET /info
- * Returns app information and configuration
+ * DELETE /jobs/:jobId
+ * Cancel a queued or running job. Model calls already in flight finish, but
+ * their results are discarded and no further criteria are evaluated.
  */
-router.get('/info', (req, res) => {
+router.delete('/jobs/:jobId', (req, res) => {
+  const existing = getJob(req.params.jobId);
+
+  if (!existing) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found or expired` });
+  }
+
+  if (isJobFinished(existing) && existing.status !== 'cancelled') {
+    return res.status(409).json({ error: `Job ${existing.id} has already ${existing.status}` });
+  }
+
+  const job = cancelJob(existing.id);
+  return res.json({ message: 'Job cancelled successfully', ...describeJob(job) });
+});
+
+/**
+ * GET /jobs/:jobId/events
+ * Server-Sent Events stream of a job's progress
+ *
+ * Events:
+ *   status     { "status": "running" }
+ *   criterion  { "result": {...criterion result...}, "progress": {...} }
+ *   record     { "result": {...cohort record outcome...}, "progress": {...} }  // cohort jobs
+ *   completed  { "status": "completed", "result": {...} }
+ *   failed     { "status": "failed", "error": "message" }
+ *   cancelled  { "status": "cancelled" }
+ *
+ * Events already emitted are replayed on connect; a reconnecting client
+ * sends Last-Event-ID to receive only what it missed. The stream closes after
+ * the final event.
+ */
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found or expired` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+  };
+
+  unsubscribe = subscribeToJob(job, lastEventId, record => {
+    res.write(`id: ${record.id}\nevent: ${record.event}\ndata: ${JSON.stringify(record.data)}\n\n`);
+    if (!['status', 'criterion', 'record'].includes(record.event)) close();
+  });
+
+  if (isJobFinished(job)) close();
+  req.on('close', close);
+});
+
+/**
+ * GET /cache/stats
+ * Criterion cache size, limits and hit counters
+ */
+router.get('/cache/stats', (req, res) => {
   const appConfig = getAppConfig('clinical-trial-matcher-app');
-  res.json({
-    app: 'Clinical Trial Matcher',
-    version: appConfig?.version || '1.0.0',
-    description: appConfig?.description || 'AI-powered clinical trial eligibility assessment',
-    features: appConfig?.features || [],
-    models: appConfig?.models || {},
-    endpoints: [
-      {
-        method: 'POST',
-        path: '/clinical-trial-matcher',
-        description: 'Basic patient eligibility evaluation (criterion-by-criterion)'
-      },
-      {
-        method: 'POST',
-        path: '/comprehensive-match',
-        description: 'Advanced eligibility evaluation with comprehensive AI reasoning'
-      },
-      {
-        method: 'POST',
-        path: '/comprehensive-match-nct',
-        description: 'Comprehensive NCT-based matching with detailed clinical analysis'
-      },
-      {
-        method: 'POST',
-        path: '/match-to-nct',
-        description: 'Basic NCT-based patient matching'
-      },
-      {
-        method: 'GET',
-        path: '/nct/:nctNumber',
-        description: 'Get full trial information for NCT number'
-      },
-      {
-        method: 'GET',
-        path: '/nct/:nctNumber/eligibility',
-        description: 'Get eligibility criteria for NCT number'
-      },
-      {
-        method: 'GET',
-        path: '/search',
-        description: 'Search trials by NCT pattern'
-      },
-      {
-        method: 'GET',
-        path: '/database-stats',
-        description: 'Get clinical trials database statistics'
-      },
-      {
-        method: 'POST',
-        path: '/pre-populate',
-        description: 'Pre-populate interface with medical record and trial data'
-      },
-      {
-        method: 'POST',
-        path: '/populate',
-        description: 'Lightweight endpoint returning HTML interface with hidden medical record'
-      },
-      {
-        method: 'GET',
-        path: '/session/:sessionId',
-        description: 'Retrieve stored session data'
-      },
-      {
-        method: 'DELETE',
-        path: '/session/:sessionId',
-        description: 'Delete a session'
-      },
-      {
-        method: 'GET',
-        path: '/generate-link',
-        description: 'Generate deep links for direct access'
+  configureCriterionCache(appConfig?.cache || {});
+  return res.json(getCriterionCacheStats());
+});
+
+/**
+ * DELETE /cache/records/:recordHash
+ * Purge every cached criterion assessment made on one medical record
+ *
+ * The record hash is the SHA-256 hex digest of the medical record text, as
+ * reported in metadata.cache.recordHash of matching responses.
+ *
+ * Response:
+ *   {
+ *     "recordHash": "9f86d081...",
+ *     "purgedEntries": 14
+ *   }
+ */
+router.delete('/cache/records/:recordHash', (req, res) => {
+  const { recordHash } = req.params;
+
+  if (!/^[a-f0-9]{64}$/.test(recordHash)) {
+    return res.status(400).json({
+      error: 'Record hash must be a SHA-256 hex digest (64 lowercase hex characters).'
+    });
+  }
+
+  return res.json({
+    recordHash,
+    purgedEntries: purgeRecord(recordHash)
+  });
+});
+
+/**
+ * POST /trial-lists
+ * Save a named list of NCT numbers for reuse with /screen-trials
+ *
+ * Request body:
+ *   {
+ *     "name": "optional list name",
+ *     "nctNumbers": ["NCT00000102", "NCT00000104", ...]
+ *   }
+ *
+ * Response:
+ *   {
+ *     "listId": "trial-list-1234567890-abc123",
+ *     "name": "Oncology screening list",
+ *     "nctNumbers": [...],
+ *     "createdAt": "ISO-date"
+ *   }
+ */
+router.post('/trial-lists', (req, res) => {
+  try {
+    const { name, nctNumbers } = req.body;
+
+    const validationError = validateNCTList(nctNumbers);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const listId = `trial-list-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const trialList = {
+      listId,
+      name: name || listId,
+      nctNumbers: [...new Set(nctNumbers)],
+      createdAt: new Date().toISOString()
+    };
+
+    // Store in memory (in production, would use Redis or database)
+    if (!global.clinicalTrialLists) {
+      global.clinicalTrialLists = new Map();
+    }
+    global.clinicalTrialLists.set(listId, trialList);
+
+    return res.json(trialList);
+
+  } catch (error) {
+    console.error('Error saving trial list:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error while saving trial list'
+    });
+  }
+});
+
+/**
+ * GET /trial-lists/:listId
+ * Retrieve a saved trial list
+ */
+router.get('/trial-lists/:listId', (req, res) => {
+  const { listId } = req.params;
+
+  if (!global.clinicalTrialLists || !global.clinicalTrialLists.has(listId)) {
+    return res.status(404).json({
+      error: 'Trial list not found'
+    });
+  }
+
+  return res.json(global.clinicalTrialLists.get(listId));
+});
+
+/**
+ * DELETE /trial-lists/:listId
+ * Delete a saved trial list
+ */
+router.delete('/trial-lists/:listId', (req, res) => {
+  const { listId } = req.params;
+
+  if (!global.clinicalTrialLists || !global.clinicalTrialLists.has(listId)) {
+    return res.status(404).json({
+      error: 'Trial list not found'
+    });
+  }
+
+  global.clinicalTrialLists.delete(listId);
+
+  return res.json({
+    message: 'Trial list deleted successfully',
+    listId
+  });
+});
+
+/**
+ * POST /screen-trials
+ * Screen one patient against several NCT trials and rank the results
+ *
+ * Request body:
+ *   {
+ *     "medicalRecord": "string containing patient medical record",
+ *     "nctNumbers": ["NCT00000102", "NCT00000104", ...] (optional if trialListId given),
+ *     "trialListId": "saved list from POST /trial-lists" (optional),
+ *     "evaluationMode": "basic|comprehensive" (optional, default: basic),
+ *     "patientId": "optional stable patient identifier; each trial is stored in the patient's history",
+ *     "patientLocation": { "postalCode": "02114", "country": "US" } (optional; adds site distances),
+ *     "maxDistanceMiles": 100 (optional; needs patientLocation; skips trials without a recruiting site this close),
+ *     "recruitingOnly": false (optional; skips trials that are not recruiting),
+ *     "consensus": true (optional; votes on each criterion of every trial),
+ *     "referenceDate": "2026-10-19" (optional; date time windows are measured to, default today)
+ *   }
+ *
+ * Trials skipped by the location filters are not evaluated and are listed in "excluded".
+ *
+ * Response:
+ *   {
+ *     "patientId": "given or generated id",
+ *     "timestamp": "ISO-date",
+ *     "patientLocation": { "postalCode", "latitude", "longitude", "place", "precision" } or null,
+ *     "rankedTrials": [
+ *       {
+ *         "rank": 1,
+ *         "evaluationId": "eval-1234567890-abc123",
+ *         "nctNumber": "NCT00000102",
+ *         "trialTitle": "string",
+ *         "overallEligibility": "eligible|ineligible|needs-review",
+ *         "failedCriteriaCount": 0,
+ *         "unknownCriteriaCount": 2,
+ *         "decidingCriteria": [{ "criterion", "type", "status", "reasoning" }],
+ *         "sites": { "recruiting", "siteCount", "recruitingSiteCount", "nearestRecruitingSite", "sites" },
+ *         "results": [...]
+ *       }
+ *     ],
+ *     "excluded": [{ "nctNumber": "NCT...", "reason": "not-recruiting|too-far", "overallStatus", "nearestDistanceMiles" }],
+ *     "errors": [{ "nctNumber": "NCT...", "error": "string" }],
+ *     "summary": { "eligible": 1, "needsReview": 2, "ineligible": 3, "excluded": 1, "failed": 0 }
+ *   }
+ */
+router.post('/screen-trials', async (req, res) => {
+  try {
+    const { medicalRecord, trialListId, evaluationMode = 'basic', maxDistanceMiles, recruitingOnly = false } = req.body;
+    let { nctNumbers } = req.body;
+
+    // Validate input
+    if (!medicalRecord || typeof medicalRecord !== 'string') {
+      return res.status(400).json({
+        error: 'Field "medicalRecord" is required and must be a string.'
+      });
+    }
+
+    if (req.body.patientId !== undefined && !isValidPatientId(req.body.patientId)) {
+      return res.status(400).json({
+        error: 'Field "patientId" must be 1-128 letters, digits or the characters . _ : @ -'
+      });
+    }
+
+    if (!['basic', 'comprehensive'].includes(evaluationMode)) {
+      return res.status(400).json({
+        error: 'Field "evaluationMode" must be either "basic" or "comprehensive".'
+      });
+    }
+
+    const patientLocation = req.body.patientLocation === undefined ? null : resolveRequestLocation(req.body.patientLocation);
+    if (patientLocation?.error) {
+      return res.status(400).json({ error: `Field "patientLocation": ${patientLocation.error}` });
+    }
+
+    if (maxDistanceMiles !== undefined && (!patientLocation || typeof maxDistanceMiles !== 'number' || !(maxDistanceMiles > 0))) {
+      return res.status(400).json({
+        error: 'Field "maxDistanceMiles" must be a positive number and requires "patientLocation".'
+      });
+    }
+
+    if (typeof recruitingOnly !== 'boolean') {
+      return res.status(400).json({
+        error: 'Field "recruitingOnly" must be a boolean.'
+      });
+    }
+
+    const consensus = resolveRequestConsensus(req.body.consensus);
+    if (consensus.error) {
+      return res.status(400).json({ error: consensus.error });
+    }
+
+    const reference = resolveReferenceDate(req.body.referenceDate);
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+
+    if (trialListId) {
+      const trialList = global.clinicalTrialLists?.get(trialListId);
+      if (!trialList) {
+        return res.status(404).json({
+          error: `Trial list ${trialListId} not found`
+        });
+      }
+      nctNumbers = trialList.nctNumbers;
+    }
+
+    const validationError = validateNCTList(nctNumbers);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Get app configuration to determine which model to use
+    const appConfig = getAppConfig('clinical-trial-matcher-app');
+    const modelName = appConfig?.models?.default || 'hipaa:o3-high';
+    const maxTrials = appConfig?.screening?.maxTrialsPerRequest || 25;
+
+    const uniqueNctNumbers = [...new Set(nctNumbers)];
+    if (uniqueNctNumbers.length > maxTrials) {
+      return res.status(400).json({
+        error: `At most ${maxTrials} trials can be screened per request (received ${uniqueNctNumbers.length}).`
+      });
+    }
+
+    // Get the specified model
+    const chatModel = fetchChatModel(modelName);
+
+    // Evaluations are stored under the caller's patient ID (or the session's)
+    const patientId = resolvePatientId(req.body);
+    const timestamp = new Date().toISOString();
+
+    // Screen each trial; a trial that cannot be loaded is reported, not fatal,
+    // and trials the patient could not enroll in are skipped before evaluation
+    const screenedTrials = [];
+    const excluded = [];
+    const errors = [];
+
+    for (const nctNumber of uniqueNctNumbers) {
+      try {
+        const trialData = await parseNCT(nctNumber);
+        const sites = describeSitesForPatient(trialData, patientLocation?.location);
+
+        if (recruitingOnly && !sites.recruiting) {
+          excluded.push({ nctNumber, reason: 'not-recruiting', overallStatus: sites.overallStatus });
+          continue;
+        }
+        if (maxDistanceMiles !== undefined && !(sites.nearestRecruitingSite?.distanceMiles <= maxDistanceMiles)) {
+          excluded.push({
+            nctNumber,
+            reason: 'too-far',
+            overallStatus: sites.overallStatus,
+            nearestDistanceMiles: sites.nearestRecruitingSite?.distanceMiles ?? null
+          });
+          continue;
+        }
+
+        const { trialCriteria, ...evaluation } = await screenParsedTrial(chatModel, medicalRecord, nctNumber, trialData, evaluationMode, {
+          consensus: consensus.options,
+          referenceDate: reference.date
+        });
+        const screening = { ...evaluation, sites };
+        const evaluationId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+        // Each trial is stored as its own evaluation in the patient's history
+        storeEvaluation({ medicalRecord, trialCriteria, registrySnapshot: snapshotTrial(trialData) }, {
+          evaluationId,
+          patientId,
+          timestamp,
+          referenceDate: reference.value,
+          evaluationType: `multi-trial-${evaluationMode}`,
+          ...screening
+        });
+        screenedTrials.push({ evaluationId, ...screening });
+      } catch (error) {
+        console.error(`Error screening ${nctNumber}:`, error);
+        errors.push({
+          nctNumber,
+          error: error.message.includes('not found')
+            ? `Clinical trial ${nctNumber} not found in local database`
+            : error.message
+        });
+      }
+    }
+
+    const rankedTrials = rankScreenedTrials(screenedTrials);
+
+    const response = {
+      patientId,
+      timestamp,
+      referenceDate: reference.value,
+      evaluationType: `multi-trial-${evaluationMode}`,
+      patientLocation: patientLocation?.location || null,
+      rankedTrials,
+      excluded,
+      errors,
+      summary: {
+        requested: uniqueNctNumbers.length,
+        eligible: rankedTrials.filter(t => t.overallEligibility === 'eligible').length,
+        needsReview: rankedTrials.filter(t => t.overallEligibility === 'needs-review').length,
+        ineligible: rankedTrials.filter(t => t.overallEligibility === 'ineligible').length,
+        excluded: excluded.length,
+        failed: errors.length
       },
-      {
-        method: 'GET', 
-        path: '/info',
-        description: 'Get app information and configuration'
+      metadata: {
+        appVersion: appConfig?.version || '1.0.0',
+        model: modelName,
+        trialListId: trialListId || null,
+        timeline: summarizeTimeline(medicalRecord, reference.date),
+        ...(consensus.options && {
+          consensus: { policy: consensus.options.policy, models: consensus.options.models, samples: consensus.options.samples }
+        })
       }
-    ]
-  });
+    };
+
+    return res.json(response);
+
+  } catch (error) {
+    console.error('Error in screen-trials:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error during multi-trial screening'
+    });
+  }
 });
 
 /**
- * Advanced clinical trial eligibility evaluation using comprehensive AI reasoning
- * @param {Object} chatModel - The chat model instance
- * @param {string} medicalRecord - Patient medical record text
- * @param {Object} trialCriteria - Trial criteria object with inclusion/exclusion arrays
- * @param {Object} trialInfo - Additional trial information for context
- * @returns {Object} Comprehensive evaluation result
+ * POST /cohorts
+ * Screen a batch of de-identified patient records against one NCT trial as a
+ * background job
+ *
+ * The cohort is either uploaded as the raw request body (Content-Type text/csv
+ * or application/x-ndjson, with nctNumber and evaluationMode in the query
+ * string) or sent as JSON:
+ *   {
+ *     "nctNumber": "NCT00000102",
+ *     "evaluationMode": "basic|comprehensive" (optional, default: basic),
+ *     "records": [{ "id": "P001", "text": "de-identified record..." }, ...],
+ *     "data": "JSONL or CSV text" (alternative to records),
+ *     "format": "jsonl|csv" (optional; detected from data if omitted),
+ *     "referenceDate": "YYYY-MM-DD" (optional; date time windows are measured to, default today)
+ *   }
+ *
+ * JSONL lines are { "id", "text" } objects; CSV needs a header row with an id
+ * column (id, recordId or patientId) and a text column (text, medicalRecord,
+ * record or note). Each record is stored as an evaluation under the patientId
+ * "<cohortId>:<id>", since record ids are only unique within the upload.
+ * Records are voted on when consensus.enabled is set in app-config.json.
+ *
+ * Response (202):
+ *   {
+ *     "cohortId": "job-1234567890-abc123",
+ *     "nctNumber": "NCT00000102",
+ *     "recordCount": 120,
+ *     "jobId", "status", "progress": { "completedRecords": 0, "totalRecords": 120 },
+ *     "statusUrl", "eventsUrl", "cancelUrl",
+ *     "summaryUrl": "URL of GET /cohorts/:cohortId",
+ *     "downloads": { "json", "patientsCsv", "criteriaCsv" }
+ *   }
+ */
+router.post('/cohorts', express.text({
+  type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl'],
+  limit: '25mb'
+}), async (req, res) => {
+  try {
+    const upload = typeof req.body === 'string';
+    const options = upload ? req.query : (req.body || {});
+    const { nctNumber, evaluationMode = 'basic', format } = options;
+
+    // Validate input
+    if (!nctNumber || typeof nctNumber !== 'string' || !nctNumber.match(/^NCT\d{8}$/)) {
+      return res.status(400).json({
+        error: 'Field "nctNumber" is required and must be in the format NCT00000000.'
+      });
+    }
+
+    if (!['basic', 'comprehensive'].includes(evaluationMode)) {
+      return res.status(400).json({
+        error: 'Field "evaluationMode" must be either "basic" or "comprehensive".'
+      });
+    }
+
+    if (format !== undefined && !['jsonl', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Field "format" must be either "jsonl" or "csv".'
+      });
+    }
+
+    // One reference date for the whole cohort, e.g. the date of a retrospective review
+    const reference = resolveReferenceDate(options.referenceDate);
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+
+    let cohort;
+    if (upload) {
+      cohort = parseCohortRecords(req.body, detectCohortFormat(req.body, format || req.get('Content-Type')));
+    } else if (options.records !== undefined) {
+      cohort = normalizeCohortRecords(options.records);
+    } else if (typeof options.data === 'string') {
+      cohort = parseCohortRecords(options.data, detectCohortFormat(options.data, format));
+    } else {
+      cohort = { error: 'Provide the cohort as a CSV or JSONL upload, a "data" string or a "records" array.' };
+    }
+
+    if (cohort.error) {
+      return res.status(400).json({ error: cohort.error });
+    }
+
+    const appConfig = getAppConfig('clinical-trial-matcher-app');
+    const modelName = appConfig?.models?.default || 'hipaa:o3-high';
+    const maxRecords = appConfig?.cohorts?.maxRecordsPerCohort || 500;
+
+    if (cohort.records.length > maxRecords) {
+      return res.status(400).json({
+        error: `At most ${maxRecords} records can be screened per cohort (received ${cohort.records.length}).`
+      });
+    }
+
+    const consensus = resolveRequestConsensus(undefined);
+    if (consensus.error) {
+      throw new Error(`Consensus configuration: ${consensus.error}`);
+    }
+
+    // The trial is parsed once and shared by every record
+    const trialData = await parseNCT(nctNumber);
+    const chatModel = fetchChatModel(modelName);
+    const timestamp = new Date().toISOString();
+    const { records } = cohort;
+
+    const job = createJob('cohort-screen', records.length, async ({ onResult, signal }) => {
+      const outcomes = await mapWithConcurrency(records, appConfig?.cohorts?.maxConcurrentRecords || 2, async record => {
+        throwIfCancelled(signal);
+        // Record ids are only unique within the upload, so the evaluations are
+        // stored under the cohort to keep them out of other patients' histories
+        const scopedId = `${job.id}:${record.id}`;
+        const patientId = isValidPatientId(scopedId)
+          ? scopedId
+          : `${job.id}:pt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+        let outcome;
+        try {
+          const { trialCriteria, ...screening } = await screenParsedTrial(
+            chatModel, record.text, nctNumber, trialData, evaluationMode,
+            { signal, consensus: consensus.options, referenceDate: reference.date }
+          );
+          const evaluationId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+          storeEvaluation({ medicalRecord: record.text, trialCriteria, registrySnapshot: snapshotTrial(trialData) }, {
+            evaluationId,
+            patientId,
+            timestamp,
+            referenceDate: reference.value,
+            evaluationType: `cohort-${evaluationMode}`,
+            cohortId: job.id,
+            ...screening
+          });
+          outcome = {
+            recordId: record.id,
+            patientId,
+            evaluationId,
+            overallEligibility: screening.overallEligibility,
+            results: screening.results
+          };
+        } catch (error) {
+          if (signal.aborted) throw error;
+          console.error(`Error screening cohort record ${record.id}:`, error);
+          outcome = { recordId: record.id, error: error.message || 'Screening failed' };
+        }
+
+        onResult(describeCohortOutcome(outcome));
+        return outcome;
+      });
+
+      return {
+        cohortId: job.id,
+        nctNumber,
+        trialTitle: trialData.studyInfo.briefTitle,
+        evaluationMode,
+        timestamp,
+        referenceDate: reference.value,
+        ...summarizeCohort(outcomes),
+        metadata: {
+          appVersion: appConfig?.version || '1.0.0',
+          model: modelName,
+          nctDataParsedAt: trialData.metadata.parsedAt
+        }
+      };
+    }, {
+      retentionMinutes: appConfig?.jobs?.retentionMinutes || 60,
+      unit: 'records'
+    });
+
+    const cohortUrl = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/cohorts/${job.id}`;
+
+    return res.status(202).json({
+      cohortId: job.id,
+      nctNumber,
+      trialTitle: trialData.studyInfo.briefTitle,
+      evaluationMode,
+      referenceDate: reference.value,
+      recordCount: records.length,
+      ...describeJobLinks(req, job),
+      summaryUrl: cohortUrl,
+      downloads: {
+        json: `${cohortUrl}?download=true`,
+        patientsCsv: `${cohortUrl}?format=csv&table=patients`,
+        criteriaCsv: `${cohortUrl}?format=csv&table=criteria`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in cohorts:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: `Clinical trial ${req.body?.nctNumber || req.query.nctNumber} not found in local database`
+      });
+    }
+
+    return res.status(500).json({
+      error: error.message || 'Internal server error during cohort screening'
+    });
+  }
+});
+
+/**
+ * GET /cohorts/:cohortId
+ * Summary of a completed cohort screening: eligibility counts, per-record
+ * outcomes, per-criterion outcome counts and the criteria that rule out the
+ * most records ("barriers"). Progress is at /jobs/:cohortId.
+ *
+ * Query parameters:
+ *   - format: "json" (default) or "csv"
+ *   - table: for CSV, "patients" (default; one row per record) or "criteria"
+ *     (one row per criterion with failure counts)
+ *   - download: "true" to send JSON as an attachment; CSV always is
+ */
+router.get('/cohorts/:cohortId', (req, res) => {
+  try {
+    const { cohortId } = req.params;
+    const { format = 'json', table = 'patients', download } = req.query;
+    const job = getJob(cohortId);
+
+    if (!job || job.type !== 'cohort-screen') {
+      return res.status(404).json({ error: `Cohort ${cohortId} not found or expired` });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Query parameter "format" must be either "json" or "csv".'
+      });
+    }
+
+    if (!['patients', 'criteria'].includes(table)) {
+      return res.status(400).json({
+        error: 'Query parameter "table" must be either "patients" or "criteria".'
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        error: `Cohort ${cohortId} is ${job.status}; its summary is available once screening has completed`,
+        status: job.status,
+        progress: job.progress
+      });
+    }
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${cohortId}-${table}.csv"`);
+      return res.type('text/csv').send(buildCohortCsv(job.result, table));
+    }
+
+    if (download === 'true') {
+      res.set('Content-Disposition', `attachment; filename="${cohortId}.json"`);
+    }
+    return res.json(job.result);
+
+  } catch (error) {
+    console.error('Error in cohort summary:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error during cohort summary'
+    });
+  }
+});
+
+/**
+ * POST /pre-populate
+ * Pre-populate the interface with medical record and trial data
+ * 
+ * Request body:
+ *   {
+ *     "medicalRecord": "string containing patient medical record",
+ *     "nctNumber": "NCT00000102" (optional),
+ *     "trialCriteria": {
+ *       "inclusionCriteria": ["criterion 1", ...],
+ *       "exclusionCriteria": ["criterion 1", ...]
+ *     } (optional, used if nctNumber not provided),
+ *     "sessionId": "optional session identifier for complex workflows",
+ *     "returnUrl": "optional URL to return to after evaluation",
+ *     "patientId": "optional caller patient identifier; evaluations from the session are stored under it",
+ *     "webhookUrl": "optional URL that receives evaluation results",
+ *     "webhookSecret": "optional HMAC signing secret; generated if omitted",
+ *     "linkExpiresInMinutes": 60,  // optional; deep link lifetime (default shareTokens.ttlMinutes)
+ *     "singleUseLink": true,       // optional; default shareTokens.singleUse
+ *     "qrCode": true,              // optional; false leaves out the QR code
+ *     "qrFormat": "svg",           // optional; "svg" or "png"
+ *     "qrSize": 256,               // optional; pixels
+ *     "qrErrorCorrection": "M",    // optional; "L", "M", "Q" or "H"
+ *     "qrTarget": "deepLink"       // optional; "deepLink" or "interface"
+ *   }
+ * 
+ * Response:
+ *   {
+ *     "sessionId": "generated-session-id",
+ *     "interfaceUrl": "URL to pre-populated interface",
+ *     "trialInfo": { ... },
+ *     "prePopulatedData": { ... },
+ *     "deepLinkUrl": "URL carrying only an encrypted share token for the session",
+ *     "shareToken": { "tokenId", "expiresAt", "singleUse", "revokeUrl" },
+ *     "qrCode": { "format", "dataUrl", "size", "version", "modules", "errorCorrection", "encodes" },
+ *     "handoffUrl": "printable page with the QR code of the deep link",
+ *     "webhook": { "url": "...", "secret": "only present when generated" }
+ *   }
+ */
+router.post('/pre-populate', async (req, res) => {
+  try {
+    const {
+      nctNumber, trialCriteria, sessionId, returnUrl, patientId, webhookUrl, webhookSecret,
+      linkExpiresInMinutes, singleUseLink, qrCode, qrFormat, qrSize, qrErrorCorrection, qrTarget = 'deepLink'
+    } = req.body;
+
+    // Validate required fields; a FHIR Bundle is converted to a narrative record
+    // whose structured facts are kept with the session
+    const patientRecord = resolvePatientRecord(req.body);
+    if (patientRecord.error) {
+      return res.status(400).json({ error: patientRecord.error });
+    }
+    const { medicalRecord, facts, fhir } = patientRecord;
+
+    if (patientId !== undefined && !isValidPatientId(patientId)) {
+      return res.status(400).json({
+        error: 'Field "patientId" must be 1-128 letters, digits or the characters . _ : @ -'
+      });
+    }
+
+    // Must have either nctNumber or trialCriteria
+    if (!nctNumber && !trialCriteria) {
+      return res.status(400).json({
+        error: 'Either "nctNumber" or "trialCriteria" must be provided.'
+      });
+    }
+
+    const webhookOptions = getAppConfig('clinical-trial-matcher-app')?.webhooks || {};
+    if (webhookUrl !== undefined && !isValidWebhookUrl(webhookUrl, webhookOptions)) {
+      return res.status(400).json({
+        error: 'Field "webhookUrl" must be an absolute http or https URL on a public host.'
+      });
+    }
+
+    if (webhookSecret !== undefined && (typeof webhookSecret !== 'string' || webhookSecret.length < 16)) {
+      return res.status(400).json({
+        error: 'Field "webhookSecret" must be a string of at least 16 characters.'
+      });
+    }
+
+    const linkOptions = resolveShareLinkOptions(linkExpiresInMinutes, singleUseLink);
+    if (linkOptions.error) {
+      return res.status(400).json({ error: linkOptions.error });
+    }
+
+    const qrOptions = resolveQrOptions(
+      { qrCode, qrFormat, qrSize, qrErrorCorrection },
+      getAppConfig('clinical-trial-matcher-app')?.qrCodes
+    );
+    if (qrOptions.error) {
+      return res.status(400).json({ error: qrOptions.error });
+    }
+    if (!['deepLink', 'interface'].includes(qrTarget)) {
+      return res.status(400).json({
+        error: 'Field "qrTarget" must be "deepLink" or "interface".'
+      });
+    }
+
+    // Generate or use provided session ID
+    const finalSessionId = sessionId || `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    
+    let trialInfo = null;
+    let criteriaToUse = trialCriteria;
+
+    // If NCT number provided, fetch trial data
+    if (nctNumber) {
+      if (!nctNumber.match(/^NCT\d{8}$/)) {
+        return res.status(400).json({
+          error: 'Invalid NCT number format. Expected format: NCT00000000'
+        });
+      }
+
+      try {
+        const trialData = await parseNCT(nctNumber);
+        trialInfo = {
+          nctNumber: trialData.nctNumber,
+          title: trialData.studyInfo.briefTitle,
+          condition: trialData.studyInfo.condition,
+          phase: trialData.studyInfo.phase,
+          status: trialData.studyInfo.overallStatus,
+          ageRange: `${trialData.eligibility.minimumAge} to ${trialData.eligibility.maximumAge}`,
+          gender: trialData.eligibility.gender
+        };
+        
+        criteriaToUse = {
+          inclusionCriteria: trialData.eligibility.inclusionCriteria,
+          exclusionCriteria: trialData.eligibility.exclusionCriteria
+        };
+      } catch (error) {
+        return res.status(404).json({
+          error: `Trial ${nctNumber} not found or could not be parsed: ${error.message}`
+        });
+      }
+    }
+
+    // Signing secret precedence: caller, environment, app config, generated
+    const appConfig = getAppConfig('clinical-trial-matcher-app');
+    const configuredSecret = process.env.CLINICAL_TRIAL_MATCHER_WEBHOOK_SECRET || appConfig?.webhooks?.signingSecret;
+    const signingSecret = webhookUrl ? (webhookSecret || configuredSecret || generateSigningSecret()) : undefined;
+
+    // Store session data for later retrieval
+    const sessionHours = appConfig?.sessions?.ttlHours || 24;
+    const sessionData = {
+      sessionId: finalSessionId,
+      medicalRecord,
+      nctNumber,
+      trialCriteria: criteriaToUse,
+      trialInfo,
+      returnUrl,
+      ...(patientId && { patientId }),
+      ...(fhir && { fhirFacts: facts, fhir: summarizeFhirInput(fhir) }),
+      ...(webhookUrl && { webhookUrl, webhookSecret: signingSecret, webhookDeliveries: [] }),
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + sessionHours * 60 * 60 * 1000).toISOString()
+    };
+
+    // Store in memory (in production, would use Redis or database)
+    if (!global.clinicalTrialSessions) {
+      global.clinicalTrialSessions = new Map();
+    }
+    global.clinicalTrialSessions.set(finalSessionId, sessionData);
+
+    // Clean up expired sessions
+    cleanupExpiredSessions();
+
+    // Build interface URL with query parameters
+    const baseUrl = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/clinical-trial-matcher.html`;
+    const queryParams = new URLSearchParams({
+      session: finalSessionId,
+      ...(nctNumber && { nct: nctNumber }),
+      ...(returnUrl && { returnUrl })
+    });
+    const interfaceUrl = `${baseUrl}?${queryParams}`;
+
+    // The deep link names the session through a token, so it can be handed on
+    // without exposing the record and expires or is revoked on its own
+    const { token, record } = issueShareToken({ sessionId: finalSessionId }, {
+      ...linkOptions,
+      notAfter: sessionData.expiresAt
+    });
+    const deepLinkUrl = `${baseUrl}?${new URLSearchParams({ token })}`;
+
+    const response = {
+      sessionId: finalSessionId,
+      interfaceUrl,
+      deepLinkUrl,
+      shareToken: describeShareLink(req, record),
+      ...(qrOptions.options && {
+        qrCode: qrTarget === 'interface'
+          ? describeQrCode(interfaceUrl, qrOptions.options, 'interfaceUrl')
+          : describeQrCode(deepLinkUrl, qrOptions.options, 'deepLinkUrl')
+      }),
+      handoffUrl: buildHandoffUrl(req, token),
+      trialInfo,
+      prePopulatedData: {
+        medicalRecord,
+        trialCriteria: criteriaToUse,
+        mode: nctNumber ? 'nct-lookup' : 'manual-entry'
+      },
+      ...(webhookUrl && {
+        webhook: {
+          url: webhookUrl,
+          // A generated secret is only ever returned here
+          ...(!webhookSecret && !configuredSecret && { secret: signingSecret })
+        }
+      }),
+      metadata: {
+        createdAt: sessionData.createdAt,
+        expiresAt: sessionData.expiresAt,
+        sessionDuration: `${sessionHours} hours`,
+        ...(fhir && { fhir: sessionData.fhir })
+      }
+    };
+
+    return res.json(response);
+
+  } catch (error) {
+    console.error('Error in pre-populate:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error during pre-population'
+    });
+  }
+});
+
+/**
+ * GET /session/:sessionId
+ * Retrieve stored session data for pre-population
+ */
+router.get('/session/:sessionId', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    if (!global.clinicalTrialSessions || !global.clinicalTrialSessions.has(sessionId)) {
+      return res.status(404).json({
+        error: 'Session not found or expired'
+      });
+    }
+
+    const sessionData = global.clinicalTrialSessions.get(sessionId);
+    
+    // Check if session is expired
+    if (new Date() > new Date(sessionData.expiresAt)) {
+      global.clinicalTrialSessions.delete(sessionId);
+      return res.status(410).json({
+        error: 'Session has expired'
+      });
+    }
+
+    return res.json(describeSession(sessionData));
+
+  } catch (error) {
+    console.error('Error retrieving session:', error);
+    return res.status(500).json({
+      error: 'Internal server error while retrieving session'
+    });
+  }
+});
+
+/**
+ * GET /session/:sessionId/deliveries
+ * Webhook delivery attempts for evaluations run in a session
+ *
+ * Response:
+ *   {
+ *     "sessionId": "session-123",
+ *     "webhookUrl": "https://your-system.com/api/trial-results",
+ *     "deliveries": [
+ *       {
+ *         "deliveryId": "delivery-1234567890-abc123",
+ *         "event": "evaluation.completed",
+ *         "status": "pending|delivered|failed",
+ *         "createdAt": "ISO-date",
+ *         "completedAt": "ISO-date",
+ *         "nextAttemptAt": "ISO-date",
+ *         "attempts": [
+ *           { "attempt": 1, "attemptedAt": "ISO-date", "outcome": "failed", "statusCode": 503, "error": "...", "durationMs": 120 }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ */
+router.get('/session/:sessionId/deliveries', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const sessionData = global.clinicalTrialSessions?.get(sessionId);
+
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Session not found or expired'
+      });
+    }
+
+    return res.json({
+      sessionId,
+      webhookUrl: sessionData.webhookUrl || null,
+      deliveries: sessionData.webhookDeliveries || []
+    });
+
+  } catch (error) {
+    console.error('Error retrieving webhook deliveries:', error);
+    return res.status(500).json({
+      error: 'Internal server error while retrieving webhook deliveries'
+    });
+  }
+});
+
+/**
+ * POST /session/:sessionId/extend
+ * Extend the expiration time of a session
+ *
+ * Request body:
+ *   {
+ *     "extendByMinutes": 1440  // optional; default sessions.extensionMinutes
+ *   }
+ *
+ * A session cannot be extended past sessions.maxLifetimeHours after it was
+ * created. Share tokens keep their own expiry.
+ *
+ * Response:
+ *   {
+ *     "sessionId": "session-123",
+ *     "previousExpiresAt": "ISO-date",
+ *     "expiresAt": "ISO-date",
+ *     "timeRemaining": 86400000
+ *   }
+ */
+router.post('/session/:sessionId/extend', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const sessionData = global.clinicalTrialSessions?.get(sessionId);
+
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Session not found or expired'
+      });
+    }
+
+    if (new Date() > new Date(sessionData.expiresAt)) {
+      global.clinicalTrialSessions.delete(sessionId);
+      return res.status(410).json({
+        error: 'Session has expired'
+      });
+    }
+
+    const appConfig = getAppConfig('clinical-trial-matcher-app');
+    const extendByMinutes = req.body?.extendByMinutes ?? (appConfig?.sessions?.extensionMinutes || 1440);
+    if (!Number.isInteger(extendByMinutes) || extendByMinutes < 1) {
+      return res.status(400).json({
+        error: 'Field "extendByMinutes" must be a positive integer.'
+      });
+    }
+
+    const maxLifetimeHours = appConfig?.sessions?.maxLifetimeHours || 72;
+    const latestExpiry = new Date(sessionData.createdAt).getTime() + maxLifetimeHours * 60 * 60 * 1000;
+    const expiresAt = new Date(sessionData.expiresAt).getTime() + extendByMinutes * 60 * 1000;
+    if (expiresAt > latestExpiry) {
+      return res.status(400).json({
+        error: `Sessions can be extended to at most ${maxLifetimeHours} hours after creation (until ${new Date(latestExpiry).toISOString()}).`
+      });
+    }
+
+    const previousExpiresAt = sessionData.expiresAt;
+    sessionData.expiresAt = new Date(expiresAt).toISOString();
+
+    return res.json({
+      sessionId,
+      previousExpiresAt,
+      expiresAt: sessionData.expiresAt,
+      timeRemaining: Math.max(0, expiresAt - Date.now())
+    });
+
+  } catch (error) {
+    console.error('Error extending session:', error);
+    return res.status(500).json({
+      error: 'Internal server error while extending session'
+    });
+  }
+});
+
+/**
+ * DELETE /session/:sessionId
+ * Delete a session (cleanup)
+ */
+router.delete('/session/:sessionId', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    if (!global.clinicalTrialSessions || !global.clinicalTrialSessions.has(sessionId)) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    global.clinicalTrialSessions.delete(sessionId);
+    
+    return res.json({
+      message: 'Session deleted successfully',
+      sessionId,
+      revokedShareTokens: revokeSessionTokens(sessionId)
+    });
+
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    return res.status(500).json({
+      error: 'Internal server error while deleting session'
+    });
+  }
+});
+
+/**
+ * POST /populate
+ * Lightweight endpoint that accepts only a medical record and returns a simplified interface
+ * 
+ * Request body:
+ *   {
+ *     "medicalRecord": "string containing patient medical record"
+ *   }
+ * 
+ * Response: HTML interface with medical record pre-populated but hidden
+ */
+router.post('/populate', async (req, res) => {
+  try {
+    const { medicalRecord } = req.body;
+
+    // Validate required field
+    if (!medicalRecord || typeof medicalRecord !== 'string') {
+      return res.status(400).json({
+        error: 'Field "medicalRecord" is required and must be a string.'
+      });
+    }
+
+    // Generate a simple session ID for tracking
+    const sessionId = `populate-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    
+    // Read the simplified template
+    const templatePath = path.join(__dirname, '../public/populate-interface.html');
+    let htmlTemplate;
+    
+    try {
+      htmlTemplate = fs.readFileSync(templatePath, 'utf8');
+    } catch (error) {
+      // Fallback: generate inline HTML if template not found
+      htmlTemplate = generateSimplifiedHTML();
+    }
+    
+    // Replace placeholders with actual data
+    const populatedHTML = htmlTemplate
+      .replace(/{{MEDICAL_RECORD}}/g, escapeHtml(medicalRecord))
+      .replace(/{{SESSION_ID}}/g, sessionId)
+      .replace(/{{TIMESTAMP}}/g, new Date().toISOString());
+    
+    // Set appropriate headers
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('X-Session-ID', sessionId);
+    
+    return res.send(populatedHTML);
+
+  } catch (error) {
+    console.error('Error in populate endpoint:', error);
+    return res.status(500).json({
+      error: error.message || 'Internal server error during population'
+    });
+  }
+});
+
+/**
+ * Escape HTML characters to prevent XSS
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Generate simplified HTML template inline (fallback)
+ */
+function generateSimplifiedHTML() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Clinical Trial Matcher - Simplified</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; margin: 20px; }
+        .container { max-width: 800px; margin: 0 auto; }
+        .hidden { display: none; }
+        .card { background: #f9f9f9; padding: 20px; margin: 20px 0; border-radius: 8px; }
+        .btn { background: #007aff; color: white; border: none; padding: 12px 20px; border-radius: 8px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Clinical Trial Matcher</h1>
+        <div id="medicalRecordData" class="hidden">{{MEDICAL_RECORD}}</div>
+        <div class="card">
+            <h2>Select Trial Criteria</h2>
+            <p>Please specify the trial criteria to evaluate.</p>
+            <button class="btn" onclick="alert('Interface simplified - implement trial selection')">Select Trial</button>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * GET /generate-link
+ * POST /generate-link
+ * Generate deep links for direct access without session storage
+ * 
+ * Parameters (query string for GET, JSON body for POST; POST keeps the
+ * medical record out of request logs):
+ *   - nct: NCT number (optional)
+ *   - medicalRecord: Medical record text (optional)
+ *   - returnUrl: URL to return to after evaluation (optional)
+ *   - linkExpiresInMinutes: Lifetime of the link (optional, default shareTokens.ttlMinutes)
+ *   - singleUseLink: Whether the link works only once (optional, default shareTokens.singleUse)
+ *   - qrCode: false to leave out the QR code (optional)
+ *   - qrFormat: "svg" or "png" (optional, default qrCodes.format)
+ *   - qrSize: Image width in pixels (optional, default qrCodes.size)
+ *   - qrErrorCorrection: "L", "M", "Q" or "H" (optional, default qrCodes.errorCorrection)
+ * 
+ * The data stays on the server; the link carries only an encrypted share token.
+ * 
+ * Response:
+ *   {
+ *     "deepLinkUrl": "URL with a share token",
+ *     "sessionEndpoint": "URL for creating a session",
+ *     "shareToken": { "tokenId": "token-123", "expiresAt": "ISO-date", "singleUse": true, "revokeUrl": "..." },
+ *     "qrCode": { "format": "svg", "dataUrl": "data:image/svg+xml;base64,...", "size": 256, ... },
+ *     "handoffUrl": "printable page with the QR code of the deep link"
+ *   }
+ */
+router.get('/generate-link', (req, res) => createShareLink(req, res, req.query));
+router.post('/generate-link', (req, res) => createShareLink(req, res, req.body || {}));
+
+/**
+ * POST /share-tokens/resolve
+ * Resolve the share token of a deep link into the data it stands for
+ * 
+ * Request body:
+ *   {
+ *     "token": "share token from the deepLinkUrl"
+ *   }
+ * 
+ * Response for a pre-populated session:
+ *   {
+ *     "kind": "session",
+ *     "sessionId": "session-123",
+ *     "session": { ...same as GET /session/:sessionId },
+ *     "token": { "tokenId": "token-123", ... }
+ *   }
+ * 
+ * Response for a generated link:
+ *   {
+ *     "kind": "link",
+ *     "data": { "nctNumber": "NCT12345678", "medicalRecord": "...", "returnUrl": "..." },
+ *     "token": { "tokenId": "token-123", ... }
+ *   }
+ * 
+ * Unknown or tampered tokens return 404; expired, used and revoked tokens return 410.
+ */
+router.post('/share-tokens/resolve', (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'Field "token" is required'
+      });
+    }
+
+    const redeemed = redeemShareToken(token, { secret: shareTokenSecret() });
+    if (redeemed.error) {
+      return res.status(redeemed.status).json({ error: redeemed.error });
+    }
+    const { record } = redeemed;
+
+    if (!record.sessionId) {
+      return res.json({
+        kind: 'link',
+        data: record.data,
+        token: describeShareToken(record)
+      });
+    }
+
+    cleanupExpiredSessions();
+    const sessionData = global.clinicalTrialSessions?.get(record.sessionId);
+    if (!sessionData) {
+      return res.status(404).json({
+        error: 'Session not found or expired'
+      });
+    }
+    if (new Date() > new Date(sessionData.expiresAt)) {
+      global.clinicalTrialSessions.delete(record.sessionId);
+      return res.status(410).json({
+        error: 'Session has expired'
+      });
+    }
+
+    return res.json({
+      kind: 'session',
+      sessionId: record.sessionId,
+      session: describeSession(sessionData),
+      token: describeShareToken(record)
+    });
+
+  } catch (error) {
+    console.error('Error resolving share token:', error);
+    return res.status(500).json({
+      error: 'Internal server error while resolving share token'
+    });
+  }
+});
+
+/**
+ * DELETE /share-tokens/:tokenId
+ * Revoke a share token so its deep link stops working
+ * 
+ * Response:
+ *   {
+ *     "message": "Share token revoked",
+ *     "token": { "tokenId": "token-123", "revokedAt": "ISO-date", ... }
+ *   }
+ */
+router.delete('/share-tokens/:tokenId', (req, res) => {
+  try {
+    const record = revokeShareToken(req.params.tokenId);
+
+    if (!record) {
+      return res.status(404).json({
+        error: 'Share token not found or expired'
+      });
+    }
+
+    return res.json({
+      message: 'Share token revoked',
+      token: describeShareToken(record)
+    });
+
+  } catch (error) {
+    console.error('Error revoking share token:', error);
+    return res.status(500).json({
+      error: 'Internal server error while revoking share token'
+    });
+  }
+});
+
+/**
+ * GET /handoff
+ * Printable handoff page with the QR code of a share link, for scanning from
+ * a workstation screen onto a tablet
+ * 
+ * Query parameters:
+ *   - token: Share token from the deepLinkUrl (required)
+ *   - qrSize: QR code width in pixels (optional, default qrCodes.handoffSize)
+ *   - qrErrorCorrection: "L", "M", "Q" or "H" (optional, default qrCodes.errorCorrection)
+ * 
+ * Showing the page does not use up a single-use token; scanning the code does.
+ * 
+ * Response: HTML page (Content-Type: text/html)
+ */
+router.get('/handoff', async (req, res) => {
+  try {
+    const { token, qrSize, qrErrorCorrection } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'Query parameter "token" is required'
+      });
+    }
+
+    const qrConfig = getAppConfig('clinical-trial-matcher-app')?.qrCodes || {};
+    const qrOptions = resolveQrOptions(
+      { qrSize: qrSize ?? qrConfig.handoffSize ?? 320, qrErrorCorrection },
+      { ...qrConfig, enabled: true }
+    );
+    if (qrOptions.error) {
+      return res.status(400).json({ error: qrOptions.error });
+    }
+
+    const checked = inspectShareToken(token, { secret: shareTokenSecret() });
+    if (checked.error) {
+      return res.status(checked.status).json({ error: checked.error });
+    }
+    const { record } = checked;
+
+    // Trial only; the page never shows patient data
+    let trial = {};
+    if (record.sessionId) {
+      const sessionData = global.clinicalTrialSessions?.get(record.sessionId);
+      if (!sessionData || new Date() > new Date(sessionData.expiresAt)) {
+        return res.status(410).json({
+          error: 'Session has expired'
+        });
+      }
+      trial = {
+        nctNumber: sessionData.trialInfo?.nctNumber || sessionData.nctNumber,
+        title: sessionData.trialInfo?.title
+      };
+    } else if (record.data?.nctNumber) {
+      trial = { nctNumber: record.data.nctNumber };
+      try {
+        trial.title = (await parseNCT(record.data.nctNumber)).studyInfo?.briefTitle;
+      } catch (error) {
+        // The NCT number alone identifies the trial
+      }
+    }
+
+    const deepLinkUrl = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/clinical-trial-matcher.html?${new URLSearchParams({ token })}`;
+    const qr = encodeQrCode(deepLinkUrl, { errorCorrection: qrOptions.options.errorCorrection });
+
+    res.set('Cache-Control', 'no-store');
+    return res.type('html').send(buildHandoffPage({
+      qrSvg: renderQrSvg(qr, qrOptions.options),
+      trial,
+      expiresAt: record.expiresAt,
+      singleUse: record.singleUse,
+      kind: record.sessionId ? 'session' : 'link'
+    }));
+
+  } catch (error) {
+    console.error('Error rendering handoff page:', error);
+    return res.status(500).json({
+      error: 'Internal server error while rendering handoff page'
+    });
+  }
+});
+
+/**
+ * Clean up expired sessions
+ */
+function cleanupExpiredSessions() {
+  if (!global.clinicalTrialSessions) return;
+  
+  const now = new Date();
+  for (const [sessionId, sessionData] of global.clinicalTrialSessions.entries()) {
+    if (new Date(sessionData.expiresAt) < now) {
+      global.clinicalTrialSessions.delete(sessionId);
+    }
+  }
+}
+
+/**
+ * GET /info
+ * Returns app information and configuration
+ */
+router.get('/info', (req, res) => {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  res.json({
+    app: 'Clinical Trial Matcher',
+    version: appConfig?.version || '1.0.0',
+    description: appConfig?.description || 'AI-powered clinical trial eligibility assessment',
+    features: appConfig?.features || [],
+    models: appConfig?.models || {},
+    endpoints: [
+      {
+        method: 'POST',
+        path: '/clinical-trial-matcher',
+        description: 'Basic patient eligibility evaluation (criterion-by-criterion)'
+      },
+      {
+        method: 'POST',
+        path: '/comprehensive-match',
+        description: 'Advanced eligibility evaluation with comprehensive AI reasoning'
+      },
+      {
+        method: 'POST',
+        path: '/comprehensive-match-nct',
+        description: 'Comprehensive NCT-based matching with detailed clinical analysis'
+      },
+      {
+        method: 'POST',
+        path: '/match-to-nct',
+        description: 'Basic NCT-based patient matching'
+      },
+      {
+        method: 'POST',
+        path: '/timeline',
+        description: 'Build the timeline of dated events in a medical record, with intervals to a reference date'
+      },
+      {
+        method: 'POST',
+        path: '/medications',
+        description: "Extract a medical record's medications, normalized to ingredients and drug classes"
+      },
+      {
+        method: 'GET',
+        path: '/jobs/:jobId',
+        description: 'Get status and results of an asynchronous matching job'
+      },
+      {
+        method: 'DELETE',
+        path: '/jobs/:jobId',
+        description: 'Cancel an asynchronous matching job'
+      },
+      {
+        method: 'GET',
+        path: '/jobs/:jobId/events',
+        description: 'Stream per-criterion (or per-record, for cohorts) job progress as Server-Sent Events'
+      },
+      {
+        method: 'GET',
+        path: '/patients/:patientId/evaluations',
+        description: "Get a patient's evaluation history"
+      },
+      {
+        method: 'GET',
+        path: '/patients/:patientId/evaluations/diff',
+        description: 'Compare criterion statuses between two evaluations of the same trial'
+      },
+      {
+        method: 'GET',
+        path: '/evaluations/:evaluationId',
+        description: 'Get a stored evaluation'
+      },
+      {
+        method: 'GET',
+        path: '/evaluations/:evaluationId/export',
+        description: 'Export a stored evaluation as a FHIR R4 Bundle, CSV or printable HTML report'
+      },
+      {
+        method: 'PATCH',
+        path: '/evaluations/:evaluationId/criteria/:index',
+        description: "Override a criterion's status with a reviewer's decision"
+      },
+      {
+        method: 'GET',
+        path: '/evaluations/:evaluationId/questionnaire',
+        description: 'Get structured questions for the criteria an evaluation could not decide'
+      },
+      {
+        method: 'POST',
+        path: '/evaluations/:evaluationId/answers',
+        description: 'Submit attested answers and re-evaluate only the criteria they resolve'
+      },
+      {
+        method: 'GET',
+        path: '/evaluations/:evaluationId/registry-changes',
+        description: 'Compare the registry entry an evaluation was run against with the current one'
+      },
+      {
+        method: 'POST',
+        path: '/evaluations/:evaluationId/rescreen',
+        description: 'Re-screen an evaluation on the criteria that changed in the registry'
+      },
+      {
+        method: 'POST',
+        path: '/evaluations/:evaluationId/explanation',
+        description: 'Explain an evaluation to the patient in plain language at a chosen reading level and language'
+      },
+      {
+        method: 'GET',
+        path: '/cache/stats',
+        description: 'Get criterion cache statistics'
+      },
+      {
+        method: 'DELETE',
+        path: '/cache/records/:recordHash',
+        description: 'Purge cached criterion assessments for a medical record'
+      },
+      {
+        method: 'POST',
+        path: '/screen-trials',
+        description: 'Screen a patient against multiple NCT trials, filtered and ranked by eligibility, recruitment and distance'
+      },
+      {
+        method: 'POST',
+        path: '/cohorts',
+        description: 'Screen an uploaded JSONL/CSV cohort of records against one NCT trial as a background job'
+      },
+      {
+        method: 'GET',
+        path: '/cohorts/:cohortId',
+        description: 'Get or download the summary of a completed cohort screening'
+      },
+      {
+        method: 'POST',
+        path: '/trial-lists',
+        description: 'Save a named list of NCT numbers for multi-trial screening'
+      },
+      {
+        method: 'GET',
+        path: '/trial-lists/:listId',
+        description: 'Retrieve a saved trial list'
+      },
+      {
+        method: 'DELETE',
+        path: '/trial-lists/:listId',
+        description: 'Delete a saved trial list'
+      },
+      {
+        method: 'GET',
+        path: '/nct/:nctNumber',
+        description: 'Get full trial information for NCT number'
+      },
+      {
+        method: 'GET',
+        path: '/nct/:nctNumber/eligibility',
+        description: 'Get eligibility criteria for NCT number'
+      },
+      {
+        method: 'GET',
+        path: '/nct/:nctNumber/locations',
+        description: 'List trial sites with recruitment status and distance from a patient postal code'
+      },
+      {
+        method: 'GET',
+        path: '/search',
+        description: 'Search trials by NCT pattern, or by condition, keyword, demographics and distance to recruiting sites'
+      },
+      {
+        method: 'POST',
+        path: '/search/reindex',
+        description: 'Rebuild the trial search index'
+      },
+      {
+        method: 'GET',
+        path: '/database-stats',
+        description: 'Get clinical trials database statistics'
+      },
+      {
+        method: 'GET',
+        path: '/registry-changes',
+        description: 'List evaluations whose trial changed since they were run; scans after a database refresh'
+      },
+      {
+        method: 'POST',
+        path: '/registry-changes/scan',
+        description: 'Scan stored evaluations for registry changes now'
+      },
+      {
+        method: 'POST',
+        path: '/pre-populate',
+        description: 'Pre-populate interface with medical record and trial data'
+      },
+      {
+        method: 'POST',
+        path: '/populate',
+        description: 'Lightweight endpoint returning HTML interface with hidden medical record'
+      },
+      {
+        method: 'GET',
+        path: '/session/:sessionId',
+        description: 'Retrieve stored session data'
+      },
+      {
+        method: 'GET',
+        path: '/session/:sessionId/deliveries',
+        description: 'List webhook delivery attempts for a session'
+      },
+      {
+        method: 'DELETE',
+        path: '/session/:sessionId',
+        description: 'Delete a session'
+      },
+      {
+        method: 'POST',
+        path: '/session/:sessionId/extend',
+        description: 'Extend the expiration time of a session'
+      },
+      {
+        method: 'GET',
+        path: '/generate-link',
+        description: 'Generate deep links for direct access'
+      },
+      {
+        method: 'POST',
+        path: '/generate-link',
+        description: 'Generate deep links with the data in the request body'
+      },
+      {
+        method: 'POST',
+        path: '/share-tokens/resolve',
+        description: 'Resolve the share token of a deep link'
+      },
+      {
+        method: 'DELETE',
+        path: '/share-tokens/:tokenId',
+        description: 'Revoke a share token'
+      },
+      {
+        method: 'GET',
+        path: '/handoff',
+        description: 'Printable QR code handoff page for a share link'
+      },
+      {
+        method: 'GET', 
+        path: '/info',
+        description: 'Get app information and configuration'
+      }
+    ]
+  });
+});
+
+/**
+ * Advanced clinical trial eligibility evaluation using comprehensive AI reasoning
+ * @param {Object} chatModel - The chat model instance
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Object} trialCriteria - Trial criteria object with inclusion/exclusion arrays
+ * @param {Object} trialInfo - Additional trial information for context
+ * @param {Object} options - { eligibility, onResult, signal, consensus, referenceDate } parseNCT eligibility
+ *   section for registry age/sex checks, callback receiving each criteriaAnalysis entry as it is decided, an
+ *   AbortSignal, consensus options that replace the single prompt with per-criterion votes, and the Date
+ *   time windows are measured to (default today)
+ * @returns {Object} Comprehensive evaluation result with cited evidence verified against the record
+ */
+async function evaluateEligibilityComprehensive(chatModel, medicalRecord, trialCriteria, trialInfo = {}, options = {}) {
+  const { onResult } = options;
+  const evaluation = await runComprehensiveEvaluation(chatModel, medicalRecord, trialCriteria, trialInfo, {
+    ...options,
+    // Streamed entries are grounded the same way as the final result
+    onResult: onResult && (entry => onResult(applyEvidenceGrounding({ criteriaAnalysis: [entry] }, medicalRecord).criteriaAnalysis[0]))
+  });
+  return applyEvidenceGrounding(evaluation, medicalRecord);
+}
+
+/**
+ * Runs the comprehensive model evaluation, falling back to basic evaluation when
+ * the model fails or its response stays invalid after repair
+ * @param {Object} chatModel - The chat model instance
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Object} trialCriteria - Trial criteria object with inclusion/exclusion arrays
+ * @param {Object} trialInfo - Additional trial information for context
+ * @param {Object} options - { eligibility, onResult, signal, consensus, referenceDate } as for
+ *   evaluateEligibilityComprehensive
+ * @returns {Object} Comprehensive evaluation result as produced by the model and rules, with the
+ *   parseModelResponse record (and any fallback) in `modelResponse`
+ */
+async function runComprehensiveEvaluation(chatModel, medicalRecord, trialCriteria, trialInfo = {}, { eligibility, facts, onResult, signal, modelName, consensus, referenceDate } = {}) {
+  // Votes are cast on each criterion separately, so consensus does not use the
+  // single comprehensive prompt
+  if (consensus) {
+    return evaluateBasicCriteria(chatModel, medicalRecord, trialCriteria, {
+      eligibility,
+      facts,
+      signal,
+      modelName,
+      consensus,
+      referenceDate,
+      onResult: onResult && (result => onResult(toComprehensiveEntry(result)))
+    });
+  }
+
+  // Computable criteria are resolved by rule and previously assessed criteria
+  // come from the cache; only the rest go to the model
+  const preEvaluation = applyCachedAssessments(
+    preEvaluateCriteria(medicalRecord, trialCriteria, eligibility, facts, referenceDate),
+    trialCriteria,
+    medicalRecord,
+    modelName
+  );
+  const modelCriteria = preEvaluation.remainingCriteria;
+  const { timeline } = preEvaluation.facts;
+
+  if (onResult) {
+    preEvaluation.ruleResults.forEach(result => onResult(toComprehensiveEntry(result)));
+    preEvaluation.cachedEntries.forEach(onResult);
+  }
+  // Rule results were reported above, so the basic fallback only reports model results
+  const fallbackOptions = {
+    eligibility,
+    facts,
+    signal,
+    modelName,
+    referenceDate,
+    onResult: onResult && (result => result.method !== 'rule' && onResult(toComprehensiveEntry(result)))
+  };
+
+  if (modelCriteria.inclusionCriteria.length === 0 && modelCriteria.exclusionCriteria.length === 0) {
+    const { criteriaAnalysis, criteriaTree } = mergeRuleResults({}, preEvaluation, trialCriteria);
+    return {
+      ...buildComprehensiveResult(
+        criteriaAnalysis,
+        determineComprehensiveEligibility(criteriaAnalysis),
+        preEvaluation.cachedEntries.length === 0
+          ? "All criteria evaluated deterministically from values in the record"
+          : "All criteria resolved from deterministic rules and cached assessments"
+      ),
+      ...(criteriaTree && { criteriaTree })
+    };
+  }
+
+  const prompt = `You are a highly experienced clinical research coordinator with expertise in patient eligibility assessment for clinical trials. You will perform a comprehensive analysis of a patient's medical record against specific trial criteria.
+
+CLINICAL TRIAL CONTEXT:
+${trialInfo.title ? `Study: ${trialInfo.title}` : ''}
+${trialInfo.condition ? `Condition: ${trialInfo.condition}` : ''}
+${trialInfo.phase ? `Phase: ${trialInfo.phase}` : ''}
+${trialInfo.ageRange ? `Age Range: ${trialInfo.ageRange}` : ''}
+
+PATIENT MEDICAL RECORD:
+${medicalRecord}
+
+${describeReferenceDate(timeline)}
+INCLUSION CRITERIA:
+${modelCriteria.inclusionCriteria.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+
+EXCLUSION CRITERIA:
+${modelCriteria.exclusionCriteria.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+${preEvaluation.ruleResults.length + preEvaluation.cachedEntries.length > 0 ? `
+PRE-EVALUATED CRITERIA (computed from values in the record or assessed earlier; consider them in the overall assessment but do not include them in criteriaAnalysis):
+${[
+  ...preEvaluation.ruleResults.map(r => `- [${r.type}] ${r.criterion}: ${r.status} (${r.reasoning})`),
+  ...preEvaluation.cachedEntries.map(c => `- [${c.type}] ${c.criterion}: ${c.status} (${c.clinicalReasoning})`)
+].join('\n')}
+` : ''}
+INSTRUCTIONS:
+Perform a comprehensive eligibility assessment. For each criterion, evaluate the patient's eligibility and provide detailed clinical reasoning. Consider interactions between criteria, medical contraindications, and safety implications.
+
+Respond with EXACTLY this JSON format (no additional text):
+{
+  "overallAssessment": {
+    "eligibility": "eligible|ineligible|requires-review",
+    "confidence": 0.85,
+    "clinicalSummary": "Brief clinical summary of key findings",
+    "safetyAssessment": "Assessment of safety considerations"
+  },
+  "criteriaAnalysis": [
+    {
+      "criterion": "exact criterion text",
+      "type": "inclusion|exclusion",
+      "status": "matched|non-matched|insufficient-data",
+      "confidence": 0.85,
+      "clinicalReasoning": "Detailed medical reasoning",
+      "evidenceFromRecord": "Specific quotes or findings from the record",
+      "missingInformation": "What additional data would help confirm this assessment"
+    }
+  ],
+  "clinicalRecommendations": {
+    "nextSteps": "Recommended next steps for enrollment consideration",
+    "additionalTests": "Suggested additional tests or evaluations needed",
+    "riskFactors": "Key risk factors to monitor",
+    "alternativeTrials": "Brief suggestion of what type of trials might be more suitable if ineligible"
+  }
+}
+
+EVALUATION GUIDELINES:
+- "matched": Criterion is clearly satisfied by the medical record
+- "non-matched": Criterion is clearly not satisfied 
+- "insufficient-data": Insufficient information to make determination
+- For exclusion criteria: "matched" means patient IS excluded
+- Be thorough in clinical reasoning, considering medical nuances
+- Confidence should reflect clinical certainty (0.0-1.0)
+- Consider drug interactions, contraindications, and safety
+- Quote specific portions of the medical record as evidence
+- Be conservative with eligibility - err on the side of safety`;
+
+  let fallback;
+  try {
+    throwIfCancelled(signal);
+    const content = await chatModel.replyTo(prompt);
+    throwIfCancelled(signal);
+
+    const { value: evaluation, record } = await parseModelResponse(chatModel, content, 'comprehensive', {
+      maxRepairAttempts: getMaxRepairAttempts(),
+      signal
+    });
+    throwIfCancelled(signal);
+
+    if (evaluation) {
+      const recordHash = hashRecord(medicalRecord);
+      // Only entries matched to their criterion by type and text are cached; a
+      // criterion the model left out stays undecided and is asked again next time
+      const merged = mergeRuleResults(evaluation, preEvaluation, trialCriteria, (criterion, type, entry) => {
+        setCachedCriterion(
+          criterionCacheKey(recordHash, criterion, type, modelName, COMPREHENSIVE_PROMPT_VERSION, timeline.referenceDate),
+          recordHash,
+          entry
+        );
+      });
+      if (onResult) {
+        merged.criteriaAnalysis.filter(c => c.method !== 'rule' && !c.cached).forEach(onResult);
+      }
+      return { ...merged, modelResponse: record };
+    }
+
+    console.warn('Comprehensive evaluation response failed validation:', record.errors);
+    fallback = { ...record, fallback: { from: 'comprehensive', to: 'basic', reason: 'invalid-response' } };
+
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('Error in comprehensive evaluation:', error);
+    fallback = { fallback: { from: 'comprehensive', to: 'basic', reason: 'model-error', message: error.message } };
+  }
+
+  // Each criterion is then assessed with its own model call; the response
+  // reports the fallback and why it happened
+  return {
+    ...await evaluateBasicCriteria(chatModel, medicalRecord, trialCriteria, fallbackOptions),
+    modelResponse: fallback
+  };
+}
+
+/**
+ * Verifies each criterion's cited evidence against the medical record and
+ * downgrades criteria whose evidence cannot be found
+ * @param {Object} evaluation - Comprehensive evaluation result
+ * @param {string} medicalRecord - Patient medical record text
+ * @returns {Object} Evaluation with evidenceGrounding per criterion and a summary
+ */
+function applyEvidenceGrounding(evaluation, medicalRecord) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const { criteriaAnalysis, summary } = groundCriteriaAnalysis(
+    evaluation.criteriaAnalysis || [],
+    medicalRecord,
+    appConfig?.grounding || {}
+  );
+
+  // Downgraded sub-criteria can change their group's status
+  resolveCriterionGroups(criteriaAnalysis, 'insufficient-data');
+
+  // A downgraded criterion can no longer support a definitive overall answer
+  let overallAssessment = evaluation.overallAssessment;
+  if (summary.downgraded > 0 && overallAssessment) {
+    const stillFailed = criteriaAnalysis.some(c => isTopLevelCriterion(c) && isFailedCriterion(c));
+    const lostFailure = criteriaAnalysis.some(c => c.evidenceGrounding.adjustment &&
+      isFailedCriterion({ type: c.type, status: c.evidenceGrounding.adjustment.originalStatus }));
+    if (overallAssessment.eligibility === 'eligible' ||
+        (overallAssessment.eligibility === 'ineligible' && lostFailure && !stillFailed)) {
+      overallAssessment = { ...overallAssessment, eligibility: 'requires-review' };
+    }
+  }
+
+  return {
+    ...evaluation,
+    overallAssessment,
+    criteriaAnalysis,
+    evidenceGrounding: summary
+  };
+}
+
+/**
+ * Evaluates computable criteria (age, sex, lab thresholds, performance status,
+ * time windows, medications) deterministically against facts extracted from the record
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Object} trialCriteria - Trial criteria object with inclusion/exclusion arrays
+ * @param {Object} eligibility - Optional parseNCT eligibility section for registry age/sex checks
+ * @param {Object} structuredFacts - Optional facts from a FHIR Bundle; they take precedence over the text
+ * @param {Date} referenceDate - Date ages and time windows are measured to
+ * @returns {Object} Rule results per criterion (null where the model is needed, a method "group"
+ *   placeholder for group headers), the facts with the record's timeline, and the remaining criteria
+ */
+function preEvaluateCriteria(medicalRecord, trialCriteria, eligibility, structuredFacts = null, referenceDate = new Date()) {
+  loadConfiguredVocabulary();
+  const facts = mergePatientFacts(extractPatientFacts(medicalRecord, { referenceDate }), structuredFacts);
+  const registryChecks = eligibility ? buildRegistryChecks(eligibility, facts, parseAgeToYears) : [];
+
+  // Group headers ("Any of the following:") are decided from their sub-criteria
+  // after evaluation; a placeholder keeps them away from rules and the model
+  const evaluateList = type => {
+    const criteria = trialCriteria[`${type}Criteria`];
+    const headers = getGroupHeaderIndexes(buildCriterionTree(criteria, type));
+    return criteria.map((c, i) => (headers.has(i)
+      ? {
+          criterion: c,
+          type,
+          status: 'more-information-needed',
+          reasoning: 'Decided by its sub-criteria',
+          confidence: 0,
+          method: 'group'
+        }
+      : evaluateComputableCriterion(c, type, facts)));
+  };
+  const ruleResultsByType = {
+    inclusion: evaluateList('inclusion'),
+    exclusion: evaluateList('exclusion')
+  };
+  const isRuleResult = result => result && result.method !== 'group';
+
+  return {
+    facts,
+    registryChecks,
+    ruleResultsByType,
+    ruleResults: [
+      ...registryChecks,
+      ...ruleResultsByType.inclusion.filter(isRuleResult),
+      ...ruleResultsByType.exclusion.filter(isRuleResult)
+    ],
+    remainingCriteria: {
+      inclusionCriteria: trialCriteria.inclusionCriteria.filter((_, i) => !ruleResultsByType.inclusion[i]),
+      exclusionCriteria: trialCriteria.exclusionCriteria.filter((_, i) => !ruleResultsByType.exclusion[i])
+    }
+  };
+}
+
+/**
+ * Looks up cached comprehensive assessments for the criteria rules could not
+ * decide and removes them from the criteria sent to the model
+ * @param {Object} preEvaluation - Output of preEvaluateCriteria
+ * @param {Object} trialCriteria - Full trial criteria object
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {string} modelName - Model the assessments must have been made with
+ * @returns {Object} preEvaluation with cachedByType, cachedEntries and reduced remainingCriteria
+ */
+function applyCachedAssessments(preEvaluation, trialCriteria, medicalRecord, modelName) {
+  const recordHash = hashRecord(medicalRecord);
+  const { referenceDate } = preEvaluation.facts.timeline;
+  const lookup = type => trialCriteria[`${type}Criteria`].map((criterion, i) => {
+    if (preEvaluation.ruleResultsByType[type][i]) return null;
+    const cached = getCachedCriterion(
+      criterionCacheKey(recordHash, criterion, type, modelName, COMPREHENSIVE_PROMPT_VERSION, referenceDate)
+    );
+    return cached && { ...cached, cached: true };
+  });
+  const cachedByType = { inclusion: lookup('inclusion'), exclusion: lookup('exclusion') };
+  const undecided = type => trialCriteria[`${type}Criteria`]
+    .filter((_, i) => !preEvaluation.ruleResultsByType[type][i] && !cachedByType[type][i]);
+
+  return {
+    ...preEvaluation,
+    cachedByType,
+    cachedEntries: [...cachedByType.inclusion, ...cachedByType.exclusion].filter(Boolean),
+    remainingCriteria: {
+      inclusionCriteria: undecided('inclusion'),
+      exclusionCriteria: undecided('exclusion')
+    }
+  };
+}
+
+/**
+ * Key a model's criteriaAnalysis entry is matched to its criterion by: the
+ * type and the text, ignoring case, spacing, list markers (the prompt numbers
+ * the criteria) and trailing punctuation
+ * @param {string} type - 'inclusion' or 'exclusion'
+ * @param {string} text - Criterion text
+ * @returns {string} Match key
+ */
+function criterionMatchKey(type, text) {
+  const normalized = String(text)
+    .trim()
+    .replace(/^(?:(?:[-*•·▪◦‣]|\d+[.)]|\(?[a-z][.)]|\(?[ivx]+[.)])\s+)+/i, '')
+    .replace(/[\s.;:,]+$/, '')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+  return `${type}:${normalized}`;
+}
+
+/**
+ * Merges rule results and cached assessments back into a comprehensive model
+ * evaluation in criterion order. Model entries are matched to criteria by type
+ * and text, never by position, so a skipped, reordered or merged entry cannot
+ * lend its status to another criterion; a criterion without a matching entry
+ * is left undecided.
+ * @param {Object} evaluation - Parsed comprehensive model response
+ * @param {Object} preEvaluation - Output of preEvaluateCriteria, with cached assessments applied
+ * @param {Object} trialCriteria - Full trial criteria object
+ * @param {Function} onModelEntry - Optional (criterion, type, entry) callback for each model entry matched to a criterion
+ * @returns {Object} Comprehensive evaluation covering every criterion, with criteriaTree when
+ *   some criteria are grouped and unmatchedModelEntries when the model returned entries that
+ *   match no criterion
+ */
+function mergeRuleResults(evaluation, preEvaluation, trialCriteria, onModelEntry = null) {
+  const modelAnalysis = Array.isArray(evaluation.criteriaAnalysis) ? evaluation.criteriaAnalysis : [];
+  const used = new Set();
+  const merged = preEvaluation.registryChecks.map(toComprehensiveEntry);
+
+  // Entries by match key, in response order so repeated criteria pair up one to one
+  const modelEntries = new Map();
+  modelAnalysis.forEach(entry => {
+    if (!entry || typeof entry.criterion !== 'string') return;
+    const key = criterionMatchKey(entry.type, entry.criterion);
+    if (!modelEntries.has(key)) modelEntries.set(key, []);
+    modelEntries.get(key).push(entry);
+  });
+
+  for (const type of ['inclusion', 'exclusion']) {
+    trialCriteria[`${type}Criteria`].forEach((criterion, i) => {
+      const ruleResult = preEvaluation.ruleResultsByType[type][i];
+      const cachedEntry = preEvaluation.cachedByType?.[type][i];
+      const modelEntry = ruleResult || cachedEntry ? null : modelEntries.get(criterionMatchKey(type, criterion))?.shift();
+      if (ruleResult) {
+        merged.push(toComprehensiveEntry(ruleResult));
+      } else if (cachedEntry) {
+        merged.push(cachedEntry);
+      } else if (modelEntry) {
+        used.add(modelEntry);
+        const entry = { ...modelEntry, criterion, type, method: 'model' };
+        if (onModelEntry) onModelEntry(criterion, type, entry);
+        merged.push(entry);
+      } else {
+        merged.push({
+          criterion,
+          type,
+          status: 'insufficient-data',
+          confidence: 0.0,
+          clinicalReasoning: 'The model did not return an assessment matching this criterion',
+          evidenceFromRecord: '',
+          missingInformation: 'Re-run the evaluation or review manually',
+          method: 'model'
+        });
+      }
+    });
+  }
+
+  // Anything the model returned that matches no criterion is reported apart,
+  // where it cannot count toward eligibility
+  const unmatchedModelEntries = modelAnalysis.filter(c => !used.has(c)).map(c => ({ ...c, method: 'model' }));
+
+  const criteriaTree = applyCriterionTree(merged, trialCriteria, {
+    offset: preEvaluation.registryChecks.length,
+    unknownStatus: 'insufficient-data'
+  });
+
+  // Failing rules are decided outside the model's overall judgment. The model
+  // sees grouped criteria as a flat list, so with groups the tree decides.
+  const ruleFailure = merged.some(c => isTopLevelCriterion(c) && c.method === 'rule' && isFailedCriterion(c));
+  let overallAssessment = evaluation.overallAssessment;
+  if (criteriaTree && overallAssessment) {
+    overallAssessment = { ...overallAssessment, eligibility: determineComprehensiveEligibility(merged) };
+  } else if (ruleFailure) {
+    overallAssessment = { ...overallAssessment, eligibility: 'ineligible' };
+  }
+
+  return {
+    ...evaluation,
+    overallAssessment,
+    criteriaAnalysis: merged,
+    ...(criteriaTree && { criteriaTree }),
+    ...(unmatchedModelEntries.length > 0 && { unmatchedModelEntries })
+  };
+}
+
+/**
+ * Converts a criterion result into a comprehensive criteriaAnalysis entry
+ * @param {Object} result - Criterion result as returned by evaluateCriterion or a rule
+ * @returns {Object} criteriaAnalysis entry
+ */
+function toComprehensiveEntry(result) {
+  return {
+    criterion: result.criterion,
+    type: result.type,
+    status: result.status,
+    confidence: result.confidence,
+    clinicalReasoning: result.reasoning,
+    evidenceFromRecord: result.evidence?.quote || "See individual criterion evaluation",
+    missingInformation: result.status === 'more-information-needed' ? "Additional clinical data needed" : "None identified",
+    method: result.method,
+    ...(result.evidence?.interval && { interval: result.evidence.interval }),
+    ...(result.evidence?.medication && { medication: result.evidence.medication }),
+    ...(result.source && { source: result.source }),
+    ...(result.consensus && { consensus: result.consensus }),
+    ...(result.modelResponse && { modelResponse: result.modelResponse }),
+    ...describeTreePlacement(result)
+  };
+}
+
+/**
+ * Criterion tree fields of a result, for copying into another result shape
+ * @param {Object} result - Criterion result annotated by applyCriterionTree
+ * @returns {Object} { group } for headers and { parentIndex, depth } for grouped criteria; empty otherwise
+ */
+function describeTreePlacement(result) {
+  return {
+    ...(result.group && { group: result.group }),
+    ...(result.parentIndex !== undefined && { parentIndex: result.parentIndex, depth: result.depth })
+  };
+}
+
+/**
+ * Converts criterion results into the comprehensive response format
+ * @param {Array} results - Criterion results
+ * @param {string} clinicalSummary - Summary describing how the results were produced
+ * @returns {Object} Comprehensive evaluation result
+ */
+function toComprehensiveFormat(results, clinicalSummary) {
+  return buildComprehensiveResult(
+    results.map(toComprehensiveEntry),
+    determineOverallEligibility(results),
+    clinicalSummary
+  );
+}
+
+/**
+ * Builds a comprehensive response from criteriaAnalysis entries without a model summary
+ * @param {Array} criteriaAnalysis - Comprehensive criteriaAnalysis entries
+ * @param {string} overallEligibility - Overall eligibility decided from the entries
+ * @param {string} clinicalSummary - Summary describing how the results were produced
+ * @returns {Object} Comprehensive evaluation result
+ */
+function buildComprehensiveResult(criteriaAnalysis, overallEligibility, clinicalSummary) {
+  return {
+    overallAssessment: {
+      eligibility: overallEligibility,
+      confidence: Math.min(...criteriaAnalysis.map(c => c.confidence)),
+      clinicalSummary,
+      safetyAssessment: "Individual criteria evaluated for safety"
+    },
+    criteriaAnalysis,
+    clinicalRecommendations: {
+      nextSteps: overallEligibility === 'eligible' ? "Proceed with detailed screening" : "Review with medical team",
+      additionalTests: "Standard trial screening procedures",
+      riskFactors: "Monitor per protocol",
+      alternativeTrials: "Consider trials with modified eligibility criteria"
+    }
+  };
+}
+
+/**
+ * Fallback basic evaluation method (original implementation)
+ * @param {Object} chatModel - The chat model instance
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Object} trialCriteria - Trial criteria object
+ * @param {Object} options - { eligibility, onResult, signal, consensus, referenceDate } as for evaluateCriteriaList
+ * @returns {Object} Basic evaluation result, with per-criterion latency in `timing`
+ */
+async function evaluateBasicCriteria(chatModel, medicalRecord, trialCriteria, options = {}) {
+  const { results, timing, criteriaTree } = await evaluateCriteriaList(chatModel, medicalRecord, trialCriteria, options);
+
+  return {
+    ...toComprehensiveFormat(results, options.consensus
+      ? `Criterion-by-criterion ${options.consensus.policy} vote of ${options.consensus.models.length * options.consensus.samples} assessments per criterion`
+      : "Basic criterion-by-criterion evaluation performed"),
+    ...(criteriaTree && { criteriaTree }),
+    timing
+  };
+}
+
+/**
+ * Evaluates every inclusion and exclusion criterion concurrently, bounded by the
+ * per-request and global limits in app-config.json. Results keep criterion order
+ * (inclusion first, then exclusion) and a failing criterion never fails the batch.
+ * @param {Object} chatModel - The chat model instance
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Object} trialCriteria - Trial criteria object with inclusion/exclusion arrays
+ * @param {Object} options - { eligibility, onResult, signal, modelName, consensus, referenceDate } parseNCT
+ *   eligibility section for registry age/sex checks, callback receiving each result as it completes, an
+ *   AbortSignal that stops further model calls, the model name used in criterion cache keys, consensus
+ *   options from resolveRequestConsensus to have each criterion voted on instead of assessed once, and
+ *   the Date time windows are measured to (default today)
+ * @returns {Object} { results, timing, criteriaTree } where timing holds per-criterion and total latency,
+ *   and criteriaTree (only when some criteria are grouped) indexes into results
+ */
+async function evaluateCriteriaList(chatModel, medicalRecord, trialCriteria, { eligibility, facts, onResult, signal, modelName, consensus, referenceDate } = {}) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const perRequestLimit = appConfig?.evaluation?.maxConcurrentCriteriaPerRequest || 4;
+  const globalLimit = appConfig?.evaluation?.maxConcurrentCriteriaGlobal || 16;
+
+  // Computable criteria are resolved by rule and never reach the model
+  const preEvaluation = preEvaluateCriteria(medicalRecord, trialCriteria, eligibility, facts, referenceDate);
+  const { timeline } = preEvaluation.facts;
+  const items = [
+    ...trialCriteria.inclusionCriteria.map((criterion, i) => ({
+      criterion, type: 'inclusion', ruleResult: preEvaluation.ruleResultsByType.inclusion[i]
+    })),
+    ...trialCriteria.exclusionCriteria.map((criterion, i) => ({
+      criterion, type: 'exclusion', ruleResult: preEvaluation.ruleResultsByType.exclusion[i]
+    }))
+  ];
+  const modelItems = items.filter(item => !item.ruleResult);
+
+  if (onResult) {
+    preEvaluation.ruleResults.forEach(onResult);
+  }
+
+  const startedAt = Date.now();
+  const modelTimed = await mapWithConcurrency(modelItems, perRequestLimit, async ({ criterion, type }) => {
+    throwIfCancelled(signal);
+    const criterionStartedAt = Date.now();
+    let result;
+    try {
+      result = consensus
+        ? await evaluateCriterionByConsensus(consensus, medicalRecord, criterion, type, signal, timeline)
+        : await evaluateCriterion(chatModel, medicalRecord, criterion, type, { modelName, timeline });
+    } catch (error) {
+      result = {
+        criterion,
+        type,
+        status: 'more-information-needed',
+        reasoning: `Error during evaluation: ${error.message}`,
+        confidence: 0.0,
+        method: 'model'
+      };
+    }
+    throwIfCancelled(signal);
+    if (onResult) onResult(result);
+    return { result, latencyMs: Date.now() - criterionStartedAt };
+  }, getGlobalLimiter(globalLimit));
+
+  // Registry checks first, then criteria in their original order
+  let next = 0;
+  const timed = [
+    ...preEvaluation.registryChecks.map(result => ({ result, latencyMs: 0 })),
+    ...items.map(item => (item.ruleResult ? { result: { ...item.ruleResult }, latencyMs: 0 } : modelTimed[next++]))
+  ];
+  const results = timed.map(t => t.result);
+  const criteriaTree = applyCriterionTree(results, trialCriteria, {
+    offset: preEvaluation.registryChecks.length,
+    unknownStatus: 'more-information-needed'
+  });
+
+  return {
+    results,
+    ...(criteriaTree && { criteriaTree }),
+    timing: {
+      totalMs: Date.now() - startedAt,
+      concurrency: { perRequest: perRequestLimit, global: globalLimit },
+      criteria: timed.map((t, index) => ({
+        index,
+        type: t.result.type,
+        method: t.result.method,
+        ...(t.result.cached && { cached: true }),
+        latencyMs: t.latencyMs
+      }))
+    }
+  };
+}
+
+/**
+ * Evaluates a single criterion against the medical record (enhanced version)
+ * @param {Object} chatModel - The chat model instance
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {string} criterion - The criterion to evaluate
+ * @param {string} type - 'inclusion' or 'exclusion'
+ * @param {Object} options - { modelName, timeline } model name used in the cache key, and the record's
+ *   extractTimeline output, whose reference date and events are given in the prompt
+ * @returns {Object} Evaluation result, with cached: true when served from the criterion cache and
+ *   the parseModelResponse record in `modelResponse` when the response needed extraction, normalization
+ *   or repair, or stayed invalid
+ */
+async function evaluateCriterion(chatModel, medicalRecord, criterion, type, { modelName, timeline = extractTimeline(medicalRecord) } = {}) {
+  const recordHash = hashRecord(medicalRecord);
+  const cacheKey = criterionCacheKey(recordHash, criterion, type, modelName, BASIC_PROMPT_VERSION, timeline.referenceDate);
+  const cached = getCachedCriterion(cacheKey);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const prompt = `You are a clinical research coordinator evaluating patient eligibility for a clinical trial.
+
+MEDICAL RECORD:
+${medicalRecord}
+
+${describeReferenceDate(timeline)}
+CRITERION TO EVALUATE:
+${criterion}
+
+CRITERION TYPE: ${type.toUpperCase()}
+
+Please evaluate whether this patient's medical record meets the above ${type} criterion.
+
+Respond with EXACTLY this JSON format (no additional text):
+{
+  "status": "matched|non-matched|more-information-needed",
+  "reasoning": "Clear explanation of your decision",
+  "confidence": 0.85
+}
+
+Guidelines:
+- "matched": The medical record clearly meets the criterion
+- "non-matched": The medical record clearly does not meet the criterion  
+- "more-information-needed": The medical record lacks sufficient information to make a determination
+- Confidence should be 0.0-1.0 based on how certain you are
+- Be conservative - if unclear, choose "more-information-needed"
+- For exclusion criteria: "matched" means the patient IS excluded, "non-matched" means they are NOT excluded`;
+
+  try {
+    const content = await chatModel.replyTo(prompt);
+    const { value: evaluation, record } = await parseModelResponse(chatModel, content, 'basic', {
+      maxRepairAttempts: getMaxRepairAttempts()
+    });
+
+    // No assessment is invented for an unusable response: the criterion is left
+    // undecided with the validation errors, and is not cached so the next
+    // evaluation asks again
+    if (!evaluation) {
+      console.warn('Criterion response failed validation:', record.errors);
+      return {
+        criterion,
+        type,
+        status: 'more-information-needed',
+        reasoning: `The model response could not be validated: ${record.errors.join('; ')}`,
+        confidence: 0.0,
+        method: 'model',
+        modelResponse: record
+      };
+    }
+
+    const result = {
+      criterion,
+      type,
+      status: evaluation.status,
+      reasoning: evaluation.reasoning,
+      confidence: evaluation.confidence,
+      method: 'model'
+    };
+    setCachedCriterion(cacheKey, recordHash, result);
+
+    return isNotableResponse(record) ? { ...result, modelResponse: record } : result;
+
+  } catch (error) {
+    console.error('Error evaluating criterion:', error);
+    return {
+      criterion,
+      type,
+      status: 'more-information-needed',
+      reasoning: `Error during evaluation: ${error.message}`,
+      confidence: 0.0,
+      method: 'model'
+    };
+  }
+}
+
+/**
+ * Evaluates a criterion once per consensus ballot and combines the votes.
+ * Ballots are cast one after another, so a criterion holds one model call at
+ * a time like any other; each sample has its own cache entry.
+ * @param {Object} consensus - Options from resolveRequestConsensus
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {string} criterion - The criterion to evaluate
+ * @param {string} type - 'inclusion' or 'exclusion'
+ * @param {AbortSignal} signal - Optional signal that stops further ballots
+ * @param {Object} timeline - Optional extractTimeline output for the prompt
+ * @returns {Object} Criterion result with the voted status and `consensus` holding every ballot
+ */
+async function evaluateCriterionByConsensus(consensus, medicalRecord, criterion, type, signal, timeline) {
+  const votes = [];
+  for (const ballot of listBallots(consensus)) {
+    throwIfCancelled(signal);
+    const result = await evaluateCriterion(consensus.voters.get(ballot.model), medicalRecord, criterion, type, {
+      modelName: ballot.sample > 1 ? `${ballot.model}#${ballot.sample}` : ballot.model,
+      ...(timeline && { timeline })
+    });
+    votes.push({ ...ballot, result });
+  }
+
+  return {
+    criterion,
+    type,
+    ...combineVotes(votes, consensus.policy),
+    method: 'model',
+    ...(votes.every(vote => vote.result.cached) && { cached: true })
+  };
+}
+
+/**
+ * Determines overall eligibility based on individual criterion results
+ * @param {Array} results - Array of criterion evaluation results
+ * @returns {string} 'eligible'|'ineligible'|'needs-review'
+ */
+function determineOverallEligibility(results) {
+  // Grouped criteria count through their group header
+  const inclusionResults = results.filter(r => r.type === 'inclusion' && isTopLevelCriterion(r));
+  const exclusionResults = results.filter(r => r.type === 'exclusion' && isTopLevelCriterion(r));
+
+  // Check if any inclusion criteria are non-matched
+  const failedInclusion = inclusionResults.some(r => r.status === 'non-matched');
+  
+  // Check if any exclusion criteria are matched (patient is excluded)
+  const failedExclusion = exclusionResults.some(r => r.status === 'matched');
+
+  // Check if we need more information for any criteria
+  const needsMoreInfo = [...inclusionResults, ...exclusionResults].some(r => r.status === 'more-information-needed');
+
+  if (failedInclusion || failedExclusion) {
+    return 'ineligible';
+  }
+  
+  if (needsMoreInfo) {
+    return 'needs-review';
+  }
+
+  // All inclusion criteria matched and no exclusion criteria matched
+  const allInclusionMatched = inclusionResults.every(r => r.status === 'matched');
+  const noExclusionMatched = exclusionResults.every(r => r.status === 'non-matched');
+
+  if (allInclusionMatched && noExclusionMatched) {
+    return 'eligible';
+  }
+
+  return 'needs-review';
+}
+
+/**
+ * Determines overall eligibility from comprehensive criteriaAnalysis entries
+ * @param {Array} criteriaAnalysis - Comprehensive criteria entries
+ * @returns {string} 'eligible', 'ineligible', or 'requires-review'
+ */
+function determineComprehensiveEligibility(criteriaAnalysis) {
+  const eligibility = determineOverallEligibility(criteriaAnalysis.map(c => ({
+    ...c,
+    status: c.status === 'insufficient-data' ? 'more-information-needed' : c.status
+  })));
+  return eligibility === 'needs-review' ? 'requires-review' : eligibility;
+}
+
+/**
+ * Starts a background rebuild of the trial search index using app configuration
+ */
+function startSearchIndexBuild() {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  // Sites without coordinates are placed by postal code while indexing
+  loadConfiguredCentroids();
+  buildSearchIndex({
+    pattern: appConfig?.search?.indexPattern || 'NCT*',
+    maxTrials: appConfig?.search?.maxIndexedTrials ?? null
+  }).catch(error => console.error('Error building trial search index:', error));
+}
+
+/**
+ * Starts a background scan of the stored NCT evaluations for registry changes
+ * @returns {Object} The scan job; its id is the scanId of the report
+ */
+function startRegistryScan() {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const entries = listTrialEvaluations().filter(entry => entry.registrySnapshot);
+  const trialCount = new Set(entries.map(entry => entry.nctNumber)).size;
+
+  const job = createJob('registry-scan', trialCount, ({ onResult, signal }) =>
+    scanRegistryChanges(entries, { scanId: job.id, onResult, signal }), {
+    retentionMinutes: appConfig?.jobs?.retentionMinutes || 60,
+    unit: 'records'
+  });
+  return job;
+}
+
+/**
+ * Checks whether a criterion result rules the patient out
+ * @param {Object} result - Criterion evaluation result
+ * @returns {boolean} True if an inclusion criterion is unmet or an exclusion criterion is met
+ */
+function isFailedCriterion(result) {
+  return (result.type === 'inclusion' && result.status === 'non-matched') ||
+    (result.type === 'exclusion' && result.status === 'matched');
+}
+
+/**
+ * Validates a list of NCT numbers supplied by a caller
+ * @param {Array} nctNumbers - Candidate NCT numbers
+ * @returns {string|null} Error message, or null if the list is valid
+ */
+function validateNCTList(nctNumbers) {
+  if (!Array.isArray(nctNumbers) || nctNumbers.length === 0) {
+    return 'Field "nctNumbers" must be a non-empty array of NCT numbers.';
+  }
+
+  const invalid = nctNumbers.filter(n => typeof n !== 'string' || !n.match(/^NCT\d{8}$/));
+  if (invalid.length > 0) {
+    return `Invalid NCT number format: ${invalid.join(', ')}. Expected format: NCT00000000`;
+  }
+
+  return null;
+}
+
+/**
+ * Screens a patient against a trial that has already been parsed
+ * @param {Object} chatModel - The chat model instance
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {string} nctNumber - NCT number of the trial
+ * @param {Object} trialData - parseNCT result for the trial
+ * @param {string} evaluationMode - 'basic' or 'comprehensive'
+ * @param {Object} options - { signal, consensus, referenceDate } AbortSignal that stops the evaluation,
+ *   consensus options from resolveRequestConsensus, and the Date time windows are measured to
+ * @returns {Object} Per-trial screening summary, with the trialCriteria that were evaluated
+ */
+async function screenParsedTrial(chatModel, medicalRecord, nctNumber, trialData, evaluationMode, { signal, consensus, referenceDate } = {}) {
+  const trialCriteria = {
+    inclusionCriteria: trialData.eligibility.inclusionCriteria,
+    exclusionCriteria: trialData.eligibility.exclusionCriteria
+  };
+
+  let results;
+  let overallEligibility;
+  let modelResponses;
+
+  if (evaluationMode === 'comprehensive') {
+    const trialInfo = {
+      title: trialData.studyInfo.briefTitle,
+      condition: trialData.studyInfo.condition,
+      phase: trialData.studyInfo.phase,
+      ageRange: `${trialData.eligibility.minimumAge} to ${trialData.eligibility.maximumAge}`
+    };
+    const evaluation = await evaluateEligibilityComprehensive(chatModel, medicalRecord, trialCriteria, trialInfo, {
+      eligibility: trialData.eligibility,
+      signal,
+      consensus,
+      referenceDate
+    });
+    results = evaluation.criteriaAnalysis.map(c => ({
+      criterion: c.criterion,
+      type: c.type,
+      status: c.status === 'insufficient-data' ? 'more-information-needed' : c.status,
+      reasoning: c.clinicalReasoning,
+      confidence: c.confidence,
+      method: c.method,
+      ...(c.cached && { cached: true }),
+      ...(c.consensus && { consensus: c.consensus }),
+      ...describeTreePlacement(c)
+    }));
+    overallEligibility = evaluation.overallAssessment.eligibility === 'requires-review'
+      ? 'needs-review'
+      : evaluation.overallAssessment.eligibility;
+    modelResponses = summarizeModelResponses(evaluation.criteriaAnalysis, evaluation.modelResponse);
+  } else {
+    ({ results } = await evaluateCriteriaList(chatModel, medicalRecord, trialCriteria, {
+      eligibility: trialData.eligibility,
+      signal,
+      consensus,
+      referenceDate
+    }));
+    overallEligibility = determineOverallEligibility(results);
+    modelResponses = summarizeModelResponses(results);
+  }
+
+  // Grouped criteria count through their group header
+  const topLevel = results.filter(isTopLevelCriterion);
+  const failed = topLevel.filter(isFailedCriterion);
+  const unknown = topLevel.filter(r => r.status === 'more-information-needed');
+  const confidences = results.map(r => r.confidence).filter(c => typeof c === 'number');
+
+  return {
+    nctNumber,
+    trialTitle: trialData.studyInfo.briefTitle,
+    overallEligibility,
+    failedCriteriaCount: failed.length,
+    unknownCriteriaCount: unknown.length,
+    averageConfidence: confidences.length > 0
+      ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+      : 0,
+    // Failed criteria decide ineligibility; otherwise the unknowns are what stands between the patient and enrollment
+    decidingCriteria: (failed.length > 0 ? failed : unknown).map(r => ({
+      criterion: r.criterion,
+      type: r.type,
+      status: r.status,
+      reasoning: r.reasoning
+    })),
+    ...(consensus && { consensus: summarizeConsensus(results, consensus) }),
+    trialInfo: {
+      status: trialData.studyInfo.overallStatus,
+      phase: trialData.studyInfo.phase,
+      condition: trialData.studyInfo.condition,
+      ageRange: `${trialData.eligibility.minimumAge} to ${trialData.eligibility.maximumAge}`,
+      gender: trialData.eligibility.gender
+    },
+    results,
+    nctDataParsedAt: trialData.metadata.parsedAt,
+    modelResponses,
+    trialCriteria
+  };
+}
+
+/**
+ * Ranks screened trials from most to least promising for the patient: by
+ * eligibility, then recruiting trials before closed ones, then by fewest
+ * failed and unknown criteria, the nearest recruiting site and confidence
+ * @param {Array} screenedTrials - Results of screenParsedTrial with their sites
+ * @returns {Array} Screened trials sorted and annotated with a rank
+ */
+function rankScreenedTrials(screenedTrials) {
+  const eligibilityOrder = { 'eligible': 0, 'needs-review': 1, 'ineligible': 2 };
+  const distanceOf = trial => trial.sites?.nearestRecruitingSite?.distanceMiles ?? Infinity;
+
+  return [...screenedTrials]
+    .sort((a, b) =>
+      (eligibilityOrder[a.overallEligibility] ?? 3) - (eligibilityOrder[b.overallEligibility] ?? 3) ||
+      Number(Boolean(b.sites?.recruiting)) - Number(Boolean(a.sites?.recruiting)) ||
+      a.failedCriteriaCount - b.failedCriteriaCount ||
+      a.unknownCriteriaCount - b.unknownCriteriaCount ||
+      (distanceOf(a) - distanceOf(b) || 0) ||
+      b.averageConfidence - a.averageConfidence
+    )
+    .map((trial, index) => ({ rank: index + 1, ...trial }));
+}
+
+/**
+ * Loads the postal code centroid table named by locations.centroidFile, or the
+ * bundled one, before postal codes are resolved
+ */
+function loadConfiguredCentroids() {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const centroidFile = appConfig?.locations?.centroidFile;
+  loadPostalCentroids(centroidFile ? path.resolve(__dirname, '..', centroidFile) : null);
+}
+
+/**
+ * Loads the drug vocabulary named by medications.vocabularyFile, or the
+ * bundled one, before medication criteria are parsed
+ */
+function loadConfiguredVocabulary() {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const vocabularyFile = appConfig?.medications?.vocabularyFile;
+  loadDrugVocabulary(vocabularyFile ? path.resolve(__dirname, '..', vocabularyFile) : null);
+}
+
+/**
+ * Resolves the date time windows in criteria ("within 28 days") are measured
+ * to: the request's referenceDate, else the screening date, today
+ * @param {string} requested - Request "referenceDate" (YYYY-MM-DD), or undefined
+ * @returns {Object} { date, value } with the Date (midnight UTC) and its YYYY-MM-DD form, or { error }
+ */
+function resolveReferenceDate(requested) {
+  const date = parseReferenceDate(requested === undefined ? new Date() : requested);
+  if (!date) {
+    return { error: 'Field "referenceDate" must be a date in the format YYYY-MM-DD.' };
+  }
+  return { date, value: date.toISOString().slice(0, 10) };
+}
+
+/**
+ * Timeline of dated events in a record, for response metadata
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Date} referenceDate - Date intervals are measured to
+ * @returns {Object} { referenceDate, noteDate, events } as from extractTimeline
+ */
+function summarizeTimeline(medicalRecord, referenceDate) {
+  const { undated, ...timeline } = extractTimeline(medicalRecord, { referenceDate });
+  return timeline;
+}
+
+/**
+ * Prompt section giving the reference date and the record's dated events, so
+ * the model measures time windows from the same date the rules do
+ * @param {Object} timeline - extractTimeline output
+ * @returns {string} Section text, ending with a newline
+ */
+function describeReferenceDate(timeline) {
+  const events = describeTimeline(timeline);
+  return `REFERENCE DATE: ${timeline.referenceDate}
+Measure time windows in criteria, such as "within 28 days" or "at least 1 year ago", back from this date.
+${events ? `
+DATED EVENTS IN THE RECORD (with the interval to the reference date):
+${events}
+` : ''}`;
+}
+
+/**
+ * Resolves the consensus options of a request and loads the voting models
+ * @param {boolean|Object} requested - Request "consensus"; undefined follows consensus.enabled
+ * @returns {Object} { options } with options null when consensus is off, or { error }
+ */
+function resolveRequestConsensus(requested) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const resolved = resolveConsensusOptions(requested, appConfig?.consensus || {}, appConfig?.models || {});
+  if (!resolved.options) return resolved;
+
+  try {
+    const voters = new Map(resolved.options.models.map(model => [model, fetchChatModel(model)]));
+    return { options: { ...resolved.options, voters } };
+  } catch (error) {
+    return { error: `Consensus model could not be loaded: ${error.message}` };
+  }
+}
+
+/**
+ * Describes a trial's sites for a patient with the configured number of sites listed
+ * @param {Object} trialData - parseNCT output
+ * @param {Object} patientLocation - Optional resolved patient location
+ * @param {number} maxSites - Optional number of sites listed instead of locations.maxSitesListed
+ * @returns {Object} Site summary from describeTrialSites
+ */
+function describeSitesForPatient(trialData, patientLocation, maxSites = 0) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  loadConfiguredCentroids();
+  return describeTrialSites(trialData, patientLocation, {
+    maxSites: maxSites || appConfig?.locations?.maxSitesListed || 10
+  });
+}
+
+/**
+ * Resolves a patient location given in a request
+ * @param {Object|string} input - Postal code, { postalCode, country } or { latitude, longitude }
+ * @returns {Object} { location } or { error }
+ */
+function resolveRequestLocation(input) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  loadConfiguredCentroids();
+  return resolvePatientLocation(input, appConfig?.locations?.defaultCountry || 'US');
+}
+
+/**
+ * Reads the patient record of a request: free text in "medicalRecord", a FHIR
+ * R4 Bundle in "fhirBundle", or both, in which case the bundle's narrative is
+ * appended to the text. Text submitted unchanged from a session that was
+ * pre-populated with a bundle keeps that bundle's structured facts.
+ * @param {Object} body - Request body
+ * @returns {Object} { medicalRecord, facts, fhir } (facts and fhir null for text), or { error }
+ */
+function resolvePatientRecord(body) {
+  const { medicalRecord, fhirBundle, sessionId } = body;
+
+  if (fhirBundle === undefined) {
+    if (!medicalRecord || typeof medicalRecord !== 'string') {
+      return { error: 'Field "medicalRecord" (string) or "fhirBundle" (FHIR R4 Bundle) is required.' };
+    }
+
+    const sessionData = sessionId && global.clinicalTrialSessions?.get(sessionId);
+    const fromSession = Boolean(sessionData?.fhirFacts) && sessionData.medicalRecord === medicalRecord;
+    return {
+      medicalRecord,
+      facts: fromSession ? sessionData.fhirFacts : null,
+      fhir: fromSession ? sessionData.fhir : null
+    };
+  }
+
+  if (medicalRecord !== undefined && (!medicalRecord || typeof medicalRecord !== 'string')) {
+    return { error: 'Field "medicalRecord" must be a non-empty string when given with "fhirBundle".' };
+  }
+
+  const bundleError = validateFhirBundle(fhirBundle);
+  if (bundleError) {
+    return { error: bundleError };
+  }
+
+  // The narrative follows any free text, so fact offsets start after it
+  const prefix = medicalRecord ? `${medicalRecord}\n\n` : '';
+  const { narrative, facts, summary } = convertFhirBundle(fhirBundle, { offset: prefix.length });
+
+  return {
+    medicalRecord: prefix + narrative,
+    facts,
+    // Evidence offsets in the response refer to the converted record
+    fhir: { ...summary, convertedRecord: prefix + narrative }
+  };
+}
+
+/**
+ * FHIR conversion summary without the converted record text
+ * @param {Object} fhir - fhir value from resolvePatientRecord
+ * @returns {Object} { resourceCounts, unsupportedResources, enteredInError }
+ */
+function summarizeFhirInput({ convertedRecord, ...summary }) {
+  return summary;
+}
+
+/**
+ * Checks a caller-supplied patient identifier
+ * @param {*} patientId - Candidate identifier
+ * @returns {boolean} True if it can be used as a history key and URL segment
+ */
+function isValidPatientId(patientId) {
+  return typeof patientId === 'string' && /^[\w.:@-]{1,128}$/.test(patientId);
+}
+
+/**
+ * Patient identifier an evaluation is stored under: the one in the request,
+ * else the one given when the request's session was pre-populated, else a
+ * generated one
+ * @param {Object} body - Request body
+ * @returns {string} Patient identifier
+ */
+function resolvePatientId(body) {
+  if (body.patientId) return body.patientId;
+
+  const sessionData = body.sessionId && global.clinicalTrialSessions?.get(body.sessionId);
+  if (sessionData?.patientId) return sessionData.patientId;
+
+  return `pt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Wraps an evaluation so its result is stored in the patient's history
+ * @param {Object} context - { medicalRecord, trialCriteria, sessionId, registrySnapshot } as for storeEvaluation
+ * @param {Function} evaluate - async (hooks) => response body
+ * @returns {Function} async (hooks) => response body
+ */
+function withEvaluationHistory(context, evaluate) {
+  return async (hooks) => storeEvaluation(context, await evaluate(hooks));
+}
+
+/**
+ * Stores an evaluation response in the patient's history
+ * @param {Object} context - { medicalRecord, trialCriteria, sessionId, registrySnapshot } the evaluation
+ *   ran on; registrySnapshot (from snapshotTrial) is kept for NCT trials to detect registry changes
+ * @param {Object} response - Evaluation response body with evaluationId and patientId
+ * @returns {Object} The response, unchanged
+ */
+function storeEvaluation({ medicalRecord, trialCriteria, sessionId, registrySnapshot }, response) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+
+  recordEvaluation(response, {
+    medicalRecord,
+    trialCriteria,
+    recordHash: hashRecord(medicalRecord),
+    sessionId,
+    registrySnapshot
+  }, {
+    maxEvaluationsPerPatient: appConfig?.history?.maxEvaluationsPerPatient || 100
+  });
+  return response;
+}
+
+/**
+ * Re-evaluates the criteria resolved by questionnaire answers and carries the
+ * rest of a stored evaluation over into a new one
+ * @param {Object} entry - Stored evaluation entry
+ * @param {Array} questions - Questionnaire of the entry
+ * @param {Array} answers - Validated answers
+ * @param {string} medicalRecord - Record with the supplementary data appended
+ * @param {Object} facts - Patient facts including those supplied by the answers, with the record's timeline
+ * @returns {Object} New evaluation response with a new evaluationId and reevaluation details
+ */
+async function reevaluateWithAnswers(entry, questions, answers, medicalRecord, facts) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const modelName = appConfig?.models?.default || 'hipaa:o3-high';
+  const perRequestLimit = appConfig?.evaluation?.maxConcurrentCriteriaPerRequest || 4;
+  const globalLimit = appConfig?.evaluation?.maxConcurrentCriteriaGlobal || 16;
+
+  // The stored response stays as it was; overrides made on it belong to its audit trail
+  const { adjudication, ...previous } = entry.response;
+  const response = structuredClone(previous);
+  const comprehensive = Boolean(response.overallAssessment);
+  const criteria = comprehensive ? response.criteriaAnalysis : response.results;
+
+  const answeredBy = new Map();
+  answers.forEach(answer => {
+    questions.find(q => q.questionId === answer.questionId).criteria.forEach(({ index }) => {
+      answeredBy.set(index, [...(answeredBy.get(index) || []), answer.questionId]);
+    });
+  });
+  const indexes = [...answeredBy.keys()].sort((a, b) => a - b);
+
+  const chatModel = fetchChatModel(modelName);
+  const reevaluated = await mapWithConcurrency(indexes, perRequestLimit, async index => {
+    const { criterion, type } = criteria[index];
+    const ruleResult = evaluateComputableCriterion(criterion, type, facts);
+    if (ruleResult) return ruleResult;
+
+    try {
+      return await evaluateCriterion(chatModel, medicalRecord, criterion, type, { modelName, timeline: facts.timeline });
+    } catch (error) {
+      return {
+        criterion,
+        type,
+        status: 'more-information-needed',
+        reasoning: `Error during evaluation: ${error.message}`,
+        confidence: 0.0,
+        method: 'model'
+      };
+    }
+  }, getGlobalLimiter(globalLimit));
+
+  indexes.forEach((index, i) => {
+    const result = comprehensive ? toComprehensiveEntry(reevaluated[i]) : reevaluated[i];
+    if (comprehensive && result.status === 'more-information-needed') result.status = 'insufficient-data';
+    criteria[index] = {
+      ...result,
+      ...describeTreePlacement(criteria[index]),
+      supplementaryAnswers: answeredBy.get(index)
+    };
+  });
+
+  response.evaluationId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  response.timestamp = new Date().toISOString();
+  response.referenceDate = facts.timeline.referenceDate;
+  recomputeOverallEligibility(response);
+  response.reevaluation = {
+    previousEvaluationId: entry.evaluationId,
+    answeredQuestions: answers.map(a => a.questionId),
+    reevaluatedCriteria: indexes,
+    remainingQuestions: buildQuestionnaire(criteria).length
+  };
+
+  return response;
+}
+
+/**
+ * Re-screens a stored evaluation against the current registry entry of its
+ * trial: criteria that are new or reworded are evaluated, the results of
+ * unchanged criteria are carried over, and criterion groups are rebuilt
+ * @param {Object} entry - Stored evaluation entry with a registrySnapshot
+ * @param {Object} trialData - parseNCT output for the trial as it is now
+ * @param {Object} changes - diffTrialSnapshots of the entry's snapshot and trialData
+ * @returns {Object} New evaluation response with a new evaluationId and rescreen details
+ */
+async function rescreenChangedCriteria(entry, trialData, changes) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const modelName = appConfig?.models?.default || 'hipaa:o3-high';
+  const perRequestLimit = appConfig?.evaluation?.maxConcurrentCriteriaPerRequest || 4;
+  const globalLimit = appConfig?.evaluation?.maxConcurrentCriteriaGlobal || 16;
+
+  // The stored response stays as it was; overrides made on it belong to its audit trail
+  const { adjudication, ...previous } = entry.response;
+  const response = structuredClone(previous);
+  const comprehensive = Boolean(response.overallAssessment);
+  const unknownStatus = comprehensive ? 'insufficient-data' : 'more-information-needed';
+  const toShape = result => {
+    if (!comprehensive) return result;
+    const converted = toComprehensiveEntry(result);
+    if (converted.status === 'more-information-needed') converted.status = 'insufficient-data';
+    return converted;
+  };
+  // Group placement follows the new criteria list, so it is not carried over
+  const withoutPlacement = ({ group, parentIndex, depth, ...result }) => result;
+
+  const previousCriteria = comprehensive ? response.criteriaAnalysis : response.results;
+  const previousByKey = new Map(previousCriteria
+    .filter(c => c.source !== 'registry' && !c.group)
+    .map(c => [`${c.type}:${c.criterion}`, withoutPlacement(c)]));
+
+  const trialCriteria = {
+    inclusionCriteria: trialData.eligibility.inclusionCriteria,
+    exclusionCriteria: trialData.eligibility.exclusionCriteria
+  };
+  const sessionData = entry.sessionId && global.clinicalTrialSessions?.get(entry.sessionId);
+  const sessionFacts = sessionData?.fhirFacts && sessionData.medicalRecord === entry.medicalRecord
+    ? sessionData.fhirFacts
+    : null;
+  // Carried-over results were decided on the evaluation's reference date, so
+  // the criteria evaluated now are measured to the same date
+  const reference = resolveReferenceDate(entry.response.referenceDate);
+  const preEvaluation = preEvaluateCriteria(
+    entry.medicalRecord, trialCriteria, trialData.eligibility, sessionFacts, reference.date
+  );
+
+  // Registry checks are redone only when the limits they check changed
+  const registryChecks = changes.limitChanges.length > 0
+    ? preEvaluation.registryChecks.map(toShape)
+    : previousCriteria.filter(c => c.source === 'registry').map(withoutPlacement);
+
+  const items = ['inclusion', 'exclusion'].flatMap(type =>
+    trialCriteria[`${type}Criteria`].map((criterion, i) => ({
+      criterion,
+      type,
+      ruleResult: preEvaluation.ruleResultsByType[type][i]
+    })))
+    .map(item => ({
+      ...item,
+      // Group headers are always decided afresh from their sub-criteria
+      carriedOver: item.ruleResult?.method === 'group' ? undefined : previousByKey.get(`${item.type}:${item.criterion}`)
+    }));
+  const modelItems = items.filter(item => !item.carriedOver && !item.ruleResult);
+
+  const chatModel = fetchChatModel(modelName);
+  const modelResults = await mapWithConcurrency(modelItems, perRequestLimit, async ({ criterion, type }) => {
+    try {
+      return await evaluateCriterion(chatModel, entry.medicalRecord, criterion, type, {
+        modelName,
+        timeline: preEvaluation.facts.timeline
+      });
+    } catch (error) {
+      return {
+        criterion,
+        type,
+        status: 'more-information-needed',
+        reasoning: `Error during evaluation: ${error.message}`,
+        confidence: 0.0,
+        method: 'model'
+      };
+    }
+  }, getGlobalLimiter(globalLimit));
+
+  let next = 0;
+  const reevaluatedCriteria = [];
+  const criteria = [
+    ...registryChecks,
+    ...items.map((item, i) => {
+      if (item.carriedOver) return item.carriedOver;
+      if (item.ruleResult?.method !== 'group') reevaluatedCriteria.push(registryChecks.length + i);
+      return toShape(item.ruleResult ? { ...item.ruleResult } : modelResults[next++]);
+    })
+  ];
+  const criteriaTree = applyCriterionTree(criteria, trialCriteria, { offset: registryChecks.length, unknownStatus });
+
+  if (comprehensive) {
+    response.criteriaAnalysis = criteria;
+  } else {
+    response.results = criteria;
+  }
+  if (criteriaTree) {
+    response.criteriaTree = criteriaTree;
+  } else {
+    delete response.criteriaTree;
+  }
+  if (response.trialInfo) response.trialInfo.status = trialData.studyInfo.overallStatus;
+
+  response.evaluationId = `eval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  response.timestamp = new Date().toISOString();
+  response.referenceDate = reference.value;
+  response.metadata = { ...response.metadata, nctDataParsedAt: trialData.metadata?.parsedAt || null };
+  recomputeOverallEligibility(response);
+  response.rescreen = {
+    previousEvaluationId: entry.evaluationId,
+    registryChanges: changes,
+    reevaluatedCriteria,
+    carriedOverCriteria: items.filter(item => item.carriedOver).length
+  };
+
+  return response;
+}
+
+/**
+ * Recomputes the overall eligibility of a stored response after a criterion
+ * status was changed by a reviewer; group headers follow their sub-criteria
+ * @param {Object} response - Stored evaluation response, updated in place
+ * @returns {string} The new overall eligibility
+ */
+function recomputeOverallEligibility(response) {
+  if (response.overallAssessment) {
+    resolveCriterionGroups(response.criteriaAnalysis, 'insufficient-data');
+    response.overallAssessment.eligibility = determineComprehensiveEligibility(response.criteriaAnalysis);
+    return response.overallAssessment.eligibility;
+  }
+
+  resolveCriterionGroups(response.results, 'more-information-needed');
+  response.overallEligibility = determineOverallEligibility(response.results);
+  return response.overallEligibility;
+}
+
+/**
+ * Wraps an evaluation so its result is delivered to the session's webhook
+ * @param {string} sessionId - Optional session the evaluation belongs to
+ * @param {Function} evaluate - async (hooks) => response body
+ * @returns {Function} async (hooks) => response body with webhook delivery metadata
  */
-async function evaluateEligibilityComprehensive(chatModel, medicalRecord, trialCriteria, trialInfo = {}) {
-  const prompt = `You are a highly experienced clinical research coordinator with expertise in patient eligibility assessment for clinical trials. You will perform a comprehensive analysis of a patient's medical record against specific trial criteria.
+function withSessionWebhook(sessionId, evaluate) {
+  return async (hooks) => attachSessionWebhook(sessionId, await evaluate(hooks));
+}
 
-CLINICAL TRIAL CONTEXT:
-${trialInfo.title ? `Study: ${trialInfo.title}` : ''}
-${trialInfo.condition ? `Condition: ${trialInfo.condition}` : ''}
-${trialInfo.phase ? `Phase: ${trialInfo.phase}` : ''}
-${trialInfo.ageRange ? `Age Range: ${trialInfo.ageRange}` : ''}
+/**
+ * Secret share tokens are encrypted with; without one a per-process key is
+ * used and links stop working when the server restarts
+ * @returns {string|undefined} CLINICAL_TRIAL_MATCHER_TOKEN_SECRET or shareTokens.secret
+ */
+function shareTokenSecret() {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  return process.env.CLINICAL_TRIAL_MATCHER_TOKEN_SECRET || appConfig?.shareTokens?.secret || undefined;
+}
 
-PATIENT MEDICAL RECORD:
-${medicalRecord}
+/**
+ * Resolves the share link options of a request against app configuration
+ * @param {number|string} expiresInMinutes - Request "linkExpiresInMinutes" (query strings arrive as text)
+ * @param {boolean|string} singleUse - Request "singleUseLink"
+ * @returns {Object} { ttlMinutes, singleUse, secret } for issueShareToken, or { error }
+ */
+function resolveShareLinkOptions(expiresInMinutes, singleUse) {
+  const config = getAppConfig('clinical-trial-matcher-app')?.shareTokens || {};
+  const maxTtlMinutes = config.maxTtlMinutes || 1440;
 
-INCLUSION CRITERIA:
-${trialCriteria.inclusionCriteria.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+  const ttlMinutes = expiresInMinutes === undefined || expiresInMinutes === ''
+    ? (config.ttlMinutes || 60)
+    : Number(expiresInMinutes);
+  if (!Number.isInteger(ttlMinutes) || ttlMinutes < 1 || ttlMinutes > maxTtlMinutes) {
+    return { error: `Field "linkExpiresInMinutes" must be an integer from 1 to ${maxTtlMinutes}.` };
+  }
 
-EXCLUSION CRITERIA:
-${trialCriteria.exclusionCriteria.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+  let single;
+  if (singleUse === undefined || singleUse === '') {
+    single = config.singleUse !== false;
+  } else if (singleUse === true || singleUse === 'true') {
+    single = true;
+  } else if (singleUse === false || singleUse === 'false') {
+    single = false;
+  } else {
+    return { error: 'Field "singleUseLink" must be true or false.' };
+  }
 
-INSTRUCTIONS:
-Perform a comprehensive eligibility assessment. For each criterion, evaluate the patient's eligibility and provide detailed clinical reasoning. Consider interactions between criteria, medical contraindications, and safety implications.
+  return { ttlMinutes, singleUse: single, secret: shareTokenSecret() };
+}
 
-Respond with EXACTLY this JSON format (no additional text):
-{
-  "overallAssessment": {
-    "eligibility": "eligible|ineligible|requires-review",
-    "confidence": 0.85,
-    "clinicalSummary": "Brief clinical summary of key findings",
-    "safetyAssessment": "Assessment of safety considerations"
-  },
-  "criteriaAnalysis": [
-    {
-      "criterion": "exact criterion text",
-      "type": "inclusion|exclusion",
-      "status": "matched|non-matched|insufficient-data",
-      "confidence": 0.85,
-      "clinicalReasoning": "Detailed medical reasoning",
-      "evidenceFromRecord": "Specific quotes or findings from the record",
-      "missingInformation": "What additional data would help confirm this assessment"
-    }
-  ],
-  "clinicalRecommendations": {
-    "nextSteps": "Recommended next steps for enrollment consideration",
-    "additionalTests": "Suggested additional tests or evaluations needed",
-    "riskFactors": "Key risk factors to monitor",
-    "alternativeTrials": "Brief suggestion of what type of trials might be more suitable if ineligible"
-  }
+/**
+ * Describes an issued share token for the response that created the link
+ * @param {Object} req - Express request
+ * @param {Object} record - Token record from issueShareToken
+ * @returns {Object} { tokenId, expiresAt, singleUse, revokeUrl }
+ */
+function describeShareLink(req, record) {
+  return {
+    tokenId: record.tokenId,
+    expiresAt: record.expiresAt,
+    singleUse: record.singleUse,
+    revokeUrl: `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/share-tokens/${record.tokenId}`
+  };
 }
 
-EVALUATION GUIDELINES:
-- "matched": Criterion is clearly satisfied by the medical record
-- "non-matched": Criterion is clearly not satisfied 
-- "insufficient-data": Insufficient information to make determination
-- For exclusion criteria: "matched" means patient IS excluded
-- Be thorough in clinical reasoning, considering medical nuances
-- Confidence should reflect clinical certainty (0.0-1.0)
-- Consider drug interactions, contraindications, and safety
-- Quote specific portions of the medical record as evidence
-- Be conservative with eligibility - err on the side of safety`;
+/**
+ * Draws the QR code of a link for a response
+ * @param {string} url - Link to encode
+ * @param {Object} options - Resolved QR code options
+ * @param {string} encodes - Name of the response field holding the link
+ * @returns {Object} createQrCode result with { encodes }
+ */
+function describeQrCode(url, options, encodes) {
+  return { ...createQrCode(url, options), encodes };
+}
+
+/**
+ * URL of the printable handoff page of a share token
+ * @param {Object} req - Express request
+ * @param {string} token - Share token
+ * @returns {string} handoff page URL
+ */
+function buildHandoffUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/handoff?${new URLSearchParams({ token })}`;
+}
+
+/**
+ * Session data as returned to the interface, without sensitive or internal fields
+ * @param {Object} sessionData - Stored session
+ * @returns {Object} Public session fields with metadata { sessionId, createdAt, expiresAt, timeRemaining }
+ */
+function describeSession(sessionData) {
+  const { sessionId, createdAt, expiresAt, webhookSecret, webhookDeliveries, fhirFacts, ...publicData } = sessionData;
+
+  return {
+    ...publicData,
+    metadata: {
+      sessionId,
+      createdAt,
+      expiresAt,
+      timeRemaining: Math.max(0, new Date(expiresAt) - new Date())
+    }
+  };
+}
 
+/**
+ * Handles GET and POST /generate-link: keeps the linked data with a share
+ * token and returns a deep link that carries only the token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - { nct, medicalRecord, returnUrl, linkExpiresInMinutes, singleUseLink }
+ */
+function createShareLink(req, res, params) {
   try {
-    const content = await chatModel.replyTo(prompt);
-    const contentStr = typeof content === 'string' ? content : content.trim();
+    const {
+      nct, medicalRecord, returnUrl, linkExpiresInMinutes, singleUseLink, qrCode, qrFormat, qrSize, qrErrorCorrection
+    } = params;
     
-    let evaluation;
-    try {
-      evaluation = JSON.parse(contentStr);
-    } catch (parseError) {
-      console.warn('Failed to parse comprehensive evaluation:', contentStr);
-      // Fallback to basic evaluation
-      return await evaluateBasicCriteria(chatModel, medicalRecord, trialCriteria);
+    if (!nct && !medicalRecord) {
+      return res.status(400).json({
+        error: 'At least one of "nct" or "medicalRecord" parameters is required'
+      });
+    }
+    
+    if (nct && !String(nct).match(/^NCT\d{8}$/)) {
+      return res.status(400).json({
+        error: 'Invalid NCT number format. Expected format: NCT00000000'
+      });
     }
 
-    return evaluation;
+    const linkOptions = resolveShareLinkOptions(linkExpiresInMinutes, singleUseLink);
+    if (linkOptions.error) {
+      return res.status(400).json({ error: linkOptions.error });
+    }
 
+    const qrOptions = resolveQrOptions(
+      { qrCode, qrFormat, qrSize, qrErrorCorrection },
+      getAppConfig('clinical-trial-matcher-app')?.qrCodes
+    );
+    if (qrOptions.error) {
+      return res.status(400).json({ error: qrOptions.error });
+    }
+    
+    const { token, record } = issueShareToken({
+      data: {
+        nctNumber: nct || null,
+        medicalRecord: medicalRecord || null,
+        returnUrl: returnUrl || null
+      }
+    }, linkOptions);
+    
+    const baseUrl = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/clinical-trial-matcher.html`;
+    const deepLinkUrl = `${baseUrl}?${new URLSearchParams({ token })}`;
+    
+    // Sessions remain the option for evaluation options and webhooks
+    const sessionEndpoint = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/pre-populate`;
+    
+    return res.json({
+      deepLinkUrl,
+      sessionEndpoint,
+      shareToken: describeShareLink(req, record),
+      ...(qrOptions.options && { qrCode: describeQrCode(deepLinkUrl, qrOptions.options, 'deepLinkUrl') }),
+      handoffUrl: buildHandoffUrl(req, token),
+      usage: {
+        deepLink: `Share token link - the data stays on the server; expires ${record.expiresAt}${record.singleUse ? ', works once' : ''}`,
+        session: 'POST to /pre-populate to also store evaluation options and a webhook with a session'
+      },
+      metadata: {
+        urlLength: deepLinkUrl.length,
+        maxRecommendedLength: 2000
+      }
+    });
+    
   } catch (error) {
-    console.error('Error in comprehensive evaluation:', error);
-    // Fallback to basic evaluation
-    return await evaluateBasicCriteria(chatModel, medicalRecord, trialCriteria);
+    console.error('Error generating link:', error);
+    return res.status(500).json({
+      error: 'Internal server error while generating link'
+    });
   }
 }
 
 /**
- * Fallback basic evaluation method (original implementation)
- * @param {Object} chatModel - The chat model instance
- * @param {string} medicalRecord - Patient medical record text
- * @param {Object} trialCriteria - Trial criteria object
- * @returns {Object} Basic evaluation result
+ * Starts webhook delivery of an evaluation response if its session has a
+ * webhookUrl, and notes the delivery in the response metadata
+ * @param {string} sessionId - Optional session the evaluation belongs to
+ * @param {Object} response - Evaluation response body
+ * @returns {Object} Response, with metadata.webhookDelivery when a session was given
  */
-async function evaluateBasicCriteria(chatModel, medicalRecord, trialCriteria) {
-  const results = [];
-  
-  // Process inclusion criteria
-  for (const criterion of trialCriteria.inclusionCriteria) {
-    const result = await evaluateCriterion(chatModel, medicalRecord, criterion, 'inclusion');
-    results.push(result);
-  }
+function attachSessionWebhook(sessionId, response) {
+  if (!sessionId) return response;
+
+  const sessionData = global.clinicalTrialSessions?.get(sessionId);
+  let webhookDelivery;
 
-  // Process exclusion criteria  
-  for (const criterion of trialCriteria.exclusionCriteria) {
-    const result = await evaluateCriterion(chatModel, medicalRecord, criterion, 'exclusion');
-    results.push(result);
+  if (!sessionData || new Date() > new Date(sessionData.expiresAt)) {
+    webhookDelivery = { status: 'skipped', reason: 'Session not found or expired' };
+  } else if (!sessionData.webhookUrl) {
+    webhookDelivery = { status: 'skipped', reason: 'Session has no webhookUrl' };
+  } else {
+    const appConfig = getAppConfig('clinical-trial-matcher-app');
+    const record = deliverWebhook({
+      url: sessionData.webhookUrl,
+      secret: sessionData.webhookSecret,
+      event: 'evaluation.completed',
+      payload: buildWebhookPayload(sessionData, response)
+    }, appConfig?.webhooks || {});
+
+    // Keep the most recent deliveries only
+    const maxRecords = appConfig?.webhooks?.maxDeliveryRecords || 50;
+    sessionData.webhookDeliveries.push(record);
+    sessionData.webhookDeliveries.splice(0, Math.max(0, sessionData.webhookDeliveries.length - maxRecords));
+
+    webhookDelivery = { status: record.status, deliveryId: record.deliveryId };
   }
 
-  // Convert to comprehensive format
-  const overallEligibility = determineOverallEligibility(results);
-  
+  return { ...response, metadata: { ...response.metadata, webhookDelivery } };
+}
+
+/**
+ * Builds the webhook payload documented in the integration guide from either
+ * response shape (basic results or comprehensive criteriaAnalysis)
+ * @param {Object} sessionData - Stored session
+ * @param {Object} response - Evaluation response body
+ * @returns {Object} Webhook payload
+ */
+function buildWebhookPayload(sessionData, response) {
+  const comprehensive = Boolean(response.overallAssessment);
+  const confidences = (response.results || []).map(r => r.confidence).filter(c => typeof c === 'number');
+
   return {
-    overallAssessment: {
-      eligibility: overallEligibility,
-      confidence: Math.min(...results.map(r => r.confidence)),
-      clinicalSummary: "Basic criterion-by-criterion evaluation performed",
-      safetyAssessment: "Individual criteria evaluated for safety"
+    sessionId: sessionData.sessionId,
+    evaluationId: response.evaluationId,
+    patientId: sessionData.patientId || response.patientId,
+    nctNumber: response.nctNumber || sessionData.nctNumber || null,
+    evaluationResult: {
+      overallEligibility: comprehensive ? response.overallAssessment.eligibility : response.overallEligibility,
+      confidence: comprehensive
+        ? response.overallAssessment.confidence
+        : (confidences.length > 0 ? Math.min(...confidences) : null),
+      criteriaAnalysis: comprehensive ? response.criteriaAnalysis : response.results
     },
-    criteriaAnalysis: results.map(r => ({
-      criterion: r.criterion,
-      type: r.type,
-      status: r.status,
-      confidence: r.confidence,
-      clinicalReasoning: r.reasoning,
-      evidenceFromRecord: "See individual criterion evaluation",
-      missingInformation: r.status === 'more-information-needed' ? "Additional clinical data needed" : "None identified"
-    })),
-    clinicalRecommendations: {
-      nextSteps: overallEligibility === 'eligible' ? "Proceed with detailed screening" : "Review with medical team",
-      additionalTests: "Standard trial screening procedures",
-      riskFactors: "Monitor per protocol",
-      alternativeTrials: "Consider trials with modified eligibility criteria"
-    }
+    timestamp: new Date().toISOString()
   };
 }
 
 /**
- * Evaluates a single criterion against the medical record (enhanced version)
- * @param {Object} chatModel - The chat model instance
- * @param {string} medicalRecord - Patient medical record text
- * @param {string} criterion - The criterion to evaluate
+ * Builds a criterion cache key, applying the current cache settings
+ * @param {string} recordHash - Hash of the medical record
+ * @param {string} criterion - Criterion text
  * @param {string} type - 'inclusion' or 'exclusion'
- * @returns {Object} Evaluation result
+ * @param {string} modelName - Model name; defaults to the configured default model
+ * @param {string} promptVersion - BASIC_PROMPT_VERSION or COMPREHENSIVE_PROMPT_VERSION
+ * @param {string} referenceDate - YYYY-MM-DD the prompt measured time windows to
+ * @returns {string} Cache key
  */
-async function evaluateCriterion(chatModel, medicalRecord, criterion, type) {
-  const prompt = `You are a clinical research coordinator evaluating patient eligibility for a clinical trial.
+function criterionCacheKey(recordHash, criterion, type, modelName, promptVersion, referenceDate) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  configureCriterionCache(appConfig?.cache || {});
 
-MEDICAL RECORD:
-${medicalRecord}
+  return buildCacheKey({
+    recordHash,
+    criterion,
+    type,
+    modelName: modelName || appConfig?.models?.default || 'hipaa:o3-high',
+    promptVersion,
+    referenceDate
+  });
+}
 
-CRITERION TO EVALUATE:
-${criterion}
+/**
+ * Summarizes criterion cache use for response metadata
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Array} results - Criterion results or criteriaAnalysis entries
+ * @returns {Object} { recordHash, hits, misses } counting model-assessed criteria only
+ */
+function summarizeCacheUse(medicalRecord, results) {
+  const modelResults = results.filter(r => r.method === 'model');
+  const hits = modelResults.filter(r => r.cached).length;
 
-CRITERION TYPE: ${type.toUpperCase()}
+  return {
+    recordHash: hashRecord(medicalRecord),
+    hits,
+    misses: modelResults.length - hits
+  };
+}
 
-Please evaluate whether this patient's medical record meets the above ${type} criterion.
+/**
+ * Summarizes model response validation for response metadata
+ * @param {Array} results - Criterion results or criteriaAnalysis entries
+ * @param {Object} comprehensiveResponse - Optional `modelResponse` of a comprehensive evaluation
+ * @returns {Object} { checked, extracted, normalized, repaired, invalid } counts of model responses,
+ *   with the comprehensive response's record and any fallback to basic evaluation
+ */
+function summarizeModelResponses(results, comprehensiveResponse = null) {
+  // A valid comprehensive response covers all its criteria; after a fallback
+  // every criterion had a response of its own
+  const criterionRecords = comprehensiveResponse && !comprehensiveResponse.fallback
+    ? []
+    : results.filter(r => r.method === 'model' && !r.cached).map(r => r.modelResponse || {});
+  const records = [
+    ...(comprehensiveResponse?.extraction ? [comprehensiveResponse] : []),
+    ...criterionRecords
+  ];
 
-Respond with EXACTLY this JSON format (no additional text):
-{
-  "status": "matched|non-matched|more-information-needed",
-  "reasoning": "Clear explanation of your decision",
-  "confidence": 0.85
+  return {
+    checked: records.length,
+    extracted: records.filter(r => r.extraction === 'fenced' || r.extraction === 'embedded').length,
+    normalized: records.filter(r => r.normalized?.length > 0).length,
+    repaired: records.filter(r => r.repairAttempts > 0 && r.valid).length,
+    invalid: records.filter(r => r.valid === false).length,
+    ...(comprehensiveResponse?.extraction && {
+      comprehensive: {
+        extraction: comprehensiveResponse.extraction,
+        normalized: comprehensiveResponse.normalized,
+        repairAttempts: comprehensiveResponse.repairAttempts,
+        valid: comprehensiveResponse.valid,
+        ...(comprehensiveResponse.errors && { errors: comprehensiveResponse.errors })
+      }
+    }),
+    ...(comprehensiveResponse?.fallback && { fallback: comprehensiveResponse.fallback })
+  };
 }
 
-Guidelines:
-- "matched": The medical record clearly meets the criterion
-- "non-matched": The medical record clearly does not meet the criterion  
-- "more-information-needed": The medical record lacks sufficient information to make a determination
-- Confidence should be 0.0-1.0 based on how certain you are
-- Be conservative - if unclear, choose "more-information-needed"
-- For exclusion criteria: "matched" means the patient IS excluded, "non-matched" means they are NOT excluded`;
-
-  try {
-    const content = await chatModel.replyTo(prompt);
-    const contentStr = typeof content === 'string' ? content : content.trim();
-    
-    // Try to parse the JSON response
-    let evaluation;
-    try {
-      evaluation = JSON.parse(contentStr);
-    } catch (parseError) {
-      // Fallback if JSON parsing fails
-      console.warn('Failed to parse model response as JSON:', contentStr);
-      evaluation = {
-        status: 'more-information-needed',
-        reasoning: 'Unable to parse model response properly',
-        confidence: 0.1
-      };
-    }
+/**
+ * Whether a parsed response needed anything beyond JSON.parse, and so is
+ * worth reporting on its criterion
+ * @param {Object} record - Record from parseModelResponse
+ * @returns {boolean} True if the response was extracted, normalized, repaired or is invalid
+ */
+function isNotableResponse(record) {
+  return record.extraction !== 'json' || record.normalized.length > 0 || record.repairAttempts > 0 || !record.valid;
+}
 
-    return {
-      criterion,
-      type,
-      status: evaluation.status,
-      reasoning: evaluation.reasoning,
-      confidence: evaluation.confidence
-    };
+/**
+ * Number of repair prompts allowed per model response, from app configuration
+ * @returns {number} Maximum repair attempts
+ */
+function getMaxRepairAttempts() {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  return appConfig?.evaluation?.maxRepairAttempts ?? 1;
+}
 
-  } catch (error) {
-    console.error('Error evaluating criterion:', error);
-    return {
-      criterion,
-      type,
-      status: 'more-information-needed',
-      reasoning: `Error during evaluation: ${error.message}`,
-      confidence: 0.0
-    };
+/**
+ * Throws if an evaluation has been cancelled
+ * @param {AbortSignal} signal - Optional signal of the job running the evaluation
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new Error('Evaluation cancelled');
   }
 }
 
 /**
- * Determines overall eligibility based on individual criterion results
- * @param {Array} results - Array of criterion evaluation results
- * @returns {string} 'eligible'|'ineligible'|'needs-review'
+ * Checks whether the caller asked for an asynchronous job instead of a result
+ * @param {Object} req - Express request
+ * @returns {boolean} True if "async" is true in the body or query string
  */
-function determineOverallEligibility(results) {
-  const inclusionResults = results.filter(r => r.type === 'inclusion');
-  const exclusionResults = results.filter(r => r.type === 'exclusion');
-
-  // Check if any inclusion criteria are non-matched
-  const failedInclusion = inclusionResults.some(r => r.status === 'non-matched');
-  
-  // Check if any exclusion criteria are matched (patient is excluded)
-  const failedExclusion = exclusionResults.some(r => r.status === 'matched');
-
-  // Check if we need more information for any criteria
-  const needsMoreInfo = results.some(r => r.status === 'more-information-needed');
+function isAsyncRequest(req) {
+  return req.body?.async === true || req.query.async === 'true';
+}
 
-  if (failedInclusion || failedExclusion) {
-    return 'ineligible';
-  }
-  
-  if (needsMoreInfo) {
-    return 'needs-review';
-  }
+/**
+ * Starts a background job for a matching endpoint
+ * @param {string} type - Endpoint name
+ * @param {Function} evaluate - async ({ onResult, signal }) => response body
+ * @param {string} medicalRecord - Patient medical record text
+ * @param {Object} trialCriteria - Trial criteria object with inclusion/exclusion arrays
+ * @param {Object} eligibility - Optional parseNCT eligibility section for registry age/sex checks
+ * @param {Object} facts - Optional structured facts from a FHIR Bundle
+ * @returns {Object} The job
+ */
+function startMatchJob(type, evaluate, medicalRecord, trialCriteria, eligibility, facts) {
+  const appConfig = getAppConfig('clinical-trial-matcher-app');
+  const { registryChecks, ruleResultsByType } = preEvaluateCriteria(medicalRecord, trialCriteria, eligibility, facts);
+  // Group headers are decided from their sub-criteria and not reported as criterion results
+  const groupHeaders = [...ruleResultsByType.inclusion, ...ruleResultsByType.exclusion]
+    .filter(result => result?.method === 'group').length;
+  const totalCriteria = registryChecks.length +
+    trialCriteria.inclusionCriteria.length + trialCriteria.exclusionCriteria.length - groupHeaders;
 
-  // All inclusion criteria matched and no exclusion criteria matched
-  const allInclusionMatched = inclusionResults.every(r => r.status === 'matched');
-  const noExclusionMatched = exclusionResults.every(r => r.status === 'non-matched');
+  return createJob(type, totalCriteria, evaluate, {
+    retentionMinutes: appConfig?.jobs?.retentionMinutes || 60
+  });
+}
 
-  if (allInclusionMatched && noExclusionMatched) {
-    return 'eligible';
-  }
+/**
+ * Builds the 202 response for a newly created job
+ * @param {Object} req - Express request
+ * @param {Object} job - The job
+ * @returns {Object} Job id, status and URLs for polling, streaming and cancelling
+ */
+function describeJobLinks(req, job) {
+  const jobUrl = `${req.protocol}://${req.get('host')}/charm/apps/clinical-trial-matcher/jobs/${job.id}`;
 
-  return 'needs-review';
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    statusUrl: jobUrl,
+    eventsUrl: `${jobUrl}/events`,
+    cancelUrl: jobUrl
+  };
 }
 
 export default router;
\ No newline at end of file
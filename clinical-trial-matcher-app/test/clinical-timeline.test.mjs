@@ -0,0 +1,140 @@
+// test/clinical-timeline.test.mjs
+//
+// Dated-event timeline, event modifiers and time-window criteria.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractTimeline,
+  parseTimeWindowCriterion,
+  evaluateTimeWindow,
+  parseReferenceDate
+} from '../lib/clinical-timeline.mjs';
+
+const referenceDate = '2026-10-19';
+
+/**
+ * Evaluates a criterion against a record at the test reference date
+ */
+function evaluate(criterion, record) {
+  const atom = parseTimeWindowCriterion(criterion.toLowerCase());
+  assert.ok(atom, `not a time-window criterion: ${criterion}`);
+  return evaluateTimeWindow(atom, extractTimeline(record, { referenceDate }));
+}
+
+test('reads absolute and relative dates with their precision', () => {
+  const timeline = extractTimeline(
+    'Date of visit: 2026-10-15\nDOB 1968-02-03.\nType 2 diabetes diagnosed in March 2019.\n' +
+    'Received carboplatin on 09/30/2026.\nMyocardial infarction 2 years ago.',
+    { referenceDate }
+  );
+  assert.equal(timeline.noteDate.date, '2026-10-15');
+  assert.deepEqual(timeline.events.map(event => [event.date, event.precision, event.categories]), [
+    ['2019-03', 'month', ['diagnosis']],
+    ['2024-10-15', 'approximate', ['myocardial-infarction']],
+    ['2026-09-30', 'day', ['chemotherapy']]
+  ]);
+  assert.equal(timeline.events[2].daysBefore, 19);
+});
+
+test('rejects invalid reference dates', () => {
+  assert.equal(parseReferenceDate('2026-02-31'), null);
+  assert.equal(parseReferenceDate('10/19/2026'), null);
+  assert.equal(parseReferenceDate('2026-10-19').toISOString(), '2026-10-19T00:00:00.000Z');
+});
+
+test('parses time-window criteria', () => {
+  const atom = parseTimeWindowCriterion('no chemotherapy within 28 days prior to enrollment');
+  assert.equal(atom.relation, 'within');
+  assert.equal(atom.amount, 28);
+  assert.equal(atom.unit, 'day');
+  assert.equal(atom.negated, true);
+  assert.deepEqual(atom.qualifiers, []);
+
+  assert.equal(parseTimeWindowCriterion('at least 6 weeks since last chemotherapy').relation, 'before');
+  assert.equal(parseTimeWindowCriterion('chemotherapy within 28 days unless given for another cancer'), null);
+});
+
+test('decides windows from dated events', () => {
+  const record = 'Received carboplatin/paclitaxel on 09/30/2026. MI in 2019.';
+  const chemo = evaluate('No chemotherapy within 28 days prior to enrollment', record);
+  assert.equal(chemo.holds, false);
+  assert.equal(chemo.evidence.interval.days, 19);
+  assert.equal(chemo.evidence.interval.windowStart, '2026-09-21');
+
+  assert.equal(evaluate('At least 6 weeks since last chemotherapy', record).holds, false);
+  assert.equal(evaluate('Myocardial infarction within the past 6 months', record).holds, false);
+});
+
+test('defers to the model when a date range straddles the window edge', () => {
+  assert.equal(evaluate('Stroke within 6 months', 'Stroke in April 2026.'), null);
+});
+
+test('defers to the model when the event has no date', () => {
+  assert.equal(evaluate('Stroke within 6 months', 'History of stroke.'), null);
+});
+
+test('ignores a ruled-out event', () => {
+  const timeline = extractTimeline('MI ruled out on 2026-09-01 (troponin negative).', { referenceDate });
+  assert.deepEqual(timeline.events[0].modifiers, { 'myocardial-infarction': ['negated'] });
+  assert.equal(evaluate('Myocardial infarction within 6 months', 'MI ruled out on 2026-09-01 (troponin negative).'), null);
+});
+
+test('ignores events of relatives', () => {
+  assert.equal(evaluate('Stroke within 6 months', "Patient's brother had a stroke on 2026-09-10."), null);
+  assert.equal(evaluate('MI within the past 6 months', 'Family history: father had MI on 2026-09-01.'), null);
+
+  const section = 'Family History:\n- Father: MI 2026-09-01\n\nHPI: chest pain.';
+  assert.deepEqual(extractTimeline(section, { referenceDate }).events[0].modifiers, { 'myocardial-infarction': ['family-history'] });
+  assert.equal(evaluate('MI within the past 6 months', section), null);
+});
+
+test('ignores suspected events', () => {
+  const record = 'Evaluated for possible stroke on 2026-09-20…MRI negative.';
+  assert.deepEqual(extractTimeline(record, { referenceDate }).events[0].modifiers, { stroke: ['uncertain'] });
+  assert.equal(evaluate('Stroke within 6 months', record), null);
+});
+
+test('ignores treatment that was held', () => {
+  assert.equal(evaluate('Chemotherapy within 28 days', 'Chemotherapy was held on 2026-10-01.'), null);
+});
+
+test('a modified event blocks conclusions from absence', () => {
+  const record = 'Chemotherapy was held on 2026-10-01. Last chemotherapy given 2026-08-01.';
+  assert.equal(evaluate('No chemotherapy within 28 days', record), null);
+});
+
+test('negation only applies to events named after it', () => {
+  const record = 'No fever. Received carboplatin on 2026-09-30 with no complications.';
+  const timeline = extractTimeline(record, { referenceDate });
+  assert.equal(timeline.events[0].modifiers, undefined);
+  assert.equal(evaluate('Chemotherapy within 28 days', record).holds, true);
+});
+
+test('ongoing treatment lasts up to the reference date', () => {
+  for (const record of [
+    'Currently receiving chemotherapy since 2026-05-01.',
+    'FOLFOX 2026-05-01 to present.',
+    'Started FOLFOX on 2026-05-01, continues weekly.'
+  ]) {
+    assert.equal(extractTimeline(record, { referenceDate }).events[0].course, 'ongoing', record);
+    const result = evaluate('Chemotherapy within 28 days', record);
+    assert.equal(result.holds, true, record);
+    assert.equal(result.evidence.interval.ongoing, true);
+    assert.equal(result.evidence.interval.days, 0);
+    assert.equal(evaluate('At least 6 weeks since last chemotherapy', record).holds, false, record);
+  }
+});
+
+test('defers to the model when only the start of treatment is dated', () => {
+  assert.equal(evaluate('Chemotherapy within 28 days', 'Started FOLFOX on 2026-05-01.'), null);
+  assert.equal(evaluate('At least 6 weeks since last chemotherapy', 'Started FOLFOX on 2026-05-01.'), null);
+  assert.equal(evaluate('Chemotherapy within 28 days', 'Started FOLFOX on 2026-10-01.').holds, true);
+  assert.equal(evaluate('Chemotherapy within 28 days', 'Chemotherapy completed 2026-05-01, currently in surveillance.'), null);
+});
+
+test('a course only applies to treatment', () => {
+  const result = evaluate('Diagnosed with diabetes at least 1 year ago', 'Diabetes diagnosed 2019-03-01, currently on chemotherapy.');
+  assert.equal(result.holds, true);
+  assert.equal(result.evidence.interval.ongoing, undefined);
+});
@@ -0,0 +1,13 @@
+// test/cohort-screening.test.mjs
+//
+// Cohort summary CSV downloads.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCohortCsv } from '../lib/cohort-screening.mjs';
+
+test('neutralizes formulas in uploaded cohort record ids', () => {
+  const cohort = { patients: [{ recordId: '=cmd|"/c calc"!A1', error: 'Screening failed' }] };
+  const [, row] = buildCohortCsv(cohort, 'patients').split('\r\n');
+  assert.equal(row, `"'=cmd|""/c calc""!A1",,,,,,,Screening failed`);
+});
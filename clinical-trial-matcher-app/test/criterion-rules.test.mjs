@@ -0,0 +1,126 @@
+// test/criterion-rules.test.mjs
+//
+// Parsing of computable criteria, extraction of patient facts and the
+// deterministic results built from them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseComputableCriterion,
+  extractPatientFacts,
+  evaluateComputableCriterion,
+  buildRegistryChecks
+} from '../lib/criterion-rules.mjs';
+
+const referenceDate = new Date('2026-10-19T00:00:00Z');
+const facts = record => extractPatientFacts(record, { referenceDate });
+const parseAge = value => (value && value !== 'N/A' ? parseInt(value, 10) : null);
+
+test('parses age, sex, lab and performance atoms', () => {
+  assert.deepEqual(parseComputableCriterion('Age ≥ 18'), {
+    kind: 'age', label: 'Age', unit: 'years', min: 18, minInclusive: true, max: null, maxInclusive: false
+  });
+  assert.deepEqual(parseComputableCriterion('Female patients only'), { kind: 'sex', sex: 'female' });
+
+  const hba1c = parseComputableCriterion('HbA1c between 7.0% and 10.5%');
+  assert.equal(hba1c.kind, 'lab');
+  assert.equal(hba1c.min, 7);
+  assert.equal(hba1c.max, 10.5);
+
+  const ecog = parseComputableCriterion('ECOG 0-1');
+  assert.equal(ecog.kind, 'performance');
+  assert.equal(ecog.max, 1);
+});
+
+test('leaves criteria with extra qualifiers to the model', () => {
+  assert.equal(parseComputableCriterion('Age ≥ 18 and able to give informed consent'), null);
+  assert.equal(parseComputableCriterion('AST ≤ 2.5 x ULN'), null);
+});
+
+test('keeps creatinine clearance and eGFR units apart', () => {
+  assert.equal(parseComputableCriterion('eGFR ≥ 60 mL/min/1.73m²').analyte, 'egfr');
+  assert.equal(parseComputableCriterion('CrCl ≥ 30 mL/min').analyte, 'crcl');
+  assert.equal(parseComputableCriterion('eGFR ≥ 60 mL/min'), null);
+  assert.equal(parseComputableCriterion('Creatinine clearance > 50 mL/min/1.73 m2'), null);
+
+  const labs = facts('eGFR 55 mL/min; CrCl 40 mL/min/1.73m2').labs;
+  assert.equal(labs.egfr, undefined);
+  assert.equal(labs.crcl, undefined);
+});
+
+test('converts lab units', () => {
+  const { labs } = facts('HbA1c 64 mmol/mol on 2026-03-02.');
+  assert.equal(labs.hba1c.value.toFixed(1), '8.0');
+  assert.equal(labs.hba1c.rawUnit, 'mmol/mol');
+  assert.equal(labs.hba1c.date, '2026-03-02');
+});
+
+test('uses the most recent lab value by date, not the last mention', () => {
+  const record = 'HbA1c 8.1% (2024-01-01). Prior HbA1c 6.5% on 2020-06-01.';
+  const { labs } = facts(record);
+  assert.equal(labs.hba1c.value, 8.1);
+  assert.equal(labs.hba1c.ordered, true);
+  assert.equal(labs.hba1c.mentions, 2);
+
+  const result = evaluateComputableCriterion('HbA1c between 7.0% and 10.5%', 'inclusion', facts(record));
+  assert.equal(result.status, 'matched');
+  assert.match(result.reasoning, /Most recent of 2 values in the record, dated 2024-01-01, was used/);
+});
+
+test('defers to the model when lab values disagree and cannot be ordered', () => {
+  const record = 'HbA1c 8.1% (2024-01-01). Prior HbA1c 6.5% (2020).';
+  assert.equal(facts(record).labs.hba1c.ordered, false);
+  assert.equal(evaluateComputableCriterion('HbA1c between 7.0% and 10.5%', 'inclusion', facts(record)), null);
+
+  // Values on the same side of every bound still decide it
+  const agreeing = evaluateComputableCriterion('HbA1c ≥ 6%', 'inclusion', facts(record));
+  assert.equal(agreeing.status, 'matched');
+  assert.match(agreeing.reasoning, /cannot be ordered by date; all of them satisfy/);
+});
+
+test('reads the patient age and sex from statements about the patient', () => {
+  assert.equal(facts('Age: 61\nSex: M').age.value, 61);
+  assert.equal(facts('Age: 61\nSex: M').sex.value, 'male');
+  assert.equal(facts('52 yo F presents with cough.').sex.value, 'female');
+  assert.equal(facts('HPI: 67-year-old man with COPD.').age.value, 67);
+  assert.equal(facts('DOB: 1970-05-01').age.value, 56);
+  assert.equal(facts('The patient is a woman in her fifties.').sex.value, 'female');
+});
+
+test('ignores the ages of relatives', () => {
+  const record = 'Lives with her 80-year-old mother. She is a 52-year-old woman with breast cancer.';
+  const { age, sex } = facts(record);
+  assert.equal(age.value, 52);
+  assert.equal(age.quote, 'She is a 52-year-old woman');
+  assert.equal(record.slice(age.offset, age.offset + age.quote.length), age.quote);
+  assert.equal(sex.value, 'female');
+
+  assert.equal(facts('Family history: 80-year-old mother with dementia.').age, null);
+  assert.equal(facts('Patient is a 58-year-old male cousin of the donor.').age, null);
+});
+
+test('ignores the sex of a companion', () => {
+  const { age, sex } = facts('Accompanied by husband (a 70-year-old man). Patient is a 45 year old female.');
+  assert.equal(age.value, 45);
+  assert.equal(sex.value, 'female');
+});
+
+test('ignores ages at diagnosis', () => {
+  assert.equal(facts('Diabetes diagnosed at age 40. No other history.').age, null);
+  assert.equal(facts('Asthma since age 12.').age, null);
+});
+
+test('registry checks use the patient age, not a relative', () => {
+  const patient = facts('Her 80-year-old mother has dementia. She is a 52-year-old woman.');
+  const checks = buildRegistryChecks({ minimumAge: '18 Years', maximumAge: '75 Years', gender: 'Female' }, patient, parseAge);
+  assert.deepEqual(checks.map(check => check.status), ['matched', 'matched']);
+});
+
+test('builds rule results with evidence', () => {
+  const result = evaluateComputableCriterion('ECOG 0-1', 'inclusion', facts('ECOG performance status 2.'));
+  assert.equal(result.status, 'non-matched');
+  assert.equal(result.method, 'rule');
+  assert.equal(result.evidence.value, 2);
+
+  assert.equal(evaluateComputableCriterion('ECOG 0-1', 'inclusion', facts('No ECOG recorded.')), null);
+});
@@ -0,0 +1,99 @@
+// test/criterion-tree.test.mjs
+//
+// AND/OR criterion groups parsed from nested registry lists.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCriterionTree,
+  getGroupHeaderIndexes,
+  combineStatuses,
+  applyCriterionTree,
+  resolveCriterionGroups,
+  isTopLevelCriterion
+} from '../lib/criterion-tree.mjs';
+
+/**
+ * Builds criterion results with the given statuses, in criterion order
+ */
+function resultsFor(criteria, statuses) {
+  return criteria.map((criterion, i) => ({ criterion, type: 'inclusion', status: statuses[i], confidence: 0.9, reasoning: '' }));
+}
+
+test('reads nesting from indentation', () => {
+  const tree = buildCriterionTree(['Age >= 18', 'Any of the following:', '  NSCLC', '  SCLC', 'ECOG 0-1'], 'inclusion');
+  assert.deepEqual(tree.children, [
+    { index: 0 },
+    { index: 1, operator: 'OR', minMatched: 1, children: [{ index: 2 }, { index: 3 }] },
+    { index: 4 }
+  ]);
+});
+
+test('reads nesting from bullet styles', () => {
+  const tree = buildCriterionTree(['1. At least two of:', 'a. Diabetes', 'b. Hypertension', 'c. Obesity', '2. Age >= 18'], 'inclusion');
+  assert.equal(tree.children.length, 2);
+  assert.equal(tree.children[0].operator, 'OR');
+  assert.equal(tree.children[0].minMatched, 2);
+  assert.deepEqual(tree.children[0].children.map(c => c.index), [1, 2, 3]);
+});
+
+test('does not group under a header in a flat list', () => {
+  const criteria = [
+    'Histologically confirmed diagnosis of one of the following:',
+    'NSCLC',
+    'SCLC',
+    'ECOG performance status 0-1',
+    'Age >= 18 years'
+  ];
+  const tree = buildCriterionTree(criteria, 'inclusion');
+  assert.deepEqual(tree.children, [{ index: 0, ambiguous: true }, { index: 1 }, { index: 2 }, { index: 3 }, { index: 4 }]);
+  assert.deepEqual([...getGroupHeaderIndexes(tree)], [0]);
+
+  const results = resultsFor(criteria, ['more-information-needed', 'matched', 'non-matched', 'non-matched', 'non-matched']);
+  const criteriaTree = applyCriterionTree(results, { inclusionCriteria: criteria, exclusionCriteria: [] });
+  assert.equal(criteriaTree.inclusion.children[0].ambiguous, true);
+  assert.equal(results[0].status, 'more-information-needed');
+  assert.match(results[0].reasoning, /review/);
+  assert.ok(results.every(isTopLevelCriterion));
+  assert.deepEqual(results.slice(3).map(r => r.status), ['non-matched', 'non-matched']);
+});
+
+test('a header followed by another header groups nothing', () => {
+  const tree = buildCriterionTree(['Adequate organ function:', 'Any of the following:', '  NSCLC'], 'inclusion');
+  assert.deepEqual(tree.children[0], { index: 0 });
+  assert.equal(tree.children[1].operator, 'OR');
+});
+
+test('combines statuses with three-valued logic', () => {
+  const or = { operator: 'OR', minMatched: 1 };
+  const and = { operator: 'AND', minMatched: null };
+  assert.equal(combineStatuses(or, ['non-matched', 'matched'], 'unknown'), 'matched');
+  assert.equal(combineStatuses(or, ['non-matched', 'insufficient-data'], 'unknown'), 'unknown');
+  assert.equal(combineStatuses(or, ['non-matched', 'non-matched'], 'unknown'), 'non-matched');
+  assert.equal(combineStatuses(and, ['matched', 'insufficient-data'], 'unknown'), 'unknown');
+  assert.equal(combineStatuses(and, ['matched', 'non-matched'], 'unknown'), 'non-matched');
+  assert.equal(combineStatuses({ operator: 'OR', minMatched: 2 }, ['matched', 'non-matched', 'matched'], 'unknown'), 'matched');
+});
+
+test('decides headers from their sub-criteria and keeps adjudicated headers', () => {
+  const criteria = ['Any of the following:', '  NSCLC', '  SCLC', 'Age >= 18'];
+  const results = resultsFor(criteria, ['more-information-needed', 'non-matched', 'matched', 'matched']);
+  applyCriterionTree(results, { inclusionCriteria: criteria, exclusionCriteria: [] });
+  assert.equal(results[0].status, 'matched');
+  assert.equal(results[0].confidence, 0.9);
+  assert.equal(results[1].parentIndex, 0);
+  assert.equal(isTopLevelCriterion(results[1]), false);
+
+  results[2].status = 'non-matched';
+  resolveCriterionGroups(results, 'more-information-needed');
+  assert.equal(results[0].status, 'non-matched');
+
+  results[0] = { ...results[0], status: 'matched', adjudication: { status: 'matched' } };
+  resolveCriterionGroups(results, 'more-information-needed');
+  assert.equal(results[0].status, 'matched');
+});
+
+test('returns no tree when no list has headers', () => {
+  const criteria = ['Age >= 18', 'ECOG 0-1'];
+  assert.equal(applyCriterionTree(resultsFor(criteria, ['matched', 'matched']), { inclusionCriteria: criteria, exclusionCriteria: [] }), null);
+});
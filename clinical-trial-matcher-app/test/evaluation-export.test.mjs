@@ -0,0 +1,30 @@
+// test/evaluation-export.test.mjs
+//
+// CSV quoting and formula neutralization in evaluation exports.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCsvExport } from '../lib/evaluation-export.mjs';
+
+/**
+ * CSV data rows of an evaluation with the given criterion results
+ */
+function csvRows(results) {
+  return buildCsvExport({ response: { results } }).split('\r\n').slice(1, -1);
+}
+
+test('quotes fields with delimiters, quotes and line breaks', () => {
+  const [row] = csvRows([{ criterion: 'Age 18, or older', type: 'inclusion', status: 'matched', confidence: 0.9, reasoning: 'Stated "52"\nin the HPI' }]);
+  assert.equal(row, '0,inclusion,"Age 18, or older",matched,0.9,model,"Stated ""52""\nin the HPI",,,,');
+});
+
+test('prefixes text a spreadsheet would read as a formula', () => {
+  const rows = csvRows([
+    { criterion: '=HYPERLINK("http://x","y")', type: 'inclusion', status: 'matched', confidence: -1, reasoning: '+1' },
+    { criterion: '-2+3', type: 'exclusion', status: 'non-matched', reasoning: '@SUM(A1)', evidenceFromRecord: '\tcmd' },
+    { criterion: 'Age >= 18', type: 'inclusion', status: 'matched', reasoning: 'Age 52' }
+  ]);
+  assert.equal(rows[0], `0,inclusion,"'=HYPERLINK(""http://x"",""y"")",matched,-1,model,'+1,,,,`);
+  assert.equal(rows[1], `1,exclusion,'-2+3,non-matched,,model,'@SUM(A1),'\tcmd,,,`);
+  assert.equal(rows[2], '2,inclusion,Age >= 18,matched,,model,Age 52,,,,');
+});
@@ -0,0 +1,54 @@
+// test/evidence-grounding.test.mjs
+//
+// Verification of model-cited evidence against the medical record and the
+// downgrades applied when it cannot be found.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyEvidence, splitEvidenceQuotes, groundCriteriaAnalysis } from '../lib/evidence-grounding.mjs';
+
+const record = 'HPI: 61-year-old man with type 2 diabetes on metformin 1000 mg BID. ' +
+  'History of myocardial infarction in 2019 treated with PCI. No history of pancreatitis.';
+
+test('verifies quotes regardless of case, punctuation and spacing', () => {
+  const result = verifyEvidence('"Metformin 1000mg   BID"', record);
+  assert.equal(result.status, 'verified');
+  assert.equal(result.spans.length, 1);
+  const [span] = result.spans;
+  assert.equal(record.slice(span.start, span.end), span.text);
+});
+
+test('splits evidence into quotes', () => {
+  assert.deepEqual(splitEvidenceQuotes('on metformin ... treated with PCI'), ['on metformin', 'treated with PCI']);
+  assert.deepEqual(splitEvidenceQuotes('Record states "type 2 diabetes" and "PCI"'), ['type 2 diabetes', 'PCI']);
+});
+
+test('reports quotes that are not in the record', () => {
+  const result = verifyEvidence('Taking insulin glargine nightly', record);
+  assert.equal(result.status, 'unverified');
+  assert.deepEqual(result.unverifiedQuotes, ['Taking insulin glargine nightly']);
+});
+
+test('skips placeholder evidence', () => {
+  assert.equal(verifyEvidence('None identified.', record).status, 'not-applicable');
+  assert.equal(verifyEvidence('N/A', record).status, 'not-applicable');
+});
+
+test('checks statements of absence against the record', () => {
+  assert.equal(verifyEvidence('No history of pancreatitis', record).status, 'verified');
+  assert.equal(verifyEvidence('No history of cardiac disease', record).status, 'unverified');
+  assert.equal(verifyEvidence('Patient has no prior myocardial infarction', record).status, 'unverified');
+});
+
+test('downgrades definitive results resting on made-up absence claims', () => {
+  const { criteriaAnalysis, summary } = groundCriteriaAnalysis([
+    { criterion: 'History of myocardial infarction', status: 'non-matched', confidence: 0.9, evidenceFromRecord: 'No history of cardiac disease' },
+    { criterion: 'History of pancreatitis', status: 'non-matched', confidence: 0.9, evidenceFromRecord: 'No history of pancreatitis' }
+  ], record);
+
+  assert.equal(criteriaAnalysis[0].status, 'insufficient-data');
+  assert.equal(criteriaAnalysis[0].confidence, 0.45);
+  assert.equal(criteriaAnalysis[0].evidenceGrounding.adjustment.originalStatus, 'non-matched');
+  assert.equal(criteriaAnalysis[1].status, 'non-matched');
+  assert.equal(summary.downgraded, 1);
+});
@@ -0,0 +1,65 @@
+// test/medication-normalization.test.mjs
+//
+// Medication list extraction, routes and medication criteria.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractMedications,
+  parseMedicationCriterion,
+  evaluateMedicationCriterion
+} from '../lib/medication-normalization.mjs';
+
+/**
+ * Evaluates a criterion against the medications of a record
+ */
+function evaluate(criterion, record) {
+  const atom = parseMedicationCriterion(criterion.toLowerCase());
+  assert.ok(atom, `not a medication criterion: ${criterion}`);
+  return evaluateMedicationCriterion(atom, extractMedications(record));
+}
+
+test('maps brands to their ingredients and classes', () => {
+  const result = evaluate('Concomitant use of anticoagulants', 'Medications: metformin 500 mg p.o. daily, Eliquis 5 mg BID');
+  assert.equal(result.holds, true);
+  assert.equal(result.evidence.value, 'eliquis');
+  assert.deepEqual(result.evidence.medication.ingredients, ['apixaban']);
+  assert.equal(result.reasoning, 'Eliquis (apixaban) on the medication list is a direct oral anticoagulant, which is an anticoagulant.');
+});
+
+test('splits list entries at sentences, keeping each status', () => {
+  const { medications } = extractMedications('Medications: metformin. Warfarin was discontinued in 2019.');
+  assert.deepEqual(medications.map(m => [m.name, m.status, m.quote]), [
+    ['metformin', 'current', 'metformin'],
+    ['warfarin', 'past', 'Warfarin was discontinued in 2019.']
+  ]);
+  assert.equal(evaluate('Anticoagulants', 'Medications: metformin. Warfarin was discontinued in 2019.'), null);
+});
+
+test('does not split at abbreviations or inside numbers', () => {
+  const { medications } = extractMedications('Medications: metformin 1,000 mg p.o. daily; lisinopril 0.5 mg');
+  assert.deepEqual(medications.map(m => m.quote), ['metformin 1,000 mg p.o. daily', 'lisinopril 0.5 mg']);
+});
+
+test('topical forms do not count for systemic interaction classes', () => {
+  const shampoo = evaluate('Strong CYP3A4 inhibitors', 'Medications: ketoconazole 2% shampoo');
+  assert.equal(shampoo.holds, false);
+  assert.match(shampoo.reasoning, /Ketoconazole is topical/);
+  assert.equal(evaluate('P-gp inhibitors', 'Medications: ketoconazole topical solution').holds, false);
+  assert.equal(evaluate('Strong CYP3A4 inhibitors', 'Medications: ketoconazole 200 mg tablet daily').holds, true);
+});
+
+test('defers to the model when the route decides membership but is not given', () => {
+  assert.equal(evaluate('Strong CYP3A4 inhibitors', 'Medications: ketoconazole'), null);
+});
+
+test('nasal corticosteroids are not systemic', () => {
+  const result = evaluate('No systemic corticosteroids', 'Medications: Flonase nasal spray, metformin');
+  assert.equal(result.holds, true);
+});
+
+test('concludes that the patient takes none only from a complete list', () => {
+  assert.equal(evaluate('No anticoagulants', 'Medications: metformin 1,000 mg BID; lisinopril 10 mg').holds, true);
+  assert.equal(evaluate('No anticoagulants', 'Medications: metformin, fish oil'), null);
+  assert.equal(evaluate('No anticoagulants', 'Takes metformin daily.'), null);
+});
@@ -0,0 +1,37 @@
+// test/patient-explanation.test.mjs
+//
+// Readability scores of patient explanations.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreReadability } from '../lib/patient-explanation.mjs';
+
+test('meets the target with a low grade level and easy reading', () => {
+  const text = 'The study is for people with high blood sugar. Your test result is in the range. Ask your doctor what to do next.';
+  const score = scoreReadability(text, 'en', 8);
+  assert.equal(score.formula, 'flesch-kincaid');
+  assert.ok(score.gradeLevel <= 8);
+  assert.ok(score.readingEase >= score.minimumReadingEase);
+  assert.equal(score.meetsTarget, true);
+});
+
+test('English must also reach the minimum reading ease', () => {
+  const score = scoreReadability('Doctor. Happy. Water. Table. Window. Pencil. Garden. Yellow.', 'en', 9);
+  assert.ok(score.gradeLevel <= 9);
+  assert.ok(score.readingEase < score.minimumReadingEase);
+  assert.equal(score.meetsTarget, false);
+});
+
+test('other languages are judged by reading ease alone', () => {
+  const score = scoreReadability('El estudio es para personas con azúcar alta. Hable con su médico.', 'es', 8);
+  assert.equal(score.formula, 'fernandez-huerta');
+  assert.equal(score.gradeLevel, null);
+  assert.equal(score.meetsTarget, score.readingEase >= score.minimumReadingEase);
+});
+
+test('languages without a formula are not scored', () => {
+  const score = scoreReadability('请向您的医生咨询这项研究。', 'zh', 8);
+  assert.equal(score.formula, null);
+  assert.equal(score.meetsTarget, null);
+  assert.match(score.reason, /Chinese/);
+});
@@ -0,0 +1,84 @@
+// test/trial-locations.test.mjs
+//
+// Postal code resolution, trial site extraction and distances.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolvePostalCode,
+  resolvePatientLocation,
+  extractTrialLocations,
+  describeTrialSites,
+  distanceToSite,
+  isRecruitingStatus,
+  normalizeTrialStatus
+} from '../lib/trial-locations.mjs';
+
+test('resolves postal codes by prefix', () => {
+  const boston = resolvePostalCode('02114-2696');
+  assert.equal(boston.postalCode, '02114');
+  assert.equal(boston.place, 'Boston, MA');
+  assert.equal(boston.precision, 'prefix');
+});
+
+test('covers every assigned US prefix', () => {
+  assert.equal(resolvePostalCode('59801').place, 'Missoula, MT');
+  assert.equal(resolvePostalCode('87501').place, 'Santa Fe, NM');
+  assert.equal(resolvePostalCode('00501').place, 'Holtsville, NY');
+  assert.equal(resolvePostalCode('99901').place, 'Ketchikan, AK');
+  assert.equal(resolvePostalCode('73301').place, 'Austin, TX');
+});
+
+test('borrows a neighbouring prefix only in the same state', () => {
+  // 732 is unassigned; 731 (Oklahoma City) and 733 (Austin, TX) are equally close
+  const oklahomaArea = resolvePostalCode('73201');
+  assert.equal(oklahomaArea.place, 'Oklahoma City, OK');
+  assert.equal(oklahomaArea.precision, 'area');
+
+  // Military and unassigned prefixes are not placed
+  assert.equal(resolvePostalCode('34001'), null);
+  assert.equal(resolvePostalCode('00001'), null);
+});
+
+test('reports unresolvable patient locations and accepts coordinates', () => {
+  assert.match(resolvePatientLocation('34001').error, /could not be resolved/);
+  assert.equal(resolvePatientLocation({ latitude: 30.27, longitude: -97.74 }).location.precision, 'coordinates');
+  assert.match(resolvePatientLocation({ latitude: 91, longitude: 0 }).error, /valid coordinates/);
+});
+
+test('normalizes statuses', () => {
+  assert.equal(normalizeTrialStatus('Not yet recruiting'), 'NOT_YET_RECRUITING');
+  assert.equal(normalizeTrialStatus(null), null);
+  assert.equal(isRecruitingStatus('Enrolling by invitation'), true);
+  assert.equal(isRecruitingStatus('Completed'), false);
+});
+
+test('extracts sites and places those without coordinates by postal code', () => {
+  const trial = {
+    studyInfo: { overallStatus: 'Recruiting' },
+    locations: [
+      { facility: 'Mass General', city: 'Boston', zip: '02114', country: 'United States' },
+      { facility: { name: 'UT Southwestern', address: { city: 'Dallas', zip: '75390', country: 'United States' } }, status: 'Completed' },
+      { facility: 'Austin site', zip: '73301', geoPoint: { lat: 30.27, lon: -97.74 } }
+    ]
+  };
+  const sites = extractTrialLocations(trial);
+  assert.deepEqual(sites.map(site => site.status), ['RECRUITING', 'COMPLETED', 'RECRUITING']);
+  assert.equal(sites[0].latitude, 42.35);
+  assert.equal(sites[1].facility, 'UT Southwestern');
+  assert.equal(sites[2].latitude, 30.27);
+
+  const summary = describeTrialSites(trial, resolvePostalCode('02114'));
+  assert.equal(summary.recruiting, true);
+  assert.equal(summary.recruitingSiteCount, 2);
+  assert.equal(summary.nearestRecruitingSite.facility, 'Mass General');
+  assert.equal(summary.sites[0].distanceMiles, 0);
+});
+
+test('computes great-circle distances in miles', () => {
+  const boston = { latitude: 42.36, longitude: -71.06 };
+  const newYork = { latitude: 40.71, longitude: -74.01 };
+  const miles = distanceToSite(boston, newYork);
+  assert.ok(miles > 180 && miles < 200, `${miles}`);
+  assert.equal(distanceToSite(boston, { latitude: null, longitude: null }), null);
+});
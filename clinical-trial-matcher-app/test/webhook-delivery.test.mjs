@@ -0,0 +1,121 @@
+// test/webhook-delivery.test.mjs
+//
+// Webhook URL checks, refusal of non-public receivers and redirect handling.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import { isPrivateAddress, isValidWebhookUrl, deliverWebhook } from '../lib/webhook-delivery.mjs';
+
+/**
+ * Starts a local HTTP server and returns it with its base URL
+ */
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Waits until a delivery record is no longer pending
+ */
+async function settled(record) {
+  while (record.status === 'pending') {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return record;
+}
+
+test('classifies private and public addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('rejects webhook URLs on local hosts', () => {
+  assert.equal(isValidWebhookUrl('https://emr.example.com/api/trial-results'), true);
+  assert.equal(isValidWebhookUrl('ftp://emr.example.com/'), false);
+  assert.equal(isValidWebhookUrl('http://localhost:9000/hook'), false);
+  assert.equal(isValidWebhookUrl('http://api.localhost/hook'), false);
+  assert.equal(isValidWebhookUrl('http://127.0.0.1/hook'), false);
+  assert.equal(isValidWebhookUrl('http://169.254.169.254/latest/meta-data'), false);
+  assert.equal(isValidWebhookUrl('http://[::1]:8080/hook'), false);
+  assert.equal(isValidWebhookUrl('http://localhost:9000/hook', { allowPrivateNetworks: true }), true);
+});
+
+test('refuses delivery to a private address without contacting it', async () => {
+  let requests = 0;
+  const { server, url } = await listen((req, res) => { requests++; res.end(); });
+  try {
+    const record = await settled(deliverWebhook({ url: `${url}/hook`, secret: 'x'.repeat(16), event: 'test', payload: {} }));
+    assert.equal(record.status, 'failed');
+    assert.equal(record.attempts.length, 1);
+    assert.match(record.attempts[0].error, /non-public address 127\.0\.0\.1/);
+    assert.equal(requests, 0);
+  } finally {
+    server.close();
+  }
+});
+
+test('connects to the address that was checked, not to a second lookup', async () => {
+  let requests = 0;
+  const { server, url } = await listen((req, res) => { requests++; res.end(); });
+  // The check sees a public address; resolving the name again would give the local receiver
+  const lookup = dns.promises.lookup;
+  dns.promises.lookup = async () => [{ address: '203.0.113.10', family: 4 }];
+  try {
+    const record = await settled(deliverWebhook(
+      { url: `${url.replace('127.0.0.1', 'localhost')}/hook`, secret: 'x'.repeat(16), event: 'test', payload: {} },
+      { maxAttempts: 1, timeoutMs: 300 }
+    ));
+    assert.equal(record.status, 'failed');
+    assert.equal(requests, 0);
+  } finally {
+    dns.promises.lookup = lookup;
+    server.close();
+  }
+});
+
+test('does not follow redirects', async () => {
+  let redirected = 0;
+  const target = await listen((req, res) => { redirected++; res.end(); });
+  const receiver = await listen((req, res) => {
+    res.writeHead(307, { Location: `${target.url}/internal` });
+    res.end();
+  });
+  try {
+    const record = await settled(deliverWebhook(
+      { url: `${receiver.url}/hook`, secret: 'x'.repeat(16), event: 'test', payload: {} },
+      { allowPrivateNetworks: true, initialDelayMs: 1 }
+    ));
+    assert.equal(record.status, 'failed');
+    assert.equal(record.attempts.length, 1);
+    assert.equal(record.attempts[0].statusCode, 307);
+    assert.equal(redirected, 0);
+  } finally {
+    target.server.close();
+    receiver.server.close();
+  }
+});
+
+test('delivers to a receiver that accepts the payload', async () => {
+  let body = '';
+  const { server, url } = await listen((req, res) => {
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => res.end());
+  });
+  try {
+    const record = await settled(deliverWebhook(
+      { url: `${url}/hook`, secret: 'x'.repeat(16), event: 'test', payload: { ok: true } },
+      { allowPrivateNetworks: true }
+    ));
+    assert.equal(record.status, 'delivered');
+    assert.deepEqual(JSON.parse(body), { ok: true });
+  } finally {
+    server.close();
+  }
+});